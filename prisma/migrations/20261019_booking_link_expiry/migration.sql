@@ -0,0 +1,10 @@
+-- Migration: Booking link expiry
+-- Expiry for invitation links and revocation for invitation and booking links
+
+ALTER TABLE "INSPECTION_NOTIFICATION" ADD COLUMN "token_expires_at" TIMESTAMPTZ(6);
+ALTER TABLE "INSPECTION_NOTIFICATION" ADD COLUMN "token_revoked_at" TIMESTAMPTZ(6);
+ALTER TABLE "INSPECTION_BOOKING" ADD COLUMN "token_revoked_at" TIMESTAMPTZ(6);
+
+-- Existing invitation links expire 14 days after they were sent
+UPDATE "INSPECTION_NOTIFICATION"
+SET "token_expires_at" = COALESCE("sent_at", "created_at", now()) + INTERVAL '14 days';
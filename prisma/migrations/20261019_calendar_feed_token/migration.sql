@@ -0,0 +1,5 @@
+-- Migration: Calendar feed token
+-- Per-user token for the .ics subscription feed of task due and inspection dates
+
+ALTER TABLE "USER" ADD COLUMN "calendar_token" VARCHAR(64);
+CREATE UNIQUE INDEX "USER_calendar_token_key" ON "USER"("calendar_token");
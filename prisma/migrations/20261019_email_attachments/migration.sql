@@ -0,0 +1,17 @@
+-- Migration: Email attachments
+-- Inbound email attachments, stored in S3 and copied to the tasks created from the email
+
+CREATE TABLE "EMAIL_ATTACHMENT" (
+    "id" SERIAL PRIMARY KEY,
+    "email_id" INTEGER NOT NULL REFERENCES "EMAIL"("id") ON DELETE CASCADE,
+    "external_id" VARCHAR(64),
+    "file_name" VARCHAR(255) NOT NULL,
+    "content_type" VARCHAR(255),
+    "size" INTEGER,
+    "file_s3_key" VARCHAR(255),
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+    "error" TEXT,
+    "created_at" TIMESTAMPTZ(6) DEFAULT now(),
+    "updated_at" TIMESTAMPTZ(6) DEFAULT now()
+);
+CREATE INDEX "idx_email_attachment_email" ON "EMAIL_ATTACHMENT"("email_id");
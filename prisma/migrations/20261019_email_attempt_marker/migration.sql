@@ -0,0 +1,4 @@
+-- Migration: Email attempt marker
+-- Start time of the latest processing attempt, so a retry only cleans up tasks that attempt created
+
+ALTER TABLE "EMAIL" ADD COLUMN "last_attempt_at" TIMESTAMPTZ(6);
@@ -0,0 +1,19 @@
+-- Migration: Email delivery tracking
+-- Delivery status from Resend webhook events (delivered/opened/bounced/complained) on outbound emails and
+-- inspection notifications, and a bounce flag on contacts
+
+ALTER TABLE "EMAIL" ADD COLUMN "resend_id" VARCHAR(64);
+ALTER TABLE "EMAIL" ADD COLUMN "delivery_status" VARCHAR(20);
+ALTER TABLE "EMAIL" ADD COLUMN "delivered_at" TIMESTAMPTZ(6);
+ALTER TABLE "EMAIL" ADD COLUMN "opened_at" TIMESTAMPTZ(6);
+ALTER TABLE "EMAIL" ADD COLUMN "delivery_error" TEXT;
+CREATE UNIQUE INDEX "EMAIL_resend_id_key" ON "EMAIL"("resend_id");
+
+ALTER TABLE "INSPECTION_NOTIFICATION" ADD COLUMN "resend_id" VARCHAR(64);
+ALTER TABLE "INSPECTION_NOTIFICATION" ADD COLUMN "failure_reason" TEXT;
+ALTER TABLE "INSPECTION_NOTIFICATION" ADD COLUMN "delivered_at" TIMESTAMPTZ(6);
+ALTER TABLE "INSPECTION_NOTIFICATION" ADD COLUMN "opened_at" TIMESTAMPTZ(6);
+CREATE INDEX "idx_notification_resend_id" ON "INSPECTION_NOTIFICATION"("resend_id");
+
+ALTER TABLE "CONTACT" ADD COLUMN "email_bounced_at" TIMESTAMPTZ(6);
+ALTER TABLE "CONTACT" ADD COLUMN "email_bounce_reason" TEXT;
@@ -0,0 +1,9 @@
+-- Migration: Email processing retry
+-- Attempt count, last error and exponential backoff for stored-email processing, with a dead-letter state
+
+ALTER TABLE "EMAIL" ADD COLUMN "process_attempts" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "EMAIL" ADD COLUMN "last_error" TEXT;
+ALTER TABLE "EMAIL" ADD COLUMN "next_attempt_at" TIMESTAMPTZ(6);
+ALTER TABLE "EMAIL" ADD COLUMN "dead_lettered_at" TIMESTAMPTZ(6);
+
+CREATE INDEX "idx_email_processing_queue" ON "EMAIL"("is_processed", "next_attempt_at");
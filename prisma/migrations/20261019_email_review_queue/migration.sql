@@ -0,0 +1,9 @@
+-- Migration: Email review queue
+-- Low-confidence extractions wait for human review before properties, contacts and tasks are created
+
+ALTER TABLE "EMAIL" ADD COLUMN "review_status" VARCHAR(20);
+ALTER TABLE "EMAIL" ADD COLUMN "extraction" JSONB;
+ALTER TABLE "EMAIL" ADD COLUMN "reviewed_by" INTEGER;
+ALTER TABLE "EMAIL" ADD COLUMN "reviewed_at" TIMESTAMPTZ(6);
+
+CREATE INDEX "idx_email_review_status" ON "EMAIL"("review_status");
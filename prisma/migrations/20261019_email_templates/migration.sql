@@ -0,0 +1,17 @@
+-- Migration: Email templates
+-- Editable, versioned email templates with per-agency overrides (built-in defaults are used when none is saved)
+
+CREATE TABLE "EMAIL_TEMPLATE" (
+    "id" SERIAL PRIMARY KEY,
+    "key" VARCHAR(100) NOT NULL,
+    "agency_id" INTEGER REFERENCES "AGENCY"("id") ON DELETE CASCADE,
+    "version" INTEGER NOT NULL,
+    "subject" VARCHAR(500) NOT NULL,
+    "html" TEXT,
+    "text" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT false,
+    "created_by" INTEGER,
+    "created_at" TIMESTAMPTZ(6) DEFAULT now()
+);
+CREATE UNIQUE INDEX "idx_email_template_version_unique" ON "EMAIL_TEMPLATE"("key", "agency_id", "version");
+CREATE INDEX "idx_email_template_active" ON "EMAIL_TEMPLATE"("key", "agency_id", "is_active");
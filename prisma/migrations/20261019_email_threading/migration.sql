@@ -0,0 +1,10 @@
+-- Migration: Email threading
+-- Track Message-ID / In-Reply-To / References so replies attach to the original email thread
+
+ALTER TABLE "EMAIL" ADD COLUMN "message_id" VARCHAR(255);
+ALTER TABLE "EMAIL" ADD COLUMN "in_reply_to" VARCHAR(255);
+ALTER TABLE "EMAIL" ADD COLUMN "references" TEXT;
+ALTER TABLE "EMAIL" ADD COLUMN "thread_id" INTEGER REFERENCES "EMAIL"("id") ON DELETE SET NULL;
+
+CREATE INDEX "idx_email_message_id" ON "EMAIL"("message_id");
+CREATE INDEX "idx_email_thread" ON "EMAIL"("thread_id");
@@ -0,0 +1,9 @@
+-- Migration: Inspection follow-up campaign
+-- Per-region follow-up cadence for unbooked invitations, and follow-up progress per notification
+
+ALTER TABLE "INSPECTION_CONFIG" ADD COLUMN "follow_up_days" INTEGER[] NOT NULL DEFAULT ARRAY[3, 7];
+ALTER TABLE "INSPECTION_CONFIG" ADD COLUMN "follow_up_alert_days" INTEGER NOT NULL DEFAULT 3;
+
+ALTER TABLE "INSPECTION_NOTIFICATION" ADD COLUMN "follow_up_count" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "INSPECTION_NOTIFICATION" ADD COLUMN "last_follow_up_at" TIMESTAMPTZ(6);
+ALTER TABLE "INSPECTION_NOTIFICATION" ADD COLUMN "follow_up_alerted_at" TIMESTAMPTZ(6);
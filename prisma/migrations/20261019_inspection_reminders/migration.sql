@@ -0,0 +1,13 @@
+-- Migration: Inspection reminders
+-- Log of pre-inspection reminders sent to tenants and agency users for confirmed bookings
+
+CREATE TABLE "INSPECTION_REMINDER_LOG" (
+    "id" SERIAL PRIMARY KEY,
+    "booking_id" INTEGER NOT NULL REFERENCES "INSPECTION_BOOKING"("id") ON DELETE CASCADE,
+    "reminder_key" VARCHAR(20) NOT NULL,
+    "recipient_type" VARCHAR(20) NOT NULL,
+    "recipient_email" VARCHAR(255) NOT NULL,
+    "inspection_at" TIMESTAMP(6) NOT NULL,
+    "sent_at" TIMESTAMPTZ(6) DEFAULT now()
+);
+CREATE UNIQUE INDEX "idx_inspection_reminder_log_unique" ON "INSPECTION_REMINDER_LOG"("booking_id", "reminder_key", "recipient_email", "inspection_at");
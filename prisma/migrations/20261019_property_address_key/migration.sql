@@ -0,0 +1,7 @@
+-- Migration: Property address key
+-- Normalized address key for matching duplicate properties
+-- Backfill existing rows with: node scripts/backfill-address-keys.js
+
+ALTER TABLE "PROPERTY" ADD COLUMN "address_key" VARCHAR(500);
+
+CREATE INDEX "idx_property_address_key" ON "PROPERTY"("address_key");
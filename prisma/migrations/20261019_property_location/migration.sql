@@ -0,0 +1,6 @@
+-- Migration: Property location
+-- Geocoded coordinates (for ordering inspection run sheets) and access instructions
+
+ALTER TABLE "PROPERTY" ADD COLUMN "latitude" DOUBLE PRECISION;
+ALTER TABLE "PROPERTY" ADD COLUMN "longitude" DOUBLE PRECISION;
+ALTER TABLE "PROPERTY" ADD COLUMN "access_instructions" TEXT;
@@ -0,0 +1,12 @@
+-- Migration: Property merge
+-- Audit log of duplicate properties merged into a surviving property
+
+CREATE TABLE "PROPERTY_MERGE_LOG" (
+    "id" SERIAL PRIMARY KEY,
+    "property_id" INTEGER NOT NULL REFERENCES "PROPERTY"("id") ON DELETE CASCADE,
+    "merged_ids" INTEGER[] NOT NULL DEFAULT '{}',
+    "merged_by" INTEGER,
+    "summary" JSONB,
+    "created_at" TIMESTAMPTZ(6) DEFAULT now()
+);
+CREATE INDEX "idx_property_merge_log_property" ON "PROPERTY_MERGE_LOG"("property_id");
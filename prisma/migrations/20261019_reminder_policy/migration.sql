@@ -0,0 +1,24 @@
+-- Migration: Reminder policies and reminder log
+-- Per-agency / per-task-type due-soon window and reminder schedule
+
+CREATE TABLE "REMINDER_POLICY" (
+    "id" SERIAL PRIMARY KEY,
+    "agency_id" INTEGER REFERENCES "AGENCY"("id") ON DELETE CASCADE,
+    "task_type" VARCHAR(50),
+    "due_soon_days" INTEGER NOT NULL DEFAULT 60,
+    "before_due_days" INTEGER[] NOT NULL DEFAULT ARRAY[60],
+    "after_expiry_days" INTEGER[] NOT NULL DEFAULT ARRAY[1],
+    "created_at" TIMESTAMPTZ(6) DEFAULT now(),
+    "updated_at" TIMESTAMPTZ(6) DEFAULT now()
+);
+CREATE UNIQUE INDEX "idx_reminder_policy_agency_type" ON "REMINDER_POLICY"("agency_id", "task_type");
+
+CREATE TABLE "TASK_REMINDER_LOG" (
+    "id" SERIAL PRIMARY KEY,
+    "task_id" INTEGER NOT NULL REFERENCES "TASK"("id") ON DELETE CASCADE,
+    "reminder_type" VARCHAR(20) NOT NULL,
+    "offset_days" INTEGER NOT NULL,
+    "due_date" TIMESTAMP(6) NOT NULL,
+    "sent_at" TIMESTAMPTZ(6) DEFAULT now()
+);
+CREATE UNIQUE INDEX "idx_task_reminder_log_unique" ON "TASK_REMINDER_LOG"("task_id", "reminder_type", "offset_days", "due_date");
@@ -0,0 +1,12 @@
+-- Migration: Task comments
+-- Comment thread on tasks; mentioned users are stored so the thread can show who was notified
+
+CREATE TABLE "TASK_COMMENT" (
+    "id" SERIAL PRIMARY KEY,
+    "task_id" INTEGER NOT NULL REFERENCES "TASK"("id") ON DELETE CASCADE,
+    "author_id" INTEGER NOT NULL REFERENCES "USER"("id"),
+    "content" TEXT NOT NULL,
+    "mentioned_user_ids" INTEGER[] NOT NULL DEFAULT '{}',
+    "created_at" TIMESTAMPTZ(6) DEFAULT now()
+);
+CREATE INDEX "idx_task_comment_task" ON "TASK_COMMENT"("task_id", "created_at");
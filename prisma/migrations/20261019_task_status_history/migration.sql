@@ -0,0 +1,14 @@
+-- Migration: Task status history
+-- Records every task status transition with actor and source
+
+CREATE TABLE "TASK_STATUS_HISTORY" (
+    "id" SERIAL PRIMARY KEY,
+    "task_id" INTEGER NOT NULL REFERENCES "TASK"("id") ON DELETE CASCADE,
+    "from_status" VARCHAR(20),
+    "to_status" VARCHAR(20) NOT NULL,
+    "source" VARCHAR(20) NOT NULL,
+    "actor_id" INTEGER REFERENCES "USER"("id"),
+    "note" TEXT,
+    "created_at" TIMESTAMPTZ(6) DEFAULT now()
+);
+CREATE INDEX "idx_task_status_history_task" ON "TASK_STATUS_HISTORY"("task_id", "created_at");
@@ -0,0 +1,7 @@
+-- Migration: Technician assignment on tasks and inspection bookings
+
+ALTER TABLE "TASK" ADD COLUMN "assigned_technician_id" INTEGER REFERENCES "USER"("id");
+CREATE INDEX "idx_task_technician" ON "TASK"("assigned_technician_id");
+
+ALTER TABLE "INSPECTION_BOOKING" ADD COLUMN "assigned_technician_id" INTEGER REFERENCES "USER"("id");
+CREATE INDEX "idx_booking_technician" ON "INSPECTION_BOOKING"("assigned_technician_id");
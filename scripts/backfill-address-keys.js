@@ -0,0 +1,50 @@
+/**
+ * Backfill Address Keys Script
+ *
+ * Run this script after the property_address_key migration to set the
+ * normalized address key on existing properties.
+ * Usage: node scripts/backfill-address-keys.js [--all]
+ *
+ * By default only properties without a key are updated; --all recomputes every key.
+ */
+
+require('dotenv').config();
+const prisma = require('../src/config/prisma');
+const { getAddressKey } = require('../src/lib/addressNormalizer');
+
+async function main() {
+  try {
+    const recomputeAll = process.argv.includes('--all');
+
+    const properties = await prisma.property.findMany({
+      where: recomputeAll ? {} : { addressKey: null },
+      select: { id: true, address: true, addressKey: true },
+    });
+    console.log(`Found ${properties.length} properties to check`);
+
+    let updated = 0;
+    let unparseable = 0;
+    for (const property of properties) {
+      const addressKey = getAddressKey(property.address);
+      if (!addressKey) {
+        unparseable++;
+        console.log(`Could not parse address for property ${property.id}: ${property.address}`);
+      }
+      if (addressKey === property.addressKey) continue;
+
+      await prisma.property.update({
+        where: { id: property.id },
+        data: { addressKey },
+      });
+      updated++;
+    }
+
+    console.log(`\nDone! Updated ${updated} properties, ${unparseable} addresses could not be parsed.`);
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main();
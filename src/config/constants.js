@@ -10,6 +10,7 @@ const USER_ROLES = {
   ADMIN: 'admin',
   AGENCY_ADMIN: 'agency-admin',
   AGENCY_USER: 'agency-user',
+  TECHNICIAN: 'technician',
 };
 
 // Task Statuses (uppercase with underscores)
@@ -21,6 +22,68 @@ const TASK_STATUS = {
   EXPIRED: 'EXPIRED',
   COMPLETED: 'COMPLETED',
   HISTORY: 'HISTORY',
+  UNASSIGNED: 'UNASSIGNED',
+};
+
+// Allowed task status transitions (from -> to)
+// COMPLETED means compliant until due_date; DUE_SOON / EXPIRED are set by the daily status job
+const TASK_STATUS_TRANSITIONS = {
+  UNASSIGNED: ['UNKNOWN', 'INCOMPLETE'],
+  UNKNOWN: ['INCOMPLETE', 'PROCESSING', 'COMPLETED', 'DUE_SOON', 'EXPIRED'],
+  INCOMPLETE: ['PROCESSING', 'COMPLETED'],
+  PROCESSING: ['INCOMPLETE', 'COMPLETED'],
+  COMPLETED: ['DUE_SOON', 'EXPIRED', 'INCOMPLETE', 'HISTORY'],
+  DUE_SOON: ['INCOMPLETE', 'PROCESSING', 'COMPLETED', 'EXPIRED'],
+  EXPIRED: ['INCOMPLETE', 'PROCESSING', 'COMPLETED'],
+  HISTORY: [],
+};
+
+// Task status change sources (recorded in TASK_STATUS_HISTORY)
+const TASK_STATUS_SOURCE = {
+  USER: 'user',
+  CRON: 'cron',
+  BOOKING: 'booking',
+  EMAIL: 'email',
+};
+
+// Task list sortable date columns
+const TASK_SORT_FIELD = {
+  DUE_DATE: 'due_date',
+  INSPECTION_DATE: 'inspection_date',
+  CREATED_AT: 'created_at',
+  UPDATED_AT: 'updated_at',
+};
+
+// Task bulk operation actions (POST /tasks/bulk)
+const TASK_BULK_ACTION = {
+  CHANGE_STATUS: 'change_status',
+  SHIFT_DUE_DATE: 'shift_due_date',
+  CHANGE_TYPE: 'change_type',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+};
+
+// Inbound email attachment processing status
+const EMAIL_ATTACHMENT_STATUS = {
+  PENDING: 'pending',
+  STORED: 'stored',
+  REJECTED: 'rejected', // failed type/size validation, never retried
+  FAILED: 'failed', // download/upload error, retried on next processing
+};
+
+// Task Reminder Types (recorded in TASK_REMINDER_LOG)
+const REMINDER_TYPE = {
+  BEFORE_DUE: 'before_due',
+  AFTER_EXPIRY: 'after_expiry',
+};
+
+// Fallback reminder policy when no REMINDER_POLICY row matches
+// catchUpDays: how far back a missed reminder is still sent
+const DEFAULT_REMINDER_POLICY = {
+  dueSoonDays: 60,
+  beforeDueDays: [60],
+  afterExpiryDays: [1],
+  catchUpDays: 7,
 };
 
 // Task Types
@@ -30,6 +93,47 @@ const TASK_TYPE = {
   SAFETY_CHECK: 'SAFETY_CHECK',
 };
 
+// Task type display labels
+const TASK_TYPE_LABELS = {
+  [TASK_TYPE.SMOKE_ALARM]: 'Smoke Alarm',
+  [TASK_TYPE.GAS_ELECTRICITY]: 'Gas & Electricity',
+  [TASK_TYPE.SAFETY_CHECK]: 'Safety Check',
+};
+
+// Email extraction providers (EXTRACTION_PROVIDER / EXTRACTION_FALLBACK_PROVIDER env)
+const EXTRACTION_PROVIDER = {
+  GEMINI: 'gemini',
+  RULES: 'rules',
+};
+
+// Outbound mail transports (MAIL_TRANSPORT env)
+const MAIL_TRANSPORT = {
+  RESEND: 'resend',
+  SMTP: 'smtp',
+  FILE: 'file',
+  MEMORY: 'memory',
+};
+
+// Review status for emails whose extraction confidence is below the threshold
+const EMAIL_REVIEW_STATUS = {
+  NEEDS_REVIEW: 'needs_review',
+  APPROVED: 'approved',
+  DISCARDED: 'discarded',
+};
+
+// Stored-email processing retries (cron runs every 5 minutes)
+const EMAIL_PROCESSING = {
+  MAX_ATTEMPTS: 5,                      // Dead-lettered after this many failures
+  BACKOFF_BASE_MS: 5 * 60 * 1000,       // 5 min, doubled after each failure
+  BACKOFF_MAX_MS: 6 * 60 * 60 * 1000,   // Capped at 6 hours
+};
+
+// Address similarity threshold for property matching (see lib/addressNormalizer)
+// Only an exact address key match reuses a property; similar addresses are flagged
+const ADDRESS_MATCH = {
+  LIKELY_DUPLICATE: 0.75, // Create, but flag as a likely duplicate
+};
+
 // VEU Project Types
 const VEU_PROJECT_TYPE = {
   WATER_HEATER: 'water_heater',
@@ -68,11 +172,45 @@ const BOOKING_STATUS = {
   CANCELLED: 'cancelled',
 };
 
+// Inspection slot times are Melbourne wall times (schedule date + slot start time)
+const INSPECTION_TIMEZONE = 'Australia/Melbourne';
+
+// Tenant self-service changes through the booking link (cancel / reschedule)
+const PUBLIC_BOOKING_CHANGE = {
+  CUTOFF_HOURS: 24,  // No changes within this many hours of the inspection
+};
+
+// Follow-ups for booking invitations that were not booked
+// The cadence can be set per region in INSPECTION_CONFIG; these are the defaults
+const INSPECTION_FOLLOW_UP = {
+  DAYS: [3, 7],       // Days after the invitation to re-send it (the last one is the final notice)
+  ALERT_DAYS: 3,      // Days after the final notice before agency admins are alerted
+  CATCH_UP_DAYS: 7,   // Invitations are still checked this many days after their alert day (missed runs)
+};
+
+// Pre-inspection reminders for confirmed bookings (recorded in INSPECTION_REMINDER_LOG)
+// Overridden by INSPECTION_REMINDER_HOURS (e.g. "48,24") and INSPECTION_REMINDER_MORNING_TIME ("off" to disable)
+const INSPECTION_REMINDER = {
+  HOURS_BEFORE: [48],     // Sent this many hours before the slot starts
+  MORNING_TIME: '07:00',  // Sent at this time on the inspection day (if the slot starts later)
+};
+
 // Notification Status
 const NOTIFICATION_STATUS = {
   SENT: 'sent',
   DELIVERED: 'delivered',
-  FAILED: 'failed',
+  OPENED: 'opened',
+  FAILED: 'failed',          // Bounced
+  COMPLAINED: 'complained',  // Marked as spam by the recipient
+};
+
+// Outbound email delivery status (from Resend webhook events)
+const EMAIL_DELIVERY_STATUS = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  OPENED: 'opened',
+  BOUNCED: 'bounced',
+  COMPLAINED: 'complained',
 };
 
 // Repeat Frequencies
@@ -121,6 +259,7 @@ const ERROR_CODES = {
   UNAUTHORIZED: 'UNAUTHORIZED',
   FORBIDDEN: 'FORBIDDEN',
   CONFLICT: 'CONFLICT',
+  LINK_EXPIRED: 'LINK_EXPIRED',
   INTERNAL_ERROR: 'INTERNAL_ERROR',
   DATABASE_ERROR: 'DATABASE_ERROR',
 };
@@ -128,13 +267,31 @@ const ERROR_CODES = {
 module.exports = {
   USER_ROLES,
   TASK_STATUS,
+  TASK_STATUS_TRANSITIONS,
+  TASK_STATUS_SOURCE,
+  TASK_SORT_FIELD,
+  TASK_BULK_ACTION,
+  EMAIL_ATTACHMENT_STATUS,
+  REMINDER_TYPE,
+  DEFAULT_REMINDER_POLICY,
   TASK_TYPE,
+  TASK_TYPE_LABELS,
+  EXTRACTION_PROVIDER,
+  MAIL_TRANSPORT,
+  EMAIL_REVIEW_STATUS,
+  EMAIL_PROCESSING,
+  ADDRESS_MATCH,
   VEU_PROJECT_TYPE,
   REGION,
   REGION_LABELS,
   SCHEDULE_STATUS,
   BOOKING_STATUS,
+  INSPECTION_TIMEZONE,
+  PUBLIC_BOOKING_CHANGE,
+  INSPECTION_FOLLOW_UP,
+  INSPECTION_REMINDER,
   NOTIFICATION_STATUS,
+  EMAIL_DELIVERY_STATUS,
   REPEAT_FREQUENCY,
   PERMISSION_SCOPE,
   PERMISSION_VALUE,
@@ -0,0 +1,1015 @@
+/**
+ * Default Email Templates
+ *
+ * Built-in templates used when no template has been saved in the database.
+ * Templates use {{variable}} placeholders and {{#if variable}}...{{/if}} sections
+ * (see emailTemplateService). Variables are HTML-escaped in html, used as-is in subject and text.
+ *
+ * Each template lists its variables (with descriptions shown in the editor) and the
+ * sample data used for previews.
+ */
+
+const INSPECTION_VARIABLES = {
+  property_address: 'Property address',
+  inspection_date: 'Inspection date, e.g. "Monday, 20 October 2026"',
+  start_time: 'Slot start time, e.g. "09:00"',
+  end_time: 'Slot end time, e.g. "09:30"',
+};
+
+const INSPECTION_SAMPLE = {
+  property_address: '12 Smith Street, Point Cook VIC 3030',
+  inspection_date: 'Monday, 20 October 2026',
+  start_time: '09:00',
+  end_time: '09:30',
+};
+
+const FOLLOW_UP_VARIABLES = {
+  contact_name: 'Recipient name',
+  property_address: 'Property address',
+  inspection_types: 'Inspection types, e.g. "Gas & Electricity, Smoke Alarm"',
+  next_inspection_date: 'Next date with available slots (may be empty)',
+  booking_link: 'Link to the booking page',
+  link_expiry_date: 'Date the booking link expires, e.g. "Monday, 3 November 2026"',
+};
+
+const FOLLOW_UP_SAMPLE = {
+  contact_name: 'Jane Citizen',
+  property_address: INSPECTION_SAMPLE.property_address,
+  inspection_types: 'Safety Check',
+  next_inspection_date: INSPECTION_SAMPLE.inspection_date,
+  booking_link: 'https://yourdomain.com/book/sample-token',
+  link_expiry_date: 'Monday, 3 November 2026',
+};
+
+const TASK_REMINDER_VARIABLES = {
+  user_name: 'Recipient name',
+  task_name: 'Task name',
+  task_type: 'Task type',
+  property_address: 'Property address',
+  due_date: 'Due date (YYYY-MM-DD)',
+  task_description: 'Task description (may be empty)',
+  task_url: 'Link to the task',
+  reply_instruction: 'Standard "how to reach us" footer',
+};
+
+const TASK_REMINDER_SAMPLE = {
+  user_name: 'Jane Citizen',
+  task_name: '[J1234] Safety Check',
+  task_type: 'SAFETY_CHECK',
+  property_address: '12 Smith Street, Point Cook VIC 3030',
+  due_date: '2026-12-01',
+  task_description: 'Annual gas and electrical safety check',
+  task_url: 'https://yourdomain.com/property/tasks/1',
+  reply_instruction: '\n\nFor human assistance, email workorder@rjlagroup.com\nTo submit a work order (AI-processed), email workorder@system.rjlagroup.com',
+};
+
+const EMAIL_TEMPLATES = {
+  inspection_invitation: {
+    name: 'Inspection booking invitation',
+    description: 'Sent to tenants and agency staff with the link to book an inspection time',
+    variables: {
+      contact_name: 'Recipient name',
+      property_address: 'Property address',
+      inspection_date: INSPECTION_VARIABLES.inspection_date,
+      inspection_types: 'Inspection types, e.g. "Gas & Electricity, Smoke Alarm"',
+      booking_link: 'Link to the booking page',
+    },
+    sampleData: {
+      contact_name: 'Jane Citizen',
+      property_address: INSPECTION_SAMPLE.property_address,
+      inspection_date: INSPECTION_SAMPLE.inspection_date,
+      inspection_types: 'Safety Check',
+      booking_link: 'https://yourdomain.com/book/sample-token',
+    },
+    subject: 'Safety Check Inspection - {{property_address}}',
+    html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Safety Check Inspection</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 0;">
+        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 30px; text-align: center; background-color: #4F46E5; border-radius: 8px 8px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">Safety Check Inspection</h1>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Dear {{contact_name}},
+              </p>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                We would like to inform you that a safety check inspection has been scheduled for your property.
+              </p>
+
+              <!-- Property Info -->
+              <table role="presentation" style="width: 100%; background-color: #f9fafb; border-radius: 8px; margin-bottom: 24px;">
+                <tr>
+                  <td style="padding: 20px;">
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{property_address}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Date:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{inspection_date}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Type:</p>
+                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">{{inspection_types}}</p>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="margin: 0 0 24px; color: #374151; font-size: 16px;">
+                Please click the button below to select a convenient time slot for the inspection:
+              </p>
+
+              <!-- CTA Button -->
+              <table role="presentation" style="width: 100%; margin-bottom: 24px;">
+                <tr>
+                  <td style="text-align: center;">
+                    <a href="{{booking_link}}" style="display: inline-block; padding: 14px 32px; background-color: #4F46E5; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: bold; border-radius: 8px;">
+                      Book Inspection Time
+                    </a>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="margin: 0 0 16px; color: #6b7280; font-size: 14px;">
+                Or copy and paste this link into your browser:
+              </p>
+              <p style="margin: 0 0 24px; color: #4F46E5; font-size: 14px; word-break: break-all;">
+                {{booking_link}}
+              </p>
+
+              <p style="margin: 0 0 16px; color: #ef4444; font-size: 14px; font-weight: bold;">
+                This link will expire in 14 days.
+              </p>
+
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px;">
+                If you have any questions, please contact your property manager.
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
+                This is an automated message. Please do not reply directly to this email.
+              </p>
+              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
+                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+    text: null,
+  },
+
+  inspection_follow_up: {
+    name: 'Inspection booking follow-up',
+    description: 'Re-sent to invitation recipients who have not booked (see the follow-up cadence in the region config)',
+    variables: {
+      ...FOLLOW_UP_VARIABLES,
+      is_repeat: 'Set from the second follow-up on (for {{#if is_repeat}} sections)',
+      follow_up_ordinal: 'Which follow-up this is, e.g. "second"',
+    },
+    sampleData: { ...FOLLOW_UP_SAMPLE, is_repeat: true, follow_up_ordinal: 'second' },
+    subject: 'Reminder: Please book your inspection - {{property_address}}',
+    html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Inspection Booking Reminder</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 0;">
+        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 30px; text-align: center; background-color: #4F46E5; border-radius: 8px 8px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">Inspection Booking Reminder</h1>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Dear {{contact_name}},
+              </p>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                We recently sent you a link to book the safety check inspection for your property, but we have not received a booking yet.
+              </p>
+{{#if is_repeat}}
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                This is our <strong>{{follow_up_ordinal}} reminder</strong>. The inspection is required to keep the property compliant, so please book a time as soon as possible.
+              </p>
+{{/if}}
+              <p style="margin: 0 0 24px; color: #374151; font-size: 16px;">
+                It only takes a minute to choose a time that suits you:
+              </p>
+
+              <!-- Property Info -->
+              <table role="presentation" style="width: 100%; background-color: #f9fafb; border-radius: 8px; margin-bottom: 24px;">
+                <tr>
+                  <td style="padding: 20px;">
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{property_address}}</p>
+{{#if next_inspection_date}}
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Next Available Date:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{next_inspection_date}}</p>
+{{/if}}
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Type:</p>
+                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">{{inspection_types}}</p>
+                  </td>
+                </tr>
+              </table>
+
+              <!-- CTA Button -->
+              <table role="presentation" style="width: 100%; margin-bottom: 24px;">
+                <tr>
+                  <td style="text-align: center;">
+                    <a href="{{booking_link}}" style="display: inline-block; padding: 14px 32px; background-color: #4F46E5; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: bold; border-radius: 8px;">
+                      Book Inspection Time
+                    </a>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="margin: 0 0 16px; color: #6b7280; font-size: 14px;">
+                Or copy and paste this link into your browser:
+              </p>
+              <p style="margin: 0 0 24px; color: #4F46E5; font-size: 14px; word-break: break-all;">
+                {{booking_link}}
+              </p>
+
+              <p style="margin: 0 0 16px; color: #6b7280; font-size: 14px;">
+                This link is valid until {{link_expiry_date}}.
+              </p>
+
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px;">
+                If you have any questions, please contact your property manager.
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
+                This is an automated message. Please do not reply directly to this email.
+              </p>
+              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
+                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+    text: null,
+  },
+
+  inspection_follow_up_final: {
+    name: 'Inspection booking final notice',
+    description: 'Last follow-up to invitation recipients who have not booked; the agency is alerted afterwards',
+    variables: FOLLOW_UP_VARIABLES,
+    sampleData: FOLLOW_UP_SAMPLE,
+    subject: 'Final Reminder: Inspection booking required - {{property_address}}',
+    html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Final Reminder: Inspection Booking</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 0;">
+        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 30px; text-align: center; background-color: #DC2626; border-radius: 8px 8px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">Final Reminder: Inspection Booking</h1>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Dear {{contact_name}},
+              </p>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                We have contacted you several times about the safety check inspection for your property and have not yet received a booking.
+              </p>
+
+              <p style="margin: 0 0 24px; color: #b91c1c; font-size: 16px; font-weight: bold;">
+                This is our final reminder. If no time is booked, your property manager will be notified that the inspection could not be arranged.
+              </p>
+
+              <!-- Property Info -->
+              <table role="presentation" style="width: 100%; background-color: #f9fafb; border-radius: 8px; margin-bottom: 24px;">
+                <tr>
+                  <td style="padding: 20px;">
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{property_address}}</p>
+{{#if next_inspection_date}}
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Next Available Date:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{next_inspection_date}}</p>
+{{/if}}
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Type:</p>
+                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">{{inspection_types}}</p>
+                  </td>
+                </tr>
+              </table>
+
+              <!-- CTA Button -->
+              <table role="presentation" style="width: 100%; margin-bottom: 24px;">
+                <tr>
+                  <td style="text-align: center;">
+                    <a href="{{booking_link}}" style="display: inline-block; padding: 14px 32px; background-color: #DC2626; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: bold; border-radius: 8px;">
+                      Book Inspection Now
+                    </a>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="margin: 0 0 16px; color: #6b7280; font-size: 14px;">
+                Or copy and paste this link into your browser:
+              </p>
+              <p style="margin: 0 0 24px; color: #DC2626; font-size: 14px; word-break: break-all;">
+                {{booking_link}}
+              </p>
+
+              <p style="margin: 0 0 16px; color: #ef4444; font-size: 14px; font-weight: bold;">
+                This link is valid until {{link_expiry_date}}.
+              </p>
+
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px;">
+                If you have any questions, please contact your property manager.
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
+                This is an automated message. Please do not reply directly to this email.
+              </p>
+              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
+                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+    text: null,
+  },
+
+  inspection_follow_up_agency_alert: {
+    name: 'Unbooked inspections alert (agency)',
+    description: 'Sent to agency admins listing properties whose recipients did not book after the final follow-up',
+    variables: {
+      user_name: 'Agency admin name',
+      agency_name: 'Agency name',
+      property_count: 'Number of properties listed',
+      property_list: 'One line per property: address, recipients and emails sent',
+    },
+    sampleData: {
+      user_name: 'John Manager',
+      agency_name: 'Sample Realty',
+      property_count: 1,
+      property_list: '- 12 Smith Street, Point Cook VIC 3030 (Jane Citizen <jane@example.com>, invited 2026-10-01, 3 emails)',
+    },
+    subject: 'Action Required: {{property_count}} inspection(s) not booked',
+    html: null,
+    text:
+      'Hello {{user_name}},\n\n' +
+      'We have not been able to arrange safety check inspections for the following {{agency_name}} properties.\n' +
+      'The tenants were invited to book and sent follow-up reminders, including a final notice, but have not booked a time.\n\n' +
+      '------------------------------------------------------\n' +
+      '{{property_list}}\n' +
+      '------------------------------------------------------\n\n' +
+      'Please contact the tenants directly, or let us know if the contact details need updating.\n\n' +
+      'Best regards,\n' +
+      'RJL System',
+  },
+
+  booking_confirmed: {
+    name: 'Booking confirmed',
+    description: 'Sent to the person who made the booking when it is confirmed',
+    variables: { contact_name: 'Booker name', ...INSPECTION_VARIABLES },
+    sampleData: { contact_name: 'Jane Citizen', ...INSPECTION_SAMPLE },
+    subject: 'Booking Confirmed - {{property_address}}',
+    html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Booking Confirmed</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 0;">
+        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 30px; text-align: center; background-color: #10B981; border-radius: 8px 8px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">✓ Booking Confirmed</h1>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Dear {{contact_name}},
+              </p>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Your property inspection booking has been <strong style="color: #10B981;">confirmed</strong>. Please see the details below:
+              </p>
+
+              <!-- Booking Info -->
+              <table role="presentation" style="width: 100%; background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; margin-bottom: 24px;">
+                <tr>
+                  <td style="padding: 20px;">
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{property_address}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Date:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{inspection_date}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Time Slot:</p>
+                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">{{start_time}} - {{end_time}}</p>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Please ensure someone is available at the property during the inspection time.
+              </p>
+
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px;">
+                If you need to make any changes, please contact your property manager.
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
+                This is an automated message. Please do not reply directly to this email.
+              </p>
+              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
+                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+    text: null,
+  },
+
+  booking_confirmed_recipients: {
+    name: 'Booking confirmed (all recipients)',
+    description: 'Sent to everyone who received an invitation for the property when a booking is confirmed',
+    variables: {
+      recipient_name: 'Recipient name',
+      ...INSPECTION_VARIABLES,
+      booker_name: 'Name of the person who booked',
+      booker_type: 'Tenant, Property Contact or Agency Staff',
+    },
+    sampleData: {
+      recipient_name: 'John Citizen',
+      ...INSPECTION_SAMPLE,
+      booker_name: 'Jane Citizen',
+      booker_type: 'Property Contact',
+    },
+    subject: 'Booking Confirmed - {{property_address}}',
+    html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Booking Confirmed</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 0;">
+        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 30px; text-align: center; background-color: #10B981; border-radius: 8px 8px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">✓ Booking Confirmed</h1>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Dear {{recipient_name}},
+              </p>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                The property inspection booking has been <strong style="color: #10B981;">confirmed</strong>. Please see the details below:
+              </p>
+
+              <!-- Booking Info -->
+              <table role="presentation" style="width: 100%; background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; margin-bottom: 24px;">
+                <tr>
+                  <td style="padding: 20px;">
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{property_address}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Date:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{inspection_date}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Time Slot:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{start_time}} - {{end_time}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Booked By:</p>
+                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">{{booker_name}} <span style="color: #6b7280; font-weight: normal;">({{booker_type}})</span></p>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Please ensure someone is available at the property during the inspection time.
+              </p>
+
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px;">
+                If you need to make any changes, please contact your property manager.
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
+                This is an automated message. Please do not reply directly to this email.
+              </p>
+              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
+                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+    text: null,
+  },
+
+  booking_rejected: {
+    name: 'Booking rejected',
+    description: 'Sent to the booker when a booking cannot be confirmed',
+    variables: { contact_name: 'Booker name', ...INSPECTION_VARIABLES },
+    sampleData: { contact_name: 'Jane Citizen', ...INSPECTION_SAMPLE },
+    subject: 'Booking Update - {{property_address}}',
+    html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Booking Update</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 0;">
+        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 30px; text-align: center; background-color: #EF4444; border-radius: 8px 8px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">Booking Update</h1>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Dear {{contact_name}},
+              </p>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                We regret to inform you that your inspection booking for the following property could not be confirmed at this time:
+              </p>
+
+              <!-- Booking Info -->
+              <table role="presentation" style="width: 100%; background-color: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; margin-bottom: 24px;">
+                <tr>
+                  <td style="padding: 20px;">
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{property_address}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Requested Date:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{inspection_date}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Requested Time:</p>
+                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">{{start_time}} - {{end_time}}</p>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Please contact your property manager to arrange an alternative inspection time.
+              </p>
+
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px;">
+                We apologize for any inconvenience this may cause.
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
+                This is an automated message. Please do not reply directly to this email.
+              </p>
+              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
+                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+    text: null,
+  },
+
+  booking_rescheduled: {
+    name: 'Booking rescheduled',
+    description: 'Sent to the booker when a booking is moved to another time slot',
+    variables: {
+      contact_name: 'Booker name',
+      ...INSPECTION_VARIABLES,
+      previous_time: 'Previous time slot, e.g. "08:00 - 08:30"',
+    },
+    sampleData: { contact_name: 'Jane Citizen', ...INSPECTION_SAMPLE, previous_time: '08:00 - 08:30' },
+    subject: 'Booking Rescheduled - {{property_address}}',
+    html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Booking Rescheduled</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 0;">
+        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 30px; text-align: center; background-color: #F59E0B; border-radius: 8px 8px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">Booking Rescheduled</h1>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Dear {{contact_name}},
+              </p>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Your property inspection booking has been rescheduled. Please see the updated details below:
+              </p>
+
+              <!-- Old Time (Crossed out) -->
+              <table role="presentation" style="width: 100%; background-color: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; margin-bottom: 16px;">
+                <tr>
+                  <td style="padding: 16px;">
+                    <p style="margin: 0 0 4px; color: #6b7280; font-size: 12px;">Previous Time (Cancelled):</p>
+                    <p style="margin: 0; color: #9ca3af; font-size: 14px; text-decoration: line-through;">
+                      {{previous_time}}
+                    </p>
+                  </td>
+                </tr>
+              </table>
+
+              <!-- New Time -->
+              <table role="presentation" style="width: 100%; background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; margin-bottom: 24px;">
+                <tr>
+                  <td style="padding: 20px;">
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{property_address}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Date:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{inspection_date}}</p>
+
+                    <p style="margin: 0 0 8px; color: #10B981; font-size: 14px; font-weight: bold;">New Time Slot:</p>
+                    <p style="margin: 0; color: #111827; font-size: 18px; font-weight: bold;">{{start_time}} - {{end_time}}</p>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Please ensure someone is available at the property during the new inspection time.
+              </p>
+
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px;">
+                If you have any questions, please contact your property manager.
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
+                This is an automated message. Please do not reply directly to this email.
+              </p>
+              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
+                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+    text: null,
+  },
+
+  inspection_reminder: {
+    name: 'Inspection reminder',
+    description: 'Sent to the tenant before a confirmed inspection (see INSPECTION_REMINDER)',
+    variables: {
+      contact_name: 'Tenant name',
+      ...INSPECTION_VARIABLES,
+      inspection_when: 'When the inspection is, e.g. "tomorrow", "today" or "in 2 days"',
+      manage_link: 'Link to cancel or reschedule the booking (may be empty)',
+    },
+    sampleData: {
+      contact_name: 'Jane Citizen',
+      ...INSPECTION_SAMPLE,
+      inspection_when: 'in 2 days',
+      manage_link: 'https://yourdomain.com/book/abc123',
+    },
+    subject: 'Reminder: Inspection {{inspection_when}} - {{property_address}}',
+    html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Inspection Reminder</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 0;">
+        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 30px; text-align: center; background-color: #2563eb; border-radius: 8px 8px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">Inspection Reminder</h1>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Dear {{contact_name}},
+              </p>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                This is a reminder that your property inspection is <strong>{{inspection_when}}</strong>:
+              </p>
+
+              <!-- Booking Info -->
+              <table role="presentation" style="width: 100%; background-color: #eff6ff; border: 1px solid #bfdbfe; border-radius: 8px; margin-bottom: 24px;">
+                <tr>
+                  <td style="padding: 20px;">
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{property_address}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Date:</p>
+                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">{{inspection_date}}</p>
+
+                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Time Slot:</p>
+                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">{{start_time}} - {{end_time}}</p>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                Please ensure someone is available at the property during the inspection time, and that our technician can access the property.
+              </p>
+{{#if manage_link}}
+              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
+                If you can no longer make this time, please cancel or reschedule as soon as possible so we can offer the slot to someone else:
+              </p>
+
+              <!-- Manage Button -->
+              <table role="presentation" style="width: 100%; margin-bottom: 24px;">
+                <tr>
+                  <td style="text-align: center;">
+                    <a href="{{manage_link}}" style="display: inline-block; padding: 14px 32px; background-color: #2563eb; color: #ffffff; text-decoration: none; border-radius: 6px; font-size: 16px; font-weight: bold;">
+                      Cancel or Reschedule
+                    </a>
+                  </td>
+                </tr>
+              </table>
+{{/if}}
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px;">
+                If you have any questions, please contact your property manager.
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
+                This is an automated message. Please do not reply directly to this email.
+              </p>
+              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
+                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+    text: null,
+  },
+
+  inspection_reminder_agency: {
+    name: 'Inspection reminder (agency)',
+    description: 'Sent to the property manager before a confirmed inspection (see INSPECTION_REMINDER)',
+    variables: {
+      user_name: 'Property manager name',
+      contact_name: 'Tenant name',
+      ...INSPECTION_VARIABLES,
+      inspection_when: 'When the inspection is, e.g. "tomorrow", "today" or "in 2 days"',
+      manage_link: 'Link to cancel or reschedule the booking (may be empty)',
+    },
+    sampleData: {
+      user_name: 'John Manager',
+      contact_name: 'Jane Citizen',
+      ...INSPECTION_SAMPLE,
+      inspection_when: 'in 2 days',
+      manage_link: 'https://yourdomain.com/book/abc123',
+    },
+    subject: 'Reminder: Inspection {{inspection_when}} - {{property_address}}',
+    html: null,
+    text:
+      'Hello {{user_name}},\n\n' +
+      'This is a reminder that the following inspection is {{inspection_when}}.\n' +
+      'Please make sure the tenant is aware and the technician can access the property.\n\n' +
+      '------------------------------------------------------\n' +
+      'Property Address: {{property_address}}\n' +
+      'Inspection Date: {{inspection_date}}\n' +
+      'Time Slot: {{start_time}} - {{end_time}}\n' +
+      'Tenant: {{contact_name}}\n' +
+      '------------------------------------------------------\n\n' +
+      '{{#if manage_link}}To cancel or reschedule this booking, use the link below:\n{{manage_link}}\n\n{{/if}}' +
+      'Best regards,\n' +
+      'RJL System',
+  },
+
+  task_reminder_advance: {
+    name: 'Task due date reminder',
+    description: 'Sent to the property manager before a task is due',
+    variables: {
+      ...TASK_REMINDER_VARIABLES,
+      days_until_due: 'Days until the due date',
+      status_label: 'Task status, e.g. "DUE SOON"',
+    },
+    sampleData: { ...TASK_REMINDER_SAMPLE, days_until_due: 30, status_label: 'DUE SOON' },
+    subject: 'Upcoming Due Date Reminder: {{task_name}}',
+    html: null,
+    text:
+      'Hello {{user_name}},\n\n' +
+      'This is a friendly reminder that the following task is due in approximately {{days_until_due}} days.\n' +
+      'Please book an inspection soon to ensure compliance.\n\n' +
+      '------------------------------------------------------\n' +
+      'Task Name: {{task_name}}\n' +
+      'Task Type: {{task_type}}\n' +
+      'Property Address: {{property_address}}\n' +
+      'Due Date: {{due_date}}\n' +
+      'Status: {{status_label}}\n' +
+      '{{#if task_description}}Description: {{task_description}}\n{{/if}}' +
+      '------------------------------------------------------\n\n' +
+      'To view or update this task, please click the link below:\n' +
+      '{{task_url}}\n\n' +
+      'Best regards,\n' +
+      'RJL System{{reply_instruction}}',
+  },
+
+  task_reminder_expired: {
+    name: 'Task expired reminder',
+    description: 'Sent to the property manager after a task has expired',
+    variables: TASK_REMINDER_VARIABLES,
+    sampleData: TASK_REMINDER_SAMPLE,
+    subject: 'Task Expired: {{task_name}}',
+    html: null,
+    text:
+      'Hello {{user_name}},\n\n' +
+      'This is to inform you that the following task has EXPIRED and requires immediate attention.\n' +
+      'Please take action as soon as possible to ensure compliance.\n\n' +
+      '------------------------------------------------------\n' +
+      'Task Name: {{task_name}}\n' +
+      'Task Type: {{task_type}}\n' +
+      'Property Address: {{property_address}}\n' +
+      'Due Date: {{due_date}}\n' +
+      'Status: EXPIRED\n' +
+      '{{#if task_description}}Description: {{task_description}}\n{{/if}}' +
+      '------------------------------------------------------\n\n' +
+      'To view or update this task, please click the link below:\n' +
+      '{{task_url}}\n\n' +
+      'Best regards,\n' +
+      'RJL System{{reply_instruction}}',
+  },
+};
+
+module.exports = {
+  EMAIL_TEMPLATES,
+};
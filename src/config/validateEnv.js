@@ -11,7 +11,6 @@ const requiredEnvVars = [
   { name: 'JWT_ACCESS_SECRET', description: 'JWT access token signing secret' },
   { name: 'JWT_REFRESH_SECRET', description: 'JWT refresh token signing secret' },
   { name: 'CORS_ORIGIN', description: 'Allowed CORS origins (comma-separated)' },
-  { name: 'RESEND_API_KEY', description: 'Resend API key for fetching email content' },
 ];
 
 const optionalEnvVars = [
@@ -21,10 +20,17 @@ const optionalEnvVars = [
   { name: 'JWT_REFRESH_EXPIRES', default: '7d', description: 'Refresh token expiration' },
   { name: 'FRONTEND_URL', default: 'http://localhost:5173', description: 'Frontend URL' },
   { name: 'GEMINI_API_KEY', default: '', description: 'Google Gemini API key for AI email extraction' },
+  { name: 'EXTRACTION_PROVIDER', default: 'gemini', description: 'Email extraction provider (gemini, rules)' },
+  { name: 'EXTRACTION_FALLBACK_PROVIDER', default: 'rules', description: 'Fallback extraction provider (gemini, rules, none)' },
+  { name: 'EXTRACTION_REVIEW_THRESHOLD', default: '0.7', description: 'Extraction confidence (0-1) below which emails need human review' },
+  { name: 'MAIL_TRANSPORT', default: 'resend (file without RESEND_API_KEY in development)', description: 'Outbound mail transport (resend, smtp, file, memory)' },
+  { name: 'INSPECTION_REMINDER_HOURS', default: '48', description: 'Hours before a confirmed inspection to remind the tenant and agency (comma-separated)' },
+  { name: 'INSPECTION_REMINDER_MORNING_TIME', default: '07:00', description: 'Time on the inspection day to send a morning-of reminder (off to disable)' },
 ];
 
 // These variables are optional in development but REQUIRED in production for security
 const productionRequiredEnvVars = [
+  { name: 'RESEND_API_KEY', description: 'Resend API key for sending and fetching emails (required in production)' },
   { name: 'RESEND_WEBHOOK_SECRET', description: 'Resend webhook signing secret (required in production)' },
   { name: 'CRON_SECRET', description: 'Secret for Vercel Cron job authentication (required in production)' },
 ];
@@ -0,0 +1,67 @@
+/**
+ * Calendar Controller
+ *
+ * HTTP layer for the .ics calendar feed endpoints. Delegates business logic to calendarFeedService.
+ */
+
+const calendarFeedService = require('../services/calendarFeedService');
+const { sendSuccess } = require('../lib/response');
+
+/**
+ * Build the public subscription URL for a feed token
+ */
+function buildFeedUrl(req, token) {
+  const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/public/calendar/${token}.ics`;
+}
+
+module.exports = {
+  /**
+   * Get the current user's calendar feed URL (created on first use)
+   * GET /api/calendar/feed
+   */
+  getFeed: async (req, res, next) => {
+    try {
+      const token = await calendarFeedService.getFeedToken(req.user);
+
+      sendSuccess(res, {
+        data: { url: buildFeedUrl(req, token) },
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Regenerate the calendar feed URL (the old URL stops working)
+   * POST /api/calendar/feed/regenerate
+   */
+  regenerateFeed: async (req, res, next) => {
+    try {
+      const token = await calendarFeedService.regenerateFeedToken(req.user);
+
+      sendSuccess(res, {
+        message: 'Calendar feed URL regenerated',
+        data: { url: buildFeedUrl(req, token) },
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Revoke the calendar feed URL
+   * DELETE /api/calendar/feed
+   */
+  revokeFeed: async (req, res, next) => {
+    try {
+      await calendarFeedService.revokeFeedToken(req.user);
+
+      sendSuccess(res, {
+        message: 'Calendar feed URL revoked',
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
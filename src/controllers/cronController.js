@@ -7,6 +7,8 @@
 const { sendReminders } = require('../jobs/taskReminder');
 const { updateExpiredTasks } = require('../jobs/taskStatusUpdater');
 const { processUnprocessedEmails } = require('../jobs/emailProcessor');
+const { sendInspectionReminders } = require('../jobs/inspectionReminder');
+const { sendFollowUps } = require('../jobs/inspectionFollowUp');
 const logger = require('../lib/logger');
 
 /**
@@ -124,6 +126,74 @@ async function runTaskStatusUpdate(req, res) {
   }
 }
 
+/**
+ * Run pre-inspection reminders
+ * Schedule: every hour (cron: 0 * * * *)
+ *
+ * GET /api/cron/inspection-reminders
+ */
+async function runInspectionReminders(req, res) {
+  const startTime = Date.now();
+  logger.info('[CRON] Running inspection reminders...');
+
+  try {
+    const result = await sendInspectionReminders();
+    const duration = Date.now() - startTime;
+
+    logger.info(`[CRON] Inspection reminders completed in ${duration}ms`, result);
+
+    res.json({
+      success: true,
+      message: 'Inspection reminders sent',
+      duration: `${duration}ms`,
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('[CRON] Inspection reminders failed', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * Run inspection invitation follow-ups
+ * Schedule: 0 10 * * * (10:00 Melbourne time)
+ *
+ * GET /api/cron/inspection-follow-ups
+ */
+async function runInspectionFollowUps(req, res) {
+  const startTime = Date.now();
+  logger.info('[CRON] Running inspection follow-ups...');
+
+  try {
+    const result = await sendFollowUps();
+    const duration = Date.now() - startTime;
+
+    logger.info(`[CRON] Inspection follow-ups completed in ${duration}ms`, result);
+
+    res.json({
+      success: true,
+      message: 'Inspection follow-ups sent',
+      duration: `${duration}ms`,
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('[CRON] Inspection follow-ups failed', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
 /**
  * Run email processing job
  * Schedule: every 5 minutes (cron: 0/5 * * * *)
@@ -162,5 +232,7 @@ module.exports = {
   runDailyTasks,
   runTaskReminders,
   runTaskStatusUpdate,
+  runInspectionReminders,
+  runInspectionFollowUps,
   runEmailProcessing,
 };
@@ -41,6 +41,7 @@ module.exports = {
           created: results.created,
           skipped: results.skipped,
           errors: results.errors,
+          warnings: results.warnings,
         },
       });
     } catch (error) {
@@ -54,7 +54,7 @@ module.exports = {
 
       sendSuccess(res, {
         statusCode: 200,
-        message: 'Email processed successfully',
+        message: result.needsReview ? 'Email queued for review' : 'Email processed successfully',
         data: result,
       });
     } catch (error) {
@@ -110,4 +110,120 @@ module.exports = {
       next(error);
     }
   },
+
+  /**
+   * List emails waiting for extraction review
+   * GET /api/emails/review-queue
+   */
+  listReviewQueue: async (req, res, next) => {
+    try {
+      const result = await emailService.listReviewQueue(req.user, {
+        page: req.query.page,
+        limit: req.query.limit,
+      });
+
+      sendSuccess(res, {
+        data: result.emails,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List dead-lettered emails (failed automatic processing too many times)
+   * GET /api/emails/dead-letter
+   */
+  listDeadLettered: async (req, res, next) => {
+    try {
+      const result = await emailService.listDeadLettered(req.user, {
+        page: req.query.page,
+        limit: req.query.limit,
+      });
+
+      sendSuccess(res, {
+        data: result.emails,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Requeue a dead-lettered email for automatic processing
+   * POST /api/emails/:id/requeue
+   */
+  requeueEmail: async (req, res, next) => {
+    try {
+      const email = await emailService.requeueEmail(parseInt(req.params.id, 10), req.user);
+
+      sendSuccess(res, {
+        message: 'Email requeued for processing',
+        data: email,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Edit the proposed extraction of an email in review
+   * PUT /api/emails/:id/review
+   */
+  updateReviewExtraction: async (req, res, next) => {
+    try {
+      const email = await emailService.updateReviewExtraction(
+        parseInt(req.params.id, 10),
+        req.body,
+        req.user
+      );
+
+      sendSuccess(res, {
+        message: 'Extraction updated successfully',
+        data: email,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Approve the extraction of an email in review and create its records
+   * POST /api/emails/:id/review/approve
+   */
+  approveReview: async (req, res, next) => {
+    try {
+      const result = await emailService.approveReview(
+        parseInt(req.params.id, 10),
+        req.body,
+        req.user
+      );
+
+      sendSuccess(res, {
+        message: 'Extraction approved, email processed successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Discard an email in review without creating records
+   * POST /api/emails/:id/review/discard
+   */
+  discardReview: async (req, res, next) => {
+    try {
+      const email = await emailService.discardReview(parseInt(req.params.id, 10), req.user);
+
+      sendSuccess(res, {
+        message: 'Email discarded',
+        data: email,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
 };
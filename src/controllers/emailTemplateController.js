@@ -0,0 +1,131 @@
+/**
+ * Email Template Controller
+ *
+ * HTTP layer for Email Template endpoints. Delegates business logic to emailTemplateService.
+ */
+
+const emailTemplateService = require('../services/emailTemplateService');
+const { sendSuccess } = require('../lib/response');
+
+module.exports = {
+  /**
+   * List email templates
+   * GET /api/email-templates
+   */
+  listTemplates: async (req, res, next) => {
+    try {
+      const templates = await emailTemplateService.listTemplates(req.user, {
+        agency_id: req.query.agency_id,
+      });
+
+      sendSuccess(res, {
+        data: templates,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get email template with versions
+   * GET /api/email-templates/:key
+   */
+  getTemplateDetail: async (req, res, next) => {
+    try {
+      const template = await emailTemplateService.getTemplate(req.params.key, req.user, {
+        agency_id: req.query.agency_id,
+      });
+
+      sendSuccess(res, {
+        data: template,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Save a new template version
+   * PUT /api/email-templates/:key
+   */
+  saveTemplate: async (req, res, next) => {
+    try {
+      const template = await emailTemplateService.saveTemplate(req.params.key, req.body, req.user);
+
+      sendSuccess(res, {
+        message: 'Email template saved successfully',
+        data: template,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Reset a template to the global / built-in default
+   * DELETE /api/email-templates/:key
+   */
+  resetTemplate: async (req, res, next) => {
+    try {
+      const result = await emailTemplateService.resetTemplate(req.params.key, req.user, {
+        agency_id: req.query.agency_id,
+      });
+
+      sendSuccess(res, {
+        message: 'Email template reset successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Preview unsaved template content with sample data
+   * POST /api/email-templates/:key/preview
+   */
+  previewTemplate: async (req, res, next) => {
+    try {
+      const preview = await emailTemplateService.previewTemplate(req.params.key, req.body, req.user);
+
+      sendSuccess(res, {
+        data: preview,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Render the active template with sample data
+   * POST /api/email-templates/:key/render
+   */
+  renderTemplate: async (req, res, next) => {
+    try {
+      const rendered = await emailTemplateService.renderTemplate(req.params.key, req.body, req.user);
+
+      sendSuccess(res, {
+        data: rendered,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Make a template version active
+   * POST /api/email-templates/versions/:id/activate
+   */
+  activateVersion: async (req, res, next) => {
+    try {
+      const template = await emailTemplateService.activateVersion(parseInt(req.params.id, 10), req.user);
+
+      sendSuccess(res, {
+        message: 'Email template version activated successfully',
+        data: template,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
@@ -7,7 +7,8 @@
 const inspectionService = require('../services/inspectionService');
 const inspectionNotificationService = require('../services/inspectionNotificationService');
 const inspectionBookingService = require('../services/inspectionBookingService');
-const { sendSuccess } = require('../lib/response');
+const runSheetService = require('../services/runSheetService');
+const { sendSuccess, sendFile } = require('../lib/response');
 const { ValidationError } = require('../lib/errors');
 const logger = require('../lib/logger');
 const {
@@ -18,12 +19,15 @@ const {
   updateScheduleSchema,
   scheduleIdParamSchema,
   listSchedulesQuerySchema,
+  runSheetQuerySchema,
   sendNotificationSchema,
   listBookingsQuerySchema,
   bookingIdParamSchema,
   confirmBookingSchema,
   rejectBookingSchema,
   rescheduleBookingSchema,
+  assignTechnicianSchema,
+  notificationIdParamSchema,
 } = require('../validators/inspectionValidator');
 
 const inspectionController = {
@@ -204,6 +208,27 @@ const inspectionController = {
     }
   },
 
+  /**
+   * GET /api/inspection/schedules/:id/run-sheet
+   * Get the day's run sheet (confirmed bookings in route order) as JSON, CSV or PDF
+   */
+  async getRunSheet(req, res, next) {
+    try {
+      const { id } = scheduleIdParamSchema.parse(req.params);
+      const { format } = runSheetQuerySchema.parse(req.query);
+
+      if (format === 'json') {
+        const runSheet = await runSheetService.getRunSheet(id, req.user);
+        return sendSuccess(res, { data: runSheet });
+      }
+
+      const file = await runSheetService.exportRunSheet(id, req.user, format);
+      sendFile(res, file);
+    } catch (error) {
+      next(error);
+    }
+  },
+
   /**
    * POST /api/inspection/schedules/:id/notify
    * Send notifications
@@ -334,6 +359,60 @@ const inspectionController = {
       next(error);
     }
   },
+
+  /**
+   * PUT /api/inspection/bookings/:id/assign
+   * Assign technician to a confirmed booking
+   */
+  async assignTechnician(req, res, next) {
+    try {
+      const { id } = bookingIdParamSchema.parse(req.params);
+      const data = assignTechnicianSchema.parse(req.body);
+      const booking = await inspectionBookingService.assignTechnician(id, data, req.user);
+      sendSuccess(res, {
+        message: data.technician_id ? 'Technician assigned successfully' : 'Technician unassigned',
+        data: booking,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // ==================== Notification Endpoints ====================
+
+  /**
+   * POST /api/inspection/notifications/:id/revoke
+   * Revoke the booking link sent in a notification
+   */
+  async revokeNotificationLink(req, res, next) {
+    try {
+      const { id } = notificationIdParamSchema.parse(req.params);
+      const notification = await inspectionService.revokeNotificationLink(id, req.user);
+      sendSuccess(res, {
+        message: 'Booking link revoked',
+        data: notification,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * POST /api/inspection/notifications/:id/regenerate
+   * Email a new booking link to the same recipient and revoke the old one
+   */
+  async regenerateNotificationLink(req, res, next) {
+    try {
+      const { id } = notificationIdParamSchema.parse(req.params);
+      const result = await inspectionService.regenerateNotificationLink(id, req.user);
+      sendSuccess(res, {
+        message: 'New booking link sent',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
 };
 
 module.exports = inspectionController;
@@ -105,6 +105,31 @@ module.exports = {
     }
   },
 
+  /**
+   * Merge duplicate properties into a property
+   * POST /api/properties/:id/merge
+   */
+  mergeProperties: async (req, res, next) => {
+    try {
+      const result = await propertyService.mergeProperties(
+        parseInt(req.params.id, 10),
+        req.body.property_ids,
+        req.user
+      );
+
+      sendSuccess(res, {
+        message: `Merged ${result.merged_ids.length} properties successfully`,
+        data: {
+          property: propertyService.formatProperty(result.property),
+          merged_ids: result.merged_ids,
+          moved: result.moved,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   /**
    * Batch update region for multiple properties
    * PUT /api/properties/batch-update-region
@@ -0,0 +1,102 @@
+/**
+ * Reminder Policy Controller
+ *
+ * HTTP layer for Reminder Policy endpoints. Delegates business logic to reminderPolicyService.
+ */
+
+const reminderPolicyService = require('../services/reminderPolicyService');
+const { sendSuccess } = require('../lib/response');
+
+module.exports = {
+  /**
+   * List reminder policies
+   * GET /api/reminder-policies
+   */
+  listPolicies: async (req, res, next) => {
+    try {
+      const policies = await reminderPolicyService.listPolicies(req.user, {
+        agency_id: req.query.agency_id,
+      });
+
+      sendSuccess(res, {
+        data: policies,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get reminder policy by ID
+   * GET /api/reminder-policies/:id
+   */
+  getPolicyDetail: async (req, res, next) => {
+    try {
+      const policy = await reminderPolicyService.getPolicyById(
+        parseInt(req.params.id, 10),
+        req.user
+      );
+
+      sendSuccess(res, {
+        data: policy,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Create a reminder policy
+   * POST /api/reminder-policies
+   */
+  createPolicy: async (req, res, next) => {
+    try {
+      const policy = await reminderPolicyService.createPolicy(req.body, req.user);
+
+      sendSuccess(res, {
+        statusCode: 201,
+        message: 'Reminder policy created successfully',
+        data: policy,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Update a reminder policy
+   * PUT /api/reminder-policies/:id
+   */
+  updatePolicy: async (req, res, next) => {
+    try {
+      const policy = await reminderPolicyService.updatePolicy(
+        parseInt(req.params.id, 10),
+        req.body,
+        req.user
+      );
+
+      sendSuccess(res, {
+        message: 'Reminder policy updated successfully',
+        data: policy,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Delete a reminder policy
+   * DELETE /api/reminder-policies/:id
+   */
+  deletePolicy: async (req, res, next) => {
+    try {
+      await reminderPolicyService.deletePolicy(parseInt(req.params.id, 10), req.user);
+
+      sendSuccess(res, {
+        message: 'Reminder policy deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
@@ -0,0 +1,71 @@
+/**
+ * Task Comment Controller
+ *
+ * HTTP layer for Task Comment endpoints. Delegates business logic to taskCommentService.
+ */
+
+const taskCommentService = require('../services/taskCommentService');
+const { sendSuccess } = require('../lib/response');
+
+module.exports = {
+  /**
+   * List comments for a task
+   * GET /api/tasks/:id/comments
+   */
+  listComments: async (req, res, next) => {
+    try {
+      const comments = await taskCommentService.listComments(
+        parseInt(req.params.id, 10),
+        req.user
+      );
+
+      sendSuccess(res, {
+        data: comments,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Add a comment to a task
+   * POST /api/tasks/:id/comments
+   */
+  createComment: async (req, res, next) => {
+    try {
+      const comment = await taskCommentService.createComment(
+        parseInt(req.params.id, 10),
+        req.body,
+        req.user
+      );
+
+      sendSuccess(res, {
+        statusCode: 201,
+        message: 'Comment added successfully',
+        data: comment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Delete a comment
+   * DELETE /api/tasks/:id/comments/:commentId
+   */
+  deleteComment: async (req, res, next) => {
+    try {
+      await taskCommentService.deleteComment(
+        parseInt(req.params.id, 10),
+        parseInt(req.params.commentId, 10),
+        req.user
+      );
+
+      sendSuccess(res, {
+        message: 'Comment deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
@@ -5,7 +5,7 @@
  */
 
 const taskService = require('../services/taskService');
-const { sendSuccess } = require('../lib/response');
+const { sendSuccess, sendFile } = require('../lib/response');
 
 module.exports = {
   /**
@@ -63,6 +63,25 @@ module.exports = {
     }
   },
 
+  /**
+   * Get task status history
+   * GET /api/tasks/:id/history
+   */
+  getTaskStatusHistory: async (req, res, next) => {
+    try {
+      const history = await taskService.getTaskStatusHistory(
+        parseInt(req.params.id, 10),
+        req.user
+      );
+
+      sendSuccess(res, {
+        data: history,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   /**
    * Update a task
    * PUT /api/tasks/:id
@@ -90,14 +109,61 @@ module.exports = {
    */
   listTasks: async (req, res, next) => {
     try {
-      const { search, page, limit, property_id, status, type } = req.query;
-      const result = await taskService.listTasks(req.user, {
-        search,
+      // Query is validated and coerced by listTasksQuerySchema
+      const result = await taskService.listTasks(req.user, req.query);
+
+      sendSuccess(res, {
+        data: result.tasks,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Apply one action to many tasks
+   * POST /api/tasks/bulk
+   */
+  bulkUpdateTasks: async (req, res, next) => {
+    try {
+      const result = await taskService.bulkUpdateTasks(req.body, req.user);
+
+      sendSuccess(res, {
+        message: `${result.succeeded} of ${result.requested} tasks updated`,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Export tasks as CSV or XLSX
+   * GET /api/tasks/export
+   */
+  exportTasks: async (req, res, next) => {
+    try {
+      // Query is validated and coerced by exportTasksQuerySchema
+      const file = await taskService.exportTasks(req.user, req.query);
+
+      sendFile(res, file);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List tasks assigned to the current user (technician)
+   * GET /api/tasks/mine
+   */
+  listMyTasks: async (req, res, next) => {
+    try {
+      const { page, limit, status } = req.query;
+      const result = await taskService.listMyTasks(req.user, {
         page: parseInt(page, 10) || 1,
         limit: parseInt(limit, 10) || 50,
-        property_id: property_id ? parseInt(property_id, 10) : undefined,
         status,
-        type,
       });
 
       sendSuccess(res, {
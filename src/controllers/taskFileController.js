@@ -118,6 +118,25 @@ module.exports = {
     }
   },
 
+  /**
+   * Regenerate the compliance certificate PDF for a completed task
+   * POST /api/tasks/:taskId/certificate
+   */
+  regenerateCertificate: async (req, res, next) => {
+    try {
+      const { taskId } = req.params;
+
+      const record = await taskService.regenerateCertificate(parseInt(taskId, 10), req.user);
+
+      sendSuccess(res, {
+        message: 'Certificate generated successfully',
+        data: formatTaskFile(record),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   /**
    * Get signed URL for file download
    * GET /api/tasks/:taskId/files/:fileId/url
@@ -4,11 +4,16 @@
  * Handles incoming webhooks from external services (Resend).
  * Step 1 of 2-step email processing: Save raw email only (< 3 seconds)
  * Processing happens via cron job or manual trigger
+ * Delivery events for outbound emails are applied immediately.
  */
 
 const crypto = require('crypto');
 const axios = require('axios');
 const emailRepository = require('../repositories/emailRepository');
+const emailAttachmentRepository = require('../repositories/emailAttachmentRepository');
+const emailAttachmentService = require('../services/emailAttachmentService');
+const emailThreadService = require('../services/emailThreadService');
+const emailDeliveryService = require('../services/emailDeliveryService');
 const logger = require('../lib/logger');
 const { sendSuccess, sendError } = require('../lib/response');
 
@@ -65,7 +70,13 @@ const webhookController = {
         return sendError(res, { statusCode: 401, message: 'Invalid signature' });
       }
 
-      // Only process email.received events
+      // Delivery events (delivered/opened/bounced/complained) for outbound emails
+      if (emailDeliveryService.isDeliveryEvent(payload.type)) {
+        const result = await emailDeliveryService.handleEvent(payload);
+        return sendSuccess(res, { statusCode: 200, message: 'Delivery event processed', data: result });
+      }
+
+      // Otherwise only process email.received events
       if (payload.type !== 'email.received') {
         logger.info('[Webhook] Ignoring non-inbound event', { type: payload.type });
         return sendSuccess(res, { statusCode: 200, message: 'Event ignored' });
@@ -122,6 +133,7 @@ const webhookController = {
         email_body: fullEmail.text || '',
         html: fullEmail.html || '',
         gmail_msgid: emailId,
+        ...emailThreadService.getThreadHeaders(fullEmail),
       };
 
       logger.info('[Webhook] Saving raw email', {
@@ -132,9 +144,14 @@ const webhookController = {
 
       const savedEmail = await emailRepository.createRaw(rawEmailData);
 
+      // Record attachment metadata only; content is downloaded during processing
+      const attachments = emailAttachmentService.getInboundAttachments(fullEmail);
+      await emailAttachmentRepository.createMany(savedEmail.id, attachments);
+
       logger.info('[Webhook] Email saved successfully (pending processing)', {
         emailId: savedEmail.id,
         messageId: emailId,
+        attachmentCount: attachments.length,
       });
 
       return sendSuccess(res, {
@@ -7,6 +7,8 @@
 const cron = require('node-cron');
 const { sendReminders } = require('./taskReminder');
 const { updateExpiredTasks } = require('./taskStatusUpdater');
+const { sendInspectionReminders } = require('./inspectionReminder');
+const { sendFollowUps } = require('./inspectionFollowUp');
 const logger = require('../lib/logger');
 
 /**
@@ -36,6 +38,42 @@ function setupCronJobs() {
   );
 
   logger.info('[CRON] Scheduled job: everyday 04:00 (Melbourne) for task reminders and status updates');
+
+  // Hourly job for pre-inspection reminders (48h before / morning of)
+  cron.schedule(
+    '0 * * * *',
+    async () => {
+      try {
+        await sendInspectionReminders();
+      } catch (err) {
+        logger.error('[CRON] Inspection reminder job error', { error: err.message });
+      }
+    },
+    {
+      scheduled: true,
+      timezone: 'Australia/Melbourne',
+    }
+  );
+
+  logger.info('[CRON] Scheduled job: hourly (Melbourne) for pre-inspection reminders');
+
+  // Daily job at 10:00 Melbourne time for invitation follow-ups (sent in business hours)
+  cron.schedule(
+    '0 10 * * *',
+    async () => {
+      try {
+        await sendFollowUps();
+      } catch (err) {
+        logger.error('[CRON] Inspection follow-up job error', { error: err.message });
+      }
+    },
+    {
+      scheduled: true,
+      timezone: 'Australia/Melbourne',
+    }
+  );
+
+  logger.info('[CRON] Scheduled job: everyday 10:00 (Melbourne) for inspection invitation follow-ups');
 }
 
 module.exports = { setupCronJobs };
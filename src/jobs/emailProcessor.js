@@ -7,11 +7,28 @@
  * Step 2 of 2-step email processing:
  * - Step 1: Webhook saves raw email (< 3 seconds)
  * - Step 2: This job processes emails with AI (can take 7-12 seconds per email)
+ *
+ * Failed emails are retried with exponential backoff and dead-lettered after
+ * EMAIL_PROCESSING.MAX_ATTEMPTS failures (requeued manually by an admin).
  */
 
 const emailRepository = require('../repositories/emailRepository');
 const emailService = require('../services/emailService');
 const logger = require('../lib/logger');
+const { EMAIL_PROCESSING } = require('../config/constants');
+
+/**
+ * Get the next retry time after a failed attempt
+ * @param {number} attempts - Failed attempts so far (including this one)
+ * @returns {Date} 5 min, 10 min, 20 min, ... capped at BACKOFF_MAX_MS
+ */
+function getNextAttemptAt(attempts) {
+  const delay = Math.min(
+    EMAIL_PROCESSING.BACKOFF_BASE_MS * 2 ** (attempts - 1),
+    EMAIL_PROCESSING.BACKOFF_MAX_MS
+  );
+  return new Date(Date.now() + delay);
+}
 
 /**
  * Process unprocessed emails
@@ -41,6 +58,12 @@ async function processUnprocessedEmails(limit = 5) {
         sender: email.sender,
       });
 
+      // A failed attempt may have created some tasks before it threw (requeued
+      // dead letters keep their lastError), so clear them to avoid duplicates
+      if (email.processAttempts > 0 || email.lastError) {
+        await emailService.cleanupBeforeReprocess(email.id, { since: email.lastAttemptAt });
+      }
+
       const result = await emailService.processStoredEmail(email);
 
       processed++;
@@ -57,25 +80,36 @@ async function processUnprocessedEmails(limit = 5) {
       });
     } catch (err) {
       failed++;
+      const attempts = (email.processAttempts || 0) + 1;
+      const deadLettered = attempts >= EMAIL_PROCESSING.MAX_ATTEMPTS;
+      const nextAttemptAt = deadLettered ? null : getNextAttemptAt(attempts);
+
       results.push({
         emailId: email.id,
         success: false,
         error: err.message,
+        attempts,
+        deadLettered,
       });
 
       logger.error('[EmailProcessor] Failed to process email', {
         emailId: email.id,
         error: err.message,
         stack: err.stack,
+        attempts,
+        deadLettered,
+        nextAttemptAt,
       });
 
-      // Mark as processed with error note to prevent infinite retry
+      // Back off before retrying so a failing email cannot starve newer ones
       try {
-        await emailRepository.markAsProcessed(email.id, {
-          processNote: `❌ Processing failed: ${err.message}`,
+        await emailRepository.recordProcessingFailure(email.id, {
+          error: err.message,
+          nextAttemptAt,
+          deadLettered,
         });
       } catch (updateErr) {
-        logger.error('[EmailProcessor] Failed to mark email as processed', {
+        logger.error('[EmailProcessor] Failed to record processing failure', {
           emailId: email.id,
           error: updateErr.message,
         });
@@ -11,6 +11,8 @@
 const { setupCronJobs } = require('./cron');
 const { sendReminders } = require('./taskReminder');
 const { updateExpiredTasks } = require('./taskStatusUpdater');
+const { sendInspectionReminders } = require('./inspectionReminder');
+const { sendFollowUps } = require('./inspectionFollowUp');
 
 module.exports = {
   // Cron setup for traditional server environments
@@ -19,4 +21,6 @@ module.exports = {
   // Individual job functions (can be called directly or via Vercel Cron)
   sendReminders,
   updateExpiredTasks,
+  sendInspectionReminders,
+  sendFollowUps,
 };
@@ -0,0 +1,303 @@
+/**
+ * Inspection Follow-up Job
+ *
+ * Follows up booking invitations nobody has booked with:
+ * 1. Follow-ups: the invitation link is re-sent on each day of the region's cadence
+ *    (INSPECTION_CONFIG.follow_up_days, e.g. 3 and 7 days after the invitation), with firmer
+ *    wording each time; the last one is a final notice. Each follow-up extends the link's expiry.
+ * 2. Alert: if there is still no booking some days after the final notice (follow_up_alert_days),
+ *    the agency admins get one email listing the unresponsive properties.
+ *
+ * An invitation counts as answered once a booking was made with its link or the property
+ * has an active booking. Only the latest invitation per property and recipient is followed up.
+ * Progress is kept on the notification (follow_up_count, follow_up_alerted_at), so nothing
+ * goes out twice; if several follow-ups are due at once (e.g. a missed run), one email covers them.
+ */
+
+const dayjs = require('dayjs');
+const inspectionNotificationRepository = require('../repositories/inspectionNotificationRepository');
+const inspectionBookingRepository = require('../repositories/inspectionBookingRepository');
+const inspectionConfigRepository = require('../repositories/inspectionConfigRepository');
+const inspectionScheduleRepository = require('../repositories/inspectionScheduleRepository');
+const userRepository = require('../repositories/userRepository');
+const resendEmailService = require('../services/resendEmailService');
+const emailTemplateService = require('../services/emailTemplateService');
+const { getTokenExpiryDate } = require('../lib/tokenGenerator');
+const { INSPECTION_FOLLOW_UP, TASK_STATUS, TASK_TYPE_LABELS } = require('../config/constants');
+const logger = require('../lib/logger');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+/**
+ * Format a date for emails, e.g. "Monday, 3 November 2026"
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-AU', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Build a lookup of the follow-up cadence per region (defaults for unconfigured regions)
+ */
+async function getCadenceResolver() {
+  const configs = await inspectionConfigRepository.findAll();
+  const byRegion = new Map(configs.map((config) => [config.region, {
+    days: config.followUpDays,
+    alertDays: config.followUpAlertDays,
+  }]));
+  const defaults = { days: INSPECTION_FOLLOW_UP.DAYS, alertDays: INSPECTION_FOLLOW_UP.ALERT_DAYS };
+
+  const cadences = [defaults, ...byRegion.values()];
+  return {
+    resolve: (region) => byRegion.get(region) || defaults,
+    // Oldest invitation that can still be due for a follow-up or an alert
+    maxAgeDays: Math.max(...cadences.map((c) => (c.days.length > 0 ? Math.max(...c.days) + c.alertDays : 0)))
+      + INSPECTION_FOLLOW_UP.CATCH_UP_DAYS,
+  };
+}
+
+/**
+ * Get the first published schedule with an open slot for a region (cached per run)
+ */
+async function getNextSchedule(region, cache) {
+  if (!cache.has(region)) {
+    const schedules = await inspectionScheduleRepository.findFutureByRegion(region);
+    cache.set(region, schedules.find((schedule) =>
+      schedule.slots.some((slot) => slot.isAvailable && slot.currentBookings < (slot.maxCapacity || 1))
+    ) || null);
+  }
+  return cache.get(region);
+}
+
+/**
+ * Check whether an invitation still needs following up
+ * (not answered, inspection still to be booked, and the email address works)
+ */
+function isAwaitingBooking(notification, bookedTokens, bookedPropertyIds) {
+  if (bookedTokens.has(notification.bookingToken) || bookedPropertyIds.has(notification.propertyId)) {
+    return false;
+  }
+  const { tasks } = notification.property;
+  if (tasks.some((t) => t.status === TASK_STATUS.PROCESSING)) return false;
+  if (!tasks.some((t) => [TASK_STATUS.INCOMPLETE, TASK_STATUS.UNKNOWN].includes(t.status))) return false;
+  return !notification.contact?.emailBouncedAt;
+}
+
+/**
+ * Send a follow-up for an invitation
+ * @param {Object} notification - Invitation with property, contact and user
+ * @param {number} attempt - Follow-up number (1-based)
+ * @param {boolean} isFinal - Whether this is the final notice
+ * @param {Object} schedule - Next schedule with open slots
+ * @param {Date} tokenExpiresAt - Link expiry after this follow-up
+ */
+async function sendFollowUpEmail(notification, attempt, isFinal, schedule, tokenExpiresAt) {
+  const { property } = notification;
+  const typeLabels = [...new Set(property.tasks.map((t) => t.type).filter(Boolean))]
+    .map((type) => TASK_TYPE_LABELS[type] || type);
+
+  try {
+    const { subject, html, text } = await emailTemplateService.render(
+      isFinal ? 'inspection_follow_up_final' : 'inspection_follow_up',
+      {
+        contact_name: notification.contact?.name || notification.user?.name || 'Tenant',
+        property_address: property.address,
+        inspection_types: typeLabels.length > 0 ? typeLabels.join(', ') : 'Safety Check',
+        next_inspection_date: formatDate(schedule.scheduleDate),
+        booking_link: `${FRONTEND_URL}/book/${notification.bookingToken}`,
+        link_expiry_date: formatDate(tokenExpiresAt),
+        is_repeat: attempt > 1,
+        follow_up_ordinal: ORDINALS[attempt - 1] || `${attempt}th`,
+      },
+      { agencyId: property.user?.agencyId }
+    );
+
+    await resendEmailService.sendEmail({
+      from: 'Safety Check Inspection <noreply@system.rjlagroup.com>',
+      to: notification.recipientEmail,
+      subject,
+      html,
+      text,
+      saveToDb: true,
+      property_id: property.id,
+      agency_id: property.user?.agencyId,
+    });
+    logger.info(`[FOLLOW_UP] Sent follow-up ${attempt}${isFinal ? ' (final)' : ''} for notification #${notification.id} to ${notification.recipientEmail}`);
+    return true;
+  } catch (err) {
+    logger.error(`[FOLLOW_UP] Failed to send follow-up for notification #${notification.id}`, {
+      to: notification.recipientEmail,
+      error: err.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Alert an agency's admins about unbooked invitations
+ * Falls back to the system admins if the agency has no active admin (or the property no agency).
+ * @param {Object|null} agency - { id, agencyName }
+ * @param {Array} notifications - Unbooked invitations of the agency's properties
+ * @returns {Promise<boolean>} True if at least one admin was emailed
+ */
+async function sendAgencyAlert(agency, notifications) {
+  let admins = agency ? await userRepository.findActiveAgencyAdmins(agency.id) : [];
+  if (admins.length === 0) {
+    admins = await userRepository.findActiveAdmins();
+  }
+  admins = admins.filter((admin) => admin.email);
+  if (admins.length === 0) {
+    logger.warn('[FOLLOW_UP] No admins to alert about unbooked inspections', { agencyId: agency?.id });
+    return false;
+  }
+
+  // One line per property, listing every recipient who did not book
+  const byProperty = new Map();
+  for (const notification of notifications) {
+    const lines = byProperty.get(notification.property.address) || [];
+    const name = notification.contact?.name || notification.user?.name;
+    lines.push(
+      `${name ? `${name} <${notification.recipientEmail}>` : notification.recipientEmail}, `
+      + `invited ${dayjs(notification.sentAt).format('YYYY-MM-DD')}, ${notification.followUpCount + 1} emails`
+    );
+    byProperty.set(notification.property.address, lines);
+  }
+  const propertyList = [...byProperty.entries()]
+    .map(([address, lines]) => `- ${address} (${lines.join('; ')})`)
+    .join('\n');
+
+  let sent = 0;
+  for (const admin of admins) {
+    try {
+      const { subject, text } = await emailTemplateService.render('inspection_follow_up_agency_alert', {
+        user_name: admin.name || 'Admin',
+        agency_name: agency?.agencyName || 'unassigned',
+        property_count: byProperty.size,
+        property_list: propertyList,
+      }, { agencyId: agency?.id });
+
+      await resendEmailService.sendEmail({
+        from: 'Safety Check Inspection <noreply@system.rjlagroup.com>',
+        to: admin.email,
+        subject,
+        text,
+        saveToDb: true,
+        agency_id: agency?.id,
+      });
+      sent++;
+    } catch (err) {
+      logger.error('[FOLLOW_UP] Failed to send unbooked inspections alert', {
+        agencyId: agency?.id,
+        to: admin.email,
+        error: err.message,
+      });
+    }
+  }
+
+  logger.info(`[FOLLOW_UP] Alerted ${sent} admin(s) about ${byProperty.size} unbooked properties`, { agencyId: agency?.id });
+  return sent > 0;
+}
+
+/**
+ * Send follow-ups for unbooked invitations and alert agencies after the final notice
+ * @returns {Promise<Object>} { followUps, finalNotices, alertedProperties }
+ */
+async function sendFollowUps() {
+  logger.info('[FOLLOW_UP] Starting inspection follow-up job...');
+
+  try {
+    const today = dayjs().startOf('day');
+    const cadences = await getCadenceResolver();
+    const notifications = await inspectionNotificationRepository.findForFollowUp(
+      today.subtract(cadences.maxAgeDays, 'day').toDate()
+    );
+
+    // Only the latest invitation per property and recipient (oldest first, so later ones win)
+    const latest = new Map();
+    for (const notification of notifications) {
+      latest.set(`${notification.propertyId}:${notification.recipientEmail.toLowerCase()}`, notification);
+    }
+    const candidates = [...latest.values()];
+
+    const bookings = await inspectionBookingRepository.findForFollowUpCheck(
+      candidates.map((n) => n.bookingToken),
+      [...new Set(candidates.map((n) => n.propertyId))]
+    );
+    const bookedTokens = new Set(bookings.map((b) => b.bookingToken));
+    const bookedPropertyIds = new Set(
+      bookings.filter((b) => ['pending', 'confirmed'].includes(b.status)).map((b) => b.propertyId)
+    );
+
+    const scheduleCache = new Map();
+    const toAlert = new Map(); // agencyId -> { agency, notifications }
+    let followUps = 0;
+    let finalNotices = 0;
+
+    for (const notification of candidates) {
+      if (!isAwaitingBooking(notification, bookedTokens, bookedPropertyIds)) continue;
+
+      const cadence = cadences.resolve(notification.schedule.region);
+      if (cadence.days.length === 0) continue;
+
+      const sentDay = dayjs(notification.sentAt).startOf('day');
+      const dueCount = cadence.days.filter((days) => !sentDay.add(days, 'day').isAfter(today)).length;
+
+      if (dueCount > notification.followUpCount) {
+        // Nothing to book until a new schedule is published; try again next run
+        const schedule = await getNextSchedule(notification.schedule.region, scheduleCache);
+        if (!schedule) continue;
+
+        const isFinal = dueCount === cadence.days.length;
+        const minimumExpiry = getTokenExpiryDate();
+        const tokenExpiresAt = notification.tokenExpiresAt && notification.tokenExpiresAt > minimumExpiry
+          ? notification.tokenExpiresAt
+          : minimumExpiry;
+
+        if (!(await sendFollowUpEmail(notification, dueCount, isFinal, schedule, tokenExpiresAt))) continue;
+
+        await inspectionNotificationRepository.recordFollowUp(notification.id, {
+          follow_up_count: dueCount,
+          token_expires_at: tokenExpiresAt,
+        });
+        if (isFinal) finalNotices++;
+        else followUps++;
+        continue;
+      }
+
+      const alertDay = dayjs(notification.lastFollowUpAt).startOf('day').add(cadence.alertDays, 'day');
+      if (notification.followUpCount >= cadence.days.length && notification.lastFollowUpAt && !alertDay.isAfter(today)) {
+        const agency = notification.property.user?.agency || null;
+        const key = agency?.id || 0;
+        if (!toAlert.has(key)) toAlert.set(key, { agency, notifications: [] });
+        toAlert.get(key).notifications.push(notification);
+      }
+    }
+
+    let alertedProperties = 0;
+    for (const { agency, notifications: unbooked } of toAlert.values()) {
+      if (!(await sendAgencyAlert(agency, unbooked))) continue;
+
+      // Record so the agency is not alerted again (failed alerts are retried next run)
+      await inspectionNotificationRepository.markFollowUpAlerted(unbooked.map((n) => n.id));
+      alertedProperties += new Set(unbooked.map((n) => n.propertyId)).size;
+    }
+
+    logger.info(
+      `[FOLLOW_UP] Completed: ${followUps} follow-ups, ${finalNotices} final notices sent, ${alertedProperties} unbooked properties alerted`
+    );
+
+    return { followUps, finalNotices, alertedProperties };
+  } catch (error) {
+    logger.error('[FOLLOW_UP] Error in sendFollowUps', { error: error.message });
+    throw error;
+  }
+}
+
+module.exports = {
+  sendFollowUps,
+};
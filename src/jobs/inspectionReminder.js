@@ -0,0 +1,242 @@
+/**
+ * Inspection Reminder Job
+ *
+ * Reminds the tenant contact and the agency user before each confirmed inspection
+ * (by default 48 hours before and on the morning of, see INSPECTION_REMINDER), with the
+ * slot, the address and the booking link to cancel or reschedule.
+ *
+ * Runs hourly. Sent reminders are recorded in INSPECTION_REMINDER_LOG per recipient and
+ * inspection time, so nothing goes out twice and a rescheduled booking is reminded again.
+ * If several reminders are due at once (e.g. a run was missed), one email covers them.
+ * Email content comes from the inspection_reminder* email templates (see emailTemplateService).
+ */
+
+const dayjs = require('dayjs');
+const inspectionBookingRepository = require('../repositories/inspectionBookingRepository');
+const inspectionReminderLogRepository = require('../repositories/inspectionReminderLogRepository');
+const resendEmailService = require('../services/resendEmailService');
+const emailTemplateService = require('../services/emailTemplateService');
+const inspectionNotificationService = require('../services/inspectionNotificationService');
+const { isTokenExpired } = require('../lib/tokenGenerator');
+const { getSlotStart, parseInspectionTime, formatInspectionTime } = require('../lib/inspectionTime');
+const { INSPECTION_REMINDER } = require('../config/constants');
+const logger = require('../lib/logger');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const MORNING_KEY = 'morning';
+
+/**
+ * Get the configured reminders
+ * INSPECTION_REMINDER_HOURS / INSPECTION_REMINDER_MORNING_TIME override the defaults.
+ * @returns {Array} [{ key, hoursBefore }] and/or [{ key: 'morning', time }]
+ */
+function getReminderSchedule() {
+  const hoursEnv = process.env.INSPECTION_REMINDER_HOURS;
+  const hoursBefore = hoursEnv
+    ? hoursEnv.split(',').map((h) => parseInt(h, 10)).filter((h) => h > 0)
+    : INSPECTION_REMINDER.HOURS_BEFORE;
+
+  const morningEnv = process.env.INSPECTION_REMINDER_MORNING_TIME;
+  const morningTime = morningEnv === undefined || morningEnv === ''
+    ? INSPECTION_REMINDER.MORNING_TIME
+    : morningEnv.trim();
+
+  const reminders = [...new Set(hoursBefore)].map((hours) => ({ key: `${hours}h`, hoursBefore: hours }));
+  if (/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(morningTime)) {
+    reminders.push({ key: MORNING_KEY, time: morningTime });
+  } else if (morningTime.toLowerCase() !== 'off') {
+    logger.warn(`[INSPECTION_REMINDER] Invalid INSPECTION_REMINDER_MORNING_TIME "${morningTime}", morning reminder disabled`);
+  }
+  return reminders;
+}
+
+/**
+ * Get when a reminder should go out for an inspection starting at `start`
+ * The morning reminder goes out at its time on the inspection day in Melbourne.
+ */
+function getSendTime(reminder, start) {
+  if (reminder.key === MORNING_KEY) {
+    return dayjs(parseInspectionTime(`${formatInspectionTime(start, 'YYYY-MM-DD')} ${reminder.time}`));
+  }
+  return dayjs(start).subtract(reminder.hoursBefore, 'hour');
+}
+
+/**
+ * Get the people to remind about a booking: the tenant contact and the agency user
+ */
+function getRecipients(booking) {
+  const recipients = [];
+
+  const tenantEmail = booking.contactEmail || booking.contact?.email;
+  if (tenantEmail) {
+    recipients.push({ type: 'contact', email: tenantEmail, name: booking.contactName || booking.contact?.name });
+  }
+
+  const agencyUser = booking.property.user;
+  if (agencyUser?.email && agencyUser.email.toLowerCase() !== tenantEmail?.toLowerCase()) {
+    recipients.push({ type: 'agencyUser', email: agencyUser.email, name: agencyUser.name });
+  }
+
+  return recipients;
+}
+
+/**
+ * Work out which reminders are due for a recipient now
+ * A reminder is due once its send time has passed, until the inspection starts. Reminders
+ * whose time had already passed when the booking was confirmed are skipped (the
+ * confirmation email covers them).
+ * @returns {Array} Due reminders (empty if nothing is due)
+ */
+function getDueReminders(booking, recipient, reminders, start, now) {
+  if (!now.isBefore(start)) return [];
+
+  const sentKeys = new Set(
+    (booking.reminderLogs || [])
+      .filter((log) => log.recipientEmail === recipient.email && log.inspectionAt.getTime() === start.getTime())
+      .map((log) => log.reminderKey)
+  );
+
+  return reminders.filter((reminder) => {
+    if (sentKeys.has(reminder.key)) return false;
+    const sendTime = getSendTime(reminder, start);
+    if (sendTime.isAfter(now)) return false;
+    return !booking.confirmedAt || !sendTime.isBefore(booking.confirmedAt);
+  });
+}
+
+/**
+ * Describe when the inspection is relative to now (Melbourne days), e.g. "tomorrow"
+ */
+function describeWhen(start, now) {
+  const days = Math.round(dayjs(formatInspectionTime(start, 'YYYY-MM-DD'))
+    .diff(dayjs(formatInspectionTime(now, 'YYYY-MM-DD')), 'day', true));
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+/**
+ * Get the link the booking can be cancelled or rescheduled with (null if it no longer works)
+ */
+function getManageLink(booking) {
+  if (booking.tokenRevokedAt || isTokenExpired(booking.tokenExpiresAt)) {
+    return null;
+  }
+  return `${FRONTEND_URL}/book/${booking.bookingToken}`;
+}
+
+/**
+ * Send a reminder email to one recipient
+ */
+async function sendReminderEmail(booking, recipient, start, now) {
+  const scheduleDate = new Date(booking.slot.schedule.scheduleDate).toLocaleDateString('en-AU', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const isTenant = recipient.type === 'contact';
+
+  try {
+    const { subject, html, text } = await emailTemplateService.render(
+      isTenant ? 'inspection_reminder' : 'inspection_reminder_agency',
+      {
+        ...inspectionNotificationService.getBookingTemplateVariables(booking, scheduleDate),
+        user_name: recipient.name || 'User',
+        inspection_when: describeWhen(start, now),
+        manage_link: getManageLink(booking),
+      },
+      { agencyId: booking.property.user?.agencyId }
+    );
+
+    await resendEmailService.sendEmail({
+      from: 'Property Inspection <noreply@system.rjlagroup.com>',
+      to: recipient.email,
+      subject,
+      html,
+      text,
+      saveToDb: true,
+      property_id: booking.propertyId,
+      agency_id: booking.property.user?.agencyId,
+    });
+    logger.info(`[INSPECTION_REMINDER] Sent reminder for booking #${booking.id} to ${recipient.email}`);
+    return true;
+  } catch (err) {
+    logger.error(`[INSPECTION_REMINDER] Failed to send reminder for booking #${booking.id}`, {
+      to: recipient.email,
+      error: err.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Send pre-inspection reminders for confirmed bookings
+ * @returns {Promise<Object>} { sent, failed }
+ */
+async function sendInspectionReminders() {
+  logger.info('[INSPECTION_REMINDER] Starting inspection reminder job...');
+
+  try {
+    const reminders = getReminderSchedule();
+    if (reminders.length === 0) {
+      logger.info('[INSPECTION_REMINDER] No inspection reminders configured');
+      return { sent: 0, failed: 0 };
+    }
+
+    const now = dayjs();
+    const maxHoursBefore = Math.max(0, ...reminders.map((r) => r.hoursBefore || 0));
+    const bookings = await inspectionBookingRepository.findConfirmedForReminder(
+      now.subtract(1, 'day').startOf('day').toDate(),
+      now.add(maxHoursBefore, 'hour').add(1, 'day').endOf('day').toDate()
+    );
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const booking of bookings) {
+      const start = getSlotStart(booking.slot, booking.slot.schedule);
+
+      for (const recipient of getRecipients(booking)) {
+        const due = getDueReminders(booking, recipient, reminders, start, now);
+        if (due.length === 0) continue;
+
+        if (!(await sendReminderEmail(booking, recipient, start, now))) {
+          failed++;
+          continue;
+        }
+
+        sent++;
+
+        // Record so the reminder is not sent again (failed sends are retried next run)
+        try {
+          await inspectionReminderLogRepository.createMany(
+            due.map((reminder) => ({
+              booking_id: booking.id,
+              reminder_key: reminder.key,
+              recipient_type: recipient.type,
+              recipient_email: recipient.email,
+              inspection_at: start,
+            }))
+          );
+        } catch (err) {
+          // The email went out; keep going so one bad write doesn't stop the rest of the batch
+          logger.error(`[INSPECTION_REMINDER] Failed to record reminder for booking #${booking.id}`, {
+            to: recipient.email,
+            error: err.message,
+          });
+        }
+      }
+    }
+
+    logger.info(`[INSPECTION_REMINDER] Completed: ${sent} reminders sent, ${failed} failed`);
+    return { sent, failed };
+  } catch (error) {
+    logger.error('[INSPECTION_REMINDER] Error in sendInspectionReminders', { error: error.message });
+    throw error;
+  }
+}
+
+module.exports = {
+  sendInspectionReminders,
+};
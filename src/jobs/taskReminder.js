@@ -1,71 +1,69 @@
 /**
  * Task Reminder Job
  *
- * Sends email reminders for tasks:
- * 1. Advance reminder: COMPLETED tasks with due_date ~60 days away (time to book inspection)
- * 2. Expired reminder: EXPIRED tasks with due_date just passed (task has expired)
+ * Sends email reminders for tasks, following each task's reminder policy
+ * (see reminderPolicyService, e.g. 90/30/7 days before due and 1/7/14 days after expiry):
+ * 1. Advance reminder: COMPLETED / DUE_SOON tasks approaching due_date (time to book inspection)
+ * 2. Expired reminder: EXPIRED tasks after due_date has passed (task has expired)
+ *
+ * Sent reminders are recorded in TASK_REMINDER_LOG, so a reminder whose day was
+ * missed (e.g. cron did not run) is still sent on the next run within the catch-up window.
+ * Email content comes from the task_reminder_* email templates (see emailTemplateService).
  */
 
 const dayjs = require('dayjs');
 const taskRepository = require('../repositories/taskRepository');
+const taskReminderLogRepository = require('../repositories/taskReminderLogRepository');
 const resendEmailService = require('../services/resendEmailService');
+const reminderPolicyService = require('../services/reminderPolicyService');
+const emailTemplateService = require('../services/emailTemplateService');
+const { REMINDER_TYPE, DEFAULT_REMINDER_POLICY } = require('../config/constants');
 const logger = require('../lib/logger');
 
 /**
- * Build email content for advance reminder (COMPLETED tasks)
+ * Template variables for a reminder email
  */
-function buildAdvanceReminderEmail(task, userName, propertyAddress, taskDetailUrl) {
-  const daysUntilDue = task.dueDate ? dayjs(task.dueDate).diff(dayjs(), 'day') : 60;
-  const replyInstruction = resendEmailService.getReplyInstruction();
-
-  const subject = `Upcoming Due Date Reminder: ${task.taskName}`;
-  const textBody =
-    `Hello ${userName},\n\n` +
-    `This is a friendly reminder that the following task is due in approximately ${daysUntilDue} days.\n` +
-    `Please book an inspection soon to ensure compliance.\n\n` +
-    `------------------------------------------------------\n` +
-    `Task Name: ${task.taskName}\n` +
-    `Task Type: ${task.type || 'N/A'}\n` +
-    `Property Address: ${propertyAddress}\n` +
-    `Due Date: ${task.dueDate ? dayjs(task.dueDate).format('YYYY-MM-DD') : 'N/A'}\n` +
-    `Status: COMPLETED (awaiting next inspection)\n` +
-    (task.taskDescription ? `Description: ${task.taskDescription}\n` : '') +
-    `------------------------------------------------------\n\n` +
-    `To view or update this task, please click the link below:\n` +
-    `${taskDetailUrl}\n\n` +
-    'Best regards,\n' +
-    'RJL System' +
-    replyInstruction;
-
-  return { subject, textBody };
+function getReminderVariables(task, userName, propertyAddress, taskDetailUrl) {
+  return {
+    user_name: userName,
+    task_name: task.taskName,
+    task_type: task.type || 'N/A',
+    property_address: propertyAddress,
+    due_date: task.dueDate ? dayjs(task.dueDate).format('YYYY-MM-DD') : 'N/A',
+    task_description: task.taskDescription,
+    task_url: taskDetailUrl,
+    reply_instruction: resendEmailService.getReplyInstruction(),
+    days_until_due: task.dueDate ? dayjs(task.dueDate).diff(dayjs(), 'day') : 60,
+    status_label: task.status === 'DUE_SOON' ? 'DUE SOON' : 'COMPLETED (awaiting next inspection)',
+  };
 }
 
 /**
- * Build email content for expired reminder (EXPIRED tasks)
+ * Work out which reminder offsets are due for a task today
+ * An offset is due when its day has passed within the catch-up window and it was
+ * not yet sent for the task's current due date. All due offsets are covered by one email.
+ * @returns {Object|null} { reminderType, offsets } or null if nothing is due
  */
-function buildExpiredReminderEmail(task, userName, propertyAddress, taskDetailUrl) {
-  const replyInstruction = resendEmailService.getReplyInstruction();
-
-  const subject = `Task Expired: ${task.taskName}`;
-  const textBody =
-    `Hello ${userName},\n\n` +
-    `This is to inform you that the following task has EXPIRED and requires immediate attention.\n` +
-    `Please take action as soon as possible to ensure compliance.\n\n` +
-    `------------------------------------------------------\n` +
-    `Task Name: ${task.taskName}\n` +
-    `Task Type: ${task.type || 'N/A'}\n` +
-    `Property Address: ${propertyAddress}\n` +
-    `Due Date: ${task.dueDate ? dayjs(task.dueDate).format('YYYY-MM-DD') : 'N/A'}\n` +
-    `Status: EXPIRED\n` +
-    (task.taskDescription ? `Description: ${task.taskDescription}\n` : '') +
-    `------------------------------------------------------\n\n` +
-    `To view or update this task, please click the link below:\n` +
-    `${taskDetailUrl}\n\n` +
-    'Best regards,\n' +
-    'RJL System' +
-    replyInstruction;
-
-  return { subject, textBody };
+function getDueReminder(task, policy, today) {
+  const isBeforeDue = task.status !== 'EXPIRED';
+  const reminderType = isBeforeDue ? REMINDER_TYPE.BEFORE_DUE : REMINDER_TYPE.AFTER_EXPIRY;
+  const offsets = isBeforeDue ? policy.beforeDueDays : policy.afterExpiryDays;
+  const dueDay = dayjs(task.dueDate).startOf('day');
+  const earliest = today.subtract(DEFAULT_REMINDER_POLICY.catchUpDays, 'day');
+
+  const sentOffsets = new Set(
+    (task.reminderLogs || [])
+      .filter((log) => log.reminderType === reminderType && log.dueDate.getTime() === task.dueDate.getTime())
+      .map((log) => log.offsetDays)
+  );
+
+  const dueOffsets = offsets.filter((offset) => {
+    if (sentOffsets.has(offset)) return false;
+    const reminderDay = isBeforeDue ? dueDay.subtract(offset, 'day') : dueDay.add(offset, 'day');
+    return !reminderDay.isAfter(today) && !reminderDay.isBefore(earliest);
+  });
+
+  return dueOffsets.length > 0 ? { reminderType, offsets: dueOffsets } : null;
 }
 
 /**
@@ -86,18 +84,19 @@ async function sendReminderEmail(task, reminderType) {
   const frontendUrl = process.env.FRONTEND_URL || 'https://yourdomain.com';
   const taskDetailUrl = `${frontendUrl}/property/tasks/${task.id}`;
 
-  // Build email content based on reminder type
-  const { subject, textBody } =
-    reminderType === 'advance'
-      ? buildAdvanceReminderEmail(task, userName, propertyAddress, taskDetailUrl)
-      : buildExpiredReminderEmail(task, userName, propertyAddress, taskDetailUrl);
-
   try {
+    // Render email content from the agency's template for the reminder type
+    const { subject, text } = await emailTemplateService.render(
+      reminderType === 'advance' ? 'task_reminder_advance' : 'task_reminder_expired',
+      getReminderVariables(task, userName, propertyAddress, taskDetailUrl),
+      { agencyId }
+    );
+
     await resendEmailService.sendEmail({
       from: 'Task Reminder <noreply@system.rjlagroup.com>',
       to: userEmail,
       subject,
-      text: textBody,
+      text,
       saveToDb: true, // Save to database
       property_id: propertyId,
       agency_id: agencyId,
@@ -119,32 +118,47 @@ async function sendReminders() {
   logger.info('[REMINDER] Starting task reminder job...');
 
   try {
-    // Find tasks to remind (returns { advanceReminder, expiredReminder })
-    const { advanceReminder, expiredReminder } = await taskRepository.findTasksForReminder();
+    const policies = await reminderPolicyService.getPolicyResolver();
+    const today = dayjs().startOf('day');
+
+    // Find candidate tasks (returns { beforeDue, afterExpiry })
+    const { beforeDue, afterExpiry } = await taskRepository.findTasksForReminder({
+      maxBeforeDueDays: policies.maxBeforeDueDays,
+      maxAfterExpiryDays: policies.maxAfterExpiryDays,
+      catchUpDays: DEFAULT_REMINDER_POLICY.catchUpDays,
+    });
 
-    const totalTasks = advanceReminder.length + expiredReminder.length;
-    if (totalTasks === 0) {
+    const dueReminders = [...beforeDue, ...afterExpiry]
+      .map((task) => ({ task, reminder: getDueReminder(task, policies.resolve(task), today) }))
+      .filter(({ reminder }) => reminder);
+
+    if (dueReminders.length === 0) {
       logger.info('[REMINDER] No tasks to remind right now');
       return { advanceReminder: 0, expiredReminder: 0 };
     }
 
-    logger.info(
-      `[REMINDER] Found ${advanceReminder.length} advance reminders and ${expiredReminder.length} expired reminders`
-    );
+    logger.info(`[REMINDER] Found ${dueReminders.length} reminders to send`);
 
     let advanceSent = 0;
     let expiredSent = 0;
 
-    // Send advance reminders (COMPLETED tasks due in ~60 days)
-    for (const task of advanceReminder) {
-      const sent = await sendReminderEmail(task, 'advance');
-      if (sent) advanceSent++;
-    }
-
-    // Send expired reminders (EXPIRED tasks)
-    for (const task of expiredReminder) {
-      const sent = await sendReminderEmail(task, 'expired');
-      if (sent) expiredSent++;
+    for (const { task, reminder } of dueReminders) {
+      const isAdvance = reminder.reminderType === REMINDER_TYPE.BEFORE_DUE;
+      const sent = await sendReminderEmail(task, isAdvance ? 'advance' : 'expired');
+      if (!sent) continue;
+
+      // Record so the reminder is not sent again (failed sends are retried next run)
+      await taskReminderLogRepository.createMany(
+        reminder.offsets.map((offset) => ({
+          task_id: task.id,
+          reminder_type: reminder.reminderType,
+          offset_days: offset,
+          due_date: task.dueDate,
+        }))
+      );
+
+      if (isAdvance) advanceSent++;
+      else expiredSent++;
     }
 
     logger.info(
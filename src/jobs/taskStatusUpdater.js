@@ -2,11 +2,13 @@
  * Task Status Updater Job
  *
  * Updates task statuses based on due dates:
- * 1. COMPLETED -> DUE SOON (due within 60 days)
+ * 1. COMPLETED -> DUE SOON (due within the reminder policy's due-soon window, default 60 days)
  * 2. DUE SOON -> EXPIRED (past due date)
  */
 
 const taskRepository = require('../repositories/taskRepository');
+const reminderPolicyService = require('../services/reminderPolicyService');
+const { DEFAULT_REMINDER_POLICY } = require('../config/constants');
 const logger = require('../lib/logger');
 
 /**
@@ -16,7 +18,12 @@ async function updateExpiredTasks() {
   logger.info('[TASK STATUS] Starting task status update...');
 
   try {
-    const result = await taskRepository.updateExpiredStatuses();
+    const policies = await reminderPolicyService.getPolicyResolver();
+    const result = await taskRepository.updateExpiredStatuses({
+      getDueSoonDays: (task) => policies.resolve(task).dueSoonDays,
+      maxDueSoonDays: policies.maxDueSoonDays,
+      catchUpDays: DEFAULT_REMINDER_POLICY.catchUpDays,
+    });
 
     if (result.dueSoon > 0) {
       logger.info(`[TASK STATUS] Updated ${result.dueSoon} tasks: COMPLETED -> DUE SOON`);
@@ -25,7 +32,7 @@ async function updateExpiredTasks() {
     }
 
     if (result.expired > 0) {
-      logger.info(`[TASK STATUS] Updated ${result.expired} tasks: DUE SOON -> EXPIRED`);
+      logger.info(`[TASK STATUS] Updated ${result.expired} tasks: DUE SOON / COMPLETED -> EXPIRED`);
     } else {
       logger.info('[TASK STATUS] No DUE SOON -> EXPIRED updates');
     }
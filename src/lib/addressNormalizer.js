@@ -0,0 +1,252 @@
+/**
+ * Address Normalizer Utility
+ *
+ * Parses Australian street addresses into comparable parts so that
+ * "Unit 3/12 Smith St" and "3/12 Smith Street" resolve to the same property.
+ */
+
+// Street types and their canonical abbreviation
+const STREET_TYPES = {
+  street: 'st', st: 'st',
+  road: 'rd', rd: 'rd',
+  avenue: 'ave', ave: 'ave', av: 'ave',
+  drive: 'dr', dr: 'dr', drv: 'dr',
+  court: 'ct', ct: 'ct', crt: 'ct',
+  crescent: 'cres', cres: 'cres', cr: 'cres', cresc: 'cres',
+  place: 'pl', pl: 'pl',
+  parade: 'pde', pde: 'pde',
+  boulevard: 'bvd', boulevarde: 'bvd', bvd: 'bvd', blvd: 'bvd',
+  lane: 'ln', ln: 'ln',
+  way: 'way', wy: 'way',
+  close: 'cl', cl: 'cl',
+  terrace: 'tce', tce: 'tce', terr: 'tce',
+  highway: 'hwy', hwy: 'hwy',
+  grove: 'gr', gr: 'gr', gve: 'gr',
+  circuit: 'cct', cct: 'cct', cir: 'cct',
+  square: 'sq', sq: 'sq',
+  rise: 'rise',
+  walk: 'walk',
+  esplanade: 'esp', esp: 'esp',
+  mews: 'mews',
+  track: 'trk', trk: 'trk',
+  loop: 'loop',
+  gardens: 'gdns', gdns: 'gdns',
+  heights: 'hts', hts: 'hts',
+};
+
+// State names and abbreviations
+const STATES = {
+  vic: 'vic', victoria: 'vic',
+  nsw: 'nsw', 'new south wales': 'nsw',
+  qld: 'qld', queensland: 'qld',
+  sa: 'sa', 'south australia': 'sa',
+  wa: 'wa', 'western australia': 'wa',
+  tas: 'tas', tasmania: 'tas',
+  nt: 'nt', 'northern territory': 'nt',
+  act: 'act', 'australian capital territory': 'act',
+};
+
+const STATE_PATTERN = Object.keys(STATES).sort((a, b) => b.length - a.length).join('|');
+
+// Unit prefixes: "Unit 3/12", "U3/12", "Apt 3, 12", "Flat 3 12"
+const UNIT_PREFIX = '(?:unit|u|apartment|apt|flat|shop|suite|villa|townhouse|lot)';
+const NUMBER = '\\d+[a-z]?';
+
+// Component weights for similarity scoring (location weights only count when both sides have them)
+const WEIGHTS = {
+  street: 0.4,
+  streetType: 0.15,
+  suburb: 0.25,
+  postcode: 0.15,
+  state: 0.05,
+};
+
+// Without suburb or postcode on both sides the same street could be anywhere
+const NO_LOCATION_MAX_SCORE = 0.85;
+
+/**
+ * Parse an address into normalized components
+ * @param {string} address - Free-text address
+ * @returns {Object|null} { unit, number, street, streetType, suburb, state, postcode }, or null if no street number/name
+ */
+function parseAddress(address) {
+  if (!address || typeof address !== 'string') return null;
+
+  let text = address
+    .toLowerCase()
+    .replace(/[.'"]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/,?\s*australia\s*$/, '')
+    .trim();
+
+  // State and postcode at the end
+  let state = null;
+  let postcode = null;
+  const tail = text.match(new RegExp(`[,\\s]\\s*(${STATE_PATTERN})(?:\\s*,?\\s*(\\d{4}))?\\s*$`));
+  if (tail) {
+    state = STATES[tail[1]];
+    postcode = tail[2] || null;
+    text = text.slice(0, tail.index).trim();
+  } else {
+    const postcodeOnly = text.match(/[,\s]\s*(\d{4})\s*$/);
+    if (postcodeOnly) {
+      postcode = postcodeOnly[1];
+      text = text.slice(0, postcodeOnly.index).trim();
+    }
+  }
+  text = text.replace(/,\s*$/, '');
+
+  // Unit and street number
+  let unit = null;
+  let number = null;
+  const unitSlash = text.match(new RegExp(`^(?:${UNIT_PREFIX}\\s*)?(${NUMBER})\\s*/\\s*(${NUMBER}(?:-${NUMBER})?)\\s+`));
+  const unitPrefixed = text.match(new RegExp(`^${UNIT_PREFIX}\\s*(${NUMBER})\\s*,?\\s+(${NUMBER}(?:-${NUMBER})?)\\s+`));
+  const plain = text.match(new RegExp(`^(${NUMBER}(?:-${NUMBER})?)\\s+`));
+  const numberMatch = unitSlash || unitPrefixed;
+  if (numberMatch) {
+    unit = numberMatch[1];
+    number = numberMatch[2];
+    text = text.slice(numberMatch[0].length);
+  } else if (plain) {
+    number = plain[1];
+    text = text.slice(plain[0].length);
+  } else {
+    return null;
+  }
+
+  // Street part ends at the first comma if there is one
+  const commaIndex = text.indexOf(',');
+  const streetPart = commaIndex >= 0 ? text.slice(0, commaIndex) : text;
+  const restPart = commaIndex >= 0 ? text.slice(commaIndex + 1) : '';
+  const tokens = streetPart.replace(/,/g, ' ').trim().split(' ').filter(Boolean);
+
+  // Street type: with a comma, the last type word before it; otherwise the first type word
+  // after at least one name word ("12 St Kilda Rd Melbourne" -> "st kilda" + rd)
+  let typeIndex = -1;
+  for (let i = 1; i < tokens.length; i++) {
+    if (STREET_TYPES[tokens[i]]) {
+      typeIndex = i;
+      if (commaIndex < 0) break;
+    }
+  }
+
+  let street;
+  let streetType = null;
+  let suburbTokens;
+  if (typeIndex > 0) {
+    street = tokens.slice(0, typeIndex).join(' ');
+    streetType = STREET_TYPES[tokens[typeIndex]];
+    suburbTokens = tokens.slice(typeIndex + 1);
+  } else {
+    street = tokens.join(' ');
+    suburbTokens = [];
+  }
+  suburbTokens.push(...restPart.replace(/,/g, ' ').trim().split(' ').filter(Boolean));
+
+  if (!street) return null;
+
+  return {
+    unit,
+    number,
+    street,
+    streetType,
+    suburb: suburbTokens.length > 0 ? suburbTokens.join(' ') : null,
+    state,
+    postcode,
+  };
+}
+
+/**
+ * Build the normalized address key used for exact matching
+ * Starts with the street number so candidates can be found with a prefix search.
+ * @param {string} address - Free-text address
+ * @returns {string|null} e.g. "12|3|smith|st|point cook|vic|3030", or null if unparseable
+ */
+function getAddressKey(address) {
+  const parts = parseAddress(address);
+  if (!parts) return null;
+
+  return [
+    parts.number,
+    parts.unit,
+    parts.street,
+    parts.streetType,
+    parts.suburb,
+    parts.state,
+    parts.postcode,
+  ].map((p) => p || '').join('|');
+}
+
+/**
+ * Get the address key prefix shared by all addresses with the same street number
+ * @param {string} address - Free-text address
+ * @returns {string|null}
+ */
+function getAddressKeyPrefix(address) {
+  const parts = parseAddress(address);
+  return parts ? `${parts.number}|` : null;
+}
+
+/**
+ * Levenshtein similarity ratio (1 = identical)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1
+ */
+function stringSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Score how likely two addresses are the same property
+ * Different street or unit numbers never match; missing components are ignored.
+ * @param {string} a - Free-text address
+ * @param {string} b - Free-text address
+ * @returns {number} 0-1
+ */
+function addressSimilarity(a, b) {
+  const pa = parseAddress(a);
+  const pb = parseAddress(b);
+  if (!pa || !pb) return 0;
+  if (pa.number !== pb.number || (pa.unit || null) !== (pb.unit || null)) return 0;
+
+  const scores = [[WEIGHTS.street, stringSimilarity(pa.street, pb.street)]];
+  if (pa.streetType && pb.streetType) {
+    scores.push([WEIGHTS.streetType, pa.streetType === pb.streetType ? 1 : 0]);
+  }
+  if (pa.suburb && pb.suburb) {
+    scores.push([WEIGHTS.suburb, stringSimilarity(pa.suburb, pb.suburb)]);
+  }
+  if (pa.postcode && pb.postcode) {
+    scores.push([WEIGHTS.postcode, pa.postcode === pb.postcode ? 1 : 0]);
+  }
+  if (pa.state && pb.state) {
+    scores.push([WEIGHTS.state, pa.state === pb.state ? 1 : 0]);
+  }
+
+  const totalWeight = scores.reduce((sum, [weight]) => sum + weight, 0);
+  const score = scores.reduce((sum, [weight, value]) => sum + weight * value, 0) / totalWeight;
+
+  const hasLocation = (pa.suburb && pb.suburb) || (pa.postcode && pb.postcode);
+  return hasLocation ? score : Math.min(score, NO_LOCATION_MAX_SCORE);
+}
+
+module.exports = {
+  parseAddress,
+  getAddressKey,
+  getAddressKeyPrefix,
+  addressSimilarity,
+};
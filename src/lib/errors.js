@@ -67,6 +67,22 @@ class ConflictError extends AppError {
   }
 }
 
+/**
+ * Link expired error - for booking links that have expired or been revoked
+ */
+class LinkExpiredError extends AppError {
+  constructor(reason = 'expired') {
+    super(
+      reason === 'revoked'
+        ? 'This booking link is no longer valid. Please use the most recent link we sent you, or contact us.'
+        : 'This booking link has expired. Please contact us for a new link.',
+      410,
+      ERROR_CODES.LINK_EXPIRED
+    );
+    this.reason = reason;
+  }
+}
+
 /**
  * Database error - for database-related failures
  */
@@ -84,5 +100,6 @@ module.exports = {
   UnauthorizedError,
   ForbiddenError,
   ConflictError,
+  LinkExpiredError,
   DatabaseError,
 };
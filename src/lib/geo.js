@@ -0,0 +1,101 @@
+/**
+ * Geo Utility
+ *
+ * Distances between coordinates and proximity ordering of stops for inspection routes.
+ * Points are `{ latitude, longitude }` in decimal degrees.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Check that a point has usable coordinates
+ * @param {Object|null} point
+ * @returns {boolean}
+ */
+function hasCoordinates(point) {
+  return Boolean(point)
+    && Number.isFinite(point.latitude)
+    && Number.isFinite(point.longitude);
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Distance in km
+ */
+function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Visit stops nearest-neighbour first from a starting point
+ * @param {Array} stops - Stops with coordinates
+ * @param {Object} start - Starting point
+ * @returns {{ ordered: Array, totalKm: number }}
+ */
+function nearestNeighbourRoute(stops, start) {
+  const remaining = [...stops];
+  const ordered = [];
+  let current = start;
+  let totalKm = 0;
+
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    let nearestKm = distanceKm(current, remaining[0]);
+    for (let i = 1; i < remaining.length; i++) {
+      const km = distanceKm(current, remaining[i]);
+      if (km < nearestKm) {
+        nearestIndex = i;
+        nearestKm = km;
+      }
+    }
+    current = remaining.splice(nearestIndex, 1)[0];
+    ordered.push(current);
+    totalKm += nearestKm;
+  }
+
+  return { ordered, totalKm };
+}
+
+/**
+ * Order stops by proximity
+ * From `start` when given (e.g. the last stop of the previous slot); otherwise the route
+ * starts at whichever stop gives the shortest nearest-neighbour route.
+ * Stops without coordinates keep their order and go last.
+ * @param {Array} stops - Objects with latitude/longitude
+ * @param {Object|null} start - Starting point
+ * @returns {Array} Ordered stops
+ */
+function orderByProximity(stops, start = null) {
+  const located = stops.filter(hasCoordinates);
+  const unlocated = stops.filter((stop) => !hasCoordinates(stop));
+  if (located.length <= 1 && !hasCoordinates(start)) {
+    return [...located, ...unlocated];
+  }
+
+  let best;
+  if (hasCoordinates(start)) {
+    best = nearestNeighbourRoute(located, start);
+  } else {
+    for (const first of located) {
+      const rest = nearestNeighbourRoute(located.filter((stop) => stop !== first), first);
+      if (!best || rest.totalKm < best.totalKm) {
+        best = { ordered: [first, ...rest.ordered], totalKm: rest.totalKm };
+      }
+    }
+  }
+
+  return [...best.ordered, ...unlocated];
+}
+
+module.exports = {
+  hasCoordinates,
+  distanceKm,
+  orderByProximity,
+};
@@ -0,0 +1,118 @@
+/**
+ * iCalendar Utility
+ *
+ * Builds RFC 5545 calendars for .ics subscription feeds.
+ * Date-times are written in UTC (no VTIMEZONE needed); all-day dates are
+ * the Melbourne calendar day of the stored instant.
+ */
+
+const { INSPECTION_TIMEZONE } = require('../config/constants');
+const { formatInspectionTime } = require('./inspectionTime');
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Escape a TEXT value
+ * @param {string} value
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets
+ * @param {string} line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a DATE value (YYYYMMDD), the Melbourne day of the instant
+ */
+function formatDate(date) {
+  return formatInspectionTime(date, 'YYYYMMDD');
+}
+
+/**
+ * Format a UTC DATE-TIME value (YYYYMMDDTHHMMSSZ)
+ */
+function formatUtcDateTime(date) {
+  const day = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+  return `${day}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} options
+ * @param {string} options.name - Calendar display name
+ * @param {Array} options.events - `{ uid, summary, description, location, start, end, allDay, lastModified }`
+ *   `end` is exclusive; for all-day events it defaults to the next day
+ * @returns {string} iCalendar text
+ */
+function buildCalendar({ name, events }) {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//RJL//Compliance Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${INSPECTION_TIMEZONE}`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtcDateTime(now)}`,
+      `LAST-MODIFIED:${formatUtcDateTime(event.lastModified || now)}`
+    );
+
+    if (event.allDay) {
+      const end = event.end || new Date(event.start.getTime() + 24 * 60 * 60 * 1000);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+    } else {
+      const end = event.end || new Date(event.start.getTime() + 60 * 60 * 1000);
+      lines.push(
+        `DTSTART:${formatUtcDateTime(event.start)}`,
+        `DTEND:${formatUtcDateTime(end)}`
+      );
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeText,
+  buildCalendar,
+};
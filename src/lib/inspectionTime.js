@@ -0,0 +1,54 @@
+/**
+ * Inspection Time Utility
+ *
+ * Inspection slots are Melbourne wall times (schedule date + "HH:mm" start time).
+ * These helpers turn them into real instants for storage (e.g. task.inspectionDate)
+ * and format stored instants back in Melbourne time, whatever the server time zone.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { INSPECTION_TIMEZONE } = require('../config/constants');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Parse a Melbourne wall time into an instant
+ * @param {string} dateTimeStr - "YYYY-MM-DD HH:mm"
+ * @returns {Date|null} Instant, or null if the value is not a valid date/time
+ */
+function parseInspectionTime(dateTimeStr) {
+  if (!/^\d{4}-\d{2}-\d{2} ([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(dateTimeStr)) {
+    return null;
+  }
+  return dayjs.tz(dateTimeStr, INSPECTION_TIMEZONE).toDate();
+}
+
+/**
+ * Get the start of a slot as an instant (schedule date + slot start time, in Melbourne)
+ * @param {Object} slot - Slot with startTime ("HH:mm")
+ * @param {Object} schedule - Schedule with scheduleDate (a DATE column, i.e. UTC midnight)
+ * @returns {Date} Slot start
+ */
+function getSlotStart(slot, schedule) {
+  const dateStr = new Date(schedule.scheduleDate).toISOString().split('T')[0];
+  return parseInspectionTime(`${dateStr} ${slot.startTime}`);
+}
+
+/**
+ * Format an instant in Melbourne time
+ * @param {Date|string} date - Instant
+ * @param {string} format - dayjs format, e.g. 'YYYY-MM-DD HH:mm'
+ * @returns {string} Formatted Melbourne time
+ */
+function formatInspectionTime(date, format) {
+  return dayjs(date).tz(INSPECTION_TIMEZONE).format(format);
+}
+
+module.exports = {
+  parseInspectionTime,
+  getSlotStart,
+  formatInspectionTime,
+};
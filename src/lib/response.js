@@ -58,6 +58,21 @@ function sendError(res, { statusCode = 500, code = 'INTERNAL_ERROR', message = '
   return res.status(statusCode).json(response);
 }
 
+/**
+ * Send a file download
+ * @param {Response} res - Express response object
+ * @param {Object} options - Response options
+ * @param {Buffer} options.buffer - File content
+ * @param {string} options.filename - Download filename
+ * @param {string} options.contentType - MIME type
+ */
+function sendFile(res, { buffer, filename, contentType }) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  return res.status(200).send(buffer);
+}
+
 /**
  * Create a pagination object
  * @param {number} page - Current page
@@ -97,6 +112,7 @@ function parsePaginationParams(query, defaultLimit = 50, maxLimit = 100) {
 module.exports = {
   sendSuccess,
   sendError,
+  sendFile,
   createPagination,
   parsePaginationParams,
 };
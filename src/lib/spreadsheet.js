@@ -0,0 +1,102 @@
+/**
+ * Spreadsheet Utility
+ *
+ * Serializes rows to CSV or XLSX for file downloads.
+ * Columns are `{ header, key, width? }`; rows are plain objects keyed by column key.
+ */
+
+const ExcelJS = require('exceljs');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Stop spreadsheet apps from running text as a formula (CSV / formula injection)
+ * Text starting with =, +, -, @, tab or carriage return is prefixed with a quote;
+ * numbers and dates are left as is.
+ * @param {*} value - Cell value
+ * @returns {*} Safe value
+ */
+function neutralizeFormula(value) {
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+    return `'${value}`;
+  }
+  return value;
+}
+
+/**
+ * Escape a single CSV value (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} Escaped value
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(neutralizeFormula(value));
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Build a CSV buffer
+ * Prefixed with a UTF-8 BOM so Excel opens non-ASCII text correctly
+ * @param {Array} columns - Column definitions
+ * @param {Array} rows - Row objects
+ * @returns {Buffer} CSV content
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map((col) => escapeCsvValue(col.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((col) => escapeCsvValue(row[col.key])).join(','));
+  }
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Build an XLSX buffer with a single worksheet
+ * @param {Array} columns - Column definitions
+ * @param {Array} rows - Row objects
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Buffer>} XLSX content
+ */
+async function toXlsx(columns, rows, sheetName = 'Sheet1') {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map((col) => ({
+    header: col.header,
+    key: col.key,
+    width: col.width || 20,
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.addRows(rows.map((row) => Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key, neutralizeFormula(value)])
+  )));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Build a spreadsheet in the requested format
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Array} columns - Column definitions
+ * @param {Array} rows - Row objects
+ * @param {string} sheetName - Worksheet name (xlsx only)
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+async function buildSpreadsheet(format, columns, rows, sheetName) {
+  const buffer = format === 'xlsx'
+    ? await toXlsx(columns, rows, sheetName)
+    : toCsv(columns, rows);
+  return { buffer, contentType: CONTENT_TYPES[format] || CONTENT_TYPES.csv };
+}
+
+module.exports = {
+  toCsv,
+  toXlsx,
+  buildSpreadsheet,
+};
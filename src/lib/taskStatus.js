@@ -0,0 +1,49 @@
+/**
+ * Task Status Utility
+ *
+ * Helpers for the task status state machine (see TASK_STATUS_TRANSITIONS).
+ */
+
+const { TASK_STATUS_TRANSITIONS } = require('../config/constants');
+const { ConflictError } = require('./errors');
+
+/**
+ * Normalize a stored status (legacy rows may be lowercase)
+ * @param {string|null} status
+ * @returns {string|null} Uppercase status
+ */
+function normalizeStatus(status) {
+  return status ? status.toUpperCase() : null;
+}
+
+/**
+ * Check if a task may move from one status to another
+ * @param {string|null} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+  const fromStatus = normalizeStatus(from) || 'UNKNOWN';
+  const toStatus = normalizeStatus(to);
+  if (fromStatus === toStatus) return true;
+  return (TASK_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Throw if a task may not move from one status to another
+ * @param {string|null} from - Current status
+ * @param {string} to - Target status
+ */
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new ConflictError(
+      `Cannot change task status from ${normalizeStatus(from) || 'UNKNOWN'} to ${normalizeStatus(to)}`
+    );
+  }
+}
+
+module.exports = {
+  normalizeStatus,
+  canTransition,
+  assertTransition,
+};
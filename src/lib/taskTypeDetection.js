@@ -0,0 +1,24 @@
+/**
+ * Task Type Detection Utility
+ *
+ * Keyword-based detection of compliance task types from free text.
+ * Shared by the CSV import and the rule-based email extractor.
+ */
+
+/**
+ * Detect task types from description
+ * @param {string} description - Free-text description
+ * @returns {Object} { hasGasElec, hasSmokeAlarm, hasSafetyCheck }
+ */
+function detectTaskTypes(description) {
+  if (!description) return { hasGasElec: false, hasSmokeAlarm: false, hasSafetyCheck: false };
+
+  const lower = description.toLowerCase();
+  return {
+    hasGasElec: lower.includes('gas') || lower.includes('electric'),
+    hasSmokeAlarm: lower.includes('smoke') || lower.includes('alarm'),
+    hasSafetyCheck: lower.includes('safety check'),
+  };
+}
+
+module.exports = { detectTaskTypes };
@@ -1,7 +1,7 @@
 /**
  * Token Generator Utility
  *
- * Generates secure tokens for booking links.
+ * Generates secure tokens for booking links and calendar feeds.
  */
 
 const crypto = require('crypto');
@@ -14,6 +14,14 @@ function generateBookingToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
+/**
+ * Generate a secure calendar feed token
+ * @returns {string} 64-character hex string
+ */
+function generateCalendarToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
 /**
  * Get token expiry date (14 days from now)
  * @returns {Date} Expiry date
@@ -24,6 +32,19 @@ function getTokenExpiryDate() {
   return date;
 }
 
+/**
+ * Get booking token expiry date
+ * A booked link stays valid for at least 14 days and until the day after the inspection.
+ * @param {Date} scheduleDate - Inspection date
+ * @returns {Date} Expiry date
+ */
+function getBookingTokenExpiryDate(scheduleDate) {
+  const afterInspection = new Date(scheduleDate);
+  afterInspection.setDate(afterInspection.getDate() + 2);
+  const minimum = getTokenExpiryDate();
+  return afterInspection > minimum ? afterInspection : minimum;
+}
+
 /**
  * Check if a token is expired
  * @param {Date} expiryDate - The expiry date to check
@@ -35,6 +56,8 @@ function isTokenExpired(expiryDate) {
 
 module.exports = {
   generateBookingToken,
+  generateCalendarToken,
   getTokenExpiryDate,
+  getBookingTokenExpiryDate,
   isTokenExpired,
 };
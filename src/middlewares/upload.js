@@ -242,3 +242,4 @@ module.exports.generateSecureFilename = generateSecureFilename;
 module.exports.validateUploadedFiles = validateUploadedFiles;
 module.exports.validateMagicBytes = validateMagicBytes;
 module.exports.MIME_TO_EXTENSIONS = MIME_TO_EXTENSIONS;
+module.exports.validateExtension = validateExtension;
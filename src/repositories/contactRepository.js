@@ -30,6 +30,15 @@ const contactRepository = {
                 agency: true,
               },
             },
+            // Assigned technicians, for technician access checks
+            tasks: {
+              where: { isActive: true, assignedTechnicianId: { not: null } },
+              select: { assignedTechnicianId: true },
+            },
+            inspectionBookings: {
+              where: { assignedTechnicianId: { not: null } },
+              select: { assignedTechnicianId: true },
+            },
           },
         },
       },
@@ -121,6 +130,8 @@ const contactRepository = {
     if (data.name !== undefined) updateData.name = data.name;
     if (data.phone !== undefined) updateData.phone = data.phone;
     if (data.email !== undefined) updateData.email = data.email;
+    if (data.email_bounced_at !== undefined) updateData.emailBouncedAt = data.email_bounced_at;
+    if (data.email_bounce_reason !== undefined) updateData.emailBounceReason = data.email_bounce_reason;
     if (data.property_id !== undefined) updateData.propertyId = data.property_id;
     if (data.is_active !== undefined) updateData.isActive = data.is_active;
 
@@ -130,6 +141,24 @@ const contactRepository = {
     });
   },
 
+  /**
+   * Flag all active contacts with this email address as bounced
+   * @param {string} email - Bounced email address (case-insensitive)
+   * @param {string|null} reason - Bounce reason from the mail provider
+   */
+  async markEmailBounced(email, reason) {
+    return prisma.contact.updateMany({
+      where: {
+        email: { equals: email, mode: 'insensitive' },
+        isActive: true,
+      },
+      data: {
+        emailBouncedAt: new Date(),
+        emailBounceReason: reason || null,
+      },
+    });
+  },
+
   /**
    * Soft delete a contact
    */
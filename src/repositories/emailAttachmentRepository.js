@@ -0,0 +1,54 @@
+/**
+ * Email Attachment Repository
+ *
+ * Data access layer for EmailAttachment entity using Prisma.
+ */
+
+const prisma = require('../config/prisma');
+
+const emailAttachmentRepository = {
+  /**
+   * Find attachments for an email
+   */
+  async findByEmailId(emailId) {
+    return prisma.emailAttachment.findMany({
+      where: { emailId },
+      orderBy: { id: 'asc' },
+    });
+  },
+
+  /**
+   * Record attachment metadata for an inbound email (content is fetched on processing)
+   */
+  async createMany(emailId, attachments) {
+    if (attachments.length === 0) return { count: 0 };
+    return prisma.emailAttachment.createMany({
+      data: attachments.map((attachment) => ({
+        emailId,
+        externalId: attachment.external_id,
+        fileName: attachment.file_name,
+        contentType: attachment.content_type,
+        size: attachment.size,
+      })),
+    });
+  },
+
+  /**
+   * Update attachment processing result
+   */
+  async update(id, data) {
+    const updateData = { updatedAt: new Date() };
+    if (data.status !== undefined) updateData.status = data.status;
+    if (data.error !== undefined) updateData.error = data.error;
+    if (data.file_s3_key !== undefined) updateData.fileS3Key = data.file_s3_key;
+    if (data.content_type !== undefined) updateData.contentType = data.content_type;
+    if (data.size !== undefined) updateData.size = data.size;
+
+    return prisma.emailAttachment.update({
+      where: { id },
+      data: updateData,
+    });
+  },
+};
+
+module.exports = emailAttachmentRepository;
@@ -5,6 +5,7 @@
  */
 
 const prisma = require('../config/prisma');
+const { EMAIL_REVIEW_STATUS, EMAIL_DELIVERY_STATUS } = require('../config/constants');
 
 const emailRepository = {
   /**
@@ -28,6 +29,9 @@ const emailRepository = {
           where: { isActive: { not: false } },
           include: { property: true },
         },
+        attachments: {
+          orderBy: { id: 'asc' },
+        },
       },
     });
   },
@@ -41,6 +45,65 @@ const emailRepository = {
     });
   },
 
+  /**
+   * Find outbound email by Resend email ID
+   * @param {string} resendId - Resend email ID
+   */
+  async findByResendId(resendId) {
+    return prisma.email.findUnique({
+      where: { resendId },
+    });
+  },
+
+  /**
+   * Update outbound delivery tracking fields
+   * @param {number} id - Email ID
+   * @param {Object} data - { delivery_status, delivered_at, opened_at, delivery_error }
+   */
+  async updateDelivery(id, data) {
+    const updateData = {};
+    if (data.delivery_status !== undefined) updateData.deliveryStatus = data.delivery_status;
+    if (data.delivered_at !== undefined) updateData.deliveredAt = data.delivered_at;
+    if (data.opened_at !== undefined) updateData.openedAt = data.opened_at;
+    if (data.delivery_error !== undefined) updateData.deliveryError = data.delivery_error;
+
+    return prisma.email.update({
+      where: { id },
+      data: updateData,
+    });
+  },
+
+  /**
+   * Find emails by RFC Message-ID
+   * @param {string[]} messageIds - Message-IDs (with angle brackets)
+   */
+  async findByMessageIds(messageIds) {
+    if (!messageIds || messageIds.length === 0) return [];
+    return prisma.email.findMany({
+      where: { messageId: { in: messageIds } },
+      select: { id: true, messageId: true, threadId: true },
+      orderBy: { createdAt: 'asc' },
+    });
+  },
+
+  /**
+   * Find all emails in a thread (root email and its replies), oldest first
+   * @param {number} rootId - Thread root email ID
+   */
+  async findThread(rootId) {
+    return prisma.email.findMany({
+      where: { OR: [{ id: rootId }, { threadId: rootId }] },
+      include: {
+        properties: true,
+        tasks: {
+          where: { isActive: { not: false } },
+          include: { property: true },
+        },
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    });
+  },
+
   /**
    * Find all emails with filters and pagination
    * @param {Object} options - Filter options
@@ -150,17 +213,93 @@ const emailRepository = {
   },
 
   /**
-   * Find unprocessed emails
+   * Find unprocessed emails that are due for a processing attempt
+   * Excludes emails in the review queue, dead-lettered emails and emails still backing off.
    * @param {number} limit - Maximum number of emails to return
    */
   async findUnprocessed(limit = 10) {
     return prisma.email.findMany({
-      where: { isProcessed: false },
+      where: {
+        isProcessed: false,
+        reviewStatus: null,
+        deadLetteredAt: null,
+        OR: [{ nextAttemptAt: null }, { nextAttemptAt: { lte: new Date() } }],
+      },
       take: limit,
       orderBy: { createdAt: 'asc' },
     });
   },
 
+  /**
+   * Record the start of a processing attempt
+   * @param {number} id - Email ID
+   */
+  async markAttemptStarted(id) {
+    return prisma.email.update({
+      where: { id },
+      data: { lastAttemptAt: new Date() },
+    });
+  },
+
+  /**
+   * Record a failed processing attempt
+   * @param {number} id - Email ID
+   * @param {Object} data
+   * @param {string} data.error - Error message
+   * @param {Date|null} data.nextAttemptAt - When to retry (null when dead-lettered)
+   * @param {boolean} data.deadLettered - Stop retrying
+   */
+  async recordProcessingFailure(id, { error, nextAttemptAt, deadLettered }) {
+    return prisma.email.update({
+      where: { id },
+      data: {
+        processAttempts: { increment: 1 },
+        lastError: error,
+        nextAttemptAt,
+        deadLetteredAt: deadLettered ? new Date() : null,
+        updatedAt: new Date(),
+      },
+    });
+  },
+
+  /**
+   * Find dead-lettered emails, most recent first
+   * @param {Object} options
+   * @param {number} options.skip - Pagination offset
+   * @param {number} options.take - Pagination limit
+   */
+  async findDeadLettered({ skip = 0, take = 50 }) {
+    const where = { deadLetteredAt: { not: null }, isProcessed: false };
+
+    const [emails, total] = await Promise.all([
+      prisma.email.findMany({
+        where,
+        skip,
+        take,
+        orderBy: [{ deadLetteredAt: 'desc' }, { id: 'desc' }],
+      }),
+      prisma.email.count({ where }),
+    ]);
+
+    return { emails, total };
+  },
+
+  /**
+   * Put a dead-lettered email back in the processing queue with a fresh attempt count
+   * @param {number} id - Email ID
+   */
+  async requeue(id) {
+    return prisma.email.update({
+      where: { id },
+      data: {
+        processAttempts: 0,
+        nextAttemptAt: null,
+        deadLetteredAt: null,
+        updatedAt: new Date(),
+      },
+    });
+  },
+
   /**
    * Mark email as processed with optional updates
    * @param {number} id - Email ID
@@ -168,8 +307,9 @@ const emailRepository = {
    * @param {number[]} options.propertyIds - Property IDs to connect (M2M)
    * @param {number} options.agencyId - Agency ID to link
    * @param {string} options.processNote - Processing result note
+   * @param {number} options.threadId - Thread root email ID (for replies)
    */
-  async markAsProcessed(id, { propertyIds = null, agencyId = null, processNote = null } = {}) {
+  async markAsProcessed(id, { propertyIds = null, agencyId = null, processNote = null, threadId = null } = {}) {
     const updateData = {
       isProcessed: true,
       updatedAt: new Date(),
@@ -179,6 +319,80 @@ const emailRepository = {
     }
     if (agencyId !== null) updateData.agencyId = agencyId;
     if (processNote !== null) updateData.processNote = processNote;
+    if (threadId !== null) updateData.threadId = threadId;
+
+    return prisma.email.update({
+      where: { id },
+      data: updateData,
+    });
+  },
+
+  /**
+   * Find emails waiting for extraction review, oldest first
+   * @param {Object} options
+   * @param {number} options.skip - Pagination offset
+   * @param {number} options.take - Pagination limit
+   */
+  async findReviewQueue({ skip = 0, take = 50 }) {
+    const where = { reviewStatus: EMAIL_REVIEW_STATUS.NEEDS_REVIEW };
+
+    const [emails, total] = await Promise.all([
+      prisma.email.findMany({
+        where,
+        include: {
+          attachments: {
+            orderBy: { id: 'asc' },
+          },
+        },
+        skip,
+        take,
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      }),
+      prisma.email.count({ where }),
+    ]);
+
+    return { emails, total };
+  },
+
+  /**
+   * Put an email in the review queue with its proposed extraction
+   * @param {number} id - Email ID
+   * @param {Object} data
+   * @param {Object} data.extraction - Proposed extraction (API format)
+   * @param {string} data.processNote - Processing result note
+   */
+  async markForReview(id, { extraction, processNote }) {
+    return prisma.email.update({
+      where: { id },
+      data: {
+        reviewStatus: EMAIL_REVIEW_STATUS.NEEDS_REVIEW,
+        extraction,
+        processNote,
+        updatedAt: new Date(),
+      },
+    });
+  },
+
+  /**
+   * Update review fields of an email
+   * @param {number} id - Email ID
+   * @param {Object} data
+   * @param {Object} data.extraction - Edited extraction (API format)
+   * @param {string} data.review_status - needs_review, approved, discarded
+   * @param {number} data.reviewed_by - Reviewer user ID
+   * @param {boolean} data.is_processed - Processed flag
+   * @param {string} data.process_note - Processing result note
+   */
+  async updateReview(id, data) {
+    const updateData = { updatedAt: new Date() };
+    if (data.extraction !== undefined) updateData.extraction = data.extraction;
+    if (data.review_status !== undefined) updateData.reviewStatus = data.review_status;
+    if (data.reviewed_by !== undefined) {
+      updateData.reviewedBy = data.reviewed_by;
+      updateData.reviewedAt = new Date();
+    }
+    if (data.is_processed !== undefined) updateData.isProcessed = data.is_processed;
+    if (data.process_note !== undefined) updateData.processNote = data.process_note;
 
     return prisma.email.update({
       where: { id },
@@ -186,6 +400,21 @@ const emailRepository = {
     });
   },
 
+  /**
+   * Move an email from one review status to another, only if it is still in the expected status
+   * @param {number} id - Email ID
+   * @param {string} fromStatus - Expected current review status
+   * @param {string} toStatus - New review status
+   * @returns {Promise<boolean>} True if the email was updated
+   */
+  async transitionReviewStatus(id, fromStatus, toStatus) {
+    const { count } = await prisma.email.updateMany({
+      where: { id, reviewStatus: fromStatus },
+      data: { reviewStatus: toStatus, updatedAt: new Date() },
+    });
+    return count > 0;
+  },
+
   /**
    * Create a new email (raw, unprocessed)
    * For webhook - saves email without processing
@@ -198,6 +427,9 @@ const emailRepository = {
         emailBody: data.email_body,
         html: data.html,
         gmailMsgid: data.gmail_msgid,
+        messageId: data.message_id || null,
+        inReplyTo: data.in_reply_to || null,
+        references: data.references || null,
         isProcessed: false,
         direction: 'inbound',
         // propertyId and agencyId are null initially
@@ -216,6 +448,7 @@ const emailRepository = {
    * @param {string} data.html - HTML content
    * @param {number} data.property_id - Optional property ID
    * @param {number} data.agency_id - Optional agency ID
+   * @param {string} data.message_id - Optional Message-ID header sent with the email
    */
   async createOutbound(data) {
     return prisma.email.create({
@@ -226,6 +459,9 @@ const emailRepository = {
         emailBody: data.text,
         html: data.html,
         agencyId: data.agency_id || null,
+        messageId: data.message_id || null,
+        resendId: data.resend_id || null,
+        deliveryStatus: data.resend_id ? EMAIL_DELIVERY_STATUS.SENT : null,
         ...(data.property_id && {
           properties: { connect: [{ id: data.property_id }] },
         }),
@@ -0,0 +1,130 @@
+/**
+ * Email Template Repository
+ *
+ * Data access layer for EmailTemplate entity using Prisma.
+ * Each save is a new version; one version per key + agency is active.
+ */
+
+const prisma = require('../config/prisma');
+
+const emailTemplateRepository = {
+  /**
+   * Find template version by ID
+   */
+  async findById(id) {
+    return prisma.emailTemplate.findUnique({
+      where: { id },
+      include: {
+        agency: true,
+      },
+    });
+  },
+
+  /**
+   * Find the active version for a key and agency (null = global)
+   */
+  async findActive(key, agencyId) {
+    return prisma.emailTemplate.findFirst({
+      where: {
+        key,
+        agencyId: agencyId || null,
+        isActive: true,
+      },
+    });
+  },
+
+  /**
+   * Find all active versions
+   * When agencyId is given, returns that agency's overrides plus the global ones
+   */
+  async findAllActive({ agencyId } = {}) {
+    return prisma.emailTemplate.findMany({
+      where: {
+        isActive: true,
+        ...(agencyId && { OR: [{ agencyId }, { agencyId: null }] }),
+      },
+      include: {
+        agency: true,
+      },
+      orderBy: [{ key: 'asc' }, { agencyId: { sort: 'asc', nulls: 'first' } }],
+    });
+  },
+
+  /**
+   * Find all versions for a key and agency (null = global), newest first
+   */
+  async findVersions(key, agencyId) {
+    return prisma.emailTemplate.findMany({
+      where: {
+        key,
+        agencyId: agencyId || null,
+      },
+      orderBy: { version: 'desc' },
+    });
+  },
+
+  /**
+   * Save a new version and make it the active one
+   */
+  async createVersion(data) {
+    const agencyId = data.agency_id || null;
+
+    return prisma.$transaction(async (tx) => {
+      const latest = await tx.emailTemplate.findFirst({
+        where: { key: data.key, agencyId },
+        orderBy: { version: 'desc' },
+        select: { version: true },
+      });
+
+      await tx.emailTemplate.updateMany({
+        where: { key: data.key, agencyId, isActive: true },
+        data: { isActive: false },
+      });
+
+      return tx.emailTemplate.create({
+        data: {
+          key: data.key,
+          agencyId,
+          version: (latest?.version || 0) + 1,
+          subject: data.subject,
+          html: data.html || null,
+          text: data.text || null,
+          isActive: true,
+          createdBy: data.created_by || null,
+        },
+      });
+    });
+  },
+
+  /**
+   * Make an existing version the active one (e.g. roll back)
+   */
+  async activate(id) {
+    return prisma.$transaction(async (tx) => {
+      const template = await tx.emailTemplate.findUnique({ where: { id } });
+
+      await tx.emailTemplate.updateMany({
+        where: { key: template.key, agencyId: template.agencyId, isActive: true },
+        data: { isActive: false },
+      });
+
+      return tx.emailTemplate.update({
+        where: { id },
+        data: { isActive: true },
+      });
+    });
+  },
+
+  /**
+   * Deactivate all versions for a key and agency, so the next level applies
+   * (agency -> global -> built-in default). Versions are kept.
+   */
+  async deactivate(key, agencyId) {
+    return prisma.emailTemplate.updateMany({
+      where: { key, agencyId: agencyId || null, isActive: true },
+      data: { isActive: false },
+    });
+  },
+};
+
+module.exports = emailTemplateRepository;
@@ -5,13 +5,18 @@
  */
 
 const prisma = require('../config/prisma');
+const { TASK_STATUS } = require('../config/constants');
+
+// Tasks still to be done at an inspection
+const OPEN_TASK_STATUSES = [TASK_STATUS.UNKNOWN, TASK_STATUS.INCOMPLETE, TASK_STATUS.PROCESSING];
 
 const inspectionBookingRepository = {
   /**
    * Find booking by ID
    * For agency users, validates they have access (via property ownership)
+   * For technicians, validates the booking is assigned to them
    * @param {number} id - Booking ID
-   * @param {Object} scope - Access scope (agencyId for agency users)
+   * @param {Object} scope - Access scope (agencyId for agency users, assignedTechnicianId for technicians)
    */
   async findById(id, scope = {}) {
     const booking = await prisma.inspectionBooking.findUnique({
@@ -36,6 +41,9 @@ const inspectionBookingRepository = {
         bookedByUser: {
           select: { id: true, name: true, email: true, role: true },
         },
+        assignedTechnician: {
+          select: { id: true, name: true, email: true },
+        },
       },
     });
 
@@ -47,6 +55,11 @@ const inspectionBookingRepository = {
       }
     }
 
+    // For technicians, verify the booking is assigned to them
+    if (booking && scope.assignedTechnicianId && booking.assignedTechnicianId !== scope.assignedTechnicianId) {
+      return null;
+    }
+
     return booking;
   },
 
@@ -119,6 +132,11 @@ const inspectionBookingRepository = {
       };
     }
 
+    // For technicians, only show bookings assigned to them
+    if (scope.assignedTechnicianId) {
+      where.assignedTechnicianId = scope.assignedTechnicianId;
+    }
+
     const page = filters.page || 1;
     const limit = filters.limit || 50;
     const skip = (page - 1) * limit;
@@ -143,6 +161,9 @@ const inspectionBookingRepository = {
           bookedByUser: {
             select: { id: true, name: true, email: true, role: true },
           },
+          assignedTechnician: {
+            select: { id: true, name: true, email: true },
+          },
         },
         orderBy: { createdAt: 'desc' },
         skip,
@@ -162,6 +183,114 @@ const inspectionBookingRepository = {
     };
   },
 
+  /**
+   * Find confirmed bookings for a schedule with everything needed for the run sheet
+   * (property location and access, active contacts, open tasks, technician)
+   * @param {number} scheduleId - Schedule ID
+   * @param {Object} scope - Access scope (agencyId for agency users, assignedTechnicianId for technicians)
+   */
+  async findConfirmedForRunSheet(scheduleId, scope = {}) {
+    const where = {
+      status: 'confirmed',
+      slot: { scheduleId },
+    };
+
+    if (scope.agencyId) {
+      where.property = {
+        user: { agencyId: scope.agencyId },
+      };
+    }
+
+    if (scope.assignedTechnicianId) {
+      where.assignedTechnicianId = scope.assignedTechnicianId;
+    }
+
+    return prisma.inspectionBooking.findMany({
+      where,
+      include: {
+        slot: true,
+        property: {
+          include: {
+            contacts: {
+              where: { isActive: true },
+              select: { id: true, name: true, phone: true, email: true },
+            },
+            tasks: {
+              where: {
+                isActive: true,
+                status: { in: OPEN_TASK_STATUSES },
+              },
+              select: { id: true, taskName: true, type: true },
+            },
+            user: {
+              select: { id: true, agencyId: true, agency: { select: { id: true, agencyName: true } } },
+            },
+          },
+        },
+        assignedTechnician: {
+          select: { id: true, name: true, email: true },
+        },
+      },
+      orderBy: [{ slot: { startTime: 'asc' } }, { id: 'asc' }],
+    });
+  },
+
+  /**
+   * Find confirmed bookings with inspections between two dates, for pre-inspection reminders
+   * @param {Date} from - Earliest schedule date
+   * @param {Date} to - Latest schedule date
+   */
+  async findConfirmedForReminder(from, to) {
+    return prisma.inspectionBooking.findMany({
+      where: {
+        status: 'confirmed',
+        slot: {
+          schedule: {
+            scheduleDate: { gte: from, lte: to },
+          },
+        },
+      },
+      include: {
+        slot: {
+          include: { schedule: true },
+        },
+        property: {
+          include: {
+            user: {
+              select: { id: true, name: true, email: true, agencyId: true },
+            },
+          },
+        },
+        contact: {
+          select: { id: true, name: true, email: true },
+        },
+        reminderLogs: true,
+      },
+      orderBy: { id: 'asc' },
+    });
+  },
+
+  /**
+   * Find bookings that answer invitations: made with one of the tokens, or active for one of the properties
+   * @param {string[]} tokens - Invitation booking tokens
+   * @param {number[]} propertyIds - Property IDs
+   */
+  async findForFollowUpCheck(tokens, propertyIds) {
+    if (tokens.length === 0 && propertyIds.length === 0) {
+      return [];
+    }
+
+    return prisma.inspectionBooking.findMany({
+      where: {
+        OR: [
+          { bookingToken: { in: tokens } },
+          { propertyId: { in: propertyIds }, status: { in: ['pending', 'confirmed'] } },
+        ],
+      },
+      select: { id: true, bookingToken: true, propertyId: true, status: true },
+    });
+  },
+
   /**
    * Check if booking exists for property and schedule
    */
@@ -282,7 +411,13 @@ const inspectionBookingRepository = {
             schedule: true,
           },
         },
-        property: true,
+        property: {
+          include: {
+            user: {
+              select: { id: true, agencyId: true },
+            },
+          },
+        },
         contact: true,
         bookedByUser: {
           select: { id: true, name: true, email: true, role: true },
@@ -292,15 +427,12 @@ const inspectionBookingRepository = {
   },
 
   /**
-   * Reschedule booking to a different slot
+   * Assign (or clear) the technician for a booking (with transaction support)
    */
-  async reschedule(id, newSlotId, note = null) {
-    return prisma.inspectionBooking.update({
+  async assignTechnicianWithTx(tx, id, technicianId) {
+    return tx.inspectionBooking.update({
       where: { id },
-      data: {
-        slotId: newSlotId,
-        note: note,
-      },
+      data: { assignedTechnicianId: technicianId },
       include: {
         slot: {
           include: {
@@ -308,8 +440,60 @@ const inspectionBookingRepository = {
           },
         },
         property: true,
+        contact: true,
+        assignedTechnician: {
+          select: { id: true, name: true, email: true },
+        },
+      },
+    });
+  },
+
+  /**
+   * Revoke a booking token so the link can no longer be used
+   */
+  async revokeToken(token) {
+    return prisma.inspectionBooking.updateMany({
+      where: { bookingToken: token, tokenRevokedAt: null },
+      data: { tokenRevokedAt: new Date() },
+    });
+  },
+
+  /**
+   * Move a booking to a new link (when the link is reissued)
+   */
+  async replaceToken(id, token, tokenExpiresAt) {
+    return prisma.inspectionBooking.update({
+      where: { id },
+      data: {
+        bookingToken: token,
+        tokenExpiresAt,
+        tokenRevokedAt: null,
+      },
+    });
+  },
+
+  /**
+   * Move a pending/confirmed booking out of its current slot (with transaction support)
+   * Only updates the booking if its status and slot are still the ones read before the transaction.
+   * @param {Object} booking - Booking as read before the transaction ({ id, slotId })
+   * @param {number} newSlotId - Slot to move to
+   * @param {Object} data - { note, tokenExpiresAt }; an undefined note keeps the current one
+   * @returns {Promise<number>} 1 if moved, 0 if the booking was changed in the meantime
+   */
+  async moveSlotWithTx(tx, booking, newSlotId, { note, tokenExpiresAt }) {
+    const { count } = await tx.inspectionBooking.updateMany({
+      where: {
+        id: booking.id,
+        slotId: booking.slotId,
+        status: { in: ['pending', 'confirmed'] },
+      },
+      data: {
+        slotId: newSlotId,
+        tokenExpiresAt,
+        ...(note !== undefined && { note }),
       },
     });
+    return count;
   },
 };
 
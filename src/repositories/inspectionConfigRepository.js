@@ -37,6 +37,8 @@ const inspectionConfigRepository = {
         endTime: data.end_time,
         slotDuration: data.slot_duration,
         maxCapacity: data.max_capacity || 1,
+        ...(data.follow_up_days !== undefined && { followUpDays: data.follow_up_days }),
+        ...(data.follow_up_alert_days !== undefined && { followUpAlertDays: data.follow_up_alert_days }),
         isActive: true,
       },
     });
@@ -51,6 +53,8 @@ const inspectionConfigRepository = {
     if (data.end_time !== undefined) updateData.endTime = data.end_time;
     if (data.slot_duration !== undefined) updateData.slotDuration = data.slot_duration;
     if (data.max_capacity !== undefined) updateData.maxCapacity = data.max_capacity;
+    if (data.follow_up_days !== undefined) updateData.followUpDays = data.follow_up_days;
+    if (data.follow_up_alert_days !== undefined) updateData.followUpAlertDays = data.follow_up_alert_days;
     if (data.is_active !== undefined) updateData.isActive = data.is_active;
 
     return prisma.inspectionConfig.update({
@@ -70,6 +74,8 @@ const inspectionConfigRepository = {
         endTime: data.end_time,
         slotDuration: data.slot_duration,
         maxCapacity: data.max_capacity || 1,
+        ...(data.follow_up_days !== undefined && { followUpDays: data.follow_up_days }),
+        ...(data.follow_up_alert_days !== undefined && { followUpAlertDays: data.follow_up_alert_days }),
         isActive: data.is_active !== undefined ? data.is_active : true,
       },
       create: {
@@ -78,6 +84,8 @@ const inspectionConfigRepository = {
         endTime: data.end_time,
         slotDuration: data.slot_duration,
         maxCapacity: data.max_capacity || 1,
+        ...(data.follow_up_days !== undefined && { followUpDays: data.follow_up_days }),
+        ...(data.follow_up_alert_days !== undefined && { followUpAlertDays: data.follow_up_alert_days }),
         isActive: true,
       },
     });
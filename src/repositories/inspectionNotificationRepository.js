@@ -5,6 +5,7 @@
  */
 
 const prisma = require('../config/prisma');
+const { TASK_STATUS, NOTIFICATION_STATUS } = require('../config/constants');
 
 const inspectionNotificationRepository = {
   /**
@@ -149,7 +150,9 @@ const inspectionNotificationRepository = {
         recipientType: data.recipient_type,
         recipientEmail: data.recipient_email,
         bookingToken: data.booking_token,
+        tokenExpiresAt: data.token_expires_at || null,
         status: data.status || 'sent',
+        resendId: data.resend_id || null,
         sentAt: new Date(),
       },
       include: {
@@ -173,12 +176,51 @@ const inspectionNotificationRepository = {
         contactId: n.contact_id,
         recipientEmail: n.recipient_email,
         bookingToken: n.booking_token,
+        tokenExpiresAt: n.token_expires_at || null,
         status: n.status || 'sent',
         sentAt: new Date(),
       })),
     });
   },
 
+  /**
+   * Revoke a booking token so the link can no longer be used
+   */
+  async revokeToken(token) {
+    return prisma.inspectionNotification.updateMany({
+      where: { bookingToken: token, tokenRevokedAt: null },
+      data: { tokenRevokedAt: new Date() },
+    });
+  },
+
+  /**
+   * Find notifications sent as a Resend email
+   * @param {string} resendId - Resend email ID
+   */
+  async findByResendId(resendId) {
+    return prisma.inspectionNotification.findMany({
+      where: { resendId },
+    });
+  },
+
+  /**
+   * Update delivery tracking fields
+   * @param {number} id - Notification ID
+   * @param {Object} data - { status, delivered_at, opened_at, failure_reason }
+   */
+  async updateDelivery(id, data) {
+    const updateData = {};
+    if (data.status !== undefined) updateData.status = data.status;
+    if (data.delivered_at !== undefined) updateData.deliveredAt = data.delivered_at;
+    if (data.opened_at !== undefined) updateData.openedAt = data.opened_at;
+    if (data.failure_reason !== undefined) updateData.failureReason = data.failure_reason;
+
+    return prisma.inspectionNotification.update({
+      where: { id },
+      data: updateData,
+    });
+  },
+
   /**
    * Update notification status
    */
@@ -188,6 +230,85 @@ const inspectionNotificationRepository = {
       data: { status },
     });
   },
+
+  /**
+   * Find invitations that may need a follow-up or an unbooked alert
+   * Excludes revoked links, undeliverable emails and invitations already alerted on.
+   * @param {Date} sentAfter - Oldest invitation to consider
+   */
+  async findForFollowUp(sentAfter) {
+    return prisma.inspectionNotification.findMany({
+      where: {
+        sentAt: { gte: sentAfter },
+        tokenRevokedAt: null,
+        followUpAlertedAt: null,
+        status: { notIn: [NOTIFICATION_STATUS.FAILED, NOTIFICATION_STATUS.COMPLAINED] },
+      },
+      include: {
+        schedule: {
+          select: { id: true, region: true, scheduleDate: true },
+        },
+        property: {
+          include: {
+            user: {
+              select: {
+                id: true,
+                name: true,
+                email: true,
+                agencyId: true,
+                agency: { select: { id: true, agencyName: true } },
+              },
+            },
+            tasks: {
+              where: {
+                isActive: true,
+                status: { in: [TASK_STATUS.INCOMPLETE, TASK_STATUS.UNKNOWN, TASK_STATUS.PROCESSING] },
+              },
+              select: { type: true, status: true },
+            },
+          },
+        },
+        contact: {
+          select: { id: true, name: true, email: true, emailBouncedAt: true },
+        },
+        user: {
+          select: { id: true, name: true, email: true, role: true },
+        },
+      },
+      orderBy: { sentAt: 'asc' },
+    });
+  },
+
+  /**
+   * Record a follow-up sent for an invitation
+   * @param {number} id - Notification ID
+   * @param {Object} data - { follow_up_count, token_expires_at }
+   */
+  async recordFollowUp(id, data) {
+    return prisma.inspectionNotification.update({
+      where: { id },
+      data: {
+        followUpCount: data.follow_up_count,
+        lastFollowUpAt: new Date(),
+        tokenExpiresAt: data.token_expires_at,
+      },
+    });
+  },
+
+  /**
+   * Mark invitations as alerted to the agency (no more follow-ups)
+   * @param {number[]} ids - Notification IDs
+   */
+  async markFollowUpAlerted(ids) {
+    if (ids.length === 0) {
+      return { count: 0 };
+    }
+
+    return prisma.inspectionNotification.updateMany({
+      where: { id: { in: ids } },
+      data: { followUpAlertedAt: new Date() },
+    });
+  },
 };
 
 module.exports = inspectionNotificationRepository;
@@ -0,0 +1,32 @@
+/**
+ * Inspection Reminder Log Repository
+ *
+ * Data access layer for InspectionReminderLog entity using Prisma.
+ */
+
+const prisma = require('../config/prisma');
+
+const inspectionReminderLogRepository = {
+  /**
+   * Record sent reminders (duplicates are ignored)
+   * @param {Array} entries - [{ booking_id, reminder_key, recipient_type, recipient_email, inspection_at }]
+   */
+  async createMany(entries) {
+    if (entries.length === 0) {
+      return { count: 0 };
+    }
+
+    return prisma.inspectionReminderLog.createMany({
+      data: entries.map((entry) => ({
+        bookingId: entry.booking_id,
+        reminderKey: entry.reminder_key,
+        recipientType: entry.recipient_type,
+        recipientEmail: entry.recipient_email,
+        inspectionAt: entry.inspection_at,
+      })),
+      skipDuplicates: true,
+    });
+  },
+};
+
+module.exports = inspectionReminderLogRepository;
@@ -5,13 +5,35 @@
  */
 
 const prisma = require('../config/prisma');
+const { ForbiddenError } = require('../lib/errors');
+
+/**
+ * Build the booking filter for an access scope
+ * An empty scope is unrestricted (admins). A scope without a usable filter (e.g. a user
+ * with no agency) is rejected rather than treated as unrestricted.
+ * @param {Object} scope - { agencyId } for agency users, { assignedTechnicianId } for technicians
+ * @returns {Object|null} Prisma booking where, or null if unrestricted
+ */
+function buildBookingScopeWhere(scope) {
+  if (scope.agencyId) {
+    return { property: { user: { agencyId: scope.agencyId } } };
+  }
+  if (scope.assignedTechnicianId) {
+    return { assignedTechnicianId: scope.assignedTechnicianId };
+  }
+  if (Object.keys(scope).length > 0) {
+    throw new ForbiddenError('No access to inspection schedules');
+  }
+  return null;
+}
 
 const inspectionScheduleRepository = {
   /**
    * Find all schedules with optional filters
-   * For agency users, only return schedules that have bookings from their agency's properties
+   * For agency users, only return schedules that have bookings from their agency's properties;
+   * for technicians, only schedules with bookings assigned to them
    * @param {Object} filters - Query filters
-   * @param {Object} scope - Access scope (agencyId for agency users)
+   * @param {Object} scope - Access scope (agencyId for agency users, assignedTechnicianId for technicians)
    */
   async findAll(filters = {}, scope = {}) {
     const where = { isActive: true };
@@ -34,17 +56,12 @@ const inspectionScheduleRepository = {
       }
     }
 
-    // For agency users, only show schedules that have bookings for their agency's properties
-    if (scope.agencyId) {
+    // For agency users / technicians, only show schedules that have bookings they can see
+    const bookingWhere = buildBookingScopeWhere(scope);
+    if (bookingWhere) {
       where.slots = {
         some: {
-          bookings: {
-            some: {
-              property: {
-                user: { agencyId: scope.agencyId },
-              },
-            },
-          },
+          bookings: { some: bookingWhere },
         },
       };
     }
@@ -84,12 +101,14 @@ const inspectionScheduleRepository = {
 
   /**
    * Find schedule by ID with slots
-   * For agency users, validates they have access (via property bookings)
+   * For agency users and technicians, validates they have access (via bookings they can see)
    * @param {number} id - Schedule ID
-   * @param {Object} scope - Access scope (agencyId for agency users)
+   * @param {Object} scope - Access scope (agencyId for agency users, assignedTechnicianId for technicians)
    */
   async findById(id, scope = {}) {
-    // Build include for slots - if agency user, filter bookings to only their agency's
+    const bookingWhere = buildBookingScopeWhere(scope);
+
+    // Build include for slots - if scoped, filter bookings to the ones the user can see
     const slotsInclude = {
       orderBy: { startTime: 'asc' },
       include: {
@@ -99,14 +118,10 @@ const inspectionScheduleRepository = {
       },
     };
 
-    // For agency users, only include bookings for their agency's properties
-    if (scope.agencyId) {
+    // For agency users / technicians, only include the bookings they can see
+    if (bookingWhere) {
       slotsInclude.include.bookings = {
-        where: {
-          property: {
-            user: { agencyId: scope.agencyId },
-          },
-        },
+        where: bookingWhere,
         include: {
           property: {
             select: { id: true, address: true },
@@ -115,6 +130,22 @@ const inspectionScheduleRepository = {
       };
     }
 
+    // Notification recipients: agency users see their agency's, technicians none
+    const notificationsInclude = {
+      include: {
+        property: {
+          select: { id: true, address: true },
+        },
+        contact: {
+          select: { id: true, name: true, email: true },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    };
+    if (scope.agencyId) {
+      notificationsInclude.where = { property: { user: { agencyId: scope.agencyId } } };
+    }
+
     const schedule = await prisma.inspectionSchedule.findUnique({
       where: { id },
       include: {
@@ -122,22 +153,12 @@ const inspectionScheduleRepository = {
           select: { id: true, name: true },
         },
         slots: slotsInclude,
-        notifications: {
-          include: {
-            property: {
-              select: { id: true, address: true },
-            },
-            contact: {
-              select: { id: true, name: true, email: true },
-            },
-          },
-          orderBy: { createdAt: 'desc' },
-        },
+        ...(!scope.assignedTechnicianId && { notifications: notificationsInclude }),
       },
     });
 
-    // For agency users, verify they have at least one booking in this schedule
-    if (schedule && scope.agencyId) {
+    // For agency users / technicians, verify they have at least one booking in this schedule
+    if (schedule && bookingWhere) {
       const hasAccess = schedule.slots.some(
         (slot) => slot.bookings && slot.bookings.length > 0
       );
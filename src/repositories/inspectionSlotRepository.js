@@ -66,6 +66,18 @@ const inspectionSlotRepository = {
     });
   },
 
+  /**
+   * Increment slot booking count (with transaction support)
+   */
+  async incrementBookingsWithTx(tx, id) {
+    return tx.inspectionSlot.update({
+      where: { id },
+      data: {
+        currentBookings: { increment: 1 },
+      },
+    });
+  },
+
   /**
    * Decrement slot booking count
    */
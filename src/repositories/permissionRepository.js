@@ -134,7 +134,10 @@ const permissionRepository = {
    * Assign default permissions based on role
    */
   async assignDefaultPermissions(userId, role) {
-    const scopes = ['user', 'agency', 'property', 'task', 'contact', 'email', 'veu_project', 'setting', 'inspection'];
+    // Technicians only get the scopes needed to work on their assigned jobs
+    const scopes = role === 'technician'
+      ? ['property', 'task', 'contact', 'inspection']
+      : ['user', 'agency', 'property', 'task', 'contact', 'email', 'veu_project', 'setting', 'inspection'];
     const permissions = [];
 
     for (const scope of scopes) {
@@ -147,6 +150,11 @@ const permissionRepository = {
         permissions.push({ permission_value: 'update', permission_scope: scope });
       }
 
+      // Technicians update tasks and inspections (e.g. mark a task completed)
+      if (role === 'technician' && ['task', 'inspection'].includes(scope)) {
+        permissions.push({ permission_value: 'update', permission_scope: scope });
+      }
+
       // Delete only for superuser
       if (role === 'superuser') {
         permissions.push({ permission_value: 'delete', permission_scope: scope });
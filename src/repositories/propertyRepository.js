@@ -6,6 +6,8 @@
 
 const prisma = require('../config/prisma');
 const { TASK_STATUS } = require('../config/constants');
+const { getAddressKey, getAddressKeyPrefix } = require('../lib/addressNormalizer');
+const { ConflictError } = require('../lib/errors');
 
 const propertyRepository = {
   /**
@@ -37,6 +39,10 @@ const propertyRepository = {
         },
         emails: true,
         veuProjects: true,
+        inspectionBookings: {
+          where: { assignedTechnicianId: { not: null } },
+          select: { assignedTechnicianId: true },
+        },
       },
     });
   },
@@ -54,10 +60,28 @@ const propertyRepository = {
     });
   },
 
+  /**
+   * Find active properties that could match an address (same street number, or the
+   * exact address if it cannot be parsed)
+   * Scoped to the agency's properties when agencyId is given, otherwise to the user's.
+   */
+  async findMatchCandidates(address, { agencyId, userId }) {
+    const prefix = getAddressKeyPrefix(address);
+
+    return prisma.property.findMany({
+      where: {
+        isActive: true,
+        ...(prefix ? { addressKey: { startsWith: prefix } } : { address }),
+        ...(agencyId ? { user: { agencyId } } : { userId }),
+      },
+      select: { id: true, address: true, addressKey: true, userId: true },
+    });
+  },
+
   /**
    * Find all properties with filters and pagination
    */
-  async findAll({ isActive = true, userId, agencyId, region, search, skip = 0, take = 50 }) {
+  async findAll({ isActive = true, userId, agencyId, technicianId, region, search, skip = 0, take = 50 }) {
     let where = {
       ...(isActive !== undefined && { isActive }),
       ...(userId && { userId }),
@@ -77,6 +101,17 @@ const propertyRepository = {
       };
     }
 
+    // If technicianId is provided, only properties with a task or booking assigned to them
+    if (technicianId) {
+      where = {
+        ...where,
+        OR: [
+          { tasks: { some: { assignedTechnicianId: technicianId, isActive: true } } },
+          { inspectionBookings: { some: { assignedTechnicianId: technicianId } } },
+        ],
+      };
+    }
+
     const [properties, total] = await Promise.all([
       prisma.property.findMany({
         where,
@@ -127,6 +162,10 @@ const propertyRepository = {
     return prisma.property.create({
       data: {
         address: data.address,
+        addressKey: getAddressKey(data.address),
+        latitude: data.latitude ?? null,
+        longitude: data.longitude ?? null,
+        accessInstructions: data.access_instructions || null,
         userId: data.user_id,
         region: data.region || null,
       },
@@ -145,7 +184,16 @@ const propertyRepository = {
    */
   async update(id, data) {
     const updateData = {};
-    if (data.address !== undefined) updateData.address = data.address;
+    if (data.address !== undefined) {
+      updateData.address = data.address;
+      updateData.addressKey = getAddressKey(data.address);
+      // Coordinates of the old address no longer apply; geocoded again when needed
+      updateData.latitude = null;
+      updateData.longitude = null;
+    }
+    if (data.latitude !== undefined) updateData.latitude = data.latitude;
+    if (data.longitude !== undefined) updateData.longitude = data.longitude;
+    if (data.access_instructions !== undefined) updateData.accessInstructions = data.access_instructions;
     if (data.user_id !== undefined) updateData.userId = data.user_id;
     if (data.is_active !== undefined) updateData.isActive = data.is_active;
     if (data.region !== undefined) updateData.region = data.region;
@@ -156,6 +204,16 @@ const propertyRepository = {
     });
   },
 
+  /**
+   * Store geocoded coordinates for a property
+   */
+  async updateCoordinates(id, { latitude, longitude }) {
+    return prisma.property.update({
+      where: { id },
+      data: { latitude, longitude },
+    });
+  },
+
   /**
    * Soft delete a property
    */
@@ -166,6 +224,163 @@ const propertyRepository = {
     });
   },
 
+  /**
+   * Merge duplicate properties into a surviving property (single transaction)
+   * Moves tasks, contacts, email links, inspection bookings/notifications and VEU projects,
+   * soft-deletes the duplicates and records a merge log.
+   * Moved live tasks of a type the survivor already has a live task for are soft-deleted,
+   * so the survivor keeps one live cycle per type.
+   * A VEU project whose type the survivor already has is folded into the survivor's project:
+   * its files are moved, and its completion details are kept if the survivor's is not completed.
+   * @param {number} propertyId - Surviving property ID
+   * @param {number[]} mergedIds - Duplicate property IDs
+   * @param {number|null} mergedBy - User ID performing the merge
+   * @param {Object} scope - Conditions every property must still meet (access, agency)
+   * @returns {Promise<Object>} Counts of moved records
+   * @throws {ConflictError} If a property was deleted, merged or moved in the meantime
+   */
+  async mergeInto(propertyId, mergedIds, mergedBy, scope = {}) {
+    return prisma.$transaction(async (tx) => {
+      // Re-check (and lock) the properties first: the caller's checks ran outside this transaction
+      const now = new Date();
+      const survivor = await tx.property.updateMany({
+        where: { ...scope, id: propertyId, isActive: true },
+        data: { updatedAt: now },
+      });
+      const retired = await tx.property.updateMany({
+        where: { ...scope, id: { in: mergedIds }, isActive: true },
+        data: { isActive: false, updatedAt: now },
+      });
+      if (survivor.count !== 1 || retired.count !== mergedIds.length) {
+        throw new ConflictError('These properties have changed in the meantime. Please reload and try again.');
+      }
+
+      const where = { propertyId: { in: mergedIds } };
+
+      // Tasks: one live task per type, the survivor's own first
+      const liveWhere = {
+        isActive: true,
+        type: { not: null },
+        NOT: { status: { equals: TASK_STATUS.HISTORY, mode: 'insensitive' } },
+      };
+      const survivorTasks = await tx.task.findMany({ where: { ...liveWhere, propertyId }, select: { type: true } });
+      const liveTypes = new Set(survivorTasks.map((t) => t.type));
+      const mergedTasks = await tx.task.findMany({
+        where: { ...liveWhere, ...where },
+        select: { id: true, type: true },
+        orderBy: { id: 'asc' },
+      });
+      const duplicateTaskIds = [];
+      for (const task of mergedTasks) {
+        if (liveTypes.has(task.type)) {
+          duplicateTaskIds.push(task.id);
+        } else {
+          liveTypes.add(task.type);
+        }
+      }
+      if (duplicateTaskIds.length > 0) {
+        await tx.task.updateMany({ where: { id: { in: duplicateTaskIds } }, data: { isActive: false, updatedAt: now } });
+      }
+      const tasks = await tx.task.updateMany({ where, data: { propertyId } });
+      const bookings = await tx.inspectionBooking.updateMany({ where, data: { propertyId } });
+      const notifications = await tx.inspectionNotification.updateMany({ where, data: { propertyId } });
+
+      // Contacts: skip exact copies of a contact the survivor already has
+      const survivorContacts = await tx.contact.findMany({
+        where: { propertyId, isActive: true },
+        select: { name: true, phone: true, email: true },
+      });
+      const contactKeys = new Set(survivorContacts.map((c) => `${c.name}|${c.phone}|${c.email}`));
+      const mergedContacts = await tx.contact.findMany({ where: { ...where, isActive: true } });
+      const duplicateContactIds = [];
+      for (const contact of mergedContacts) {
+        const key = `${contact.name}|${contact.phone}|${contact.email}`;
+        if (contactKeys.has(key)) {
+          duplicateContactIds.push(contact.id);
+        } else {
+          contactKeys.add(key);
+        }
+      }
+      if (duplicateContactIds.length > 0) {
+        await tx.contact.updateMany({ where: { id: { in: duplicateContactIds } }, data: { isActive: false } });
+      }
+      const contacts = await tx.contact.updateMany({
+        where: { ...where, id: { notIn: duplicateContactIds } },
+        data: { propertyId },
+      });
+
+      // Email links (_EmailToProperty)
+      const emails = await tx.email.findMany({
+        where: { properties: { some: { id: { in: mergedIds } } } },
+        select: { id: true },
+      });
+      if (emails.length > 0) {
+        await tx.property.update({
+          where: { id: propertyId },
+          data: { emails: { connect: emails.map((e) => ({ id: e.id })) } },
+        });
+        for (const mergedId of mergedIds) {
+          await tx.property.update({ where: { id: mergedId }, data: { emails: { set: [] } } });
+        }
+      }
+
+      // VEU projects: unique per (propertyId, type)
+      const survivorProjects = await tx.veuProject.findMany({ where: { propertyId } });
+      const projectsByType = new Map(survivorProjects.map((p) => [p.type, p]));
+      const mergedProjects = await tx.veuProject.findMany({ where, orderBy: { id: 'asc' } });
+      let veuProjectsMoved = 0;
+      let veuProjectsFolded = 0;
+      for (const project of mergedProjects) {
+        const existing = projectsByType.get(project.type);
+        if (!existing) {
+          projectsByType.set(project.type, await tx.veuProject.update({
+            where: { id: project.id },
+            data: { propertyId },
+          }));
+          veuProjectsMoved++;
+          continue;
+        }
+
+        await tx.veuProjectFile.updateMany({
+          where: { veuProjectId: project.id },
+          data: { veuProjectId: existing.id },
+        });
+        if (project.isCompleted && !existing.isCompleted) {
+          projectsByType.set(project.type, await tx.veuProject.update({
+            where: { id: existing.id },
+            data: {
+              isCompleted: true,
+              price: project.price,
+              completedBy: project.completedBy,
+              note: project.note,
+              updatedAt: new Date(),
+            },
+          }));
+        }
+        await tx.veuProject.delete({ where: { id: project.id } });
+        veuProjectsFolded++;
+      }
+
+      const summary = {
+        tasks: tasks.count,
+        duplicate_tasks: duplicateTaskIds.length,
+        contacts: contacts.count,
+        duplicate_contacts: duplicateContactIds.length,
+        emails: emails.length,
+        bookings: bookings.count,
+        notifications: notifications.count,
+        veu_projects_moved: veuProjectsMoved,
+        veu_projects_folded: veuProjectsFolded,
+      };
+
+      await tx.propertyMergeLog.create({
+        data: { propertyId, mergedIds, mergedBy, summary },
+      });
+
+      return summary;
+    });
+  },
+
   /**
    * Batch update region for multiple properties
    */
@@ -0,0 +1,96 @@
+/**
+ * Reminder Policy Repository
+ *
+ * Data access layer for ReminderPolicy entity using Prisma.
+ */
+
+const prisma = require('../config/prisma');
+
+const reminderPolicyRepository = {
+  /**
+   * Find policy by ID
+   */
+  async findById(id) {
+    return prisma.reminderPolicy.findUnique({
+      where: { id },
+      include: {
+        agency: true,
+      },
+    });
+  },
+
+  /**
+   * Find policy by agency and task type (null = applies to all)
+   */
+  async findByAgencyAndType(agencyId, taskType) {
+    return prisma.reminderPolicy.findFirst({
+      where: {
+        agencyId: agencyId || null,
+        taskType: taskType || null,
+      },
+    });
+  },
+
+  /**
+   * Find all policies
+   * When agencyId is given, returns that agency's policies plus the global ones
+   */
+  async findAll({ agencyId } = {}) {
+    return prisma.reminderPolicy.findMany({
+      where: agencyId
+        ? { OR: [{ agencyId }, { agencyId: null }] }
+        : {},
+      include: {
+        agency: true,
+      },
+      orderBy: [{ agencyId: { sort: 'asc', nulls: 'first' } }, { taskType: { sort: 'asc', nulls: 'first' } }],
+    });
+  },
+
+  /**
+   * Create a new policy
+   */
+  async create(data) {
+    return prisma.reminderPolicy.create({
+      data: {
+        agencyId: data.agency_id || null,
+        taskType: data.task_type || null,
+        dueSoonDays: data.due_soon_days,
+        beforeDueDays: data.before_due_days,
+        afterExpiryDays: data.after_expiry_days,
+      },
+      include: {
+        agency: true,
+      },
+    });
+  },
+
+  /**
+   * Update a policy
+   */
+  async update(id, data) {
+    const updateData = { updatedAt: new Date() };
+    if (data.due_soon_days !== undefined) updateData.dueSoonDays = data.due_soon_days;
+    if (data.before_due_days !== undefined) updateData.beforeDueDays = data.before_due_days;
+    if (data.after_expiry_days !== undefined) updateData.afterExpiryDays = data.after_expiry_days;
+
+    return prisma.reminderPolicy.update({
+      where: { id },
+      data: updateData,
+      include: {
+        agency: true,
+      },
+    });
+  },
+
+  /**
+   * Delete a policy
+   */
+  async delete(id) {
+    return prisma.reminderPolicy.delete({
+      where: { id },
+    });
+  },
+};
+
+module.exports = reminderPolicyRepository;
@@ -35,6 +35,9 @@ const systemSettingsRepository = {
 
     const updateData = {};
     if (data.google_map_key !== undefined) updateData.googleMapKey = data.google_map_key;
+    if (data.email_host !== undefined) updateData.emailHost = data.email_host;
+    if (data.email_user !== undefined) updateData.emailUser = data.email_user;
+    if (data.email_password !== undefined) updateData.emailPassword = data.email_password;
 
     return prisma.systemSettings.update({
       where: { id: settings.id },
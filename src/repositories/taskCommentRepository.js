@@ -0,0 +1,60 @@
+/**
+ * Task Comment Repository
+ *
+ * Data access layer for TaskComment entity using Prisma.
+ */
+
+const prisma = require('../config/prisma');
+
+const authorSelect = {
+  select: { id: true, name: true, email: true, role: true },
+};
+
+const taskCommentRepository = {
+  /**
+   * Find comments for a task (oldest first)
+   */
+  async findByTaskId(taskId) {
+    return prisma.taskComment.findMany({
+      where: { taskId },
+      include: { author: authorSelect },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    });
+  },
+
+  /**
+   * Find comment by ID
+   */
+  async findById(id) {
+    return prisma.taskComment.findUnique({
+      where: { id },
+      include: { author: authorSelect },
+    });
+  },
+
+  /**
+   * Create comment
+   */
+  async create(data) {
+    return prisma.taskComment.create({
+      data: {
+        taskId: data.task_id,
+        authorId: data.author_id,
+        content: data.content,
+        mentionedUserIds: data.mentioned_user_ids || [],
+      },
+      include: { author: authorSelect },
+    });
+  },
+
+  /**
+   * Delete comment
+   */
+  async delete(id) {
+    return prisma.taskComment.delete({
+      where: { id },
+    });
+  },
+};
+
+module.exports = taskCommentRepository;
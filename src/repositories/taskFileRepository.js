@@ -29,6 +29,15 @@ const taskFileRepository = {
     });
   },
 
+  /**
+   * Find files for a task stored under the given S3 key prefix
+   */
+  async findByTaskIdAndKeyPrefix(taskId, keyPrefix) {
+    return prisma.taskFile.findMany({
+      where: { taskId, fileS3Key: { startsWith: keyPrefix } },
+    });
+  },
+
   /**
    * Create a new task file
    */
@@ -0,0 +1,31 @@
+/**
+ * Task Reminder Log Repository
+ *
+ * Data access layer for TaskReminderLog entity using Prisma.
+ */
+
+const prisma = require('../config/prisma');
+
+const taskReminderLogRepository = {
+  /**
+   * Record sent reminders (duplicates are ignored)
+   * @param {Array} entries - [{ task_id, reminder_type, offset_days, due_date }]
+   */
+  async createMany(entries) {
+    if (entries.length === 0) {
+      return { count: 0 };
+    }
+
+    return prisma.taskReminderLog.createMany({
+      data: entries.map((entry) => ({
+        taskId: entry.task_id,
+        reminderType: entry.reminder_type,
+        offsetDays: entry.offset_days,
+        dueDate: entry.due_date,
+      })),
+      skipDuplicates: true,
+    });
+  },
+};
+
+module.exports = taskReminderLogRepository;
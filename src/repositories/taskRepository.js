@@ -5,6 +5,94 @@
  */
 
 const prisma = require('../config/prisma');
+const { TASK_STATUS, TASK_STATUS_SOURCE, TASK_SORT_FIELD } = require('../config/constants');
+const { normalizeStatus, canTransition } = require('../lib/taskStatus');
+
+// Task list sort columns (API name -> Prisma field)
+const SORT_FIELDS = {
+  [TASK_SORT_FIELD.DUE_DATE]: 'dueDate',
+  [TASK_SORT_FIELD.INSPECTION_DATE]: 'inspectionDate',
+  [TASK_SORT_FIELD.CREATED_AT]: 'createdAt',
+  [TASK_SORT_FIELD.UPDATED_AT]: 'updatedAt',
+};
+
+/**
+ * Build the where clause shared by the task list and export queries
+ * `status` may be a single status or an array of statuses.
+ */
+function buildFindAllWhere({
+  isActive = true, propertyId, agencyId, userIds, assignedTechnicianId, status, type, search,
+  region, freeCheckAvailable, hasFiles, dueFrom, dueTo, inspectionFrom, inspectionTo,
+}) {
+  const statuses = [].concat(status || []);
+
+  const where = {
+    ...(isActive !== undefined && { isActive }),
+    ...(propertyId && { propertyId }),
+    ...(agencyId && { agencyId }),
+    ...(assignedTechnicianId && { assignedTechnicianId }),
+    ...(type && { type }),
+    ...(freeCheckAvailable !== undefined && { freeCheckAvailable }),
+    ...(search && {
+      OR: [
+        { taskName: { contains: search, mode: 'insensitive' } },
+        { taskDescription: { contains: search, mode: 'insensitive' } },
+      ],
+    }),
+  };
+
+  // Statuses are matched case-insensitively (legacy rows may be lowercase)
+  if (statuses.length === 1) {
+    where.status = { equals: statuses[0], mode: 'insensitive' };
+  } else if (statuses.length > 1) {
+    where.AND = [{ OR: statuses.map((s) => ({ status: { equals: s, mode: 'insensitive' } })) }];
+  }
+
+  if (hasFiles !== undefined) {
+    where.files = hasFiles ? { some: {} } : { none: {} };
+  }
+
+  if (dueFrom || dueTo) {
+    where.dueDate = { ...(dueFrom && { gte: dueFrom }), ...(dueTo && { lte: dueTo }) };
+  }
+
+  if (inspectionFrom || inspectionTo) {
+    where.inspectionDate = { ...(inspectionFrom && { gte: inspectionFrom }), ...(inspectionTo && { lte: inspectionTo }) };
+  }
+
+  // Filter by user IDs (for agency users) and property region
+  if ((userIds && userIds.length > 0) || region) {
+    where.property = {
+      ...(userIds && userIds.length > 0 && { userId: { in: userIds } }),
+      ...(region && { region }),
+    };
+  }
+
+  return where;
+}
+
+/**
+ * Build the keyset condition for rows after a cursor
+ * Ordering is (sort field NULLS LAST, id) in the same direction.
+ * @param {string} field - Prisma sort field
+ * @param {string} order - 'asc' or 'desc'
+ * @param {Object} cursor - { value: Date|null, id } of the last row of the previous page
+ */
+function buildCursorWhere(field, order, cursor) {
+  const op = order === 'desc' ? 'lt' : 'gt';
+
+  if (cursor.value === null) {
+    return { [field]: null, id: { [op]: cursor.id } };
+  }
+
+  return {
+    OR: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, id: { [op]: cursor.id } },
+      { [field]: null },
+    ],
+  };
+}
 
 const taskRepository = {
   /**
@@ -37,41 +125,28 @@ const taskRepository = {
         },
         email: true,
         files: true,
+        agency: {
+          select: { id: true, agencyName: true },
+        },
+        assignedTechnician: {
+          select: { id: true, name: true, email: true },
+        },
       },
     });
   },
 
   /**
    * Find all tasks with filters and pagination
+   * Offset pagination uses `skip`; cursor pagination passes the decoded `cursor`
+   * ({ value, id } of the last row seen), which stays stable while statuses change.
    */
-  async findAll({ isActive = true, propertyId, agencyId, userIds, status, type, search, skip = 0, take = 50 }) {
-    let where = {
-      ...(isActive !== undefined && { isActive }),
-      ...(propertyId && { propertyId }),
-      ...(agencyId && { agencyId }),
-      ...(status && { status: { equals: status, mode: 'insensitive' } }),
-      ...(type && { type }),
-      ...(search && {
-        OR: [
-          { taskName: { contains: search, mode: 'insensitive' } },
-          { taskDescription: { contains: search, mode: 'insensitive' } },
-        ],
-      }),
-    };
-
-    // Filter by user IDs (for agency users)
-    if (userIds && userIds.length > 0) {
-      where = {
-        ...where,
-        property: {
-          userId: { in: userIds },
-        },
-      };
-    }
+  async findAll({ skip = 0, take = 50, sortBy = TASK_SORT_FIELD.DUE_DATE, sortOrder = 'asc', cursor, ...filters }) {
+    const where = buildFindAllWhere(filters);
+    const sortField = SORT_FIELDS[sortBy] || SORT_FIELDS[TASK_SORT_FIELD.DUE_DATE];
 
     const [tasks, total] = await Promise.all([
       prisma.task.findMany({
-        where,
+        where: cursor ? { AND: [where, buildCursorWhere(sortField, sortOrder, cursor)] } : where,
         include: {
           property: {
             include: {
@@ -86,10 +161,13 @@ const taskRepository = {
             },
           },
           files: true,
+          assignedTechnician: {
+            select: { id: true, name: true, email: true },
+          },
         },
-        skip,
+        ...(!cursor && { skip }),
         take,
-        orderBy: { dueDate: 'asc' },
+        orderBy: [{ [sortField]: { sort: sortOrder, nulls: 'last' } }, { id: sortOrder }],
       }),
       prisma.task.count({ where }),
     ]);
@@ -97,10 +175,68 @@ const taskRepository = {
     return { tasks, total };
   },
 
+  /**
+   * Find all tasks matching the list filters for export (no pagination)
+   * Includes agency, property contacts and technician for spreadsheet rows
+   * @param {Object} filters - Same filters as findAll
+   * @param {number} limit - Maximum number of rows
+   */
+  async findAllForExport(filters, limit) {
+    return prisma.task.findMany({
+      where: buildFindAllWhere(filters),
+      include: {
+        property: {
+          include: {
+            contacts: {
+              where: { isActive: true },
+            },
+          },
+        },
+        agency: {
+          select: { id: true, agencyName: true },
+        },
+        assignedTechnician: {
+          select: { id: true, name: true, email: true },
+        },
+      },
+      take: limit,
+      orderBy: [{ dueDate: 'asc' }, { id: 'asc' }],
+    });
+  },
+
+  /**
+   * Find tasks with a due or inspection date on or after `since` for the calendar feed
+   * Finished (HISTORY) cycles are left out.
+   * @param {Object} filters - Same scope filters as findAll
+   * @param {Date} since - Earliest date to include
+   */
+  async findForCalendar(filters, since) {
+    return prisma.task.findMany({
+      where: {
+        AND: [
+          buildFindAllWhere(filters),
+          { NOT: { status: { equals: 'HISTORY', mode: 'insensitive' } } },
+          {
+            OR: [
+              { dueDate: { gte: since } },
+              { inspectionDate: { gte: since } },
+            ],
+          },
+        ],
+      },
+      include: {
+        property: {
+          select: { id: true, address: true },
+        },
+      },
+      orderBy: [{ dueDate: 'asc' }, { id: 'asc' }],
+    });
+  },
+
   /**
    * Find tasks due today
    */
-  async findDueToday(agencyId, userIds) {
+  async findDueToday(agencyId, userIds, assignedTechnicianId) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
@@ -115,6 +251,7 @@ const taskRepository = {
     };
 
     if (agencyId) where.agencyId = agencyId;
+    if (assignedTechnicianId) where.assignedTechnicianId = assignedTechnicianId;
     if (userIds && userIds.length > 0) {
       where.property = {
         userId: { in: userIds },
@@ -140,7 +277,22 @@ const taskRepository = {
    * Get dashboard statistics
    * Returns format: { unknown_count, incomplete_count, processing_count, completed_count, due_soon_count, expired_count, agency_count, property_count }
    */
-  async getDashboardStats(agencyId, userIds) {
+  async getDashboardStats(agencyId, userIds, assignedTechnicianId) {
+    // Technician - only tasks assigned to them
+    if (assignedTechnicianId) {
+      const result = await prisma.$queryRaw`
+        SELECT
+          0::int AS unknown_count,
+          (SELECT COUNT(*) FROM "TASK" WHERE is_active = true AND UPPER(status) = 'INCOMPLETE' AND assigned_technician_id = ${assignedTechnicianId})::int AS incomplete_count,
+          (SELECT COUNT(*) FROM "TASK" WHERE is_active = true AND UPPER(status) = 'PROCESSING' AND assigned_technician_id = ${assignedTechnicianId})::int AS processing_count,
+          (SELECT COUNT(*) FROM "TASK" WHERE is_active = true AND UPPER(status) = 'COMPLETED' AND assigned_technician_id = ${assignedTechnicianId})::int AS completed_count,
+          (SELECT COUNT(*) FROM "TASK" WHERE is_active = true AND UPPER(status) = 'DUE_SOON' AND assigned_technician_id = ${assignedTechnicianId})::int AS due_soon_count,
+          (SELECT COUNT(*) FROM "TASK" WHERE is_active = true AND UPPER(status) = 'EXPIRED' AND assigned_technician_id = ${assignedTechnicianId})::int AS expired_count,
+          (SELECT COUNT(DISTINCT property_id) FROM "TASK" WHERE is_active = true AND assigned_technician_id = ${assignedTechnicianId})::int AS property_count
+        `;
+      return { ...result[0], agency_count: undefined };
+    }
+
     // Admin/Superuser (no agency restriction)
     if (!agencyId && (!userIds || userIds.length === 0)) {
       const result = await prisma.$queryRaw`
@@ -189,7 +341,14 @@ const taskRepository = {
    * Create a new task
    */
   async create(data) {
-    return prisma.task.create({
+    return this.createWithTx(prisma, data);
+  },
+
+  /**
+   * Create a new task (with transaction support)
+   */
+  async createWithTx(tx, data) {
+    return tx.task.create({
       data: {
         propertyId: data.property_id,
         agencyId: data.agency_id,
@@ -202,6 +361,7 @@ const taskRepository = {
         status: (data.status || 'UNKNOWN').toUpperCase(),
         emailId: data.email_id,
         freeCheckAvailable: data.free_check_available || false,
+        assignedTechnicianId: data.assigned_technician_id || null,
       },
       include: {
         property: true,
@@ -227,7 +387,7 @@ const taskRepository = {
       freeCheckAvailable: data.free_check_available || false,
     }));
 
-    return prisma.task.createMany({
+    return prisma.task.createManyAndReturn({
       data: tasks,
     });
   },
@@ -247,6 +407,8 @@ const taskRepository = {
     if (data.status !== undefined) updateData.status = data.status.toUpperCase();
     if (data.is_active !== undefined) updateData.isActive = data.is_active;
     if (data.free_check_available !== undefined) updateData.freeCheckAvailable = data.free_check_available;
+    if (data.assigned_technician_id !== undefined) updateData.assignedTechnicianId = data.assigned_technician_id;
+    updateData.updatedAt = new Date();
 
     return prisma.task.update({
       where: { id },
@@ -254,6 +416,88 @@ const taskRepository = {
     });
   },
 
+  /**
+   * Find tasks by IDs (active or not) with the property needed for access checks
+   */
+  async findByIdsWithRelations(ids) {
+    return prisma.task.findMany({
+      where: { id: { in: ids } },
+      include: {
+        property: true,
+      },
+    });
+  },
+
+  /**
+   * Update a single task within a transaction
+   */
+  async updateWithTx(tx, id, data) {
+    return tx.task.update({
+      where: { id },
+      data: { ...data, updatedAt: new Date() },
+    });
+  },
+
+  /**
+   * Apply the same update to many tasks within a transaction
+   */
+  async updateManyWithTx(tx, ids, data) {
+    const result = await tx.task.updateMany({
+      where: { id: { in: ids } },
+      data: { ...data, updatedAt: new Date() },
+    });
+    return result.count;
+  },
+
+  /**
+   * Find the live (active, non-history) task for a property and type
+   * Used to avoid creating a duplicate next-cycle task
+   */
+  async findLiveByPropertyAndType(propertyId, type, excludeId) {
+    return this.findLiveByPropertyAndTypeWithTx(prisma, propertyId, type, excludeId);
+  },
+
+  /**
+   * Find the live task for a property and type (with transaction support)
+   */
+  async findLiveByPropertyAndTypeWithTx(tx, propertyId, type, excludeId) {
+    return tx.task.findFirst({
+      where: {
+        propertyId,
+        type,
+        isActive: true,
+        // Legacy rows may be lowercase
+        NOT: { status: { equals: TASK_STATUS.HISTORY, mode: 'insensitive' } },
+        ...(excludeId && { id: { not: excludeId } }),
+      },
+    });
+  },
+
+  /**
+   * Assign a technician to a booking's tasks (with transaction support)
+   * The booking's own task if it has one, else the property's tasks it is inspecting
+   * (PROCESSING). Tasks assigned to someone other than the booking's current technician
+   * (by another booking or by hand) are left alone.
+   * @param {Object} booking - Booking before the change ({ taskId, propertyId, assignedTechnicianId })
+   * @param {number|null} technicianId - null clears the assignment
+   */
+  async assignTechnicianForBookingWithTx(tx, booking, technicianId) {
+    const result = await tx.task.updateMany({
+      where: {
+        ...(booking.taskId
+          ? { id: booking.taskId }
+          : { propertyId: booking.propertyId, status: TASK_STATUS.PROCESSING }),
+        isActive: true,
+        OR: [
+          { assignedTechnicianId: null },
+          ...(booking.assignedTechnicianId ? [{ assignedTechnicianId: booking.assignedTechnicianId }] : []),
+        ],
+      },
+      data: { assignedTechnicianId: technicianId, updatedAt: new Date() },
+    });
+    return result.count;
+  },
+
   /**
    * Soft delete a task
    */
@@ -266,118 +510,159 @@ const taskRepository = {
 
   /**
    * Update task statuses for expiring tasks
-   * 1. completed + due_date within 60 days -> due soon
+   * 1. completed + due_date within the due-soon window -> due soon
    * 2. due soon + past due_date -> expired
+   * 3. completed + due_date passed within `catchUpDays` -> expired (due-soon window skipped by missed runs)
+   * Each change is recorded in TASK_STATUS_HISTORY with source 'cron'.
+   * @param {Object} options
+   * @param {Function} options.getDueSoonDays - (task) => due-soon window in days for that task
+   * @param {number} options.maxDueSoonDays - Largest window across all policies
+   * @param {number} options.catchUpDays - How far back missed runs are caught up
    */
-  async updateExpiredStatuses() {
+  async updateExpiredStatuses({ getDueSoonDays = () => 60, maxDueSoonDays = 60, catchUpDays = 0 } = {}) {
     const now = new Date();
-    const sixtyDaysFromNow = new Date();
-    sixtyDaysFromNow.setDate(sixtyDaysFromNow.getDate() + 60);
+    const dayMs = 24 * 60 * 60 * 1000;
+    const windowEnd = new Date(now.getTime() + maxDueSoonDays * dayMs);
+    const catchUpStart = new Date(now.getTime() - catchUpDays * dayMs);
 
-    // Update completed -> due soon (due within 60 days, not yet expired)
-    const dueSoonResult = await prisma.task.updateMany({
-      where: {
+    return prisma.$transaction(async (tx) => {
+      // Update completed -> due soon (due within the task's window, not yet expired)
+      const candidates = await tx.task.findMany({
+        where: {
+          status: 'COMPLETED',
+          isActive: true,
+          dueDate: {
+            lte: windowEnd,
+            gte: now,
+          },
+        },
+        select: { id: true, agencyId: true, type: true, dueDate: true },
+      });
+
+      const dueSoonIds = candidates
+        .filter((t) => t.dueDate.getTime() <= now.getTime() + getDueSoonDays(t) * dayMs)
+        .map((t) => t.id);
+
+      const dueSoonCount = dueSoonIds.length > 0
+        ? await this.transitionStatusWithTx(tx, { id: { in: dueSoonIds }, status: 'COMPLETED' }, 'DUE_SOON')
+        : 0;
+
+      // Update due soon -> expired (past due date)
+      const expiredCount = await this.transitionStatusWithTx(tx, {
+        status: 'DUE_SOON',
+        isActive: true,
+        dueDate: { lt: now },
+      }, 'EXPIRED');
+
+      // Update completed -> expired (recently past due date without passing through due soon)
+      const missedCount = await this.transitionStatusWithTx(tx, {
         status: 'COMPLETED',
         isActive: true,
         dueDate: {
-          lte: sixtyDaysFromNow,
-          gte: now,
+          lt: now,
+          gte: catchUpStart,
         },
-      },
-      data: { status: 'DUE_SOON' },
+      }, 'EXPIRED');
+
+      return {
+        dueSoon: dueSoonCount,
+        expired: expiredCount + missedCount,
+      };
     });
+  },
 
-    // Update due soon -> expired (past due date)
-    const expiredResult = await prisma.task.updateMany({
-      where: {
-        status: 'DUE_SOON',
-        isActive: true,
-        dueDate: { lt: now },
-      },
-      data: { status: 'EXPIRED' },
+  /**
+   * Move all tasks matching `where` to `toStatus` and record the history
+   * `where.status` must be a single status allowed to move to `toStatus`; it may be the
+   * stored (legacy lowercase) value, the history records it normalized
+   * @returns {number} Number of tasks updated
+   */
+  async transitionStatusWithTx(tx, where, toStatus, { source = TASK_STATUS_SOURCE.CRON, actorId = null, data = {} } = {}) {
+    if (!canTransition(where.status, toStatus)) {
+      throw new Error(`Invalid task status transition: ${where.status} -> ${toStatus}`);
+    }
+
+    const tasks = await tx.task.findMany({ where, select: { id: true } });
+    if (tasks.length === 0) {
+      return 0;
+    }
+
+    const ids = tasks.map((t) => t.id);
+    await tx.task.updateMany({
+      where: { id: { in: ids } },
+      data: { updatedAt: new Date(), ...data, status: toStatus },
     });
 
-    return {
-      dueSoon: dueSoonResult.count,
-      expired: expiredResult.count,
-    };
+    await tx.taskStatusHistory.createMany({
+      data: ids.map((id) => ({
+        taskId: id,
+        fromStatus: normalizeStatus(where.status),
+        toStatus,
+        source,
+        actorId,
+      })),
+    });
+
+    return ids.length;
   },
 
   /**
-   * Find tasks for reminders:
-   * 1. Advance reminder: COMPLETED status + due_date is approximately 60 days from now
-   *    (to remind agency to book inspection)
-   * 2. Expired reminder: EXPIRED status + due_date just expired (yesterday)
-   *    (to remind agency that task has expired)
+   * Find candidate tasks for reminders:
+   * 1. Before-due: COMPLETED / DUE_SOON tasks due within the next `maxBeforeDueDays` days
+   * 2. After-expiry: EXPIRED tasks whose due date passed within `maxAfterExpiryDays` (+ catch-up) days
+   * Includes already-sent reminder logs so the job can skip or catch up per policy.
    */
-  async findTasksForReminder() {
+  async findTasksForReminder({ maxBeforeDueDays = 60, maxAfterExpiryDays = 1, catchUpDays = 0 } = {}) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
 
-    // 60 days from now (for advance reminder)
-    const sixtyDaysFromNow = new Date(today);
-    sixtyDaysFromNow.setDate(sixtyDaysFromNow.getDate() + 60);
-    const sixtyDaysFromNowPlusOne = new Date(sixtyDaysFromNow);
-    sixtyDaysFromNowPlusOne.setDate(sixtyDaysFromNowPlusOne.getDate() + 1);
+    const beforeDueEnd = new Date(today);
+    beforeDueEnd.setDate(beforeDueEnd.getDate() + maxBeforeDueDays + 1);
 
-    // Yesterday (for expired reminder)
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
+    const afterExpiryStart = new Date(today);
+    afterExpiryStart.setDate(afterExpiryStart.getDate() - maxAfterExpiryDays - catchUpDays);
 
-    // Find COMPLETED tasks with due_date in 60 days (advance reminder)
-    const advanceReminderTasks = await prisma.task.findMany({
+    const include = {
+      property: {
+        include: {
+          user: {
+            include: {
+              agency: true,
+            },
+          },
+          contacts: { where: { isActive: true } },
+        },
+      },
+      reminderLogs: true,
+    };
+
+    const beforeDueTasks = await prisma.task.findMany({
       where: {
         isActive: true,
-        status: 'COMPLETED',
+        status: { in: ['COMPLETED', 'DUE_SOON'] },
         dueDate: {
-          gte: sixtyDaysFromNow,
-          lt: sixtyDaysFromNowPlusOne,
-        },
-      },
-      include: {
-        property: {
-          include: {
-            user: {
-              include: {
-                agency: true,
-              },
-            },
-            contacts: { where: { isActive: true } },
-          },
+          gte: today,
+          lt: beforeDueEnd,
         },
       },
+      include,
     });
 
-    // Find EXPIRED tasks with due_date yesterday (expired reminder)
-    const expiredReminderTasks = await prisma.task.findMany({
+    const afterExpiryTasks = await prisma.task.findMany({
       where: {
         isActive: true,
         status: 'EXPIRED',
         dueDate: {
-          gte: yesterday,
+          gte: afterExpiryStart,
           lt: today,
         },
       },
-      include: {
-        property: {
-          include: {
-            user: {
-              include: {
-                agency: true,
-              },
-            },
-            contacts: { where: { isActive: true } },
-          },
-        },
-      },
+      include,
     });
 
-    // Return tasks with reminder type tag
     return {
-      advanceReminder: advanceReminderTasks,
-      expiredReminder: expiredReminderTasks,
+      beforeDue: beforeDueTasks,
+      afterExpiry: afterExpiryTasks,
     };
   },
 };
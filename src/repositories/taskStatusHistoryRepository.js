@@ -0,0 +1,49 @@
+/**
+ * Task Status History Repository
+ *
+ * Data access layer for TaskStatusHistory entity using Prisma.
+ */
+
+const prisma = require('../config/prisma');
+
+const taskStatusHistoryRepository = {
+  /**
+   * Find history entries for a task (oldest first)
+   */
+  async findByTaskId(taskId) {
+    return prisma.taskStatusHistory.findMany({
+      where: { taskId },
+      include: {
+        actor: {
+          select: { id: true, name: true, email: true, role: true },
+        },
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    });
+  },
+
+  /**
+   * Record a single status change
+   */
+  async create(data) {
+    return this.createWithTx(prisma, data);
+  },
+
+  /**
+   * Record a single status change (with transaction support)
+   */
+  async createWithTx(tx, data) {
+    return tx.taskStatusHistory.create({
+      data: {
+        taskId: data.task_id,
+        fromStatus: data.from_status ? data.from_status.toUpperCase() : null,
+        toStatus: data.to_status.toUpperCase(),
+        source: data.source,
+        actorId: data.actor_id || null,
+        note: data.note || null,
+      },
+    });
+  },
+};
+
+module.exports = taskStatusHistoryRepository;
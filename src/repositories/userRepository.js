@@ -45,6 +45,48 @@ const userRepository = {
     });
   },
 
+  /**
+   * Find active users by a list of emails (case-insensitive)
+   */
+  async findActiveByEmails(emails) {
+    if (emails.length === 0) return [];
+    return prisma.user.findMany({
+      where: {
+        email: { in: emails, mode: 'insensitive' },
+        isActive: true,
+      },
+      select: { id: true, name: true, email: true, role: true, agencyId: true },
+    });
+  },
+
+  /**
+   * Find active superuser / admin users (e.g. to notify about booking changes)
+   */
+  async findActiveAdmins() {
+    return prisma.user.findMany({
+      where: {
+        role: { in: ['superuser', 'admin'] },
+        isActive: true,
+      },
+      select: { id: true, name: true, email: true, role: true },
+    });
+  },
+
+  /**
+   * Find active agency admins of an agency
+   * @param {number} agencyId - Agency ID
+   */
+  async findActiveAgencyAdmins(agencyId) {
+    return prisma.user.findMany({
+      where: {
+        agencyId,
+        role: 'agency-admin',
+        isActive: true,
+      },
+      select: { id: true, name: true, email: true, role: true },
+    });
+  },
+
   /**
    * Find all users with filters and pagination
    */
@@ -183,6 +225,28 @@ const userRepository = {
     });
   },
 
+  /**
+   * Find active user by calendar feed token
+   */
+  async findByCalendarToken(calendarToken) {
+    return prisma.user.findFirst({
+      where: {
+        calendarToken,
+        isActive: true,
+      },
+    });
+  },
+
+  /**
+   * Set (or clear with null) the calendar feed token
+   */
+  async updateCalendarToken(id, calendarToken) {
+    return prisma.user.update({
+      where: { id },
+      data: { calendarToken },
+    });
+  },
+
   /**
    * Find user by reset token hash
    */
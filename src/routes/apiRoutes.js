@@ -16,9 +16,13 @@ const contactController = require('../controllers/contactController');
 const emailController = require('../controllers/emailController');
 const veuProjectController = require('../controllers/veuProjectController');
 const taskFileController = require('../controllers/taskFileController');
+const taskCommentController = require('../controllers/taskCommentController');
 const veuProjectFileController = require('../controllers/veuProjectFileController');
 const inspectionController = require('../controllers/inspectionController');
 const dataImportController = require('../controllers/dataImportController');
+const reminderPolicyController = require('../controllers/reminderPolicyController');
+const emailTemplateController = require('../controllers/emailTemplateController');
+const calendarController = require('../controllers/calendarController');
 
 // Repositories (for simple routes)
 const systemSettingsRepository = require('../repositories/systemSettingsRepository');
@@ -52,14 +56,19 @@ const {
   propertyIdParamSchema,
   listPropertiesQuerySchema,
   batchUpdateRegionSchema,
+  mergePropertiesSchema,
 } = require('../validators/propertyValidator');
 
 const {
   createTaskSchema,
   createTasksSchema,
   updateTaskSchema,
+  bulkTaskSchema,
   taskIdParamSchema,
   listTasksQuerySchema,
+  exportTasksQuerySchema,
+  createTaskCommentSchema,
+  taskCommentParamSchema,
 } = require('../validators/taskValidator');
 
 const {
@@ -73,6 +82,8 @@ const {
   processEmailSchema,
   emailIdParamSchema,
   listEmailsQuerySchema,
+  emailQueueQuerySchema,
+  reviewExtractionSchema,
 } = require('../validators/emailValidator');
 
 const {
@@ -82,6 +93,22 @@ const {
   listVeuProjectsQuerySchema,
 } = require('../validators/veuProjectValidator');
 
+const {
+  createReminderPolicySchema,
+  updateReminderPolicySchema,
+  reminderPolicyIdParamSchema,
+  listReminderPoliciesQuerySchema,
+} = require('../validators/reminderPolicyValidator');
+
+const {
+  emailTemplateKeyParamSchema,
+  emailTemplateVersionIdParamSchema,
+  emailTemplateQuerySchema,
+  saveEmailTemplateSchema,
+  previewEmailTemplateSchema,
+  renderEmailTemplateSchema,
+} = require('../validators/emailTemplateValidator');
+
 // ==================== DASHBOARD ROUTE ====================
 // Direct path for frontend compatibility (maps to same handler as /tasks/dashboard)
 router.get('/dashboard',
@@ -117,6 +144,10 @@ router.get('/settings',
         success: true,
         data: {
           google_map_key: settings.googleMapKey,
+          // SMTP settings used by the smtp mail transport (password is never returned)
+          email_host: settings.emailHost,
+          email_user: settings.emailUser,
+          email_password_set: !!settings.emailPassword,
         },
       });
     } catch (error) {
@@ -135,6 +166,9 @@ router.put('/settings',
         success: true,
         data: {
           google_map_key: settings.googleMapKey,
+          email_host: settings.emailHost,
+          email_user: settings.emailUser,
+          email_password_set: !!settings.emailPassword,
         },
       });
     } catch (error) {
@@ -299,6 +333,14 @@ router.delete('/properties/:id',
   propertyController.deleteProperty
 );
 
+router.post('/properties/:id/merge',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('delete', 'property'),
+  validate(propertyIdParamSchema, 'params'),
+  validate(mergePropertiesSchema),
+  propertyController.mergeProperties
+);
+
 // ==================== TASK ROUTES ====================
 router.get('/tasks',
   authMiddleware.authenticateToken,
@@ -313,6 +355,20 @@ router.get('/tasks/today',
   taskController.getTasksDueToday
 );
 
+router.get('/tasks/export',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'task'),
+  validate(exportTasksQuerySchema, 'query'),
+  taskController.exportTasks
+);
+
+router.get('/tasks/mine',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'task'),
+  validate(listTasksQuerySchema, 'query'),
+  taskController.listMyTasks
+);
+
 router.get('/tasks/dashboard',
   authMiddleware.authenticateToken,
   authMiddleware.requirePermission('read', 'task'),
@@ -333,6 +389,13 @@ router.post('/tasks/batch',
   taskController.createTasks
 );
 
+router.post('/tasks/bulk',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'task'),
+  validate(bulkTaskSchema),
+  taskController.bulkUpdateTasks
+);
+
 router.get('/tasks/:id',
   authMiddleware.authenticateToken,
   authMiddleware.requirePermission('read', 'task'),
@@ -340,6 +403,35 @@ router.get('/tasks/:id',
   taskController.getTaskDetail
 );
 
+router.get('/tasks/:id/history',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'task'),
+  validate(taskIdParamSchema, 'params'),
+  taskController.getTaskStatusHistory
+);
+
+router.get('/tasks/:id/comments',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'task'),
+  validate(taskIdParamSchema, 'params'),
+  taskCommentController.listComments
+);
+
+router.post('/tasks/:id/comments',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'task'), // Task access checked in taskCommentService
+  validate(taskIdParamSchema, 'params'),
+  validate(createTaskCommentSchema),
+  taskCommentController.createComment
+);
+
+router.delete('/tasks/:id/comments/:commentId',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'task'), // Task access and authorship checked in taskCommentService
+  validate(taskCommentParamSchema, 'params'),
+  taskCommentController.deleteComment
+);
+
 router.put('/tasks/:id',
   authMiddleware.authenticateToken,
   authMiddleware.requirePermission('update', 'task'),
@@ -355,6 +447,117 @@ router.delete('/tasks/:id',
   taskController.deleteTask
 );
 
+// ==================== CALENDAR FEED ROUTES ====================
+router.get('/calendar/feed',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'task'),
+  calendarController.getFeed
+);
+
+router.post('/calendar/feed/regenerate',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'task'),
+  calendarController.regenerateFeed
+);
+
+router.delete('/calendar/feed',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'task'),
+  calendarController.revokeFeed
+);
+
+// ==================== REMINDER POLICY ROUTES ====================
+router.get('/reminder-policies',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'agency'),
+  validate(listReminderPoliciesQuerySchema, 'query'),
+  reminderPolicyController.listPolicies
+);
+
+router.get('/reminder-policies/:id',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'agency'),
+  validate(reminderPolicyIdParamSchema, 'params'),
+  reminderPolicyController.getPolicyDetail
+);
+
+router.post('/reminder-policies',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'agency'),
+  validate(createReminderPolicySchema),
+  reminderPolicyController.createPolicy
+);
+
+router.put('/reminder-policies/:id',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'agency'),
+  validate(reminderPolicyIdParamSchema, 'params'),
+  validate(updateReminderPolicySchema),
+  reminderPolicyController.updatePolicy
+);
+
+router.delete('/reminder-policies/:id',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'agency'),
+  validate(reminderPolicyIdParamSchema, 'params'),
+  reminderPolicyController.deletePolicy
+);
+
+// ==================== EMAIL TEMPLATE ROUTES ====================
+router.get('/email-templates',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'agency'),
+  validate(emailTemplateQuerySchema, 'query'),
+  emailTemplateController.listTemplates
+);
+
+router.post('/email-templates/versions/:id/activate',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'agency'),
+  validate(emailTemplateVersionIdParamSchema, 'params'),
+  emailTemplateController.activateVersion
+);
+
+router.get('/email-templates/:key',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'agency'),
+  validate(emailTemplateKeyParamSchema, 'params'),
+  validate(emailTemplateQuerySchema, 'query'),
+  emailTemplateController.getTemplateDetail
+);
+
+router.put('/email-templates/:key',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'agency'),
+  validate(emailTemplateKeyParamSchema, 'params'),
+  validate(saveEmailTemplateSchema),
+  emailTemplateController.saveTemplate
+);
+
+router.delete('/email-templates/:key',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'agency'),
+  validate(emailTemplateKeyParamSchema, 'params'),
+  validate(emailTemplateQuerySchema, 'query'),
+  emailTemplateController.resetTemplate
+);
+
+router.post('/email-templates/:key/preview',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'agency'),
+  validate(emailTemplateKeyParamSchema, 'params'),
+  validate(previewEmailTemplateSchema),
+  emailTemplateController.previewTemplate
+);
+
+router.post('/email-templates/:key/render',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'agency'),
+  validate(emailTemplateKeyParamSchema, 'params'),
+  validate(renderEmailTemplateSchema),
+  emailTemplateController.renderTemplate
+);
+
 // ==================== CONTACT ROUTES ====================
 router.get('/contacts',
   authMiddleware.authenticateToken,
@@ -407,6 +610,20 @@ router.post('/emails/process',
   emailController.processEmail
 );
 
+router.get('/emails/review-queue',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'email'),
+  validate(emailQueueQuerySchema, 'query'),
+  emailController.listReviewQueue
+);
+
+router.get('/emails/dead-letter',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'email'),
+  validate(emailQueueQuerySchema, 'query'),
+  emailController.listDeadLettered
+);
+
 router.get('/emails/:id',
   authMiddleware.authenticateToken,
   authMiddleware.requirePermission('read', 'email'),
@@ -422,6 +639,38 @@ router.post('/emails/:id/process',
   emailController.processStoredEmail
 );
 
+// Review queue for low-confidence extractions
+router.put('/emails/:id/review',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'email'),
+  validate(emailIdParamSchema, 'params'),
+  validate(reviewExtractionSchema),
+  emailController.updateReviewExtraction
+);
+
+router.post('/emails/:id/review/approve',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'email'),
+  validate(emailIdParamSchema, 'params'),
+  validate(reviewExtractionSchema),
+  emailController.approveReview
+);
+
+router.post('/emails/:id/review/discard',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'email'),
+  validate(emailIdParamSchema, 'params'),
+  emailController.discardReview
+);
+
+// Requeue a dead-lettered email for automatic processing
+router.post('/emails/:id/requeue',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'email'),
+  validate(emailIdParamSchema, 'params'),
+  emailController.requeueEmail
+);
+
 // ==================== VEU PROJECT ROUTES ====================
 router.get('/veu-projects',
   authMiddleware.authenticateToken,
@@ -500,6 +749,12 @@ router.delete('/tasks/:taskId/files/:fileId',
   taskFileController.deleteTaskFile
 );
 
+router.post('/tasks/:taskId/certificate',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'task'),
+  taskFileController.regenerateCertificate
+);
+
 // ==================== VEU PROJECT FILE ROUTES ====================
 const veuFileUpload = createUpload(['application/pdf', 'image/jpeg', 'image/png', 'image/gif']);
 
@@ -596,6 +851,12 @@ router.get('/inspection/schedules/:id/properties',
   inspectionController.getScheduleProperties
 );
 
+router.get('/inspection/schedules/:id/run-sheet',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('read', 'inspection'),
+  inspectionController.getRunSheet
+);
+
 router.post('/inspection/schedules/:id/notify',
   authMiddleware.authenticateToken,
   authMiddleware.requirePermission('update', 'inspection'),
@@ -633,4 +894,23 @@ router.put('/inspection/bookings/:id/reschedule',
   inspectionController.rescheduleBooking
 );
 
+router.put('/inspection/bookings/:id/assign',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'inspection'),
+  inspectionController.assignTechnician
+);
+
+// ==================== INSPECTION NOTIFICATION ROUTES ====================
+router.post('/inspection/notifications/:id/revoke',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'inspection'),
+  inspectionController.revokeNotificationLink
+);
+
+router.post('/inspection/notifications/:id/regenerate',
+  authMiddleware.authenticateToken,
+  authMiddleware.requirePermission('update', 'inspection'),
+  inspectionController.regenerateNotificationLink
+);
+
 module.exports = router;
@@ -21,6 +21,14 @@ router.get('/daily-tasks', cronController.runDailyTasks);
 router.get('/task-reminders', cronController.runTaskReminders);
 router.get('/task-status-update', cronController.runTaskStatusUpdate);
 
+// Pre-inspection reminders - runs every hour
+// Reminds tenants and agency users before confirmed inspections
+router.get('/inspection-reminders', cronController.runInspectionReminders);
+
+// Invitation follow-ups - runs at 10:00 Melbourne time
+// Re-sends unbooked invitations and alerts agencies after the final notice
+router.get('/inspection-follow-ups', cronController.runInspectionFollowUps);
+
 // Email processing - runs every 5 minutes
 // Processes unprocessed emails with AI (Step 2 of 2-step processing)
 router.get('/process-emails', cronController.runEmailProcessing);
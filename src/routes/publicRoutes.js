@@ -8,11 +8,15 @@
 const express = require('express');
 const router = express.Router();
 const publicBookingService = require('../services/publicBookingService');
+const calendarFeedService = require('../services/calendarFeedService');
 const { sendSuccess } = require('../lib/response');
 const {
   bookingTokenParamSchema,
   submitBookingSchema,
+  cancelPublicBookingSchema,
+  reschedulePublicBookingSchema,
 } = require('../validators/inspectionValidator');
+const { calendarTokenParamSchema } = require('../validators/taskValidator');
 
 /**
  * GET /public/booking/:token
@@ -61,4 +65,51 @@ router.get('/booking/:token/status', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /public/booking/:token/cancel
+ * Cancel a booking (not within the change cut-off)
+ */
+router.post('/booking/:token/cancel', async (req, res, next) => {
+  try {
+    const { token } = bookingTokenParamSchema.parse(req.params);
+    const data = cancelPublicBookingSchema.parse(req.body || {});
+    const result = await publicBookingService.cancelBooking(token, data);
+    sendSuccess(res, { data: result.booking, message: result.message });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /public/booking/:token/reschedule
+ * Move a booking to another slot (not within the change cut-off)
+ */
+router.post('/booking/:token/reschedule', async (req, res, next) => {
+  try {
+    const { token } = bookingTokenParamSchema.parse(req.params);
+    const data = reschedulePublicBookingSchema.parse(req.body);
+    const result = await publicBookingService.rescheduleBooking(token, data);
+    sendSuccess(res, { data: result.booking, message: result.message });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /public/calendar/:token.ics
+ * iCalendar subscription feed of task due and inspection dates
+ */
+router.get('/calendar/:token.ics', async (req, res, next) => {
+  try {
+    const { token } = calendarTokenParamSchema.parse(req.params);
+    const ics = await calendarFeedService.buildFeed(token);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="rjl-tasks.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.status(200).send(ics);
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -20,7 +20,7 @@ const webhookLimiter = createRateLimiter({
 // Health check
 router.get('/health', webhookController.healthCheck);
 
-// Resend inbound email webhook
+// Resend webhook: inbound emails and outbound delivery events
 // Resend sends POST requests with JSON body
 router.post('/resend/inbound', webhookLimiter, webhookController.handleResendInbound);
 
@@ -0,0 +1,86 @@
+/**
+ * Assignment Notification Service
+ *
+ * Emails technicians when a task or a confirmed inspection booking is assigned to them.
+ */
+
+const dayjs = require('dayjs');
+const resendEmailService = require('./resendEmailService');
+const { formatInspectionTime } = require('../lib/inspectionTime');
+const logger = require('../lib/logger');
+
+const assignmentNotificationService = {
+  /**
+   * Notify a technician that a task was assigned to them
+   * @param {Object} task - Task with property relation
+   * @param {Object} technician - Assigned user
+   */
+  async sendTaskAssignment(task, technician) {
+    const frontendUrl = process.env.FRONTEND_URL || 'https://yourdomain.com';
+    const taskDetailUrl = `${frontendUrl}/property/tasks/${task.id}`;
+
+    const subject = `New Task Assigned: ${task.taskName || `Task #${task.id}`}`;
+    const text =
+      `Hello ${technician.name || 'Technician'},\n\n` +
+      `The following task has been assigned to you.\n\n` +
+      `------------------------------------------------------\n` +
+      `Task Name: ${task.taskName || 'N/A'}\n` +
+      `Task Type: ${task.type || 'N/A'}\n` +
+      `Property Address: ${task.property?.address || 'N/A'}\n` +
+      `Due Date: ${task.dueDate ? dayjs(task.dueDate).format('YYYY-MM-DD') : 'N/A'}\n` +
+      `Inspection Date: ${task.inspectionDate ? formatInspectionTime(task.inspectionDate, 'YYYY-MM-DD HH:mm') : 'N/A'}\n` +
+      (task.taskDescription ? `Description: ${task.taskDescription}\n` : '') +
+      `------------------------------------------------------\n\n` +
+      `To view this task, please click the link below:\n` +
+      `${taskDetailUrl}\n\n` +
+      'Best regards,\n' +
+      'RJL System';
+
+    await resendEmailService.sendEmail({
+      to: technician.email,
+      subject,
+      text,
+      saveToDb: true,
+      property_id: task.propertyId,
+      agency_id: task.agencyId,
+    });
+
+    logger.info('Sent task assignment email', { taskId: task.id, technicianId: technician.id });
+  },
+
+  /**
+   * Notify a technician that an inspection booking was assigned to them
+   * @param {Object} booking - Booking with slot.schedule and property relations
+   * @param {Object} technician - Assigned user
+   */
+  async sendBookingAssignment(booking, technician) {
+    const scheduleDate = booking.slot?.schedule?.scheduleDate;
+    const dateStr = scheduleDate ? dayjs(scheduleDate).format('dddd, D MMMM YYYY') : 'N/A';
+
+    const subject = `Inspection Assigned: ${booking.property?.address || `Booking #${booking.id}`} on ${dateStr}`;
+    const text =
+      `Hello ${technician.name || 'Technician'},\n\n` +
+      `The following inspection has been assigned to you.\n\n` +
+      `------------------------------------------------------\n` +
+      `Property Address: ${booking.property?.address || 'N/A'}\n` +
+      `Date: ${dateStr}\n` +
+      `Time: ${booking.slot ? `${booking.slot.startTime} - ${booking.slot.endTime}` : 'N/A'}\n` +
+      `Contact: ${booking.contactName || 'N/A'}${booking.contactPhone ? ` (${booking.contactPhone})` : ''}\n` +
+      (booking.note ? `Note: ${booking.note}\n` : '') +
+      `------------------------------------------------------\n\n` +
+      'Best regards,\n' +
+      'RJL System';
+
+    await resendEmailService.sendEmail({
+      to: technician.email,
+      subject,
+      text,
+      saveToDb: true,
+      property_id: booking.propertyId,
+    });
+
+    logger.info('Sent booking assignment email', { bookingId: booking.id, technicianId: technician.id });
+  },
+};
+
+module.exports = assignmentNotificationService;
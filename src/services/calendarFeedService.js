@@ -0,0 +1,145 @@
+/**
+ * Calendar Feed Service
+ *
+ * Per-user .ics subscription feed of task due dates and inspection dates.
+ * The feed is authenticated by a token in the URL (calendar apps cannot send
+ * our JWT) and lists the tasks in the user's scope, same rules as buildTaskScope.
+ */
+
+const dayjs = require('dayjs');
+const userRepository = require('../repositories/userRepository');
+const taskRepository = require('../repositories/taskRepository');
+const taskService = require('./taskService');
+const { generateCalendarToken } = require('../lib/tokenGenerator');
+const { buildCalendar } = require('../lib/icalendar');
+const { NotFoundError } = require('../lib/errors');
+const logger = require('../lib/logger');
+
+// How far back past dates stay in the feed
+const FEED_LOOKBACK_DAYS = 90;
+
+const EVENT_UID_DOMAIN = 'rjlagroup.com';
+
+const calendarFeedService = {
+  /**
+   * Get the user's feed token, creating one on first use
+   */
+  async getFeedToken(requestingUser) {
+    const user = await userRepository.findById(requestingUser.user_id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    if (user.calendarToken) {
+      return user.calendarToken;
+    }
+
+    return this.regenerateFeedToken(requestingUser);
+  },
+
+  /**
+   * Issue a new feed token; the previous feed URL stops working
+   */
+  async regenerateFeedToken(requestingUser) {
+    const token = generateCalendarToken();
+    await userRepository.updateCalendarToken(requestingUser.user_id, token);
+
+    logger.info('Calendar feed token issued', { userId: requestingUser.user_id });
+    return token;
+  },
+
+  /**
+   * Revoke the feed token
+   */
+  async revokeFeedToken(requestingUser) {
+    await userRepository.updateCalendarToken(requestingUser.user_id, null);
+
+    logger.info('Calendar feed token revoked', { userId: requestingUser.user_id });
+  },
+
+  /**
+   * Build the .ics feed for a token
+   * @returns {Promise<string>} iCalendar text
+   */
+  async buildFeed(token) {
+    const user = await userRepository.findByCalendarToken(token);
+    if (!user) {
+      throw new NotFoundError('Calendar feed');
+    }
+
+    // Scope by the user's current role and agency, not the ones at token creation
+    const scope = await taskService.buildTaskScope({
+      user_id: user.id,
+      role: user.role,
+      agency_id: user.agencyId,
+    });
+
+    const since = dayjs().subtract(FEED_LOOKBACK_DAYS, 'day').startOf('day').toDate();
+    const tasks = await taskRepository.findForCalendar(scope, since);
+
+    const events = [];
+    for (const task of tasks) {
+      if (task.dueDate && task.dueDate >= since) {
+        events.push(this.buildDueDateEvent(task));
+      }
+      if (task.inspectionDate && task.inspectionDate >= since) {
+        events.push(this.buildInspectionEvent(task));
+      }
+    }
+
+    return buildCalendar({ name: 'RJL Compliance', events });
+  },
+
+  /**
+   * All-day event on the task's due date
+   */
+  buildDueDateEvent(task) {
+    return {
+      uid: `task-${task.id}-due@${EVENT_UID_DOMAIN}`,
+      summary: `Due: ${this.getTaskLabel(task)}`,
+      description: this.getTaskDescription(task),
+      location: task.property?.address,
+      url: this.getTaskUrl(task),
+      start: task.dueDate,
+      allDay: true,
+      lastModified: task.updatedAt || task.createdAt,
+    };
+  },
+
+  /**
+   * One-hour event at the task's inspection date and time
+   */
+  buildInspectionEvent(task) {
+    return {
+      uid: `task-${task.id}-inspection@${EVENT_UID_DOMAIN}`,
+      summary: `Inspection: ${this.getTaskLabel(task)}`,
+      description: this.getTaskDescription(task),
+      location: task.property?.address,
+      url: this.getTaskUrl(task),
+      start: task.inspectionDate,
+      allDay: false,
+      lastModified: task.updatedAt || task.createdAt,
+    };
+  },
+
+  getTaskLabel(task) {
+    const name = task.taskName || task.type || `Task #${task.id}`;
+    return task.property?.address ? `${name} - ${task.property.address}` : name;
+  },
+
+  getTaskDescription(task) {
+    return [
+      `Task: ${task.taskName || 'N/A'}`,
+      `Type: ${task.type || 'N/A'}`,
+      `Status: ${task.status || 'N/A'}`,
+      `Property: ${task.property?.address || 'N/A'}`,
+    ].join('\n');
+  },
+
+  getTaskUrl(task) {
+    const frontendUrl = process.env.FRONTEND_URL || 'https://yourdomain.com';
+    return `${frontendUrl}/property/tasks/${task.id}`;
+  },
+};
+
+module.exports = calendarFeedService;
@@ -0,0 +1,156 @@
+/**
+ * Compliance Certificate Service
+ *
+ * Generates the branded compliance certificate PDF for completed smoke alarm and
+ * gas & electricity tasks, stores it in S3 and attaches it to the task as a TaskFile.
+ */
+
+const PDFDocument = require('pdfkit');
+const { v4: uuidv4 } = require('uuid');
+const dayjs = require('dayjs');
+const s3 = require('../../config/aws');
+const taskFileRepository = require('../repositories/taskFileRepository');
+const { formatInspectionTime } = require('../lib/inspectionTime');
+const { TASK_TYPE } = require('../config/constants');
+const logger = require('../lib/logger');
+
+const CERTIFICATE_FILE_DESC = 'Compliance certificate';
+
+// Generated certificates are stored under their own S3 key prefix, which marks them
+// apart from user uploads so only they are replaced on regeneration
+const getCertificateKeyPrefix = (taskId) => `task-files/${taskId}/certificates/`;
+
+const CERTIFICATE_TITLES = {
+  [TASK_TYPE.SMOKE_ALARM]: 'Smoke Alarm Safety Check',
+  [TASK_TYPE.GAS_ELECTRICITY]: 'Gas & Electricity Safety Check',
+};
+
+const BRAND_COLOR = '#1e3a5f';
+const MUTED_COLOR = '#6b7280';
+
+const complianceCertificateService = {
+  /**
+   * Check if a certificate is issued for this task type
+   */
+  isEligible(task) {
+    return Boolean(CERTIFICATE_TITLES[task.type]);
+  },
+
+  /**
+   * Generate the certificate and attach it to the task, replacing any previous one
+   * @param {Object} task - Task with property.user.agency and assignedTechnician relations
+   * @param {Date|null} nextDueDate - Next compliance due date shown on the certificate
+   * @returns {Promise<Object>} Created TaskFile record
+   */
+  async generate(task, nextDueDate) {
+    const buffer = await this.renderPdf(task, nextDueDate);
+
+    const fileName = `compliance-certificate-${task.id}.pdf`;
+    const fileKey = `${getCertificateKeyPrefix(task.id)}${uuidv4()}-${fileName}`;
+
+    await s3
+      .upload({
+        Bucket: process.env.S3_BUCKET,
+        Key: fileKey,
+        Body: buffer,
+        ContentType: 'application/pdf',
+      })
+      .promise();
+
+    const previous = await taskFileRepository.findByTaskIdAndKeyPrefix(task.id, getCertificateKeyPrefix(task.id));
+
+    const record = await taskFileRepository.create({
+      task_id: task.id,
+      file_s3_key: fileKey,
+      file_name: fileName,
+      file_desc: CERTIFICATE_FILE_DESC,
+    });
+
+    for (const file of previous) {
+      try {
+        await s3
+          .deleteObject({
+            Bucket: process.env.S3_BUCKET,
+            Key: file.fileS3Key,
+          })
+          .promise();
+        await taskFileRepository.delete(file.id);
+      } catch (error) {
+        logger.error('Failed to remove previous compliance certificate', { taskId: task.id, fileId: file.id, error: error.message });
+      }
+    }
+
+    logger.info('Generated compliance certificate', { taskId: task.id, fileId: record.id });
+    return record;
+  },
+
+  /**
+   * Render the certificate PDF
+   * @returns {Promise<Buffer>} PDF content
+   */
+  renderPdf(task, nextDueDate) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const formatDate = (date) => (date ? dayjs(date).format('D MMMM YYYY') : 'N/A');
+      const issuedAt = new Date();
+      const agency = task.agency || task.property?.user?.agency;
+
+      // Header band
+      doc.rect(0, 0, doc.page.width, 90).fill(BRAND_COLOR);
+      doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(22)
+        .text('RJL', 50, 30);
+      doc.font('Helvetica').fontSize(10)
+        .text('Property Compliance Services', 50, 58);
+
+      // Title
+      doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(20)
+        .text('Certificate of Compliance', 50, 130, { align: 'center' });
+      doc.fillColor('#111827').font('Helvetica').fontSize(14)
+        .text(CERTIFICATE_TITLES[task.type], { align: 'center' });
+      doc.fillColor(MUTED_COLOR).fontSize(10)
+        .text(`Certificate No. RJL-${task.id}-${dayjs(issuedAt).format('YYYYMMDD')}`, { align: 'center' });
+
+      // Details
+      const rows = [
+        ['Property Address', task.property?.address || 'N/A'],
+        ['Agency', agency?.agencyName || 'N/A'],
+        ['Task Type', CERTIFICATE_TITLES[task.type]],
+        ['Inspection Date', task.inspectionDate ? formatInspectionTime(task.inspectionDate, 'D MMMM YYYY') : 'N/A'],
+        ['Next Due Date', formatDate(nextDueDate)],
+        ['Technician', task.assignedTechnician?.name || task.assignedTechnician?.email || 'N/A'],
+      ];
+
+      let y = 240;
+      for (const [label, value] of rows) {
+        doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(10).text(label, 70, y, { width: 140 });
+        doc.fillColor('#111827').font('Helvetica-Bold').fontSize(11).text(value, 210, y, { width: 320 });
+        y = Math.max(doc.y, y + 14) + 14;
+        doc.moveTo(70, y - 7).lineTo(530, y - 7).strokeColor('#e5e7eb').lineWidth(0.5).stroke();
+      }
+
+      // Statement
+      doc.fillColor('#111827').font('Helvetica').fontSize(10)
+        .text(
+          'This certifies that the safety check listed above was carried out at the property on the inspection date '
+          + 'and the property was found compliant at that time. The next check is due on or before the next due date.',
+          70, y + 20, { width: 460, align: 'justify' }
+        );
+
+      // Footer
+      doc.fillColor(MUTED_COLOR).fontSize(8)
+        .text(
+          `Issued ${formatDate(issuedAt)} · workorder@rjlagroup.com`,
+          50, doc.page.height - 70, { width: doc.page.width - 100, align: 'center' }
+        );
+
+      doc.end();
+    });
+  },
+};
+
+module.exports = complianceCertificateService;
@@ -6,6 +6,7 @@
 
 const contactRepository = require('../repositories/contactRepository');
 const propertyRepository = require('../repositories/propertyRepository');
+const propertyService = require('./propertyService');
 const { NotFoundError, ForbiddenError } = require('../lib/errors');
 const { USER_ROLES } = require('../config/constants');
 const { createPagination } = require('../lib/response');
@@ -120,7 +121,14 @@ const contactService = {
       }
     }
 
-    await contactRepository.update(id, data);
+    // A new email address clears the bounce flag of the old one
+    const emailChanged = data.email !== undefined
+      && (data.email || '').toLowerCase() !== (contact.email || '').toLowerCase();
+
+    await contactRepository.update(id, {
+      ...data,
+      ...(emailChanged && { email_bounced_at: null, email_bounce_reason: null }),
+    });
     return contactRepository.findByIdWithRelations(id);
   },
 
@@ -153,6 +161,9 @@ const contactService = {
     if (requestingUser.role === USER_ROLES.AGENCY_ADMIN) {
       return property.user?.agencyId === requestingUser.agency_id;
     }
+    if (requestingUser.role === USER_ROLES.TECHNICIAN) {
+      return propertyService.isAssignedToTechnician(property, requestingUser.user_id);
+    }
     return property.userId === requestingUser.user_id;
   },
 
@@ -160,11 +171,7 @@ const contactService = {
    * Check if user can access property
    */
   canAccessProperty(requestingUser, property) {
-    if (['superuser', 'admin'].includes(requestingUser.role)) return true;
-    if (requestingUser.role === USER_ROLES.AGENCY_ADMIN) {
-      return property.user?.agencyId === requestingUser.agency_id;
-    }
-    return property.userId === requestingUser.user_id;
+    return propertyService.canAccessProperty(requestingUser, property);
   },
 
   /**
@@ -176,6 +183,8 @@ const contactService = {
       name: contact.name,
       phone: contact.phone,
       email: contact.email,
+      email_bounced_at: contact.emailBouncedAt || null,
+      email_bounce_reason: contact.emailBounceReason || null,
       property_id: contact.propertyId,
       is_active: contact.isActive,
       created_at: contact.createdAt,
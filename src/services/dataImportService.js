@@ -10,24 +10,12 @@ const { Readable } = require('stream');
 const prisma = require('../config/prisma');
 const logger = require('../lib/logger');
 const { AppError } = require('../lib/errors');
+const { detectTaskTypes } = require('../lib/taskTypeDetection');
+const { getAddressKey, getAddressKeyPrefix } = require('../lib/addressNormalizer');
+const { parseInspectionTime } = require('../lib/inspectionTime');
+const propertyMatchService = require('./propertyMatchService');
 const { TASK_STATUS } = require('../config/constants');
 
-/**
- * Detect task types from description
- * @param {string} description - Description from CSV
- * @returns {Object} { hasGasElec, hasSmokeAlarm, hasSafetyCheck }
- */
-function detectTaskTypes(description) {
-  if (!description) return { hasGasElec: false, hasSmokeAlarm: false, hasSafetyCheck: false };
-
-  const lower = description.toLowerCase();
-  return {
-    hasGasElec: lower.includes('gas') || lower.includes('electric'),
-    hasSmokeAlarm: lower.includes('smoke') || lower.includes('alarm'),
-    hasSafetyCheck: lower.includes('safety check'),
-  };
-}
-
 /**
  * Map region string from CSV to standardized region
  */
@@ -53,14 +41,10 @@ function mapRegion(regionStr) {
 function parseSchedule(scheduleStr) {
   if (!scheduleStr) return null;
 
-  // Match YYYY-MM-DD HH:MM pattern (first occurrence)
+  // Match YYYY-MM-DD HH:MM pattern (first occurrence), a Melbourne wall time
   const match = scheduleStr.match(/(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2})/);
   if (match) {
-    const dateTimeStr = `${match[1]}T${match[2]}:00`;
-    const date = new Date(dateTimeStr);
-    if (!isNaN(date.getTime())) {
-      return date;
-    }
+    return parseInspectionTime(`${match[1]} ${match[2]}`);
   }
 
   return null;
@@ -120,6 +104,7 @@ async function importCsv(csvBuffer, user) {
     created: 0,
     skipped: 0,
     errors: [],
+    warnings: [],
   };
 
   // Parse CSV
@@ -213,23 +198,45 @@ async function importCsv(csvBuffer, user) {
     }
   });
 
-  // 1d. Get all existing properties (single query)
-  const allAddresses = [...new Set(rows.map(row => row['Job Address']).filter(Boolean))];
-  const existingProperties = allAddresses.length > 0
+  // 1d. Get all existing properties in the involved agencies (single query)
+  const agencyProperties = agencyIds.length > 0
     ? await prisma.property.findMany({
         where: {
-          address: { in: allAddresses },
           isActive: true,
+          user: { agencyId: { in: agencyIds } },
         },
+        select: { id: true, address: true, addressKey: true, userId: true, user: { select: { agencyId: true } } },
       })
     : [];
 
-  // Build address+userId -> property map
+  // Group candidates by agency + street number (unparseable addresses by exact address)
+  const candidateMap = new Map();
+  agencyProperties.forEach(prop => {
+    const key = `${prop.user.agencyId}|${getAddressKeyPrefix(prop.address) || prop.address}`;
+    if (!candidateMap.has(key)) {
+      candidateMap.set(key, []);
+    }
+    candidateMap.get(key).push(prop);
+  });
+
+  // Match each distinct agency+address -> { match, duplicates }
   const propertyMap = new Map();
-  existingProperties.forEach(prop => {
-    propertyMap.set(`${prop.address}|${prop.userId}`, prop);
+  rows.forEach(row => {
+    const agency = agencyMap.get(row['Customer']?.toLowerCase());
+    const address = row['Job Address'];
+    if (!agency || !address) return;
+
+    const matchKey = `${agency.id}|${address}`;
+    if (propertyMap.has(matchKey)) return;
+
+    const candidates = candidateMap.get(`${agency.id}|${getAddressKeyPrefix(address) || address}`) || [];
+    propertyMap.set(matchKey, propertyMatchService.matchCandidates(address, candidates));
   });
 
+  const existingProperties = [...new Map(
+    [...propertyMap.values()].filter(m => m.match).map(m => [m.match.id, m.match])
+  ).values()];
+
   // 1e. Get all existing contacts (single query)
   const propertyIds = existingProperties.map(p => p.id);
   const existingContacts = propertyIds.length > 0
@@ -251,6 +258,7 @@ async function importCsv(csvBuffer, user) {
     agencies: agencies.length,
     users: allUsers.length,
     existingTasks: existingTasks.length,
+    agencyProperties: agencyProperties.length,
     existingProperties: existingProperties.length,
     existingContacts: existingContacts.length,
   });
@@ -262,7 +270,7 @@ async function importCsv(csvBuffer, user) {
   const tasksToCreate = [];
 
   // Track properties we're creating in this batch (to avoid duplicates within batch)
-  const newPropertyKeys = new Map(); // address|userId -> temp index
+  const newPropertyKeys = new Map(); // addressKey|userId -> temp index
 
   for (let i = 0; i < rows.length; i++) {
     const row = rows[i];
@@ -337,7 +345,9 @@ async function importCsv(csvBuffer, user) {
       }
 
       const assignedUser = agencyUsers[0];
-      const propertyKey = `${address}|${assignedUser.id}`;
+      const addressKey = getAddressKey(address);
+      const propertyKey = `${addressKey || address}|${assignedUser.id}`;
+      const { match, duplicates } = propertyMap.get(`${agency.id}|${address}`);
 
       // Check task types
       const { hasGasElec, hasSmokeAlarm, hasSafetyCheck } = detectTaskTypes(description);
@@ -360,8 +370,8 @@ async function importCsv(csvBuffer, user) {
 
       // Check/prepare property
       let propertyRef;
-      if (propertyMap.has(propertyKey)) {
-        propertyRef = { type: 'existing', property: propertyMap.get(propertyKey) };
+      if (match) {
+        propertyRef = { type: 'existing', property: match };
       } else if (newPropertyKeys.has(propertyKey)) {
         propertyRef = { type: 'batch', index: newPropertyKeys.get(propertyKey) };
       } else {
@@ -369,11 +379,19 @@ async function importCsv(csvBuffer, user) {
         const newIndex = propertiesToCreate.length;
         propertiesToCreate.push({
           address: address,
+          addressKey,
           userId: assignedUser.id,
           region: mapRegion(region),
         });
         newPropertyKeys.set(propertyKey, newIndex);
         propertyRef = { type: 'batch', index: newIndex };
+
+        if (duplicates.length > 0) {
+          const [closest] = duplicates;
+          results.warnings.push(
+            `Row ${rowNum}: Address "${address}" looks like existing property "${closest.address}" (ID: ${closest.id}), created as a new property`
+          );
+        }
       }
 
       // Prepare contact if needed
@@ -425,14 +443,16 @@ async function importCsv(csvBuffer, user) {
   if (propertiesToCreate.length > 0) {
     // Use PostgreSQL UNNEST for true bulk insert (single query, returns IDs)
     const addresses = propertiesToCreate.map(p => p.address);
+    const addressKeys = propertiesToCreate.map(p => p.addressKey);
     const userIds = propertiesToCreate.map(p => p.userId);
     const regions = propertiesToCreate.map(p => p.region);
 
     try {
       const createdProperties = await prisma.$queryRaw`
-        INSERT INTO "Property" ("address", "userId", "region")
+        INSERT INTO "Property" ("address", "addressKey", "userId", "region")
         SELECT * FROM UNNEST(
           ${addresses}::text[],
+          ${addressKeys}::text[],
           ${userIds}::integer[],
           ${regions}::text[]
         )
@@ -535,6 +555,7 @@ async function importCsv(csvBuffer, user) {
     created: results.created,
     skipped: results.skipped,
     errorCount: results.errors.length,
+    warningCount: results.warnings.length,
   });
 
   return results;
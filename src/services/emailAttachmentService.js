@@ -0,0 +1,284 @@
+/**
+ * Email Attachment Service
+ *
+ * Downloads inbound email attachments from the Resend Receiving API, validates
+ * them with the same type/extension/magic-byte checks as file uploads, stores
+ * them in S3 and copies them to the tasks created from the email.
+ */
+
+const path = require('path');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const s3 = require('../../config/aws');
+const emailAttachmentRepository = require('../repositories/emailAttachmentRepository');
+const taskFileRepository = require('../repositories/taskFileRepository');
+const { validateMagicBytes, validateExtension, MIME_TO_EXTENSIONS } = require('../middlewares/upload');
+const { EMAIL_ATTACHMENT_STATUS } = require('../config/constants');
+const logger = require('../lib/logger');
+
+// Same limits as the task file upload
+const ALLOWED_TYPES = Object.keys(MIME_TO_EXTENSIONS);
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+const TASK_FILE_DESC = 'Email attachment';
+
+/**
+ * Make a filename safe to use in an S3 key
+ */
+function sanitizeFileName(fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+  const base = path.basename(fileName, path.extname(fileName)).replace(/[^A-Za-z0-9._-]+/g, '_').slice(0, 100);
+  return `${base || 'attachment'}${ext}`;
+}
+
+const emailAttachmentService = {
+  /**
+   * Pick the attachments worth keeping from a Resend received email
+   * Inline parts (signature logos etc.) are skipped.
+   * @param {Object} fullEmail - Resend Receiving API email
+   * @returns {Array} Attachment metadata for emailAttachmentRepository.createMany
+   */
+  getInboundAttachments(fullEmail) {
+    return (fullEmail.attachments || [])
+      .filter((attachment) => attachment.content_disposition !== 'inline')
+      .map((attachment) => ({
+        external_id: attachment.id,
+        file_name: attachment.filename || 'attachment',
+        content_type: attachment.content_type || null,
+        size: attachment.size || null,
+      }));
+  },
+
+  /**
+   * Store the email's pending attachments and copy them to the given tasks
+   * @param {Object} email - Email record
+   * @param {number[]} taskIds - Tasks created from this email
+   * @returns {Promise<{stored: number, rejected: number, failed: number, linked: number}>}
+   */
+  async processEmailAttachments(email, taskIds) {
+    const attachments = await emailAttachmentRepository.findByEmailId(email.id);
+    const summary = { stored: 0, rejected: 0, failed: 0, linked: 0 };
+
+    const stored = [];
+    for (const attachment of attachments) {
+      // Stored and rejected attachments are final; pending and failed ones are (re)tried
+      const isFinal = [EMAIL_ATTACHMENT_STATUS.STORED, EMAIL_ATTACHMENT_STATUS.REJECTED].includes(attachment.status);
+      const result = isFinal ? attachment : await this.storeAttachment(email, attachment);
+
+      if (result.status === EMAIL_ATTACHMENT_STATUS.STORED) {
+        stored.push(result);
+        summary.stored++;
+      } else if (result.status === EMAIL_ATTACHMENT_STATUS.REJECTED) {
+        summary.rejected++;
+      } else {
+        summary.failed++;
+      }
+    }
+
+    for (const taskId of taskIds) {
+      for (const attachment of stored) {
+        try {
+          await this.copyToTask(attachment, taskId);
+          summary.linked++;
+        } catch (error) {
+          logger.error('[EmailAttachment] Failed to attach file to task', {
+            emailId: email.id,
+            attachmentId: attachment.id,
+            taskId,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    if (attachments.length > 0) {
+      logger.info('[EmailAttachment] Processed email attachments', { emailId: email.id, ...summary });
+    }
+
+    return summary;
+  },
+
+  /**
+   * Download, validate and upload one attachment to S3
+   * @returns {Promise<Object>} Updated attachment record
+   */
+  async storeAttachment(email, attachment) {
+    // Skip the download when Resend already reports the file as too large
+    if (attachment.size && attachment.size > MAX_ATTACHMENT_SIZE) {
+      return emailAttachmentRepository.update(attachment.id, {
+        status: EMAIL_ATTACHMENT_STATUS.REJECTED,
+        error: `File too large (max ${MAX_ATTACHMENT_SIZE / (1024 * 1024)}MB)`,
+      });
+    }
+
+    try {
+      const { buffer, contentType } = await this.downloadAttachment(email.gmailMsgid, attachment.externalId);
+      const mimeType = (attachment.contentType || contentType || '').split(';')[0].trim().toLowerCase();
+
+      const rejection = this.validateAttachment(attachment.fileName, mimeType, buffer);
+      if (rejection) {
+        logger.warn('[EmailAttachment] Attachment rejected', {
+          emailId: email.id,
+          attachmentId: attachment.id,
+          fileName: attachment.fileName,
+          reason: rejection,
+        });
+        return emailAttachmentRepository.update(attachment.id, {
+          status: EMAIL_ATTACHMENT_STATUS.REJECTED,
+          error: rejection,
+          size: buffer.length,
+        });
+      }
+
+      const fileKey = `email-attachments/${email.id}/${uuidv4()}-${sanitizeFileName(attachment.fileName)}`;
+      await s3
+        .upload({
+          Bucket: process.env.S3_BUCKET,
+          Key: fileKey,
+          Body: buffer,
+          ContentType: mimeType,
+        })
+        .promise();
+
+      return emailAttachmentRepository.update(attachment.id, {
+        status: EMAIL_ATTACHMENT_STATUS.STORED,
+        error: null,
+        file_s3_key: fileKey,
+        content_type: mimeType,
+        size: buffer.length,
+      });
+    } catch (error) {
+      logger.error('[EmailAttachment] Failed to store attachment', {
+        emailId: email.id,
+        attachmentId: attachment.id,
+        error: error.message,
+      });
+      return emailAttachmentRepository.update(attachment.id, {
+        status: EMAIL_ATTACHMENT_STATUS.FAILED,
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Check an attachment the same way file uploads are checked
+   * @returns {string|null} Rejection reason, or null if valid
+   */
+  validateAttachment(fileName, mimeType, buffer) {
+    if (!ALLOWED_TYPES.includes(mimeType)) {
+      return `File type not allowed: ${mimeType || 'unknown'}`;
+    }
+    if (!validateExtension({ originalname: fileName }, [mimeType])) {
+      return 'File extension does not match file type';
+    }
+    if (buffer.length > MAX_ATTACHMENT_SIZE) {
+      return `File too large (max ${MAX_ATTACHMENT_SIZE / (1024 * 1024)}MB)`;
+    }
+    if (!validateMagicBytes(buffer, mimeType)) {
+      return 'File content does not match its declared type';
+    }
+    return null;
+  },
+
+  /**
+   * Download attachment content via the Resend Receiving API
+   * https://resend.com/docs/api-reference/emails/retrieve-received-email-attachment
+   * @param {string} resendEmailId - Resend email ID (stored as gmail_msgid)
+   * @param {string} attachmentId - Resend attachment ID
+   */
+  async downloadAttachment(resendEmailId, attachmentId) {
+    const apiKey = process.env.RESEND_API_KEY;
+    if (!apiKey) {
+      throw new Error('RESEND_API_KEY is not configured');
+    }
+
+    const { data } = await axios.get(
+      `https://api.resend.com/emails/receiving/${resendEmailId}/attachments/${attachmentId}`,
+      {
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+        timeout: 5000,
+      }
+    );
+
+    if (!data?.download_url) {
+      throw new Error('Attachment has no download URL');
+    }
+
+    const response = await axios.get(data.download_url, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: MAX_ATTACHMENT_SIZE,
+    });
+
+    return {
+      buffer: Buffer.from(response.data),
+      contentType: data.content_type || response.headers['content-type'],
+    };
+  },
+
+  /**
+   * Copy a stored attachment into the task's files
+   * Each task gets its own S3 object so deleting a task file never affects other tasks.
+   */
+  async copyToTask(attachment, taskId) {
+    const fileKey = `task-files/${taskId}/${uuidv4()}-${sanitizeFileName(attachment.fileName)}`;
+
+    await s3
+      .copyObject({
+        Bucket: process.env.S3_BUCKET,
+        CopySource: encodeURI(`${process.env.S3_BUCKET}/${attachment.fileS3Key}`),
+        Key: fileKey,
+      })
+      .promise();
+
+    return taskFileRepository.create({
+      task_id: taskId,
+      file_s3_key: fileKey,
+      file_name: attachment.fileName,
+      file_desc: TASK_FILE_DESC,
+    });
+  },
+
+  /**
+   * Whether a task file is a copy of an email attachment (rather than a user upload)
+   */
+  isAttachmentCopy(file) {
+    return file.fileDesc === TASK_FILE_DESC;
+  },
+
+  /**
+   * Remove task copies from S3 once their TaskFile rows are gone (failures are logged only)
+   * @param {string[]} fileKeys - S3 keys of the copies
+   */
+  async deleteTaskCopies(fileKeys) {
+    for (const key of fileKeys) {
+      try {
+        await s3
+          .deleteObject({
+            Bucket: process.env.S3_BUCKET,
+            Key: key,
+          })
+          .promise();
+      } catch (error) {
+        logger.error('[EmailAttachment] Failed to delete task copy', { key, error: error.message });
+      }
+    }
+  },
+
+  /**
+   * Format attachment for API response
+   */
+  formatAttachment(attachment) {
+    return {
+      id: attachment.id,
+      file_name: attachment.fileName,
+      content_type: attachment.contentType,
+      size: attachment.size,
+      status: attachment.status,
+      error: attachment.error,
+      created_at: attachment.createdAt,
+    };
+  },
+};
+
+module.exports = emailAttachmentService;
@@ -0,0 +1,149 @@
+/**
+ * Email Delivery Service
+ *
+ * Applies Resend delivery events (delivered, opened, bounced, complained) to the
+ * outbound Email record and the InspectionNotification sent with the same Resend email ID.
+ * Bounced recipient addresses are flagged on their contacts.
+ * https://resend.com/docs/dashboard/webhooks/event-types
+ */
+
+const emailRepository = require('../repositories/emailRepository');
+const inspectionNotificationRepository = require('../repositories/inspectionNotificationRepository');
+const contactRepository = require('../repositories/contactRepository');
+const logger = require('../lib/logger');
+const { EMAIL_DELIVERY_STATUS, NOTIFICATION_STATUS } = require('../config/constants');
+
+// Resend event type -> email delivery status / notification status / timestamp field
+const DELIVERY_EVENTS = {
+  'email.delivered': {
+    emailStatus: EMAIL_DELIVERY_STATUS.DELIVERED,
+    notificationStatus: NOTIFICATION_STATUS.DELIVERED,
+    timestampField: 'delivered_at',
+  },
+  'email.opened': {
+    emailStatus: EMAIL_DELIVERY_STATUS.OPENED,
+    notificationStatus: NOTIFICATION_STATUS.OPENED,
+    timestampField: 'opened_at',
+  },
+  'email.bounced': {
+    emailStatus: EMAIL_DELIVERY_STATUS.BOUNCED,
+    notificationStatus: NOTIFICATION_STATUS.FAILED,
+  },
+  'email.complained': {
+    emailStatus: EMAIL_DELIVERY_STATUS.COMPLAINED,
+    notificationStatus: NOTIFICATION_STATUS.COMPLAINED,
+  },
+};
+
+// Events can arrive out of order; a status never moves back to a lower rank
+const STATUS_RANK = {
+  [EMAIL_DELIVERY_STATUS.SENT]: 0,
+  [EMAIL_DELIVERY_STATUS.DELIVERED]: 1,
+  [EMAIL_DELIVERY_STATUS.OPENED]: 2,
+  [EMAIL_DELIVERY_STATUS.BOUNCED]: 3,
+  [NOTIFICATION_STATUS.FAILED]: 3,
+  [EMAIL_DELIVERY_STATUS.COMPLAINED]: 4,
+};
+
+/**
+ * Check whether a status change moves forward
+ * @param {string|null} current - Current status
+ * @param {string} next - Status from the event
+ * @returns {boolean}
+ */
+function isStatusAdvance(current, next) {
+  return (STATUS_RANK[next] ?? 0) > (STATUS_RANK[current] ?? -1);
+}
+
+/**
+ * Get the failure reason from a bounce/complaint event
+ * @param {Object} payload - Resend webhook payload
+ * @returns {string|null}
+ */
+function getFailureReason(payload) {
+  if (payload.type === 'email.complained') {
+    return 'Recipient marked the email as spam';
+  }
+  const bounce = payload.data?.bounce;
+  if (!bounce) return payload.type === 'email.bounced' ? 'Bounced' : null;
+  return [bounce.type, bounce.subType].filter(Boolean).join('/') + (bounce.message ? `: ${bounce.message}` : '');
+}
+
+const emailDeliveryService = {
+  /**
+   * Check whether a webhook event type is a tracked delivery event
+   * @param {string} type - Resend event type
+   * @returns {boolean}
+   */
+  isDeliveryEvent(type) {
+    return Object.prototype.hasOwnProperty.call(DELIVERY_EVENTS, type);
+  },
+
+  /**
+   * Apply a delivery event to the matching outbound email and inspection notifications
+   * @param {Object} payload - Resend webhook payload ({ type, created_at, data: { email_id, to, bounce } })
+   * @returns {Promise<Object>} { email_id, notification_ids, bounced_contacts }
+   */
+  async handleEvent(payload) {
+    const event = DELIVERY_EVENTS[payload.type];
+    const resendId = payload.data?.email_id;
+    const result = { email_id: null, notification_ids: [], bounced_contacts: 0 };
+    if (!event || !resendId) return result;
+
+    const occurredAt = new Date(payload.data.created_at || payload.created_at || Date.now());
+    const failureReason = getFailureReason(payload);
+
+    // Outbound email record
+    const email = await emailRepository.findByResendId(resendId);
+    if (email) {
+      const update = {};
+      if (isStatusAdvance(email.deliveryStatus, event.emailStatus)) {
+        update.delivery_status = event.emailStatus;
+        if (failureReason) update.delivery_error = failureReason;
+      }
+      if (event.timestampField === 'delivered_at' && !email.deliveredAt) update.delivered_at = occurredAt;
+      if (event.timestampField === 'opened_at' && !email.openedAt) update.opened_at = occurredAt;
+
+      if (Object.keys(update).length > 0) {
+        await emailRepository.updateDelivery(email.id, update);
+      }
+      result.email_id = email.id;
+    }
+
+    // Inspection booking invitations sent as this email
+    const notifications = await inspectionNotificationRepository.findByResendId(resendId);
+    for (const notification of notifications) {
+      const update = {};
+      if (isStatusAdvance(notification.status, event.notificationStatus)) {
+        update.status = event.notificationStatus;
+        if (failureReason) update.failure_reason = failureReason;
+      }
+      if (event.timestampField === 'delivered_at' && !notification.deliveredAt) update.delivered_at = occurredAt;
+      if (event.timestampField === 'opened_at' && !notification.openedAt) update.opened_at = occurredAt;
+
+      if (Object.keys(update).length > 0) {
+        await inspectionNotificationRepository.updateDelivery(notification.id, update);
+      }
+      result.notification_ids.push(notification.id);
+    }
+
+    // Flag bounced addresses so admins can see which tenants never received their emails
+    if (payload.type === 'email.bounced') {
+      const recipients = Array.isArray(payload.data.to) ? payload.data.to : [payload.data.to].filter(Boolean);
+      for (const recipient of recipients) {
+        const { count } = await contactRepository.markEmailBounced(recipient, failureReason);
+        result.bounced_contacts += count;
+      }
+    }
+
+    logger.info('[EmailDelivery] Delivery event processed', {
+      type: payload.type,
+      resendId,
+      ...result,
+    });
+
+    return result;
+  },
+};
+
+module.exports = emailDeliveryService;
@@ -4,18 +4,21 @@
  * Business logic for Email entity.
  */
 
-const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const emailRepository = require('../repositories/emailRepository');
 const propertyRepository = require('../repositories/propertyRepository');
 const contactRepository = require('../repositories/contactRepository');
 const taskRepository = require('../repositories/taskRepository');
+const taskStatusHistoryRepository = require('../repositories/taskStatusHistoryRepository');
 const userRepository = require('../repositories/userRepository');
 const agencyWhitelistRepository = require('../repositories/agencyWhitelistRepository');
-const systemSettingsRepository = require('../repositories/systemSettingsRepository');
-const geminiService = require('./geminiService');
-const { NotFoundError, ForbiddenError, ValidationError } = require('../lib/errors');
-const { USER_ROLES, TASK_TYPE } = require('../config/constants');
+const extractionService = require('./extractionService');
+const emailAttachmentService = require('./emailAttachmentService');
+const emailThreadService = require('./emailThreadService');
+const propertyMatchService = require('./propertyMatchService');
+const geocodingService = require('./geocodingService');
+const { NotFoundError, ForbiddenError, ValidationError, ConflictError } = require('../lib/errors');
+const { USER_ROLES, TASK_TYPE, TASK_STATUS_SOURCE, EMAIL_REVIEW_STATUS } = require('../config/constants');
 const { createPagination } = require('../lib/response');
 const logger = require('../lib/logger');
 
@@ -29,7 +32,26 @@ const emailService = {
       throw new NotFoundError('Email');
     }
 
-    return this.formatEmail(email);
+    const formatted = this.formatEmail(email);
+
+    // Whole conversation (original email, replies and our outbound messages)
+    const threadEmails = await emailThreadService.getThreadEmails(email);
+    if (threadEmails.length > 1) {
+      formatted.thread = {
+        root_id: email.threadId || email.id,
+        emails: threadEmails.map(emailThreadService.formatThreadEmail),
+        tasks: threadEmails.flatMap((e) => e.tasks).map((t) => ({
+          id: t.id,
+          task_name: t.taskName,
+          status: t.status,
+          type: t.type,
+          property_id: t.propertyId,
+          property_address: t.property?.address || null,
+        })),
+      };
+    }
+
+    return formatted;
   },
 
   /**
@@ -65,28 +87,8 @@ const emailService = {
    * Format address using Google Maps API
    */
   async formatAddress(address) {
-    const googleMapKey = await systemSettingsRepository.getGoogleMapKey();
-    if (!googleMapKey) {
-      return address;
-    }
-
-    try {
-      const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-        params: {
-          address: address,
-          key: googleMapKey,
-          components: 'country:AU',
-        },
-      });
-
-      if (response.data.results && response.data.results[0]) {
-        return response.data.results[0].formatted_address;
-      }
-    } catch (error) {
-      logger.warn('Google Maps API error', { error: error.message });
-    }
-
-    return address;
+    const result = await geocodingService.lookup(address);
+    return result?.formattedAddress || address;
   },
 
   /**
@@ -152,8 +154,8 @@ const emailService = {
       logger.info('[Email] Using stripped HTML as body for AI extraction', { bodyLength: bodyForAI.length });
     }
 
-    // Use Gemini AI to extract information
-    const extractedInfo = await geminiService.extractEmailInfo(subject, bodyForAI);
+    // Extract information with the configured provider (Gemini, falling back to rules)
+    const extractedInfo = await extractionService.extractEmailInfo(subject, bodyForAI);
 
     // Find agency and responsible user based on sender email
     // Priority: 1. System user  2. Agency whitelist  3. System admin (fallback)
@@ -278,13 +280,19 @@ const emailService = {
       }
 
       let property = null;
+      let possibleDuplicates = [];
       if (formattedAddress) {
-        property = await propertyRepository.findByAddressAndUser(formattedAddress, agencyUser.id);
+        const { match, duplicates } = await propertyMatchService.findMatches(formattedAddress, {
+          agencyId: agency?.id,
+          userId: agencyUser.id,
+        });
+        property = match;
         if (!property) {
           property = await propertyRepository.create({
             address: formattedAddress,
             user_id: agencyUser.id,
           });
+          possibleDuplicates = duplicates;
         }
       } else {
         const placeholderAddress = `[待补充地址] ${uuidv4().slice(0, 8)} - ${subject || 'Email'} - ${new Date().toISOString().slice(0, 10)}`;
@@ -293,7 +301,7 @@ const emailService = {
           user_id: agencyUser.id,
         });
       }
-      allProperties.push({ id: property.id, address: property.address });
+      allProperties.push({ id: property.id, address: property.address, possibleDuplicates });
 
       // Create contacts for this property
       if (propInfo.contacts && propInfo.contacts.length > 0) {
@@ -328,6 +336,11 @@ const emailService = {
               status: senderType === 'unassigned' ? 'UNASSIGNED' : 'UNKNOWN',
               type: mappedType,
             });
+            await taskStatusHistoryRepository.create({
+              task_id: task.id,
+              to_status: task.status,
+              source: TASK_STATUS_SOURCE.EMAIL,
+            });
             allTasks.push({ id: task.id, task_name: task.taskName, type: mappedType, propertyId: property.id });
           }
         }
@@ -371,6 +384,8 @@ const emailService = {
       extracted: {
         urgency: extractedInfo.urgency,
         summary: extractedInfo.summary,
+        provider: extractedInfo.provider || null,
+        isFallback: !!extractedInfo.isFallback,
         addressFound: allProperties.some((p) => !p.address?.startsWith('[待补充地址]')),
         taskTypes: taskTypesToCreate,
       },
@@ -405,6 +420,20 @@ const emailService = {
       html: email.html,
       agency_id: email.agencyId,
       gmail_msgid: email.gmailMsgid,
+      message_id: email.messageId || null,
+      thread_id: email.threadId || null,
+      review_status: email.reviewStatus || null,
+      extraction: email.extraction || null,
+      reviewed_by: email.reviewedBy || null,
+      reviewed_at: email.reviewedAt || null,
+      process_attempts: email.processAttempts || 0,
+      last_error: email.lastError || null,
+      next_attempt_at: email.nextAttemptAt || null,
+      dead_lettered_at: email.deadLetteredAt || null,
+      delivery_status: email.deliveryStatus || null,
+      delivered_at: email.deliveredAt || null,
+      opened_at: email.openedAt || null,
+      delivery_error: email.deliveryError || null,
       is_processed: email.isProcessed,
       process_note: email.processNote,
       direction: email.direction || 'inbound',
@@ -420,6 +449,10 @@ const emailService = {
       formatted.properties = email.properties.map((p) => ({ id: p.id, address: p.address }));
     }
 
+    if (email.attachments) {
+      formatted.attachments = email.attachments.map(emailAttachmentService.formatAttachment);
+    }
+
     if (email.tasks && email.tasks.length > 0) {
       formatted.tasks = email.tasks.map((t) => ({
         id: t.id,
@@ -453,6 +486,18 @@ const emailService = {
     return formatted;
   },
 
+  /**
+   * Generate process note lines for likely duplicates of a newly created property
+   * @param {Object[]|undefined} duplicates - [{ id, address, score }] from propertyMatchService
+   * @param {string} indent - Line prefix
+   * @returns {string[]}
+   */
+  generateDuplicateNotes(duplicates, indent = '  ') {
+    return (duplicates || []).map(
+      (d) => `${indent}⚠ Possible duplicate of property: ${d.address} (ID: ${d.id}, similarity ${d.score})`
+    );
+  },
+
   /**
    * Generate process note from processing result
    * @param {Object} result - Processing result
@@ -460,6 +505,10 @@ const emailService = {
   generateProcessNote(result) {
     const notes = [];
 
+    if (result.reviewer) {
+      notes.push(`✅ Extraction approved in review (user ID: ${result.reviewer.user_id})`);
+    }
+
     // Sender identification
     if (result.senderType === 'user') {
       notes.push(`✓ Sender identified: System user (${result.agencyUser?.name || result.agencyUser?.email})`);
@@ -483,6 +532,7 @@ const emailService = {
         } else {
           notes.push(`  ✓ Created new property: ${prop.address} (ID: ${prop.id})`);
         }
+        notes.push(...this.generateDuplicateNotes(prop.possibleDuplicates, '    '));
       }
     } else if (properties.length === 1) {
       const prop = properties[0];
@@ -493,6 +543,7 @@ const emailService = {
       } else {
         notes.push(`✓ Created new property: ${prop.address}`);
       }
+      notes.push(...this.generateDuplicateNotes(prop.possibleDuplicates));
     } else {
       notes.push(`⚠ Could not create property`);
     }
@@ -512,6 +563,16 @@ const emailService = {
       notes.push(`ℹ No tasks created: Email type not recognized as SAFETY_CHECK, SMOKE_ALARM, or GAS_&_ELECTRICITY`);
     }
 
+    // Attachments
+    notes.push(...this.generateAttachmentNotes(result.attachments));
+
+    // Extraction provider
+    if (result.extracted?.isFallback) {
+      notes.push(result.extracted.provider
+        ? `⚠ AI extraction unavailable: Used fallback extractor (${result.extracted.provider})`
+        : `⚠ Extraction failed: No provider returned a result`);
+    }
+
     // AI extracted info
     if (result.extracted?.summary) {
       notes.push(`📋 AI Summary: ${result.extracted.summary}`);
@@ -520,6 +581,27 @@ const emailService = {
     return notes.join('\n');
   },
 
+  /**
+   * Generate process note lines for attachment processing
+   * @param {Object|null} attachments - Summary from emailAttachmentService.processEmailAttachments
+   * @returns {string[]}
+   */
+  generateAttachmentNotes(attachments) {
+    const notes = [];
+    if (!attachments || attachments.stored + attachments.rejected + attachments.failed === 0) {
+      return notes;
+    }
+
+    notes.push(`📎 Attachments: ${attachments.stored} stored, ${attachments.linked} attached to tasks`);
+    if (attachments.rejected > 0) {
+      notes.push(`  ⚠ ${attachments.rejected} attachment(s) rejected (type or size not allowed)`);
+    }
+    if (attachments.failed > 0) {
+      notes.push(`  ⚠ ${attachments.failed} attachment(s) failed to download, will retry on re-process`);
+    }
+    return notes;
+  },
+
   /**
    * Process a stored (unprocessed) email by ID
    * Step 2 of 2-step processing: Full AI processing
@@ -539,41 +621,419 @@ const emailService = {
       };
     }
 
-    // If re-processing, clean up old data first
-    if (email.isProcessed) {
+    // If re-processing (or re-extracting an email in review), clean up old data first;
+    // after a failed attempt, only what that attempt created
+    if (email.isProcessed || email.reviewStatus) {
       await this.cleanupBeforeReprocess(emailId);
+    } else if (email.processAttempts > 0 || email.lastError) {
+      await this.cleanupBeforeReprocess(emailId, { since: email.lastAttemptAt });
     }
 
     return this.processStoredEmail(email);
   },
 
+  /**
+   * Attach a reply to its existing thread instead of creating new properties and tasks
+   * @param {Object} email - Email record (reply)
+   * @param {number} threadRootId - Thread root email ID
+   */
+  async processThreadReply(email, threadRootId) {
+    const { id } = email;
+
+    const threadEmails = (await emailRepository.findThread(threadRootId)).filter((e) => e.id !== id);
+    const propertyIds = [...new Set(threadEmails.flatMap((e) => e.properties.map((p) => p.id)))];
+    const taskIds = [...new Set(threadEmails.flatMap((e) => e.tasks.map((t) => t.id)))];
+    const agencyId = threadEmails.find((e) => e.agencyId)?.agencyId || null;
+
+    let attachmentSummary = null;
+    try {
+      attachmentSummary = await emailAttachmentService.processEmailAttachments(email, taskIds);
+    } catch (error) {
+      logger.error('[EmailService] Failed to process email attachments', { emailId: id, error: error.message });
+    }
+
+    const notes = [`↩ Reply to email #${threadRootId}: Added to thread as correspondence`];
+    if (taskIds.length > 0) {
+      notes.push(`📋 Thread tasks: ${taskIds.map((taskId) => `#${taskId}`).join(', ')}`);
+    } else {
+      notes.push('ℹ No tasks in thread');
+    }
+    notes.push(...this.generateAttachmentNotes(attachmentSummary));
+    const processNote = notes.join('\n');
+
+    await emailRepository.markAsProcessed(id, {
+      propertyIds,
+      agencyId,
+      processNote,
+      threadId: threadRootId,
+    });
+
+    logger.info('[EmailService] Attached reply to existing thread', {
+      emailId: id,
+      threadRootId,
+      taskCount: taskIds.length,
+    });
+
+    const updatedEmail = await emailRepository.findByIdWithRelations(id);
+
+    return {
+      email: this.formatEmail(updatedEmail),
+      threadId: threadRootId,
+      properties: propertyIds.map((propertyId) => ({ id: propertyId })),
+      tasks: [],
+      threadTaskIds: taskIds,
+      processNote,
+    };
+  },
+
+  /**
+   * Put an email in the review queue instead of creating records
+   * @param {Object} email - Email record from database
+   * @param {Object} extractedInfo - Extraction result (extractionService format)
+   * @param {string[]} reviewReasons - Low-confidence fields from extractionService.getReviewReasons
+   */
+  async queueForReview(email, extractedInfo, reviewReasons) {
+    const { id } = email;
+    const extraction = this.toReviewExtraction(extractedInfo, reviewReasons);
+
+    const notes = [`⏸ Needs review: Low confidence for ${extraction.review_reasons.join(', ')}`];
+    if (extractedInfo.isFallback) {
+      notes.push(extractedInfo.provider
+        ? `⚠ AI extraction unavailable: Used fallback extractor (${extractedInfo.provider})`
+        : `⚠ Extraction failed: No provider returned a result`);
+    }
+    if (extractedInfo.summary) {
+      notes.push(`📋 AI Summary: ${extractedInfo.summary}`);
+    }
+    const processNote = notes.join('\n');
+
+    await emailRepository.markForReview(id, { extraction, processNote });
+
+    logger.info('[EmailService] Email queued for extraction review', {
+      emailId: id,
+      reviewReasons: extraction.review_reasons,
+      confidence: extraction.confidence,
+    });
+
+    const updatedEmail = await emailRepository.findByIdWithRelations(id);
+
+    return {
+      email: this.formatEmail(updatedEmail),
+      needsReview: true,
+      reviewReasons: extraction.review_reasons,
+      properties: [],
+      tasks: [],
+      task: null,
+      processNote,
+    };
+  },
+
+  /**
+   * Convert an extraction to the stored/API review format (snake_case)
+   * @param {Object} extractedInfo - Extraction result (extractionService format)
+   * @param {string[]} reviewReasons - Low-confidence fields
+   */
+  toReviewExtraction(extractedInfo, reviewReasons = []) {
+    const confidence = extractedInfo.confidence || {};
+
+    return {
+      properties: (extractedInfo.properties || []).map((p) => ({
+        address: p.address || null,
+        contacts: (p.contacts || []).map((c) => ({
+          name: c.name || null,
+          phone: c.phone || null,
+          email: c.email || null,
+        })),
+      })),
+      task_types: extractedInfo.taskTypes || [],
+      urgency: extractedInfo.urgency || 'MEDIUM',
+      summary: extractedInfo.summary || null,
+      confidence: {
+        address: confidence.address ?? null,
+        task_types: confidence.taskTypes ?? null,
+        contacts: confidence.contacts ?? null,
+      },
+      provider: extractedInfo.provider || null,
+      review_reasons: reviewReasons.map((r) => (r === 'taskTypes' ? 'task_types' : r)),
+    };
+  },
+
+  /**
+   * Convert a stored/API review extraction back to extractionService format
+   * @param {Object} extraction - Review extraction (snake_case)
+   */
+  fromReviewExtraction(extraction) {
+    return {
+      properties: extraction.properties,
+      taskTypes: extraction.task_types,
+      urgency: extraction.urgency,
+      summary: extraction.summary,
+      provider: extraction.provider,
+    };
+  },
+
+  /**
+   * Only admins manage the review and dead-letter queues (queued emails have no agency yet)
+   * @param {Object} requestingUser - User context
+   * @param {string} message - Error message
+   */
+  assertAdmin(requestingUser, message) {
+    if (![USER_ROLES.SUPERUSER, USER_ROLES.ADMIN].includes(requestingUser.role)) {
+      throw new ForbiddenError(message);
+    }
+  },
+
+  /**
+   * List dead-lettered emails
+   * @param {Object} requestingUser - User context
+   * @param {Object} options - { page, limit }
+   */
+  async listDeadLettered(requestingUser, { page = 1, limit = 50 }) {
+    this.assertAdmin(requestingUser, 'Only admins can view dead-lettered emails');
+
+    const { emails, total } = await emailRepository.findDeadLettered({
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    return {
+      emails: emails.map(this.formatEmail),
+      pagination: createPagination(page, limit, total),
+    };
+  },
+
+  /**
+   * Requeue a dead-lettered email; the next cron run processes it with a fresh attempt count
+   * @param {number} id - Email ID
+   * @param {Object} requestingUser - User context
+   */
+  async requeueEmail(id, requestingUser) {
+    this.assertAdmin(requestingUser, 'Only admins can requeue emails');
+
+    const email = await emailRepository.findById(id);
+    if (!email) {
+      throw new NotFoundError('Email');
+    }
+    if (!email.deadLetteredAt || email.isProcessed) {
+      throw new ConflictError('Email is not dead-lettered');
+    }
+
+    await emailRepository.requeue(id);
+    logger.info('[EmailService] Dead-lettered email requeued', {
+      emailId: id,
+      previousAttempts: email.processAttempts,
+      userId: requestingUser.user_id,
+    });
+
+    const updatedEmail = await emailRepository.findByIdWithRelations(id);
+    return this.formatEmail(updatedEmail);
+  },
+
+  /**
+   * Get an email that is waiting for review
+   * @param {number} id - Email ID
+   */
+  async getEmailAwaitingReview(id) {
+    const email = await emailRepository.findById(id);
+    if (!email) {
+      throw new NotFoundError('Email');
+    }
+    if (email.reviewStatus !== EMAIL_REVIEW_STATUS.NEEDS_REVIEW) {
+      throw new ConflictError('Email is not awaiting review');
+    }
+    return email;
+  },
+
+  /**
+   * Apply reviewer edits to a stored extraction
+   * @param {Object} extraction - Stored review extraction
+   * @param {Object} edits - Validated edits (properties, task_types, urgency, summary)
+   * @returns {Object} Updated extraction
+   */
+  applyReviewEdits(extraction, edits = {}) {
+    const updated = { ...extraction };
+    if (edits.properties !== undefined) {
+      updated.properties = edits.properties.map((p) => ({
+        address: p.address || null,
+        contacts: (p.contacts || []).map((c) => ({
+          name: c.name || null,
+          phone: c.phone || null,
+          email: c.email || null,
+        })),
+      }));
+    }
+    if (edits.task_types !== undefined) updated.task_types = edits.task_types;
+    if (edits.urgency !== undefined) updated.urgency = edits.urgency;
+    if (edits.summary !== undefined) updated.summary = edits.summary;
+    return updated;
+  },
+
+  /**
+   * List emails waiting for extraction review
+   * @param {Object} requestingUser - User context
+   * @param {Object} options - { page, limit }
+   */
+  async listReviewQueue(requestingUser, { page = 1, limit = 50 }) {
+    this.assertAdmin(requestingUser, 'Only admins can review email extractions');
+
+    const { emails, total } = await emailRepository.findReviewQueue({
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    return {
+      emails: emails.map(this.formatEmail),
+      pagination: createPagination(page, limit, total),
+    };
+  },
+
+  /**
+   * Edit the proposed extraction of an email in the review queue
+   * @param {number} id - Email ID
+   * @param {Object} data - Edits (properties, task_types, urgency, summary)
+   * @param {Object} requestingUser - User context
+   */
+  async updateReviewExtraction(id, data, requestingUser) {
+    this.assertAdmin(requestingUser, 'Only admins can review email extractions');
+    const email = await this.getEmailAwaitingReview(id);
+
+    const extraction = this.applyReviewEdits(email.extraction, data);
+    await emailRepository.updateReview(id, { extraction });
+
+    const updatedEmail = await emailRepository.findByIdWithRelations(id);
+    return this.formatEmail(updatedEmail);
+  },
+
+  /**
+   * Approve the (optionally edited) extraction and create properties, contacts and tasks
+   * @param {number} id - Email ID
+   * @param {Object} data - Optional last edits before approval
+   * @param {Object} requestingUser - User context
+   */
+  async approveReview(id, data, requestingUser) {
+    this.assertAdmin(requestingUser, 'Only admins can review email extractions');
+    const email = await this.getEmailAwaitingReview(id);
+
+    const extraction = this.applyReviewEdits(email.extraction, data);
+    if (!extraction.properties || extraction.properties.length === 0 || extraction.properties.some((p) => !p.address)) {
+      throw new ValidationError('Every property needs an address before approval');
+    }
+
+    // Claim the email so a concurrent approve/discard cannot create records twice
+    const claimed = await emailRepository.transitionReviewStatus(
+      id,
+      EMAIL_REVIEW_STATUS.NEEDS_REVIEW,
+      EMAIL_REVIEW_STATUS.APPROVED
+    );
+    if (!claimed) {
+      throw new ConflictError('Email is not awaiting review');
+    }
+
+    let result;
+    try {
+      await emailRepository.updateReview(id, { extraction, reviewed_by: requestingUser.user_id });
+      result = await this.createFromExtraction(email, this.fromReviewExtraction(extraction), {
+        reviewer: requestingUser,
+      });
+    } catch (error) {
+      await emailRepository.updateReview(id, { review_status: EMAIL_REVIEW_STATUS.NEEDS_REVIEW });
+      throw error;
+    }
+
+    logger.info('[EmailService] Email extraction approved', {
+      emailId: id,
+      reviewerId: requestingUser.user_id,
+      taskCount: result.tasks.length,
+    });
+
+    return result;
+  },
+
+  /**
+   * Discard an email in the review queue without creating any records
+   * @param {number} id - Email ID
+   * @param {Object} requestingUser - User context
+   */
+  async discardReview(id, requestingUser) {
+    this.assertAdmin(requestingUser, 'Only admins can review email extractions');
+    const email = await this.getEmailAwaitingReview(id);
+
+    const claimed = await emailRepository.transitionReviewStatus(
+      id,
+      EMAIL_REVIEW_STATUS.NEEDS_REVIEW,
+      EMAIL_REVIEW_STATUS.DISCARDED
+    );
+    if (!claimed) {
+      throw new ConflictError('Email is not awaiting review');
+    }
+
+    const processNote = [email.processNote, `🗑 Discarded in review (user ID: ${requestingUser.user_id})`]
+      .filter(Boolean)
+      .join('\n');
+    await emailRepository.updateReview(id, {
+      reviewed_by: requestingUser.user_id,
+      is_processed: true,
+      process_note: processNote,
+    });
+
+    logger.info('[EmailService] Email extraction discarded', { emailId: id, reviewerId: requestingUser.user_id });
+
+    const updatedEmail = await emailRepository.findByIdWithRelations(id);
+    return this.formatEmail(updatedEmail);
+  },
+
   /**
    * Clean up old tasks and property links before re-processing an email
+   * Only tasks nobody has touched since the email created them are deleted: no comments,
+   * bookings, reminders, status changes or uploads of their own, and no later edits.
    * @param {number} emailId - Email ID to clean up
+   * @param {Object} options
+   * @param {Date|null} options.since - Only tasks created from this time (the failed attempt's start)
    */
-  async cleanupBeforeReprocess(emailId) {
+  async cleanupBeforeReprocess(emailId, { since = null } = {}) {
     const prisma = require('../config/prisma');
 
-    // 1. Delete task files and inspection bookings for tasks linked to this email
-    const tasks = await prisma.task.findMany({ where: { emailId }, select: { id: true } });
+    const candidates = await prisma.task.findMany({
+      where: {
+        emailId,
+        ...(since && { createdAt: { gte: since } }),
+        comments: { none: {} },
+        inspectionBookings: { none: {} },
+        reminderLogs: { none: {} },
+        statusHistory: { every: { source: TASK_STATUS_SOURCE.EMAIL } },
+      },
+      include: { files: true },
+    });
+    // createdAt and updatedAt are written together on create; any later update moves updatedAt
+    const tasks = candidates.filter((task) => task.updatedAt - task.createdAt < 1000
+      && task.files.every((file) => emailAttachmentService.isAttachmentCopy(file)));
     const taskIds = tasks.map((t) => t.id);
+    const fileKeys = tasks.flatMap((task) => task.files.map((file) => file.fileS3Key));
 
-    if (taskIds.length > 0) {
-      await prisma.taskFile.deleteMany({ where: { taskId: { in: taskIds } } });
-      await prisma.inspectionBooking.deleteMany({ where: { taskId: { in: taskIds } } });
-      await prisma.task.deleteMany({ where: { emailId } });
-    }
-
-    // 2. Disconnect M2M properties and reset processing state
-    await prisma.email.update({
-      where: { id: emailId },
-      data: {
-        properties: { set: [] },
-        isProcessed: false,
-        processNote: null,
-      },
+    await prisma.$transaction(async (tx) => {
+      if (taskIds.length > 0) {
+        await tx.taskFile.deleteMany({ where: { taskId: { in: taskIds } } });
+        await tx.task.deleteMany({ where: { id: { in: taskIds } } });
+      }
+
+      // Disconnect M2M properties and reset processing state
+      await tx.email.update({
+        where: { id: emailId },
+        data: {
+          properties: { set: [] },
+          isProcessed: false,
+          processNote: null,
+          threadId: null,
+          reviewStatus: null,
+          reviewedBy: null,
+          reviewedAt: null,
+        },
+      });
     });
 
+    // Attachment copies are per task, so nothing else references them
+    await emailAttachmentService.deleteTaskCopies(fileKeys);
+
     logger.info('[EmailService] Cleaned up old data before re-process', { emailId, deletedTasks: taskIds.length });
   },
 
@@ -586,9 +1046,13 @@ const emailService = {
     const { id, subject, sender, emailBody, html } = email;
 
     logger.info('[EmailService] Processing stored email', { emailId: id, subject, sender });
+    await emailRepository.markAttemptStarted(id);
 
-    // Extract actual email address from sender
-    const senderEmail = this.extractEmailAddress(sender);
+    // Replies to a known thread become correspondence on the existing tasks
+    const threadRootId = await emailThreadService.findThreadRootId(email);
+    if (threadRootId) {
+      return this.processThreadReply(email, threadRootId);
+    }
 
     // Build body text for AI: prefer plain text, fall back to stripped HTML
     let bodyForAI = emailBody;
@@ -611,15 +1075,38 @@ const emailService = {
       logger.info('[EmailService] Using stripped HTML as body for AI extraction', { emailId: id, bodyLength: bodyForAI.length });
     }
 
-    // Use Gemini AI to extract information
+    // Extract information with the configured provider (Gemini, falling back to rules)
     let extractedInfo = {};
     try {
-      extractedInfo = await geminiService.extractEmailInfo(subject, bodyForAI);
+      extractedInfo = await extractionService.extractEmailInfo(subject, bodyForAI);
     } catch (err) {
       logger.warn('[EmailService] AI extraction failed, using defaults', { error: err.message });
       extractedInfo = { properties: [{ address: null, contacts: [] }], taskTypes: [], summary: subject, urgency: 'MEDIUM' };
     }
 
+    // Low-confidence extractions wait for human review instead of creating records
+    const reviewReasons = extractionService.getReviewReasons(extractedInfo);
+    if (reviewReasons.length > 0) {
+      return this.queueForReview(email, extractedInfo, reviewReasons);
+    }
+
+    return this.createFromExtraction(email, extractedInfo);
+  },
+
+  /**
+   * Create properties, contacts and tasks from an extraction and mark the email processed
+   * Shared by automatic processing and review approval.
+   * @param {Object} email - Email record from database
+   * @param {Object} extractedInfo - Extraction result (extractionService format)
+   * @param {Object} [options]
+   * @param {Object} [options.reviewer] - User who approved the extraction in review
+   */
+  async createFromExtraction(email, extractedInfo, { reviewer = null } = {}) {
+    const { id, subject, sender, emailBody } = email;
+
+    // Extract actual email address from sender
+    const senderEmail = this.extractEmailAddress(sender);
+
     // Find agency and responsible user based on sender email
     let agency = null;
     let agencyUser = null;
@@ -717,9 +1204,14 @@ const emailService = {
 
       let property = null;
       let propertyExisted = false;
+      let possibleDuplicates = [];
 
       if (formattedAddress) {
-        property = await propertyRepository.findByAddressAndUser(formattedAddress, agencyUser.id);
+        const { match, duplicates } = await propertyMatchService.findMatches(formattedAddress, {
+          agencyId: agency?.id,
+          userId: agencyUser.id,
+        });
+        property = match;
         if (property) {
           propertyExisted = true;
         } else {
@@ -727,6 +1219,7 @@ const emailService = {
             address: formattedAddress,
             user_id: agencyUser.id,
           });
+          possibleDuplicates = duplicates;
         }
       } else {
         const placeholderAddress = `[待补充地址] ${uuidv4().slice(0, 8)} - ${subject || 'Email'} - ${new Date().toISOString().slice(0, 10)}`;
@@ -739,7 +1232,7 @@ const emailService = {
           placeholderAddress,
         });
       }
-      allProperties.push({ id: property.id, address: property.address, existed: propertyExisted });
+      allProperties.push({ id: property.id, address: property.address, existed: propertyExisted, possibleDuplicates });
 
       // Create contacts for this property
       if (propInfo.contacts && propInfo.contacts.length > 0) {
@@ -774,6 +1267,11 @@ const emailService = {
               status: senderType === 'unassigned' ? 'UNASSIGNED' : 'UNKNOWN',
               type: mappedType,
             });
+            await taskStatusHistoryRepository.create({
+              task_id: task.id,
+              to_status: task.status,
+              source: TASK_STATUS_SOURCE.EMAIL,
+            });
             allTasks.push({ id: task.id, task_name: task.taskName, type: mappedType, propertyId: property.id });
           }
         }
@@ -788,6 +1286,14 @@ const emailService = {
       logger.info('[EmailService] No recognized task types, no tasks created.', { emailId: id });
     }
 
+    // Store inbound attachments and attach them to every task created from this email
+    let attachmentSummary = null;
+    try {
+      attachmentSummary = await emailAttachmentService.processEmailAttachments(email, allTasks.map((t) => t.id));
+    } catch (error) {
+      logger.error('[EmailService] Failed to process email attachments', { emailId: id, error: error.message });
+    }
+
     // Build result for process note generation
     const result = {
       senderType,
@@ -797,9 +1303,13 @@ const emailService = {
       task: allTasks.length > 0 ? allTasks[0] : null,
       tasks: allTasks,
       noAgency,
+      attachments: attachmentSummary,
+      reviewer,
       extracted: {
         urgency: extractedInfo.urgency,
         summary: extractedInfo.summary,
+        provider: extractedInfo.provider || null,
+        isFallback: !!extractedInfo.isFallback,
         addressFound: allProperties.some((p) => !p.address?.startsWith('[待补充地址]')),
         taskTypes: taskTypesToCreate,
       },
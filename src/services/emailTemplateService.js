@@ -0,0 +1,391 @@
+/**
+ * Email Template Service
+ *
+ * Renders outbound emails from editable, versioned templates.
+ *
+ * Template resolution for an email (most specific wins):
+ * 1. active agency override
+ * 2. active global template
+ * 3. built-in default (config/emailTemplates)
+ *
+ * Placeholders: {{variable}} and {{#if variable}}...{{/if}} (not nested).
+ * Variables are HTML-escaped in html; subject and text use them as-is.
+ */
+
+const emailTemplateRepository = require('../repositories/emailTemplateRepository');
+const agencyRepository = require('../repositories/agencyRepository');
+const { NotFoundError, ForbiddenError, ValidationError } = require('../lib/errors');
+const { USER_ROLES } = require('../config/constants');
+const { EMAIL_TEMPLATES } = require('../config/emailTemplates');
+const logger = require('../lib/logger');
+
+const VARIABLE_REGEX = /\{\{\s*([a-z0-9_]+)\s*\}\}/gi;
+const SECTION_REGEX = /\{\{#if\s+([a-z0-9_]+)\s*\}\}([\s\S]*?)\{\{\/if\}\}/gi;
+
+/**
+ * Escape a value for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check whether a variable counts as set for {{#if}}
+ */
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+/**
+ * Get a template definition or throw
+ * @param {string} key - Template key
+ */
+function getDefinition(key) {
+  const definition = EMAIL_TEMPLATES[key];
+  if (!definition) {
+    throw new NotFoundError('Email template');
+  }
+  return definition;
+}
+
+const emailTemplateService = {
+  /**
+   * Replace placeholders in a template string
+   * @param {string|null} template - Template content
+   * @param {Object} variables - Variable values
+   * @param {Object} options - { html: true to HTML-escape values }
+   * @returns {string|null}
+   */
+  renderString(template, variables, { html = false } = {}) {
+    if (template === null || template === undefined) return null;
+
+    return template
+      .replace(SECTION_REGEX, (_, name, content) => (isPresent(variables[name]) ? content : ''))
+      .replace(VARIABLE_REGEX, (_, name) => {
+        const value = variables[name];
+        if (value === undefined || value === null) return '';
+        return html ? escapeHtml(value) : String(value);
+      });
+  },
+
+  /**
+   * Find placeholders that are not variables of the template
+   * @param {string} key - Template key
+   * @param {Object} content - { subject, html, text }
+   * @returns {string[]} Unknown variable names
+   */
+  findUnknownVariables(key, content) {
+    const { variables } = getDefinition(key);
+    const used = new Set();
+
+    for (const value of [content.subject, content.html, content.text]) {
+      if (!value) continue;
+      for (const match of value.matchAll(SECTION_REGEX)) used.add(match[1]);
+      for (const match of value.matchAll(VARIABLE_REGEX)) used.add(match[1]);
+    }
+
+    return [...used].filter((name) => !Object.prototype.hasOwnProperty.call(variables, name));
+  },
+
+  /**
+   * Get the template content that applies to an agency
+   * @param {string} key - Template key
+   * @param {number|null} agencyId - Agency ID (null = global)
+   * @returns {Promise<Object>} { subject, html, text, source } - source is 'agency', 'global' or 'default'
+   */
+  async resolveContent(key, agencyId) {
+    const definition = getDefinition(key);
+
+    const template = (agencyId && await emailTemplateRepository.findActive(key, agencyId))
+      || await emailTemplateRepository.findActive(key, null);
+    if (template) {
+      return {
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        source: template.agencyId ? 'agency' : 'global',
+        template_id: template.id,
+        version: template.version,
+      };
+    }
+
+    return {
+      subject: definition.subject,
+      html: definition.html,
+      text: definition.text,
+      source: 'default',
+      template_id: null,
+      version: null,
+    };
+  },
+
+  /**
+   * Render an email from its template
+   * Falls back to the built-in default if saved templates cannot be loaded, so sending never fails on templates.
+   * @param {string} key - Template key
+   * @param {Object} variables - Variable values
+   * @param {Object} options - { agencyId }
+   * @returns {Promise<Object>} { subject, html, text }
+   */
+  async render(key, variables, { agencyId = null } = {}) {
+    let content;
+    try {
+      content = await this.resolveContent(key, agencyId);
+    } catch (error) {
+      if (error instanceof NotFoundError) throw error;
+      logger.error('[EmailTemplate] Failed to load template, using default', { key, agencyId, error: error.message });
+      content = getDefinition(key);
+    }
+
+    return {
+      subject: this.renderString(content.subject, variables),
+      html: this.renderString(content.html, variables, { html: true }) || undefined,
+      text: this.renderString(content.text, variables) || undefined,
+    };
+  },
+
+  /**
+   * List templates with the version that applies to the user's agency
+   */
+  async listTemplates(requestingUser, { agency_id } = {}) {
+    const agencyId = this.resolveAgencyId(requestingUser, agency_id);
+    const active = await emailTemplateRepository.findAllActive({ agencyId });
+
+    return Object.entries(EMAIL_TEMPLATES).map(([key, definition]) => {
+      const global = active.find((t) => t.key === key && !t.agencyId);
+      const override = agencyId ? active.find((t) => t.key === key && t.agencyId === agencyId) : null;
+      const current = override || global;
+
+      return {
+        key,
+        name: definition.name,
+        description: definition.description,
+        variables: definition.variables,
+        source: override ? 'agency' : global ? 'global' : 'default',
+        active_version: current ? this.formatTemplate(current) : null,
+      };
+    });
+  },
+
+  /**
+   * Get a template with its built-in default, active content and version history
+   */
+  async getTemplate(key, requestingUser, { agency_id } = {}) {
+    const definition = getDefinition(key);
+    const agencyId = this.resolveAgencyId(requestingUser, agency_id);
+
+    const [content, versions] = await Promise.all([
+      this.resolveContent(key, agencyId),
+      emailTemplateRepository.findVersions(key, agencyId),
+    ]);
+
+    return {
+      key,
+      name: definition.name,
+      description: definition.description,
+      variables: definition.variables,
+      sample_data: definition.sampleData,
+      agency_id: agencyId,
+      default: {
+        subject: definition.subject,
+        html: definition.html,
+        text: definition.text,
+      },
+      active: content,
+      versions: versions.map(this.formatTemplate),
+    };
+  },
+
+  /**
+   * Save a new version of a template (becomes active)
+   * Agency admins can only save overrides for their own agency
+   */
+  async saveTemplate(key, data, requestingUser) {
+    getDefinition(key);
+    const agencyId = ['superuser', 'admin'].includes(requestingUser.role)
+      ? data.agency_id || null
+      : requestingUser.agency_id;
+
+    if (!this.canManageTemplate(requestingUser, agencyId)) {
+      throw new ForbiddenError('Cannot manage email templates for this agency');
+    }
+
+    if (agencyId) {
+      const agency = await agencyRepository.findById(agencyId);
+      if (!agency) {
+        throw new NotFoundError('Agency');
+      }
+    }
+
+    this.assertValidContent(key, data);
+
+    const template = await emailTemplateRepository.createVersion({
+      key,
+      agency_id: agencyId,
+      subject: data.subject,
+      html: data.html,
+      text: data.text,
+      created_by: requestingUser.user_id,
+    });
+
+    logger.info('[EmailTemplate] Template version saved', {
+      key,
+      agencyId,
+      version: template.version,
+      userId: requestingUser.user_id,
+    });
+
+    return this.formatTemplate(template);
+  },
+
+  /**
+   * Make a saved version the active one (roll back / forward)
+   */
+  async activateVersion(id, requestingUser) {
+    const template = await emailTemplateRepository.findById(id);
+    if (!template) {
+      throw new NotFoundError('Email template version');
+    }
+
+    if (!this.canManageTemplate(requestingUser, template.agencyId)) {
+      throw new ForbiddenError('Cannot manage email templates for this agency');
+    }
+
+    const activated = await emailTemplateRepository.activate(id);
+    return this.formatTemplate(activated);
+  },
+
+  /**
+   * Stop using saved versions for a key and agency (falls back to global / built-in default)
+   */
+  async resetTemplate(key, requestingUser, { agency_id } = {}) {
+    getDefinition(key);
+    const agencyId = ['superuser', 'admin'].includes(requestingUser.role)
+      ? agency_id || null
+      : requestingUser.agency_id;
+
+    if (!this.canManageTemplate(requestingUser, agencyId)) {
+      throw new ForbiddenError('Cannot manage email templates for this agency');
+    }
+
+    const result = await emailTemplateRepository.deactivate(key, agencyId);
+    return { deactivated: result.count };
+  },
+
+  /**
+   * Preview unsaved template content with sample data
+   * Fields not in the draft are taken from the template that currently applies.
+   */
+  async previewTemplate(key, data, requestingUser) {
+    const definition = getDefinition(key);
+    const agencyId = this.resolveAgencyId(requestingUser, data.agency_id);
+
+    const current = await this.resolveContent(key, agencyId);
+    const draft = {
+      subject: data.subject !== undefined ? data.subject : current.subject,
+      html: data.html !== undefined ? data.html : current.html,
+      text: data.text !== undefined ? data.text : current.text,
+    };
+    this.assertValidContent(key, draft);
+
+    const variables = { ...definition.sampleData, ...(data.variables || {}) };
+    return {
+      subject: this.renderString(draft.subject, variables),
+      html: this.renderString(draft.html, variables, { html: true }),
+      text: this.renderString(draft.text, variables),
+      variables,
+    };
+  },
+
+  /**
+   * Render the template that currently applies to an agency with sample data
+   */
+  async renderTemplate(key, data, requestingUser) {
+    const definition = getDefinition(key);
+    const agencyId = this.resolveAgencyId(requestingUser, data.agency_id);
+
+    const variables = { ...definition.sampleData, ...(data.variables || {}) };
+    const current = await this.resolveContent(key, agencyId);
+    const rendered = await this.render(key, variables, { agencyId });
+
+    return {
+      ...rendered,
+      html: rendered.html || null,
+      text: rendered.text || null,
+      source: current.source,
+      version: current.version,
+      variables,
+    };
+  },
+
+  /**
+   * Check template content: a subject, a body, and only known variables
+   */
+  assertValidContent(key, content) {
+    if (!content.subject) {
+      throw new ValidationError('Subject is required');
+    }
+    if (!content.html && !content.text) {
+      throw new ValidationError('Either html or text is required');
+    }
+
+    const unknown = this.findUnknownVariables(key, content);
+    if (unknown.length > 0) {
+      const allowed = Object.keys(getDefinition(key).variables).join(', ');
+      throw new ValidationError(`Unknown template variables: ${unknown.join(', ')}`, unknown.map((name) => ({
+        field: name,
+        message: `Unknown variable. Available: ${allowed}`,
+      })));
+    }
+  },
+
+  /**
+   * Agency whose templates the user sees (admins may pick one; others see their own)
+   */
+  resolveAgencyId(requestingUser, agencyId) {
+    if (['superuser', 'admin'].includes(requestingUser.role)) {
+      return agencyId || null;
+    }
+    return requestingUser.agency_id || null;
+  },
+
+  /**
+   * Check if user can save templates for an agency
+   * Global templates (agencyId null) are admin-only
+   */
+  canManageTemplate(requestingUser, agencyId) {
+    if (['superuser', 'admin'].includes(requestingUser.role)) return true;
+    if (requestingUser.role === USER_ROLES.AGENCY_ADMIN) {
+      return !!agencyId && agencyId === requestingUser.agency_id;
+    }
+    return false;
+  },
+
+  /**
+   * Format template version for API response
+   */
+  formatTemplate(template) {
+    return {
+      id: template.id,
+      key: template.key,
+      agency_id: template.agencyId,
+      agency_name: template.agency?.agencyName || null,
+      version: template.version,
+      subject: template.subject,
+      html: template.html,
+      text: template.text,
+      is_active: template.isActive,
+      created_by: template.createdBy,
+      created_at: template.createdAt,
+    };
+  },
+};
+
+module.exports = emailTemplateService;
@@ -0,0 +1,115 @@
+/**
+ * Email Thread Service
+ *
+ * Links replies to the email they answer using Message-ID / In-Reply-To / References headers.
+ * A thread is identified by its root (first) email; replies store the root ID in threadId.
+ */
+
+const emailRepository = require('../repositories/emailRepository');
+
+/**
+ * Get a header value from a Resend email (headers may be an object or a [{name, value}] array)
+ * @param {Object} fullEmail - Email from Resend Receiving API
+ * @param {string} name - Header name (case-insensitive)
+ * @returns {string|null}
+ */
+function getHeader(fullEmail, name) {
+  const headers = fullEmail.headers;
+  if (!headers) return null;
+
+  const lower = name.toLowerCase();
+  if (Array.isArray(headers)) {
+    const header = headers.find((h) => h && typeof h.name === 'string' && h.name.toLowerCase() === lower);
+    return header ? String(header.value) : null;
+  }
+
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === lower);
+  if (!key) return null;
+  return Array.isArray(headers[key]) ? headers[key].join(' ') : String(headers[key]);
+}
+
+/**
+ * Parse Message-IDs from a header value
+ * @param {string|null} value - e.g. "<a@x.com> <b@y.com>"
+ * @returns {string[]} Message-IDs with angle brackets
+ */
+function parseMessageIds(value) {
+  if (!value) return [];
+
+  const ids = value.match(/<[^<>\s]+>/g);
+  if (ids) return ids;
+
+  // Some clients omit the angle brackets
+  return value.trim().split(/\s+/).filter(Boolean).map((id) => `<${id}>`);
+}
+
+const emailThreadService = {
+  /**
+   * Extract threading headers from an inbound email
+   * @param {Object} fullEmail - Email from Resend Receiving API
+   * @returns {Object} { message_id, in_reply_to, references } for emailRepository.createRaw
+   */
+  getThreadHeaders(fullEmail) {
+    const [messageId] = parseMessageIds(fullEmail.message_id || getHeader(fullEmail, 'message-id'));
+    const [inReplyTo] = parseMessageIds(getHeader(fullEmail, 'in-reply-to'));
+    const references = parseMessageIds(getHeader(fullEmail, 'references'));
+
+    return {
+      message_id: messageId || null,
+      in_reply_to: inReplyTo || null,
+      references: references.length > 0 ? references.join(' ') : null,
+    };
+  },
+
+  /**
+   * Find the root email of the thread an email replies to
+   * In-Reply-To is checked first, then References from most recent to oldest.
+   * @param {Object} email - Email record
+   * @returns {Promise<number|null>} Thread root email ID, or null if not a reply to a known email
+   */
+  async findThreadRootId(email) {
+    const candidateIds = [
+      ...parseMessageIds(email.inReplyTo),
+      ...parseMessageIds(email.references).reverse(),
+    ];
+    const messageIds = [...new Set(candidateIds)];
+    if (messageIds.length === 0) return null;
+
+    const matches = (await emailRepository.findByMessageIds(messageIds))
+      .filter((m) => m.id !== email.id);
+    if (matches.length === 0) return null;
+
+    const parent = messageIds
+      .map((messageId) => matches.find((m) => m.messageId === messageId))
+      .find(Boolean);
+
+    return parent.threadId || parent.id;
+  },
+
+  /**
+   * Get all emails in the thread an email belongs to
+   * @param {Object} email - Email record
+   * @returns {Promise<Object[]>} Thread emails (with properties and tasks), oldest first
+   */
+  async getThreadEmails(email) {
+    return emailRepository.findThread(email.threadId || email.id);
+  },
+
+  /**
+   * Format a thread email for API response
+   * @param {Object} email - Email record
+   */
+  formatThreadEmail(email) {
+    return {
+      id: email.id,
+      subject: email.subject,
+      sender: email.sender,
+      recipient: email.recipient,
+      direction: email.direction || 'inbound',
+      is_reply: !!email.threadId,
+      created_at: email.createdAt,
+    };
+  },
+};
+
+module.exports = emailThreadService;
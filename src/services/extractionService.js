@@ -0,0 +1,142 @@
+/**
+ * Extraction Service
+ *
+ * Selects the email extraction provider per environment and falls back to the next
+ * provider when one is unavailable or fails.
+ *
+ * A provider is an object with:
+ *   - name: string
+ *   - isAvailable(): boolean
+ *   - extractEmailInfo(subject, body): Promise<{ properties, taskTypes, urgency, summary, confidence }>, throws on failure
+ *
+ * confidence is per field ({ address, taskTypes, contacts }, each 0-1 or null if unknown).
+ */
+
+const logger = require('../lib/logger');
+const geminiService = require('./geminiService');
+const ruleExtractionService = require('./ruleExtractionService');
+const { EXTRACTION_PROVIDER } = require('../config/constants');
+
+// Fields that decide what gets created; below the threshold the email goes to the review queue
+const REVIEW_FIELDS = ['address', 'taskTypes'];
+const DEFAULT_REVIEW_THRESHOLD = 0.7;
+
+const PROVIDERS = {
+  [EXTRACTION_PROVIDER.GEMINI]: geminiService,
+  [EXTRACTION_PROVIDER.RULES]: ruleExtractionService,
+};
+
+/**
+ * Get default extraction result (all providers failed)
+ * @param {string} subject - Email subject for summary
+ */
+function getDefaultResult(subject) {
+  return {
+    properties: [{ address: null, contacts: [] }],
+    taskTypes: [],  // 返回空数组，不创建未知类型任务
+    urgency: 'MEDIUM',
+    summary: subject || 'New email task',
+    confidence: { address: 0, taskTypes: 0, contacts: 0 },
+  };
+}
+
+/**
+ * Resolve a provider name from env
+ * @param {string} envName - Environment variable name
+ * @param {string} defaultName - Provider used when the variable is not set
+ * @returns {Object|null} Provider, or null if disabled ('none') or unknown
+ */
+function resolveProvider(envName, defaultName) {
+  const name = (process.env[envName] || defaultName).trim().toLowerCase();
+  if (name === 'none') return null;
+
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    logger.warn('[Extraction] Unknown extraction provider, ignoring', { envName, name });
+    return null;
+  }
+  return provider;
+}
+
+const extractionService = {
+  /**
+   * Get providers in the order they should be tried
+   * @returns {Object[]} Primary provider followed by the fallback
+   */
+  getProviderChain() {
+    const chain = [
+      resolveProvider('EXTRACTION_PROVIDER', EXTRACTION_PROVIDER.GEMINI),
+      resolveProvider('EXTRACTION_FALLBACK_PROVIDER', EXTRACTION_PROVIDER.RULES),
+    ].filter(Boolean);
+
+    return [...new Set(chain)];
+  },
+
+  /**
+   * Extract tenant information from email using the configured providers
+   * @param {string} subject - Email subject
+   * @param {string} body - Email body text
+   * @returns {Promise<Object>} Extracted information, with `provider` set to the provider used (null if none succeeded)
+   */
+  async extractEmailInfo(subject, body) {
+    const chain = this.getProviderChain();
+
+    for (const [index, provider] of chain.entries()) {
+      if (!provider.isAvailable()) {
+        logger.warn('[Extraction] Provider not available, skipping', { provider: provider.name });
+        continue;
+      }
+
+      try {
+        const result = await provider.extractEmailInfo(subject, body);
+        return { ...result, provider: provider.name, isFallback: index > 0 };
+      } catch (error) {
+        logger.warn('[Extraction] Provider failed, trying next', {
+          provider: provider.name,
+          error: error.message,
+        });
+      }
+    }
+
+    logger.error('[Extraction] All extraction providers failed, using defaults', {
+      providers: chain.map((p) => p.name),
+      subject,
+    });
+    return { ...getDefaultResult(subject), provider: null, isFallback: true };
+  },
+
+  /**
+   * Get the confidence below which an extraction needs human review
+   * @returns {number} Threshold from EXTRACTION_REVIEW_THRESHOLD (0-1)
+   */
+  getReviewThreshold() {
+    const threshold = parseFloat(process.env.EXTRACTION_REVIEW_THRESHOLD);
+    if (Number.isNaN(threshold)) return DEFAULT_REVIEW_THRESHOLD;
+    return Math.min(1, Math.max(0, threshold));
+  },
+
+  /**
+   * Get the fields whose confidence is below the review threshold
+   * A property without an address always needs review (it would create a placeholder property).
+   * @param {Object} extractedInfo - Result of extractEmailInfo
+   * @returns {string[]} Low-confidence fields (empty if the extraction can be used as-is)
+   */
+  getReviewReasons(extractedInfo) {
+    const threshold = this.getReviewThreshold();
+    const confidence = extractedInfo.confidence || {};
+
+    const reasons = REVIEW_FIELDS.filter((field) => {
+      const score = confidence[field];
+      return score !== null && score !== undefined && score < threshold;
+    });
+
+    const properties = extractedInfo.properties || [];
+    if (!reasons.includes('address') && (properties.length === 0 || properties.some((p) => !p.address))) {
+      reasons.unshift('address');
+    }
+
+    return reasons;
+  },
+};
+
+module.exports = extractionService;
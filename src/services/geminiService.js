@@ -1,7 +1,8 @@
 /**
  * Gemini AI Service
  *
- * Uses Google Gemini to extract structured information from emails.
+ * Extraction provider that uses Google Gemini to extract structured information from emails.
+ * Throws on failure so extractionService can fall back to another provider.
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
@@ -31,19 +32,6 @@ function getGenAI() {
   return genAI;
 }
 
-/**
- * Get default extraction result
- * @param {string} subject - Email subject for summary
- */
-function getDefaultResult(subject) {
-  return {
-    properties: [{ address: null, contacts: [] }],
-    taskTypes: [],  // 返回空数组，不创建未知类型任务
-    urgency: 'MEDIUM',
-    summary: subject || 'New email task',
-  };
-}
-
 /**
  * Sanitize user content to prevent prompt injection attacks
  * - Escapes special characters that could be used to manipulate prompts
@@ -80,21 +68,44 @@ function sanitizeForPrompt(content, maxLength = MAX_CONTENT_LENGTH) {
   return sanitized;
 }
 
+/**
+ * Normalize per-field confidence returned by the model
+ * @param {Object} confidence - Raw confidence object
+ * @returns {Object} { address, taskTypes, contacts } each 0-1, or null if not returned
+ */
+function normalizeConfidence(confidence) {
+  const toScore = (value) => {
+    const score = Number(value);
+    if (value === null || value === undefined || Number.isNaN(score)) return null;
+    return Math.min(1, Math.max(0, score));
+  };
+
+  return {
+    address: toScore(confidence?.address),
+    taskTypes: toScore(confidence?.task_types),
+    contacts: toScore(confidence?.contacts),
+  };
+}
+
 const geminiService = {
+  name: 'gemini',
+
   /**
    * Extract tenant information from email using AI
    * @param {string} subject - Email subject
    * @param {string} body - Email body text
    * @returns {Promise<Object>} Extracted information
+   * @throws {Error} If the circuit breaker is open or the Gemini call fails
    */
   async extractEmailInfo(subject, body) {
     // Check circuit breaker
     if (consecutiveFailures >= MAX_FAILURES && Date.now() < circuitBreakerResetTime) {
-      logger.warn('[Gemini] Circuit breaker open, using defaults', {
+      const resetIn = Math.ceil((circuitBreakerResetTime - Date.now()) / 1000);
+      logger.warn('[Gemini] Circuit breaker open, skipping extraction', {
         consecutiveFailures,
-        resetIn: Math.ceil((circuitBreakerResetTime - Date.now()) / 1000),
+        resetIn,
       });
-      return getDefaultResult(subject);
+      throw new Error(`Gemini circuit breaker open (resets in ${resetIn}s)`);
     }
 
     try {
@@ -137,7 +148,12 @@ Extract and return ONLY a valid JSON object with this exact structure (no markdo
   ],
   "task_types": ["SMOKE_ALARM", "GAS_&_ELECTRICITY"],
   "urgency": "One of: LOW, MEDIUM, HIGH, URGENT",
-  "summary": "Brief one-line summary of what this email is about"
+  "summary": "Brief one-line summary of what this email is about",
+  "confidence": {
+    "address": 0.0,
+    "task_types": 0.0,
+    "contacts": 0.0
+  }
 }
 
 Multi-Property Rules (IMPORTANT):
@@ -167,7 +183,11 @@ Other Rules:
    - MEDIUM: standard requests
    - LOW: informational, no rush
 3. If no contacts found for a property, return empty array [] for that property's contacts
-4. Return ONLY the JSON object, no other text`;
+4. Confidence (0.0 to 1.0) is how sure you are each field is correct:
+   - 1.0: stated explicitly and unambiguously
+   - 0.5: inferred, partial (e.g. no suburb or postcode) or ambiguous
+   - 0.0: not found or a guess
+5. Return ONLY the JSON object, no other text`;
 
       const result = await model.generateContent(prompt);
       const response = await result.response;
@@ -233,6 +253,7 @@ Other Rules:
         taskTypes: taskTypes,
         urgency: extracted.urgency || 'MEDIUM',
         summary: extracted.summary || subject || 'New email task',
+        confidence: normalizeConfidence(extracted.confidence),
       };
     } catch (error) {
       // Increment failure count and potentially trigger circuit breaker
@@ -251,8 +272,7 @@ Other Rules:
         consecutiveFailures,
       });
 
-      // Return default structure on error
-      return getDefaultResult(subject);
+      throw error;
     }
   },
 
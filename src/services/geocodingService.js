@@ -0,0 +1,101 @@
+/**
+ * Geocoding Service
+ *
+ * Looks up property coordinates with the Google Maps Geocoding API (key from system settings)
+ * and stores them on the property, so each address is geocoded once.
+ */
+
+const axios = require('axios');
+const propertyRepository = require('../repositories/propertyRepository');
+const systemSettingsRepository = require('../repositories/systemSettingsRepository');
+const { hasCoordinates } = require('../lib/geo');
+const logger = require('../lib/logger');
+
+const geocodingService = {
+  /**
+   * Look up an address with Google
+   * @param {string} address - Free-text address
+   * @param {string} [apiKey] - Google Maps key (loaded from settings if not given)
+   * @returns {Promise<Object|null>} { formattedAddress, latitude, longitude } of the best match,
+   *   or null if not found / not configured
+   */
+  async lookup(address, apiKey) {
+    const key = apiKey || await systemSettingsRepository.getGoogleMapKey();
+    if (!key || !address) {
+      return null;
+    }
+
+    try {
+      const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+        params: {
+          address,
+          key,
+          components: 'country:AU',
+        },
+        timeout: 5000, // 5 second timeout
+      });
+
+      const result = response.data.results?.[0];
+      if (result) {
+        return {
+          formattedAddress: result.formatted_address,
+          latitude: result.geometry?.location?.lat ?? null,
+          longitude: result.geometry?.location?.lng ?? null,
+        };
+      }
+    } catch (error) {
+      logger.warn('Google Maps geocoding error', { error: error.message });
+    }
+
+    return null;
+  },
+
+  /**
+   * Geocode an address
+   * @param {string} address - Free-text address
+   * @param {string} [apiKey] - Google Maps key (loaded from settings if not given)
+   * @returns {Promise<Object|null>} { latitude, longitude }, or null if not found / not configured
+   */
+  async geocode(address, apiKey) {
+    const result = await this.lookup(address, apiKey);
+    if (result?.latitude == null || result?.longitude == null) {
+      return null;
+    }
+    return { latitude: result.latitude, longitude: result.longitude };
+  },
+
+  /**
+   * Fill in missing coordinates for properties, storing the results
+   * Properties are updated in place; ones that cannot be geocoded are left without coordinates.
+   * @param {Array} properties - Property records (latitude/longitude may be null)
+   * @returns {Promise<number>} Number of properties geocoded
+   */
+  async ensureCoordinates(properties) {
+    const missing = properties.filter((property) => !hasCoordinates(property) && property.address);
+    if (missing.length === 0) {
+      return 0;
+    }
+
+    const apiKey = await systemSettingsRepository.getGoogleMapKey();
+    if (!apiKey) {
+      return 0;
+    }
+
+    let geocoded = 0;
+    for (const property of missing) {
+      const coordinates = await this.geocode(property.address, apiKey);
+      if (!coordinates) continue;
+
+      await propertyRepository.updateCoordinates(property.id, coordinates);
+      Object.assign(property, coordinates);
+      geocoded++;
+    }
+
+    if (geocoded > 0) {
+      logger.info('Geocoded properties', { geocoded, missing: missing.length });
+    }
+    return geocoded;
+  },
+};
+
+module.exports = geocodingService;
@@ -7,9 +7,15 @@
 const prisma = require('../config/prisma');
 const inspectionBookingRepository = require('../repositories/inspectionBookingRepository');
 const inspectionSlotRepository = require('../repositories/inspectionSlotRepository');
+const taskRepository = require('../repositories/taskRepository');
 const inspectionNotificationService = require('./inspectionNotificationService');
+const assignmentNotificationService = require('./assignmentNotificationService');
+const userService = require('./userService');
+const taskService = require('./taskService');
+const { getBookingTokenExpiryDate } = require('../lib/tokenGenerator');
+const { getSlotStart } = require('../lib/inspectionTime');
 const { NotFoundError, ValidationError, ConflictError, ForbiddenError } = require('../lib/errors');
-const { REGION_LABELS, BOOKING_STATUS, TASK_STATUS } = require('../config/constants');
+const { REGION_LABELS, BOOKING_STATUS, TASK_STATUS, TASK_STATUS_SOURCE, USER_ROLES } = require('../config/constants');
 const logger = require('../lib/logger');
 
 const inspectionBookingService = {
@@ -18,12 +24,16 @@ const inspectionBookingService = {
   /**
    * Build inspection scope based on user role
    * Superuser/Admin: No restrictions
+   * Technician: Only bookings assigned to them
    * Agency Admin/User: Filter by agency_id
    */
   buildInspectionScope(requestingUser) {
     if (['superuser', 'admin'].includes(requestingUser.role)) {
       return {}; // No restrictions
     }
+    if (requestingUser.role === USER_ROLES.TECHNICIAN) {
+      return { assignedTechnicianId: requestingUser.user_id };
+    }
     // Agency admin and agency user - filter by agency
     return { agencyId: requestingUser.agency_id };
   },
@@ -53,6 +63,9 @@ const inspectionBookingService = {
     if (['superuser', 'admin'].includes(requestingUser.role)) {
       return true;
     }
+    if (requestingUser.role === USER_ROLES.TECHNICIAN) {
+      return booking.assignedTechnicianId === requestingUser.user_id;
+    }
     // For agency users, check if the property belongs to their agency
     const propertyAgencyId = booking.property?.user?.agencyId || booking.property?.user?.agency?.id;
     return propertyAgencyId === requestingUser.agency_id;
@@ -107,6 +120,11 @@ const inspectionBookingService = {
       throw new ValidationError(`Cannot confirm a booking with status: ${booking.status}`);
     }
 
+    // Validate the technician up front so an invalid ID doesn't leave a half-done confirmation
+    const technician = data.technician_id
+      ? await userService.getAssignableTechnician(data.technician_id)
+      : null;
+
     // Use transaction to ensure atomicity
     const result = await prisma.$transaction(async (tx) => {
       // 1. Confirm the selected booking
@@ -149,21 +167,21 @@ const inspectionBookingService = {
 
       // 4. Update all incomplete tasks for this property to processing with inspection date
       // Construct inspection datetime from schedule date + slot start time
-      const scheduleDate = booking.slot.schedule.scheduleDate;
-      const dateStr = scheduleDate instanceof Date
-        ? scheduleDate.toISOString().split('T')[0]
-        : new Date(scheduleDate).toISOString().split('T')[0];
-      const slotStartTime = booking.slot.startTime; // e.g., "14:30"
-      const inspectionDateTime = new Date(`${dateStr}T${slotStartTime}:00`);
-
-      const taskUpdateResult = await tx.task.updateMany({
-        where: {
-          propertyId: booking.propertyId,
-          status: TASK_STATUS.INCOMPLETE,
-          isActive: true,
-        },
+      const inspectionDateTime = getSlotStart(booking.slot, booking.slot.schedule);
+
+      const movedTasks = await tx.task.findMany({
+        where: { propertyId: booking.propertyId, status: TASK_STATUS.INCOMPLETE, isActive: true },
+        select: { id: true },
+      });
+      const movedTaskIds = movedTasks.map((t) => t.id);
+
+      const tasksUpdated = await taskRepository.transitionStatusWithTx(tx, {
+        id: { in: movedTaskIds },
+        status: TASK_STATUS.INCOMPLETE,
+      }, TASK_STATUS.PROCESSING, {
+        source: TASK_STATUS_SOURCE.BOOKING,
+        actorId: requestingUser.user_id,
         data: {
-          status: TASK_STATUS.PROCESSING,
           inspectionDate: inspectionDateTime,
           updatedAt: new Date(),
         },
@@ -172,13 +190,22 @@ const inspectionBookingService = {
       logger.info('Updated tasks to processing after booking confirmation', {
         bookingId: id,
         propertyId: booking.propertyId,
-        tasksUpdated: taskUpdateResult.count,
+        tasksUpdated,
         inspectionDateTime: inspectionDateTime.toISOString(),
       });
 
-      return { confirmed, autoRejectedCount: autoRejected.length, tasksUpdated: taskUpdateResult.count };
+      return { confirmed, autoRejectedCount: autoRejected.length, tasksUpdated, movedTaskIds };
     });
 
+    // Same status follow-ups as any other task update (rollover on COMPLETED)
+    if (result.tasksUpdated > 0) {
+      await taskService.handleStatusChange(
+        await taskRepository.findByIdsWithRelations(result.movedTaskIds),
+        TASK_STATUS.PROCESSING,
+        { source: TASK_STATUS_SOURCE.BOOKING, actor_id: requestingUser.user_id }
+      );
+    }
+
     // Send confirmation emails to ALL recipients if requested
     if (data.send_notification) {
       try {
@@ -191,6 +218,10 @@ const inspectionBookingService = {
       }
     }
 
+    if (technician) {
+      await this.applyTechnicianAssignment(booking, technician, data.send_notification);
+    }
+
     // Fetch and return the confirmed booking
     const finalBooking = await inspectionBookingRepository.findById(id);
     const formatted = this.formatBookingDetail(finalBooking);
@@ -252,9 +283,8 @@ const inspectionBookingService = {
       throw new ValidationError(`Cannot reschedule a booking with status: ${booking.status}`);
     }
 
-    // Check new slot availability
-    const slotAvailable = await inspectionSlotRepository.checkAvailability(data.slot_id);
-    if (!slotAvailable) {
+    const newSlot = await inspectionSlotRepository.findById(data.slot_id);
+    if (!newSlot) {
       throw new ValidationError('The selected time slot is not available');
     }
 
@@ -264,12 +294,8 @@ const inspectionBookingService = {
       endTime: booking.slot.endTime,
     };
 
-    // Update slot counts
-    await inspectionSlotRepository.decrementBookings(booking.slotId);
-    await inspectionSlotRepository.incrementBookings(data.slot_id);
-
-    // Update booking
-    const updated = await inspectionBookingRepository.reschedule(id, data.slot_id, data.note);
+    await prisma.$transaction((tx) => this.moveBookingWithTx(tx, booking, newSlot, { note: data.note ?? null }));
+    const updated = await inspectionBookingRepository.findById(id);
 
     // Send reschedule email if requested
     if (data.send_notification) {
@@ -284,6 +310,100 @@ const inspectionBookingService = {
     return this.formatBookingDetail(updated);
   },
 
+  /**
+   * Move a booking to another slot (with transaction support)
+   * Guarded on the booking's status and slot as read before the transaction, and the new
+   * slot's capacity is checked on the locked row, so concurrent changes cannot make slot
+   * counts drift. A confirmed booking's PROCESSING tasks get the new inspection date.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} booking - Booking as read before the transaction
+   * @param {Object} newSlot - Slot to move to, with schedule
+   * @param {Object} options - { note }; an undefined note keeps the current one
+   */
+  async moveBookingWithTx(tx, booking, newSlot, { note } = {}) {
+    // The booking link stays valid until after the new date
+    const moved = await inspectionBookingRepository.moveSlotWithTx(tx, booking, newSlot.id, {
+      note,
+      tokenExpiresAt: getBookingTokenExpiryDate(newSlot.schedule.scheduleDate),
+    });
+    if (moved === 0) {
+      throw new ConflictError('This booking has been changed in the meantime. Please reload and try again.');
+    }
+
+    const reserved = await inspectionSlotRepository.incrementBookingsWithTx(tx, newSlot.id);
+    if (!reserved.isAvailable || reserved.currentBookings > reserved.maxCapacity) {
+      throw new ValidationError('This time slot is no longer available');
+    }
+    await inspectionSlotRepository.decrementBookingsWithTx(tx, booking.slotId);
+
+    if (booking.status === BOOKING_STATUS.CONFIRMED) {
+      await tx.task.updateMany({
+        where: {
+          propertyId: booking.propertyId,
+          status: TASK_STATUS.PROCESSING,
+          isActive: true,
+        },
+        data: { inspectionDate: getSlotStart(newSlot, newSlot.schedule), updatedAt: new Date() },
+      });
+    }
+  },
+
+  /**
+   * Assign a technician to a confirmed booking
+   * The booking's tasks are assigned to the same technician (see assignTechnicianForBookingWithTx)
+   * Only superuser/admin can assign technicians
+   */
+  async assignTechnician(id, data, requestingUser) {
+    this.requireManagePermission(requestingUser, 'assign');
+
+    const booking = await inspectionBookingRepository.findById(id);
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    if (booking.status !== BOOKING_STATUS.CONFIRMED) {
+      throw new ValidationError(`Cannot assign a technician to a booking with status: ${booking.status}`);
+    }
+
+    const technician = data.technician_id
+      ? await userService.getAssignableTechnician(data.technician_id)
+      : null;
+
+    await this.applyTechnicianAssignment(booking, technician, data.send_notification);
+
+    const updated = await inspectionBookingRepository.findById(id);
+    return this.formatBookingDetail(updated);
+  },
+
+  /**
+   * Save a technician assignment on a booking and its tasks, then notify the technician
+   * @param {Object|null} technician - null clears the assignment
+   */
+  async applyTechnicianAssignment(booking, technician, sendNotification = true) {
+    const technicianId = technician ? technician.id : null;
+    const { updated, tasksAssigned } = await prisma.$transaction(async (tx) => ({
+      updated: await inspectionBookingRepository.assignTechnicianWithTx(tx, booking.id, technicianId),
+      tasksAssigned: await taskRepository.assignTechnicianForBookingWithTx(tx, booking, technicianId),
+    }));
+
+    logger.info('Assigned technician to booking', {
+      bookingId: booking.id,
+      technicianId,
+      tasksAssigned,
+    });
+
+    if (technician && sendNotification) {
+      try {
+        await assignmentNotificationService.sendBookingAssignment(updated, technician);
+      } catch (error) {
+        logger.error('Failed to send booking assignment email', { bookingId: booking.id, error: error.message });
+        // Don't fail the assignment if email fails
+      }
+    }
+
+    return updated;
+  },
+
   /**
    * Format booking for list view
    */
@@ -333,6 +453,7 @@ const inspectionBookingService = {
         address: booking.property.address,
       } : null,
       note: booking.note,
+      assigned_technician: booking.assignedTechnician || null,
       created_at: booking.createdAt,
     };
   },
@@ -394,6 +515,7 @@ const inspectionBookingService = {
       } : null,
       confirmer: booking.confirmer,
       confirmed_at: booking.confirmedAt,
+      assigned_technician: booking.assignedTechnician || null,
       created_at: booking.createdAt,
       updated_at: booking.updatedAt,
     };
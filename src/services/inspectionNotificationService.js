@@ -11,9 +11,10 @@ const propertyRepository = require('../repositories/propertyRepository');
 const contactRepository = require('../repositories/contactRepository');
 const userRepository = require('../repositories/userRepository');
 const resendEmailService = require('./resendEmailService');
+const emailTemplateService = require('./emailTemplateService');
 const { generateBookingToken, getTokenExpiryDate } = require('../lib/tokenGenerator');
 const { NotFoundError, ValidationError } = require('../lib/errors');
-const { TASK_STATUS } = require('../config/constants');
+const { TASK_STATUS, TASK_TYPE_LABELS } = require('../config/constants');
 const logger = require('../lib/logger');
 
 /**
@@ -31,12 +32,6 @@ async function sendInBatches(emailTasks, concurrency = 5) {
   return results;
 }
 
-// Task type labels for email display
-const TASK_TYPE_LABELS = {
-  'SMOKE_ALARM': 'Smoke Alarm',
-  'GAS_&_ELECTRICITY': 'Gas & Electricity',
-};
-
 // Frontend URL for booking links
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
 
@@ -173,7 +168,9 @@ const inspectionNotificationService = {
                 recipient_type: task.recipient.type,
                 recipient_email: task.recipient.email,
                 booking_token: task.token,
+                token_expires_at: getTokenExpiryDate(),
                 status: 'sent',
+                resend_id: sent.id,
               });
 
               return { success: true, task };
@@ -362,7 +359,9 @@ const inspectionNotificationService = {
                 recipient_type: task.recipient.type,
                 recipient_email: task.recipient.email,
                 booking_token: task.token,
+                token_expires_at: getTokenExpiryDate(),
                 status: 'sent',
+                resend_id: sent.id,
               });
 
               return { success: true, task };
@@ -412,6 +411,21 @@ const inspectionNotificationService = {
     return results;
   },
 
+  /**
+   * Template variables shared by booking emails
+   * @param {Object} booking - Booking with property and slot
+   * @param {string} scheduleDate - Formatted inspection date
+   */
+  getBookingTemplateVariables(booking, scheduleDate) {
+    return {
+      contact_name: booking.contactName || 'Tenant',
+      property_address: booking.property.address,
+      inspection_date: scheduleDate,
+      start_time: booking.slot.startTime,
+      end_time: booking.slot.endTime,
+    };
+  },
+
   /**
    * Send booking invitation email to a contact
    * @param {Object} contact - Recipient info
@@ -419,6 +433,7 @@ const inspectionNotificationService = {
    * @param {Object} schedule - Schedule info
    * @param {string} token - Booking token
    * @param {Array} inspectionTypes - Types of inspections
+   * @returns {Promise<Object>} Resend response data ({ id } used to track delivery)
    */
   async sendBookingInvitation(
     contact,
@@ -435,16 +450,32 @@ const inspectionNotificationService = {
       day: 'numeric',
     });
 
+    // Format inspection types for display
+    const typeLabels = inspectionTypes
+      .map((type) => TASK_TYPE_LABELS[type] || type)
+      .filter(Boolean);
+    const inspectionTypesText = typeLabels.length > 0
+      ? typeLabels.join(', ')
+      : 'Safety Check';
+
     try {
-      await resendEmailService.sendEmail({
+      const { subject, html } = await emailTemplateService.render('inspection_invitation', {
+        contact_name: contact.name || 'Tenant',
+        property_address: property.address,
+        inspection_date: scheduleDate,
+        inspection_types: inspectionTypesText,
+        booking_link: bookingLink,
+      }, { agencyId: property.user?.agencyId });
+
+      const data = await resendEmailService.sendEmail({
         from: 'Safety Check Inspection <noreply@system.rjlagroup.com>',
         to: contact.email,
-        subject: `Safety Check Inspection - ${property.address}`,
-        html: this.generateEmailTemplate(contact, property, schedule, scheduleDate, bookingLink, inspectionTypes),
+        subject,
+        html,
         saveToDb: true,
         property_id: property.id,
       });
-      return true;
+      return data || {};
     } catch (error) {
       logger.error('Failed to send email', { error: error.message });
       throw error;
@@ -468,11 +499,17 @@ const inspectionNotificationService = {
     });
 
     try {
+      const { subject, html } = await emailTemplateService.render(
+        'booking_confirmed',
+        this.getBookingTemplateVariables(booking, scheduleDate),
+        { agencyId: booking.property.user?.agencyId }
+      );
+
       await resendEmailService.sendEmail({
         from: 'Property Inspection <noreply@system.rjlagroup.com>',
         to: booking.contactEmail,
-        subject: `Booking Confirmed - ${booking.property.address}`,
-        html: this.generateConfirmationTemplate(booking, scheduleDate),
+        subject,
+        html,
         saveToDb: true,
         property_id: booking.propertyId,
       });
@@ -507,6 +544,16 @@ const inspectionNotificationService = {
       day: 'numeric',
     });
 
+    // Determine booker information
+    let bookerName = booking.contactName || 'Unknown';
+    let bookerTypeLabel = 'Tenant';
+    if (booking.bookerType === 'agencyUser' && booking.bookedByUser) {
+      bookerName = booking.bookedByUser.name || bookerName;
+      bookerTypeLabel = 'Agency Staff';
+    } else if (booking.bookerType === 'contact') {
+      bookerTypeLabel = 'Property Contact';
+    }
+
     let sent = 0;
     let failed = 0;
 
@@ -514,11 +561,18 @@ const inspectionNotificationService = {
     const sendResults = await sendInBatches(
       recipients.map((recipient) => async () => {
         const recipientName = recipient.contact?.name || recipient.user?.name || 'Recipient';
+        const { subject, html } = await emailTemplateService.render('booking_confirmed_recipients', {
+          ...this.getBookingTemplateVariables(booking, scheduleDate),
+          recipient_name: recipientName,
+          booker_name: bookerName,
+          booker_type: bookerTypeLabel,
+        }, { agencyId: booking.property.user?.agencyId });
+
         await resendEmailService.sendEmail({
           from: 'Property Inspection <noreply@system.rjlagroup.com>',
           to: recipient.recipientEmail,
-          subject: `Booking Confirmed - ${booking.property.address}`,
-          html: this.generateConfirmationTemplateWithBooker(booking, scheduleDate, recipientName),
+          subject,
+          html,
           saveToDb: true,
           property_id: booking.propertyId,
         });
@@ -570,11 +624,17 @@ const inspectionNotificationService = {
     });
 
     try {
+      const { subject, html } = await emailTemplateService.render(
+        'booking_rejected',
+        this.getBookingTemplateVariables(booking, scheduleDate),
+        { agencyId: booking.property.user?.agencyId }
+      );
+
       await resendEmailService.sendEmail({
         from: 'Property Inspection <noreply@system.rjlagroup.com>',
         to: booking.contactEmail,
-        subject: `Booking Update - ${booking.property.address}`,
-        html: this.generateRejectionTemplate(booking, scheduleDate),
+        subject,
+        html,
         saveToDb: true,
         property_id: booking.propertyId,
       });
@@ -603,11 +663,16 @@ const inspectionNotificationService = {
     });
 
     try {
+      const { subject, html } = await emailTemplateService.render('booking_rescheduled', {
+        ...this.getBookingTemplateVariables(booking, scheduleDate),
+        previous_time: oldSlot ? `${oldSlot.startTime} - ${oldSlot.endTime}` : 'N/A',
+      }, { agencyId: booking.property.user?.agencyId });
+
       await resendEmailService.sendEmail({
         from: 'Property Inspection <noreply@system.rjlagroup.com>',
         to: booking.contactEmail,
-        subject: `Booking Rescheduled - ${booking.property.address}`,
-        html: this.generateRescheduleTemplate(booking, scheduleDate, oldSlot),
+        subject,
+        html,
         saveToDb: true,
         property_id: booking.propertyId,
       });
@@ -620,475 +685,107 @@ const inspectionNotificationService = {
   },
 
   /**
-   * Generate confirmation email HTML template
+   * Notify admins that a tenant changed their booking through the booking link
+   * @param {Object} booking - Updated booking with slot.schedule and property relations
+   * @param {Object} change - { action: 'cancelled' | 'rescheduled', oldSlot, oldScheduleDate, reason }
+   * @returns {Promise<Object>} { sent, failed }
    */
-  generateConfirmationTemplate(booking, scheduleDate) {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Booking Confirmed</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
-  <table role="presentation" style="width: 100%; border-collapse: collapse;">
-    <tr>
-      <td style="padding: 40px 0;">
-        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <!-- Header -->
-          <tr>
-            <td style="padding: 40px 40px 30px; text-align: center; background-color: #10B981; border-radius: 8px 8px 0 0;">
-              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">✓ Booking Confirmed</h1>
-            </td>
-          </tr>
-
-          <!-- Content -->
-          <tr>
-            <td style="padding: 40px;">
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Dear ${booking.contactName || 'Tenant'},
-              </p>
-
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Your property inspection booking has been <strong style="color: #10B981;">confirmed</strong>. Please see the details below:
-              </p>
-
-              <!-- Booking Info -->
-              <table role="presentation" style="width: 100%; background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; margin-bottom: 24px;">
-                <tr>
-                  <td style="padding: 20px;">
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${booking.property.address}</p>
-
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Date:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${scheduleDate}</p>
-
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Time Slot:</p>
-                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">${booking.slot.startTime} - ${booking.slot.endTime}</p>
-                  </td>
-                </tr>
-              </table>
-
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Please ensure someone is available at the property during the inspection time.
-              </p>
-
-              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
-
-              <p style="margin: 0; color: #6b7280; font-size: 14px;">
-                If you need to make any changes, please contact your property manager.
-              </p>
-            </td>
-          </tr>
-
-          <!-- Footer -->
-          <tr>
-            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
-              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
-                This is an automated message. Please do not reply directly to this email.
-              </p>
-              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
-                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-    `;
-  },
+  async sendBookingChangeToAdmins(booking, { action, oldSlot = null, oldScheduleDate = null, reason = null }) {
+    const admins = (await userRepository.findActiveAdmins()).filter((admin) => admin.email);
+    if (admins.length === 0) {
+      logger.warn('No admins to notify about booking change', { bookingId: booking.id, action });
+      return { sent: 0, failed: 0 };
+    }
 
-  /**
-   * Generate confirmation email HTML template with booker information
-   * Used when sending to all recipients to show who made the booking
-   */
-  generateConfirmationTemplateWithBooker(booking, scheduleDate, recipientName) {
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-AU', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+    const currentTime = `${formatDate(booking.slot.schedule.scheduleDate)}, ${booking.slot.startTime} - ${booking.slot.endTime}`;
+    const previousTime = oldSlot
+      ? `${formatDate(oldScheduleDate)}, ${oldSlot.startTime} - ${oldSlot.endTime}`
+      : null;
+
+    const subject = action === 'cancelled'
+      ? `Booking Cancelled by Tenant - ${booking.property.address}`
+      : `Booking Rescheduled by Tenant - ${booking.property.address}`;
+    const text =
+      `Hello,\n\n` +
+      `A booking was ${action} by the tenant through their booking link.\n\n` +
+      `------------------------------------------------------\n` +
+      `Booking ID: ${booking.id}\n` +
+      `Property Address: ${booking.property.address}\n` +
+      `Contact: ${booking.contactName}${booking.contactPhone ? ` (${booking.contactPhone})` : ''}\n` +
+      `Booking Status: ${booking.status}\n` +
+      (previousTime ? `Previous Time: ${previousTime}\n` : '') +
+      `${action === 'cancelled' ? 'Cancelled Time' : 'New Time'}: ${currentTime}\n` +
+      (reason ? `Reason: ${reason}\n` : '') +
+      (booking.note ? `Note: ${booking.note}\n` : '') +
+      `------------------------------------------------------\n\n` +
+      'Best regards,\n' +
+      'RJL System';
+
+    const results = await sendInBatches(
+      admins.map((admin) => () => resendEmailService.sendEmail({
+        from: 'Property Inspection <noreply@system.rjlagroup.com>',
+        to: admin.email,
+        subject,
+        text,
+      }))
+    );
 
-    // Determine booker information
-    let bookerName = booking.contactName || 'Unknown';
-    let bookerTypeLabel = 'Tenant';
-    if (booking.bookerType === 'agencyUser' && booking.bookedByUser) {
-      bookerName = booking.bookedByUser.name || bookerName;
-      bookerTypeLabel = 'Agency Staff';
-    } else if (booking.bookerType === 'contact') {
-      bookerTypeLabel = 'Property Contact';
+    const sent = results.filter((r) => r.status === 'fulfilled').length;
+    const failed = results.length - sent;
+    if (failed > 0) {
+      logger.error('Failed to notify some admins about booking change', { bookingId: booking.id, action, failed });
     }
-
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Booking Confirmed</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
-  <table role="presentation" style="width: 100%; border-collapse: collapse;">
-    <tr>
-      <td style="padding: 40px 0;">
-        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <!-- Header -->
-          <tr>
-            <td style="padding: 40px 40px 30px; text-align: center; background-color: #10B981; border-radius: 8px 8px 0 0;">
-              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">✓ Booking Confirmed</h1>
-            </td>
-          </tr>
-
-          <!-- Content -->
-          <tr>
-            <td style="padding: 40px;">
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Dear ${recipientName},
-              </p>
-
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                The property inspection booking has been <strong style="color: #10B981;">confirmed</strong>. Please see the details below:
-              </p>
-
-              <!-- Booking Info -->
-              <table role="presentation" style="width: 100%; background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; margin-bottom: 24px;">
-                <tr>
-                  <td style="padding: 20px;">
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${booking.property.address}</p>
-
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Date:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${scheduleDate}</p>
-
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Time Slot:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${booking.slot.startTime} - ${booking.slot.endTime}</p>
-
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Booked By:</p>
-                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">${bookerName} <span style="color: #6b7280; font-weight: normal;">(${bookerTypeLabel})</span></p>
-                  </td>
-                </tr>
-              </table>
-
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Please ensure someone is available at the property during the inspection time.
-              </p>
-
-              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
-
-              <p style="margin: 0; color: #6b7280; font-size: 14px;">
-                If you need to make any changes, please contact your property manager.
-              </p>
-            </td>
-          </tr>
-
-          <!-- Footer -->
-          <tr>
-            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
-              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
-                This is an automated message. Please do not reply directly to this email.
-              </p>
-              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
-                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-    `;
+    logger.info('Booking change sent to admins', { bookingId: booking.id, action, sent });
+    return { sent, failed };
   },
 
   /**
-   * Generate rejection email HTML template
+   * Send a new booking link to the recipient of an earlier invitation
+   * The invitation is for the next published date in the region (or the original schedule if there is none).
+   * Revoking the old link is up to the caller.
+   * @param {Object} notification - Earlier notification with schedule, contact and user
+   * @returns {Promise<Object>} New notification record
    */
-  generateRejectionTemplate(booking, scheduleDate) {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Booking Update</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
-  <table role="presentation" style="width: 100%; border-collapse: collapse;">
-    <tr>
-      <td style="padding: 40px 0;">
-        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <!-- Header -->
-          <tr>
-            <td style="padding: 40px 40px 30px; text-align: center; background-color: #EF4444; border-radius: 8px 8px 0 0;">
-              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">Booking Update</h1>
-            </td>
-          </tr>
-
-          <!-- Content -->
-          <tr>
-            <td style="padding: 40px;">
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Dear ${booking.contactName || 'Tenant'},
-              </p>
-
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                We regret to inform you that your inspection booking for the following property could not be confirmed at this time:
-              </p>
-
-              <!-- Booking Info -->
-              <table role="presentation" style="width: 100%; background-color: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; margin-bottom: 24px;">
-                <tr>
-                  <td style="padding: 20px;">
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${booking.property.address}</p>
-
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Requested Date:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${scheduleDate}</p>
-
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Requested Time:</p>
-                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">${booking.slot.startTime} - ${booking.slot.endTime}</p>
-                  </td>
-                </tr>
-              </table>
-
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Please contact your property manager to arrange an alternative inspection time.
-              </p>
-
-              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
-
-              <p style="margin: 0; color: #6b7280; font-size: 14px;">
-                We apologize for any inconvenience this may cause.
-              </p>
-            </td>
-          </tr>
-
-          <!-- Footer -->
-          <tr>
-            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
-              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
-                This is an automated message. Please do not reply directly to this email.
-              </p>
-              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
-                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-    `;
-  },
+  async resendBookingInvitation(notification) {
+    const property = await propertyRepository.findByIdWithRelations(notification.propertyId);
+    if (!property) {
+      throw new NotFoundError('Property');
+    }
 
-  /**
-   * Generate reschedule email HTML template
-   */
-  generateRescheduleTemplate(booking, scheduleDate, oldSlot) {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Booking Rescheduled</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
-  <table role="presentation" style="width: 100%; border-collapse: collapse;">
-    <tr>
-      <td style="padding: 40px 0;">
-        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <!-- Header -->
-          <tr>
-            <td style="padding: 40px 40px 30px; text-align: center; background-color: #F59E0B; border-radius: 8px 8px 0 0;">
-              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">Booking Rescheduled</h1>
-            </td>
-          </tr>
-
-          <!-- Content -->
-          <tr>
-            <td style="padding: 40px;">
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Dear ${booking.contactName || 'Tenant'},
-              </p>
-
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Your property inspection booking has been rescheduled. Please see the updated details below:
-              </p>
-
-              <!-- Old Time (Crossed out) -->
-              <table role="presentation" style="width: 100%; background-color: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; margin-bottom: 16px;">
-                <tr>
-                  <td style="padding: 16px;">
-                    <p style="margin: 0 0 4px; color: #6b7280; font-size: 12px;">Previous Time (Cancelled):</p>
-                    <p style="margin: 0; color: #9ca3af; font-size: 14px; text-decoration: line-through;">
-                      ${oldSlot ? `${oldSlot.startTime} - ${oldSlot.endTime}` : 'N/A'}
-                    </p>
-                  </td>
-                </tr>
-              </table>
-
-              <!-- New Time -->
-              <table role="presentation" style="width: 100%; background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; margin-bottom: 24px;">
-                <tr>
-                  <td style="padding: 20px;">
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${booking.property.address}</p>
-
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Date:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${scheduleDate}</p>
-
-                    <p style="margin: 0 0 8px; color: #10B981; font-size: 14px; font-weight: bold;">New Time Slot:</p>
-                    <p style="margin: 0; color: #111827; font-size: 18px; font-weight: bold;">${booking.slot.startTime} - ${booking.slot.endTime}</p>
-                  </td>
-                </tr>
-              </table>
-
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Please ensure someone is available at the property during the new inspection time.
-              </p>
-
-              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
-
-              <p style="margin: 0; color: #6b7280; font-size: 14px;">
-                If you have any questions, please contact your property manager.
-              </p>
-            </td>
-          </tr>
-
-          <!-- Footer -->
-          <tr>
-            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
-              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
-                This is an automated message. Please do not reply directly to this email.
-              </p>
-              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
-                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-    `;
-  },
+    const [nextSchedule] = await inspectionScheduleRepository.findFutureByRegion(notification.schedule.region);
+    const schedule = nextSchedule || notification.schedule;
 
-  /**
-   * Generate email HTML template
-   */
-  generateEmailTemplate(contact, property, schedule, scheduleDate, bookingLink, inspectionTypes = []) {
-    // Format inspection types for display
-    const typeLabels = inspectionTypes
-      .map((type) => TASK_TYPE_LABELS[type] || type)
-      .filter(Boolean);
-    const inspectionTypesText = typeLabels.length > 0
-      ? typeLabels.join(', ')
-      : 'Safety Check';
+    const inspectionTypes = [...new Set(property.tasks
+      .filter((t) => [TASK_STATUS.INCOMPLETE, TASK_STATUS.UNKNOWN].includes(t.status))
+      .map((t) => t.type)
+      .filter(Boolean))];
 
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Safety Check Inspection</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
-  <table role="presentation" style="width: 100%; border-collapse: collapse;">
-    <tr>
-      <td style="padding: 40px 0;">
-        <table role="presentation" style="width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <!-- Header -->
-          <tr>
-            <td style="padding: 40px 40px 30px; text-align: center; background-color: #4F46E5; border-radius: 8px 8px 0 0;">
-              <h1 style="margin: 0; color: #ffffff; font-size: 24px;">Safety Check Inspection</h1>
-            </td>
-          </tr>
-
-          <!-- Content -->
-          <tr>
-            <td style="padding: 40px;">
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                Dear ${contact.name || 'Tenant'},
-              </p>
-
-              <p style="margin: 0 0 20px; color: #374151; font-size: 16px;">
-                We would like to inform you that a safety check inspection has been scheduled for your property.
-              </p>
-
-              <!-- Property Info -->
-              <table role="presentation" style="width: 100%; background-color: #f9fafb; border-radius: 8px; margin-bottom: 24px;">
-                <tr>
-                  <td style="padding: 20px;">
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Property Address:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${property.address}</p>
-
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Date:</p>
-                    <p style="margin: 0 0 16px; color: #111827; font-size: 16px; font-weight: bold;">${scheduleDate}</p>
-
-                    <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Inspection Type:</p>
-                    <p style="margin: 0; color: #111827; font-size: 16px; font-weight: bold;">${inspectionTypesText}</p>
-                  </td>
-                </tr>
-              </table>
-
-              <p style="margin: 0 0 24px; color: #374151; font-size: 16px;">
-                Please click the button below to select a convenient time slot for the inspection:
-              </p>
-
-              <!-- CTA Button -->
-              <table role="presentation" style="width: 100%; margin-bottom: 24px;">
-                <tr>
-                  <td style="text-align: center;">
-                    <a href="${bookingLink}" style="display: inline-block; padding: 14px 32px; background-color: #4F46E5; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: bold; border-radius: 8px;">
-                      Book Inspection Time
-                    </a>
-                  </td>
-                </tr>
-              </table>
-
-              <p style="margin: 0 0 16px; color: #6b7280; font-size: 14px;">
-                Or copy and paste this link into your browser:
-              </p>
-              <p style="margin: 0 0 24px; color: #4F46E5; font-size: 14px; word-break: break-all;">
-                ${bookingLink}
-              </p>
-
-              <p style="margin: 0 0 16px; color: #ef4444; font-size: 14px; font-weight: bold;">
-                This link will expire in 14 days.
-              </p>
-
-              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
-
-              <p style="margin: 0; color: #6b7280; font-size: 14px;">
-                If you have any questions, please contact your property manager.
-              </p>
-            </td>
-          </tr>
-
-          <!-- Footer -->
-          <tr>
-            <td style="padding: 20px 40px; background-color: #f9fafb; border-radius: 0 0 8px 8px; text-align: center;">
-              <p style="margin: 0 0 4px; color: #9ca3af; font-size: 12px;">
-                This is an automated message. Please do not reply directly to this email.
-              </p>
-              <p style="margin: 0; color: #9ca3af; font-size: 12px;">
-                For human assistance: <a href="mailto:workorder@rjlagroup.com" style="color: #6b7280;">workorder@rjlagroup.com</a> · To submit a work order (AI-processed): <a href="mailto:workorder@system.rjlagroup.com" style="color: #6b7280;">workorder@system.rjlagroup.com</a>
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-    `;
+    const recipient = {
+      name: notification.contact?.name || notification.user?.name || null,
+      email: notification.recipientEmail,
+    };
+    const token = generateBookingToken();
+
+    const sent = await this.sendBookingInvitation(recipient, property, schedule, token, inspectionTypes);
+
+    return inspectionNotificationRepository.create({
+      schedule_id: schedule.id,
+      property_id: notification.propertyId,
+      contact_id: notification.contactId,
+      user_id: notification.userId,
+      recipient_type: notification.recipientType,
+      recipient_email: notification.recipientEmail,
+      booking_token: token,
+      token_expires_at: getTokenExpiryDate(),
+      status: 'sent',
+      resend_id: sent.id,
+    });
   },
 };
 
@@ -7,13 +7,16 @@
 const inspectionConfigRepository = require('../repositories/inspectionConfigRepository');
 const inspectionScheduleRepository = require('../repositories/inspectionScheduleRepository');
 const inspectionSlotRepository = require('../repositories/inspectionSlotRepository');
+const inspectionNotificationRepository = require('../repositories/inspectionNotificationRepository');
+const inspectionBookingRepository = require('../repositories/inspectionBookingRepository');
 const propertyRepository = require('../repositories/propertyRepository');
 const contactRepository = require('../repositories/contactRepository');
 const userRepository = require('../repositories/userRepository');
 const inspectionNotificationService = require('./inspectionNotificationService');
 const logger = require('../lib/logger');
+const { getBookingTokenExpiryDate } = require('../lib/tokenGenerator');
 const { NotFoundError, ValidationError, ConflictError, ForbiddenError } = require('../lib/errors');
-const { REGION, REGION_LABELS, SCHEDULE_STATUS, USER_ROLES } = require('../config/constants');
+const { REGION, REGION_LABELS, SCHEDULE_STATUS, USER_ROLES, INSPECTION_FOLLOW_UP } = require('../config/constants');
 
 const inspectionService = {
   // ==================== Config Methods ====================
@@ -41,6 +44,8 @@ const inspectionService = {
         end_time: null,
         slot_duration: null,
         max_capacity: 1,
+        follow_up_days: INSPECTION_FOLLOW_UP.DAYS,
+        follow_up_alert_days: INSPECTION_FOLLOW_UP.ALERT_DAYS,
         is_active: false,
         is_configured: false,
       };
@@ -61,6 +66,8 @@ const inspectionService = {
         end_time: null,
         slot_duration: null,
         max_capacity: 1,
+        follow_up_days: INSPECTION_FOLLOW_UP.DAYS,
+        follow_up_alert_days: INSPECTION_FOLLOW_UP.ALERT_DAYS,
         is_active: false,
         is_configured: false,
       };
@@ -93,6 +100,8 @@ const inspectionService = {
       end_time: config.endTime,
       slot_duration: config.slotDuration,
       max_capacity: config.maxCapacity,
+      follow_up_days: config.followUpDays,
+      follow_up_alert_days: config.followUpAlertDays,
       is_active: config.isActive,
       is_configured: true,
       created_at: config.createdAt,
@@ -105,12 +114,16 @@ const inspectionService = {
   /**
    * Build inspection scope based on user role
    * Superuser/Admin: No restrictions
+   * Technician: Only schedules with bookings assigned to them
    * Agency Admin/User: Filter by agency_id
    */
   buildInspectionScope(requestingUser) {
     if (['superuser', 'admin'].includes(requestingUser.role)) {
       return {}; // No restrictions
     }
+    if (requestingUser.role === USER_ROLES.TECHNICIAN) {
+      return { assignedTechnicianId: requestingUser.user_id };
+    }
     // Agency admin and agency user - filter by agency
     return { agencyId: requestingUser.agency_id };
   },
@@ -132,6 +145,21 @@ const inspectionService = {
     }
   },
 
+  /**
+   * Get the agency to limit property / recipient lists to (null = all, for admins)
+   * Only admins and agency users with an agency can see invitation recipients
+   */
+  getRecipientAgencyScope(requestingUser) {
+    if (this.canManageInspection(requestingUser)) {
+      return null;
+    }
+    const scope = this.buildInspectionScope(requestingUser);
+    if (!scope.agencyId) {
+      throw new ForbiddenError('No permission to view inspection recipients');
+    }
+    return scope.agencyId;
+  },
+
   // ==================== Slot Generation Utilities ====================
 
   /**
@@ -504,18 +532,18 @@ const inspectionService = {
    * For agency users, only returns properties from their agency
    */
   async getScheduleProperties(scheduleId, requestingUser) {
+    const agencyId = this.getRecipientAgencyScope(requestingUser);
+
     const schedule = await inspectionScheduleRepository.findById(scheduleId);
     if (!schedule) {
       throw new NotFoundError('Schedule not found');
     }
 
-    const scope = this.buildInspectionScope(requestingUser);
-
     // Get only properties in the same region that have at least one INCOMPLETE task
     // For agency users, also filter by agency
     const properties = await propertyRepository.findByRegionWithIncompleteTasks(
       schedule.region,
-      scope.agencyId
+      agencyId
     );
 
     // Process each property to get recipient info
@@ -626,7 +654,12 @@ const inspectionService = {
         contact_name: n.contact?.name,
         recipient_email: n.recipientEmail,
         status: n.status,
+        failure_reason: n.failureReason || null,
         sent_at: n.sentAt,
+        delivered_at: n.deliveredAt || null,
+        opened_at: n.openedAt || null,
+        token_expires_at: n.tokenExpiresAt || null,
+        token_revoked_at: n.tokenRevokedAt || null,
       })),
     };
   },
@@ -643,13 +676,13 @@ const inspectionService = {
       throw new ValidationError('Invalid region');
     }
 
-    const scope = this.buildInspectionScope(requestingUser);
+    const agencyId = this.getRecipientAgencyScope(requestingUser);
 
     // Get only properties in the region that have at least one INCOMPLETE task
     // For agency users, also filter by agency
     const properties = await propertyRepository.findByRegionWithIncompleteTasks(
       region,
-      scope.agencyId
+      agencyId
     );
 
     // Process each property to get all potential recipients
@@ -666,6 +699,7 @@ const inspectionService = {
             name: contact.name,
             email: contact.email,
             type: 'contact',
+            email_bounced: !!contact.emailBouncedAt,
           });
         }
 
@@ -698,6 +732,90 @@ const inspectionService = {
       properties: propertiesWithRecipients,
     };
   },
+
+  // ==================== Booking Link Methods ====================
+
+  /**
+   * Revoke the booking link sent in a notification
+   * The link stops working for booking, viewing and changing a booking made with it.
+   */
+  async revokeNotificationLink(id, requestingUser) {
+    this.requireManagePermission(requestingUser, 'revoke booking links for');
+
+    const notification = await inspectionNotificationRepository.findById(id);
+    if (!notification) {
+      throw new NotFoundError('Notification');
+    }
+
+    await inspectionNotificationRepository.revokeToken(notification.bookingToken);
+    await inspectionBookingRepository.revokeToken(notification.bookingToken);
+
+    logger.info('Booking link revoked', { notificationId: id, userId: requestingUser.user_id });
+
+    const updated = await inspectionNotificationRepository.findById(id);
+    return this.formatNotificationLink(updated);
+  },
+
+  /**
+   * Email a new booking link to the recipient of a notification and revoke the old one
+   * An active booking made with the old link moves to the new link.
+   */
+  async regenerateNotificationLink(id, requestingUser) {
+    this.requireManagePermission(requestingUser, 'regenerate booking links for');
+
+    const notification = await inspectionNotificationRepository.findById(id);
+    if (!notification) {
+      throw new NotFoundError('Notification');
+    }
+
+    // Send the new link first so the old one keeps working if sending fails
+    const created = await inspectionNotificationService.resendBookingInvitation(notification);
+
+    await inspectionNotificationRepository.revokeToken(notification.bookingToken);
+
+    const booking = await inspectionBookingRepository.findByToken(notification.bookingToken);
+    const movedBooking = booking && ['pending', 'confirmed'].includes(booking.status) ? booking : null;
+    if (movedBooking) {
+      await inspectionBookingRepository.replaceToken(
+        movedBooking.id,
+        created.bookingToken,
+        getBookingTokenExpiryDate(movedBooking.slot.schedule.scheduleDate)
+      );
+    } else if (booking) {
+      await inspectionBookingRepository.revokeToken(notification.bookingToken);
+    }
+
+    logger.info('Booking link regenerated', {
+      notificationId: id,
+      newNotificationId: created.id,
+      bookingId: booking?.id || null,
+      userId: requestingUser.user_id,
+    });
+
+    const revoked = await inspectionNotificationRepository.findById(id);
+    return {
+      revoked: this.formatNotificationLink(revoked),
+      notification: this.formatNotificationLink(created),
+      moved_booking_id: movedBooking?.id || null,
+    };
+  },
+
+  /**
+   * Format notification booking link info for API response
+   */
+  formatNotificationLink(notification) {
+    return {
+      id: notification.id,
+      schedule_id: notification.scheduleId,
+      property_id: notification.propertyId,
+      recipient_email: notification.recipientEmail,
+      recipient_type: notification.recipientType,
+      status: notification.status,
+      sent_at: notification.sentAt,
+      token_expires_at: notification.tokenExpiresAt,
+      token_revoked_at: notification.tokenRevokedAt,
+    };
+  },
 };
 
 module.exports = inspectionService;
@@ -0,0 +1,270 @@
+/**
+ * Mail Transport Service
+ *
+ * Delivers outbound emails through the transport selected by MAIL_TRANSPORT:
+ *   - resend: Resend API (RESEND_API_KEY)
+ *   - smtp:   nodemailer SMTP (SMTP_* env, falling back to the email settings in SYSTEM_SETTINGS)
+ *   - file:   writes each email as JSON to MAIL_SINK_DIR (development)
+ *   - memory: keeps emails in memory (tests)
+ *
+ * Without MAIL_TRANSPORT, Resend is used when RESEND_API_KEY is set; otherwise
+ * development falls back to the file sink so the app can run without a key.
+ *
+ * A transport is an object with:
+ *   - name: string
+ *   - send(message): Promise<{ id }>, throws on failure
+ *   - sendBatch(messages): Promise<{ data: [{ id }] }>, throws on failure
+ *
+ * message: { from, to: string[], subject, html, text, headers }
+ * id is the Resend email ID (used for delivery tracking), null for other transports.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Resend } = require('resend');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const systemSettingsRepository = require('../repositories/systemSettingsRepository');
+const { MAIL_TRANSPORT } = require('../config/constants');
+const logger = require('../lib/logger');
+
+const DEFAULT_SMTP_PORT = 587;
+const DEFAULT_SINK_DIR = path.join(os.tmpdir(), 'rjl-mail');
+
+let resendClient = null;
+let smtpClient = null; // { configKey, transporter }
+const sentMessages = [];
+let transportOverride = null;
+
+/**
+ * Get the Resend client, created on first use
+ */
+function getResendClient() {
+  if (!resendClient) {
+    if (!process.env.RESEND_API_KEY) {
+      throw new Error('RESEND_API_KEY environment variable is required for the resend mail transport');
+    }
+    resendClient = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resendClient;
+}
+
+/**
+ * Get the nodemailer transporter for the current SMTP settings
+ * Env values take precedence over the email settings saved in SYSTEM_SETTINGS.
+ */
+async function getSmtpTransporter() {
+  const settings = await systemSettingsRepository.get();
+  const config = {
+    host: process.env.SMTP_HOST || settings?.emailHost,
+    port: Number(process.env.SMTP_PORT) || DEFAULT_SMTP_PORT,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || settings?.emailUser,
+    pass: process.env.SMTP_PASSWORD || settings?.emailPassword,
+  };
+
+  if (!config.host) {
+    throw new Error('SMTP host is not configured (SMTP_HOST or email host in system settings)');
+  }
+
+  // Recreate the transporter when settings change
+  const configKey = JSON.stringify(config);
+  if (!smtpClient || smtpClient.configKey !== configKey) {
+    smtpClient = {
+      configKey,
+      transporter: nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+      }),
+    };
+  }
+  return smtpClient.transporter;
+}
+
+/**
+ * Build the record kept by the file / memory sinks
+ */
+function toSinkRecord(message, transportName) {
+  return {
+    id: uuidv4(),
+    transport: transportName,
+    sent_at: new Date().toISOString(),
+    ...message,
+  };
+}
+
+const resendTransport = {
+  name: MAIL_TRANSPORT.RESEND,
+
+  async send(message) {
+    const { data, error } = await getResendClient().emails.send(message);
+    if (error) {
+      throw new Error(`Resend error: ${error.message}`);
+    }
+    return { id: data?.id || null };
+  },
+
+  async sendBatch(messages) {
+    const { data, error } = await getResendClient().batch.send(messages);
+    if (error) {
+      throw new Error(`Resend batch error: ${error.message}`);
+    }
+    return data;
+  },
+};
+
+const smtpTransport = {
+  name: MAIL_TRANSPORT.SMTP,
+
+  async send(message) {
+    const transporter = await getSmtpTransporter();
+    const { 'Message-ID': messageId, ...headers } = message.headers || {};
+
+    await transporter.sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      messageId,
+      headers,
+    });
+
+    // Delivery events are only tracked for Resend
+    return { id: null };
+  },
+
+  async sendBatch(messages) {
+    const data = [];
+    for (const message of messages) {
+      data.push(await this.send(message));
+    }
+    return { data };
+  },
+};
+
+const fileTransport = {
+  name: MAIL_TRANSPORT.FILE,
+
+  async send(message) {
+    const dir = process.env.MAIL_SINK_DIR || DEFAULT_SINK_DIR;
+    const record = toSinkRecord(message, this.name);
+    const file = path.join(dir, `${Date.now()}-${record.id}.json`);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify(record, null, 2));
+
+    logger.info('[MailTransport] Email written to file', { to: message.to, subject: message.subject, file });
+    return { id: null };
+  },
+
+  async sendBatch(messages) {
+    const data = [];
+    for (const message of messages) {
+      data.push(await this.send(message));
+    }
+    return { data };
+  },
+};
+
+const memoryTransport = {
+  name: MAIL_TRANSPORT.MEMORY,
+
+  async send(message) {
+    sentMessages.push(toSinkRecord(message, this.name));
+    return { id: null };
+  },
+
+  async sendBatch(messages) {
+    const data = [];
+    for (const message of messages) {
+      data.push(await this.send(message));
+    }
+    return { data };
+  },
+};
+
+const TRANSPORTS = {
+  [MAIL_TRANSPORT.RESEND]: resendTransport,
+  [MAIL_TRANSPORT.SMTP]: smtpTransport,
+  [MAIL_TRANSPORT.FILE]: fileTransport,
+  [MAIL_TRANSPORT.MEMORY]: memoryTransport,
+};
+
+const mailTransportService = {
+  /**
+   * Get the transport emails are currently sent with
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    if (transportOverride) return transportOverride;
+
+    const configured = process.env.MAIL_TRANSPORT;
+    if (!configured) {
+      if (!process.env.RESEND_API_KEY && process.env.NODE_ENV !== 'production') {
+        return fileTransport;
+      }
+      return resendTransport;
+    }
+
+    const transport = TRANSPORTS[configured.trim().toLowerCase()];
+    if (!transport) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${configured}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    return transport;
+  },
+
+  /**
+   * Use a transport instead of the configured one (e.g. in tests)
+   * @param {string|Object|null} transport - Transport name, transport object, or null to use MAIL_TRANSPORT again
+   */
+  useTransport(transport) {
+    if (typeof transport === 'string') {
+      const named = TRANSPORTS[transport];
+      if (!named) {
+        throw new Error(`Unknown mail transport "${transport}"`);
+      }
+      transportOverride = named;
+      return;
+    }
+    transportOverride = transport || null;
+  },
+
+  /**
+   * Send a single email
+   * @param {Object} message - { from, to: string[], subject, html, text, headers }
+   * @returns {Promise<Object>} { id }
+   */
+  async send(message) {
+    return this.getTransport().send(message);
+  },
+
+  /**
+   * Send multiple emails
+   * @param {Object[]} messages - Messages as for send()
+   * @returns {Promise<Object>} { data: [{ id }] }
+   */
+  async sendBatch(messages) {
+    return this.getTransport().sendBatch(messages);
+  },
+
+  /**
+   * Get emails kept by the memory transport
+   * @returns {Object[]}
+   */
+  getSentMessages() {
+    return [...sentMessages];
+  },
+
+  /**
+   * Clear emails kept by the memory transport
+   */
+  clearSentMessages() {
+    sentMessages.length = 0;
+  },
+};
+
+module.exports = mailTransportService;
@@ -0,0 +1,56 @@
+/**
+ * Property Match Service
+ *
+ * Finds existing properties for an address using the normalized address key, so the
+ * same property is not created twice. Similarity scoring only flags likely duplicates:
+ * near-identical addresses can be different properties (e.g. "12 Smith St" / "12 Smyth St").
+ */
+
+const propertyRepository = require('../repositories/propertyRepository');
+const { getAddressKey, addressSimilarity } = require('../lib/addressNormalizer');
+const { ADDRESS_MATCH } = require('../config/constants');
+
+const propertyMatchService = {
+  /**
+   * Match an address against candidate properties
+   * @param {string} address - Free-text address
+   * @param {Object[]} candidates - Properties with id, address and addressKey
+   * @returns {Object} { match, duplicates } - match is the property to reuse (exact address
+   *   or address key, else null); duplicates are likely (but not certain) matches as
+   *   [{ id, address, score }], best first
+   */
+  matchCandidates(address, candidates) {
+    const addressKey = getAddressKey(address);
+    const exact = candidates.find((c) => c.address === address || (addressKey && c.addressKey === addressKey));
+    if (exact) return { match: exact, duplicates: [] };
+    if (!addressKey) return { match: null, duplicates: [] };
+
+    const scored = candidates
+      .map((c) => ({ property: c, score: addressSimilarity(address, c.address) }))
+      .filter((s) => s.score >= ADDRESS_MATCH.LIKELY_DUPLICATE)
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      match: null,
+      duplicates: scored.map((s) => ({
+        id: s.property.id,
+        address: s.property.address,
+        score: Math.round(s.score * 100) / 100,
+      })),
+    };
+  },
+
+  /**
+   * Find an existing property for an address
+   * @param {string} address - Free-text address
+   * @param {Object} scope - { agencyId, userId, excludeId }; agency-wide when agencyId is given,
+   *   excludeId skips the property being edited
+   * @returns {Promise<Object>} { match, duplicates } (see matchCandidates)
+   */
+  async findMatches(address, { agencyId, userId, excludeId }) {
+    const candidates = await propertyRepository.findMatchCandidates(address, { agencyId, userId });
+    return this.matchCandidates(address, candidates.filter((c) => c.id !== excludeId));
+  },
+};
+
+module.exports = propertyMatchService;
@@ -7,9 +7,11 @@
 const propertyRepository = require('../repositories/propertyRepository');
 const userRepository = require('../repositories/userRepository');
 const veuProjectRepository = require('../repositories/veuProjectRepository');
-const { NotFoundError, ConflictError, ForbiddenError } = require('../lib/errors');
+const propertyMatchService = require('./propertyMatchService');
+const { NotFoundError, ConflictError, ForbiddenError, ValidationError } = require('../lib/errors');
 const { USER_ROLES } = require('../config/constants');
 const { createPagination } = require('../lib/response');
+const logger = require('../lib/logger');
 
 const propertyService = {
   /**
@@ -87,10 +89,20 @@ const propertyService = {
       }
     }
 
-    // Check for duplicate address
-    const existing = await propertyRepository.findByAddressAndUser(data.address, userId);
-    if (existing) {
-      throw new ConflictError('Property with this address already exists for this user');
+    // Check for the same (or a likely duplicate) address within the owner's agency
+    const owner = await userRepository.findById(userId);
+    const { match, duplicates } = await propertyMatchService.findMatches(data.address, {
+      agencyId: owner?.agencyId,
+      userId,
+    });
+    if (match) {
+      throw new ConflictError(`Property with this address already exists (ID: ${match.id})`);
+    }
+    if (duplicates.length > 0 && !data.allow_duplicate) {
+      const [closest] = duplicates;
+      throw new ConflictError(
+        `Address looks like existing property "${closest.address}" (ID: ${closest.id}). Set allow_duplicate to create it anyway`
+      );
     }
 
     // Create property
@@ -98,6 +110,9 @@ const propertyService = {
       address: data.address,
       user_id: userId,
       region: data.region || null,
+      latitude: data.latitude,
+      longitude: data.longitude,
+      access_instructions: data.access_instructions,
     });
 
     // Create default VEU projects if agency has VEU activated
@@ -144,12 +159,17 @@ const propertyService = {
       }
     }
 
-    // If changing address, check for conflicts
+    // If changing address, check for conflicts within the owner's agency
     if (data.address && data.address !== property.address) {
       const userId = data.user_id || property.userId;
-      const existing = await propertyRepository.findByAddressAndUser(data.address, userId);
-      if (existing && existing.id !== id) {
-        throw new ConflictError('Property with this address already exists');
+      const owner = userId === property.userId ? property.user : await userRepository.findById(userId);
+      const { match } = await propertyMatchService.findMatches(data.address, {
+        agencyId: owner?.agencyId,
+        userId,
+        excludeId: id,
+      });
+      if (match) {
+        throw new ConflictError(`Property with this address already exists (ID: ${match.id})`);
       }
     }
 
@@ -174,6 +194,59 @@ const propertyService = {
     return propertyRepository.softDelete(id);
   },
 
+  /**
+   * Merge duplicate properties into this property
+   * Related records move to the surviving property and the duplicates are soft-deleted.
+   */
+  async mergeProperties(id, duplicateIds, requestingUser) {
+    const mergedIds = [...new Set(duplicateIds)];
+    if (mergedIds.includes(id)) {
+      throw new ValidationError('A property cannot be merged into itself');
+    }
+
+    const property = await propertyRepository.findByIdWithRelations(id);
+    if (!property || !property.isActive) {
+      throw new NotFoundError('Property');
+    }
+    if (!this.canModifyProperty(requestingUser, property)) {
+      throw new ForbiddenError('Cannot modify this property');
+    }
+
+    const duplicates = await Promise.all(mergedIds.map((mergedId) => propertyRepository.findByIdWithRelations(mergedId)));
+    for (const [index, duplicate] of duplicates.entries()) {
+      if (!duplicate || !duplicate.isActive) {
+        throw new NotFoundError(`Property ${mergedIds[index]}`);
+      }
+      if (!this.canModifyProperty(requestingUser, duplicate)) {
+        throw new ForbiddenError(`Cannot modify property ${duplicate.id}`);
+      }
+      if (duplicate.user?.agencyId !== property.user?.agencyId) {
+        throw new ValidationError(`Property ${duplicate.id} belongs to another agency`);
+      }
+    }
+
+    // Same access and agency conditions, re-checked inside the merge transaction
+    const scope = { user: { agencyId: property.user?.agencyId ?? null } };
+    if (!['superuser', 'admin', USER_ROLES.AGENCY_ADMIN].includes(requestingUser.role)) {
+      scope.userId = requestingUser.user_id;
+    }
+
+    const summary = await propertyRepository.mergeInto(id, mergedIds, requestingUser.user_id, scope);
+
+    logger.info('[Property] Merged duplicate properties', {
+      propertyId: id,
+      mergedIds,
+      userId: requestingUser.user_id,
+      ...summary,
+    });
+
+    return {
+      property: await propertyRepository.findByIdWithRelations(id),
+      merged_ids: mergedIds,
+      moved: summary,
+    };
+  },
+
   /**
    * Build property scope based on user role
    */
@@ -184,6 +257,9 @@ const propertyService = {
     if (requestingUser.role === USER_ROLES.AGENCY_ADMIN) {
       return { isActive: true, agencyId: requestingUser.agency_id };
     }
+    if (requestingUser.role === USER_ROLES.TECHNICIAN) {
+      return { isActive: true, technicianId: requestingUser.user_id };
+    }
     return { isActive: true, userId: requestingUser.user_id };
   },
 
@@ -195,9 +271,21 @@ const propertyService = {
     if (requestingUser.role === USER_ROLES.AGENCY_ADMIN) {
       return property.user?.agencyId === requestingUser.agency_id;
     }
+    if (requestingUser.role === USER_ROLES.TECHNICIAN) {
+      return this.isAssignedToTechnician(property, requestingUser.user_id);
+    }
     return property.userId === requestingUser.user_id;
   },
 
+  /**
+   * Check if a technician has a task or inspection booking assigned at the property
+   * Expects the property loaded with its tasks and inspectionBookings (see findByIdWithRelations)
+   */
+  isAssignedToTechnician(property, technicianId) {
+    return [...(property.tasks || []), ...(property.inspectionBookings || [])]
+      .some((job) => job.assignedTechnicianId === technicianId);
+  },
+
   /**
    * Check if user can modify property
    */
@@ -218,6 +306,9 @@ const propertyService = {
       address: property.address,
       user_id: property.userId,
       region: property.region,
+      latitude: property.latitude ?? null,
+      longitude: property.longitude ?? null,
+      access_instructions: property.accessInstructions || null,
       is_active: property.isActive,
       created_at: property.createdAt,
       updated_at: property.updatedAt,
@@ -244,6 +335,7 @@ const propertyService = {
         name: c.name,
         phone: c.phone,
         email: c.email,
+        email_bounced_at: c.emailBouncedAt || null,
       }));
     }
 
@@ -4,14 +4,27 @@
  * Business logic for public booking endpoints (no authentication required).
  */
 
+const dayjs = require('dayjs');
 const prisma = require('../config/prisma');
 const inspectionNotificationRepository = require('../repositories/inspectionNotificationRepository');
 const inspectionBookingRepository = require('../repositories/inspectionBookingRepository');
 const inspectionSlotRepository = require('../repositories/inspectionSlotRepository');
 const inspectionScheduleRepository = require('../repositories/inspectionScheduleRepository');
-const { generateBookingToken, getTokenExpiryDate, isTokenExpired } = require('../lib/tokenGenerator');
-const { NotFoundError, ValidationError, ConflictError } = require('../lib/errors');
-const { REGION_LABELS, TASK_STATUS } = require('../config/constants');
+const taskRepository = require('../repositories/taskRepository');
+const inspectionNotificationService = require('./inspectionNotificationService');
+const inspectionBookingService = require('./inspectionBookingService');
+const { generateBookingToken, getBookingTokenExpiryDate, isTokenExpired } = require('../lib/tokenGenerator');
+const { getSlotStart } = require('../lib/inspectionTime');
+const { NotFoundError, ValidationError, ConflictError, LinkExpiredError } = require('../lib/errors');
+const {
+  REGION_LABELS,
+  TASK_STATUS,
+  TASK_STATUS_SOURCE,
+  BOOKING_STATUS,
+  SCHEDULE_STATUS,
+  PUBLIC_BOOKING_CHANGE,
+} = require('../config/constants');
+const logger = require('../lib/logger');
 
 const publicBookingService = {
   /**
@@ -25,8 +38,9 @@ const publicBookingService = {
       throw new NotFoundError('Invalid or expired booking link');
     }
 
-    // Check if already booked
+    // Check if already booked (a booked link follows the booking's expiry)
     const existingBooking = await inspectionBookingRepository.findByToken(token);
+    this.assertLinkUsable(existingBooking || notification);
     if (existingBooking) {
       // Return booking status
       return {
@@ -111,6 +125,7 @@ const publicBookingService = {
       schedules: schedulesWithSlots,
       // Booker information
       booker: bookerInfo,
+      link_expires_at: notification.tokenExpiresAt,
       // Legacy contact field (for backwards compatibility)
       contact: {
         name: notification.contact?.name || notification.user?.name || null,
@@ -132,6 +147,8 @@ const publicBookingService = {
       throw new NotFoundError('Invalid or expired booking link');
     }
 
+    this.assertLinkUsable(notification);
+
     // Check if already booked
     const existingBooking = await inspectionBookingRepository.findByToken(token);
     if (existingBooking) {
@@ -143,6 +160,7 @@ const publicBookingService = {
     if (!slotAvailable) {
       throw new ValidationError('This time slot is no longer available');
     }
+    const slot = await inspectionSlotRepository.findById(data.slot_id);
 
     // Check if the property already has processing tasks (inspection already scheduled)
     const processingTask = await prisma.task.findFirst({
@@ -174,7 +192,7 @@ const publicBookingService = {
       contact_email: data.contact_email || null,
       note: data.note || null,
       booking_token: token,
-      token_expires_at: getTokenExpiryDate(),
+      token_expires_at: getBookingTokenExpiryDate(slot.schedule.scheduleDate),
       status: 'pending',
     });
 
@@ -193,10 +211,12 @@ const publicBookingService = {
       // Check if notification exists but no booking
       const notification = await inspectionNotificationRepository.findByToken(token);
       if (notification) {
+        this.assertLinkUsable(notification);
         return { status: 'not_booked' };
       }
       throw new NotFoundError('Invalid booking link');
     }
+    this.assertLinkUsable(booking);
 
     return {
       status: booking.status,
@@ -204,6 +224,184 @@ const publicBookingService = {
     };
   },
 
+  /**
+   * Cancel a booking through the booking link
+   * Releases the slot; tasks moved to PROCESSING by a confirmed booking go back to INCOMPLETE.
+   * The link is released too (the cancelled booking gets a new, unused token), so its holder
+   * can book again.
+   */
+  async cancelBooking(token, data) {
+    const booking = await this.getChangeableBooking(token);
+
+    await prisma.$transaction(async (tx) => {
+      // Only cancel once, so concurrent requests cannot release the slot twice
+      const { count } = await tx.inspectionBooking.updateMany({
+        where: {
+          id: booking.id,
+          status: { in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED] },
+        },
+        data: {
+          status: BOOKING_STATUS.CANCELLED,
+          bookingToken: generateBookingToken(),
+        },
+      });
+      if (count === 0) {
+        throw new ConflictError('This booking has already been changed');
+      }
+
+      // Keep the invitation usable for at least as long as the booking link was
+      if (booking.tokenExpiresAt) {
+        await tx.inspectionNotification.updateMany({
+          where: { bookingToken: token, tokenExpiresAt: { lt: booking.tokenExpiresAt } },
+          data: { tokenExpiresAt: booking.tokenExpiresAt },
+        });
+      }
+
+      await inspectionSlotRepository.decrementBookingsWithTx(tx, booking.slotId);
+
+      if (booking.status === BOOKING_STATUS.CONFIRMED) {
+        await taskRepository.transitionStatusWithTx(tx, {
+          propertyId: booking.propertyId,
+          status: TASK_STATUS.PROCESSING,
+          isActive: true,
+        }, TASK_STATUS.INCOMPLETE, {
+          source: TASK_STATUS_SOURCE.BOOKING,
+          data: { inspectionDate: null },
+        });
+      }
+    });
+
+    const updated = await inspectionBookingRepository.findById(booking.id);
+    logger.info('Booking cancelled through booking link', { bookingId: booking.id, previousStatus: booking.status });
+
+    try {
+      await inspectionNotificationService.sendBookingChangeToAdmins(updated, {
+        action: 'cancelled',
+        reason: data.reason,
+      });
+    } catch (error) {
+      logger.error('Failed to notify admins about booking cancellation', { bookingId: booking.id, error: error.message });
+    }
+
+    return {
+      message: 'Your booking has been cancelled',
+      booking: this.formatBooking(updated),
+    };
+  },
+
+  /**
+   * Move a booking to another slot through the booking link
+   * The new slot must be in a published schedule for the same region and outside the change cut-off.
+   * A confirmed booking stays confirmed; its PROCESSING tasks get the new inspection date.
+   */
+  async rescheduleBooking(token, data) {
+    const booking = await this.getChangeableBooking(token);
+
+    if (data.slot_id === booking.slotId) {
+      throw new ValidationError('Your booking is already in this time slot');
+    }
+
+    const slot = await inspectionSlotRepository.findById(data.slot_id);
+    if (
+      !slot
+      || !slot.schedule.isActive
+      || slot.schedule.status !== SCHEDULE_STATUS.PUBLISHED
+      || slot.schedule.region !== booking.slot.schedule.region
+    ) {
+      throw new ValidationError('This time slot is not available for your booking');
+    }
+
+    const newStart = getSlotStart(slot, slot.schedule);
+    if (dayjs(newStart).diff(dayjs(), 'hour', true) < PUBLIC_BOOKING_CHANGE.CUTOFF_HOURS) {
+      throw new ValidationError(`The new time must be at least ${PUBLIC_BOOKING_CHANGE.CUTOFF_HOURS} hours from now`);
+    }
+
+    const oldSlot = {
+      startTime: booking.slot.startTime,
+      endTime: booking.slot.endTime,
+    };
+
+    await prisma.$transaction((tx) => inspectionBookingService.moveBookingWithTx(tx, booking, slot, { note: data.note }));
+
+    const updated = await inspectionBookingRepository.findByToken(token);
+    logger.info('Booking rescheduled through booking link', {
+      bookingId: booking.id,
+      fromSlotId: booking.slotId,
+      toSlotId: data.slot_id,
+    });
+
+    try {
+      await inspectionNotificationService.sendBookingChangeToAdmins(updated, {
+        action: 'rescheduled',
+        oldSlot,
+        oldScheduleDate: booking.slot.schedule.scheduleDate,
+      });
+    } catch (error) {
+      logger.error('Failed to notify admins about booking reschedule', { bookingId: booking.id, error: error.message });
+    }
+
+    return {
+      message: 'Your booking has been rescheduled',
+      booking: this.formatBooking(updated),
+    };
+  },
+
+  /**
+   * Get a booking that the link holder may still change
+   * Only pending / confirmed bookings, and not within the cut-off before the inspection
+   */
+  async getChangeableBooking(token) {
+    const booking = await inspectionBookingRepository.findByToken(token);
+    if (!booking) {
+      throw new NotFoundError('Booking');
+    }
+    this.assertLinkUsable(booking);
+
+    if (![BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(booking.status)) {
+      throw new ValidationError(`Cannot change a booking with status: ${booking.status}`);
+    }
+
+    if (!this.canChangeBooking(booking)) {
+      throw new ValidationError(
+        `Bookings cannot be changed within ${PUBLIC_BOOKING_CHANGE.CUTOFF_HOURS} hours of the inspection. Please contact us to make changes.`
+      );
+    }
+
+    return booking;
+  },
+
+  /**
+   * Check that a booking link has not been revoked or expired
+   * @param {Object} record - Notification, or the booking once the link has been used to book
+   */
+  assertLinkUsable(record) {
+    if (record.tokenRevokedAt) {
+      throw new LinkExpiredError('revoked');
+    }
+    if (record.tokenExpiresAt && isTokenExpired(record.tokenExpiresAt)) {
+      throw new LinkExpiredError('expired');
+    }
+  },
+
+  /**
+   * Check if a booking is still outside the change cut-off
+   */
+  canChangeBooking(booking) {
+    if (![BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(booking.status)) {
+      return false;
+    }
+    return dayjs(this.getChangeDeadline(booking)).isAfter(dayjs());
+  },
+
+  /**
+   * Latest time the link holder can cancel or reschedule
+   */
+  getChangeDeadline(booking) {
+    return dayjs(getSlotStart(booking.slot, booking.slot.schedule))
+      .subtract(PUBLIC_BOOKING_CHANGE.CUTOFF_HOURS, 'hour')
+      .toDate();
+  },
+
   /**
    * Mask phone number for privacy
    */
@@ -247,6 +445,9 @@ const publicBookingService = {
         address: booking.property.address,
       },
       note: booking.note,
+      link_expires_at: booking.tokenExpiresAt,
+      can_change: this.canChangeBooking(booking),
+      change_deadline: this.getChangeDeadline(booking),
       created_at: booking.createdAt,
     };
   },
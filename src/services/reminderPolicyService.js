@@ -0,0 +1,188 @@
+/**
+ * Reminder Policy Service
+ *
+ * Business logic for per-agency / per-task-type reminder policies.
+ *
+ * Policy resolution for a task (most specific wins):
+ * 1. agency + task type
+ * 2. agency (all task types)
+ * 3. task type (all agencies)
+ * 4. global (all agencies, all task types)
+ * 5. DEFAULT_REMINDER_POLICY
+ */
+
+const reminderPolicyRepository = require('../repositories/reminderPolicyRepository');
+const agencyRepository = require('../repositories/agencyRepository');
+const { NotFoundError, ForbiddenError, ConflictError } = require('../lib/errors');
+const { USER_ROLES, DEFAULT_REMINDER_POLICY } = require('../config/constants');
+
+const policyKey = (agencyId, taskType) => `${agencyId || '*'}:${taskType || '*'}`;
+
+const reminderPolicyService = {
+  /**
+   * List policies visible to the user
+   */
+  async listPolicies(requestingUser, { agency_id } = {}) {
+    let agencyId = agency_id;
+    if (!['superuser', 'admin'].includes(requestingUser.role)) {
+      agencyId = requestingUser.agency_id;
+    }
+
+    const policies = await reminderPolicyRepository.findAll({ agencyId });
+    return policies.map(this.formatPolicy);
+  },
+
+  /**
+   * Get policy by ID
+   */
+  async getPolicyById(id, requestingUser) {
+    const policy = await reminderPolicyRepository.findById(id);
+    if (!policy) {
+      throw new NotFoundError('Reminder policy');
+    }
+
+    if (!this.canAccessPolicy(requestingUser, policy)) {
+      throw new ForbiddenError('Cannot access this reminder policy');
+    }
+
+    return this.formatPolicy(policy);
+  },
+
+  /**
+   * Create a policy
+   * Agency admins can only create policies for their own agency
+   */
+  async createPolicy(data, requestingUser) {
+    const agencyId = ['superuser', 'admin'].includes(requestingUser.role)
+      ? data.agency_id || null
+      : requestingUser.agency_id;
+
+    if (!this.canManagePolicy(requestingUser, agencyId)) {
+      throw new ForbiddenError('Cannot manage reminder policies for this agency');
+    }
+
+    if (agencyId) {
+      const agency = await agencyRepository.findById(agencyId);
+      if (!agency) {
+        throw new NotFoundError('Agency');
+      }
+    }
+
+    const existing = await reminderPolicyRepository.findByAgencyAndType(agencyId, data.task_type);
+    if (existing) {
+      throw new ConflictError('A reminder policy already exists for this agency and task type');
+    }
+
+    const policy = await reminderPolicyRepository.create({
+      due_soon_days: DEFAULT_REMINDER_POLICY.dueSoonDays,
+      before_due_days: DEFAULT_REMINDER_POLICY.beforeDueDays,
+      after_expiry_days: DEFAULT_REMINDER_POLICY.afterExpiryDays,
+      ...data,
+      agency_id: agencyId,
+    });
+
+    return this.formatPolicy(policy);
+  },
+
+  /**
+   * Update a policy
+   */
+  async updatePolicy(id, data, requestingUser) {
+    const policy = await reminderPolicyRepository.findById(id);
+    if (!policy) {
+      throw new NotFoundError('Reminder policy');
+    }
+
+    if (!this.canManagePolicy(requestingUser, policy.agencyId)) {
+      throw new ForbiddenError('Cannot modify this reminder policy');
+    }
+
+    const updated = await reminderPolicyRepository.update(id, data);
+    return this.formatPolicy(updated);
+  },
+
+  /**
+   * Delete a policy (tasks fall back to the next matching policy)
+   */
+  async deletePolicy(id, requestingUser) {
+    const policy = await reminderPolicyRepository.findById(id);
+    if (!policy) {
+      throw new NotFoundError('Reminder policy');
+    }
+
+    if (!this.canManagePolicy(requestingUser, policy.agencyId)) {
+      throw new ForbiddenError('Cannot delete this reminder policy');
+    }
+
+    return reminderPolicyRepository.delete(id);
+  },
+
+  /**
+   * Load all policies and return a resolver for tasks
+   * Used by the status updater and reminder jobs
+   */
+  async getPolicyResolver() {
+    const policies = await reminderPolicyRepository.findAll();
+    const byKey = new Map(policies.map((p) => [policyKey(p.agencyId, p.taskType), p]));
+
+    const normalize = (p) => ({
+      dueSoonDays: p.dueSoonDays,
+      beforeDueDays: p.beforeDueDays || [],
+      afterExpiryDays: p.afterExpiryDays || [],
+    });
+
+    const all = [DEFAULT_REMINDER_POLICY, ...policies.map(normalize)];
+
+    return {
+      resolve(task) {
+        const match = byKey.get(policyKey(task.agencyId, task.type))
+          || byKey.get(policyKey(task.agencyId, null))
+          || byKey.get(policyKey(null, task.type))
+          || byKey.get(policyKey(null, null));
+        return match ? normalize(match) : DEFAULT_REMINDER_POLICY;
+      },
+      maxDueSoonDays: Math.max(...all.map((p) => p.dueSoonDays)),
+      maxBeforeDueDays: Math.max(0, ...all.flatMap((p) => p.beforeDueDays)),
+      maxAfterExpiryDays: Math.max(0, ...all.flatMap((p) => p.afterExpiryDays)),
+    };
+  },
+
+  /**
+   * Check if user can view a policy (own agency or global)
+   */
+  canAccessPolicy(requestingUser, policy) {
+    if (['superuser', 'admin'].includes(requestingUser.role)) return true;
+    return !policy.agencyId || policy.agencyId === requestingUser.agency_id;
+  },
+
+  /**
+   * Check if user can create/modify policies for an agency
+   * Global policies (agencyId null) are admin-only
+   */
+  canManagePolicy(requestingUser, agencyId) {
+    if (['superuser', 'admin'].includes(requestingUser.role)) return true;
+    if (requestingUser.role === USER_ROLES.AGENCY_ADMIN) {
+      return !!agencyId && agencyId === requestingUser.agency_id;
+    }
+    return false;
+  },
+
+  /**
+   * Format policy for API response
+   */
+  formatPolicy(policy) {
+    return {
+      id: policy.id,
+      agency_id: policy.agencyId,
+      agency_name: policy.agency?.agencyName || null,
+      task_type: policy.taskType,
+      due_soon_days: policy.dueSoonDays,
+      before_due_days: policy.beforeDueDays,
+      after_expiry_days: policy.afterExpiryDays,
+      created_at: policy.createdAt,
+      updated_at: policy.updatedAt,
+    };
+  },
+};
+
+module.exports = reminderPolicyService;
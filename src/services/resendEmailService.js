@@ -1,24 +1,21 @@
 /**
  * Resend Email Service
  *
- * Unified email sending service using Resend API.
- * Replaces nodemailer + SMTP for all outgoing emails.
+ * Unified email sending service for all outgoing emails.
+ * Emails go out through the configured mail transport (Resend by default, see mailTransportService).
  */
 
-const { Resend } = require('resend');
+const { v4: uuidv4 } = require('uuid');
 const emailRepository = require('../repositories/emailRepository');
+const mailTransportService = require('./mailTransportService');
 const logger = require('../lib/logger');
 
-// Validate required environment variable
-if (!process.env.RESEND_API_KEY) {
-  throw new Error('RESEND_API_KEY environment variable is required');
-}
-
-const resend = new Resend(process.env.RESEND_API_KEY);
-
 // Default sender address
 const DEFAULT_FROM = 'RJL System <noreply@system.rjlagroup.com>';
 
+// Domain used for generated Message-ID headers
+const MESSAGE_ID_DOMAIN = 'system.rjlagroup.com';
+
 // Reply instruction to add to emails
 const REPLY_INSTRUCTION = '\n\nFor human assistance, email workorder@rjlagroup.com\nTo submit a work order (AI-processed), email workorder@system.rjlagroup.com';
 
@@ -34,24 +31,24 @@ const resendEmailService = {
    * @param {boolean} [options.saveToDb] - Whether to save email to database (default: false)
    * @param {number} [options.property_id] - Property ID for database record
    * @param {number} [options.agency_id] - Agency ID for database record
-   * @returns {Promise<Object>} Resend response data
+   * @returns {Promise<Object>} { id } - Resend email ID (null for other transports)
    */
   async sendEmail({ to, subject, html, text, from, saveToDb = false, property_id, agency_id }) {
     const fromAddress = from || DEFAULT_FROM;
     const recipientEmail = Array.isArray(to) ? to[0] : to;
 
-    const { data, error } = await resend.emails.send({
+    // Our own Message-ID, so replies (In-Reply-To/References) can be threaded back to this email
+    const messageId = `<${uuidv4()}@${MESSAGE_ID_DOMAIN}>`;
+
+    const data = await mailTransportService.send({
       from: fromAddress,
       to: Array.isArray(to) ? to : [to],
       subject,
       html,
       text,
+      headers: { 'Message-ID': messageId },
     });
 
-    if (error) {
-      throw new Error(`Resend error: ${error.message}`);
-    }
-
     // Save to database if requested
     if (saveToDb) {
       try {
@@ -63,6 +60,8 @@ const resendEmailService = {
           html,
           property_id,
           agency_id,
+          message_id: messageId,
+          resend_id: data?.id,
         });
         logger.info('[ResendEmailService] Outbound email saved to database', {
           to: recipientEmail,
@@ -84,7 +83,7 @@ const resendEmailService = {
   /**
    * Send multiple emails in a batch
    * @param {Array<Object>} emails - Array of email objects with to, subject, html, text, from
-   * @returns {Promise<Object>} Resend batch response data
+   * @returns {Promise<Object>} { data: [{ id }] }
    */
   async sendBatch(emails) {
     const formattedEmails = emails.map((email) => ({
@@ -95,13 +94,7 @@ const resendEmailService = {
       text: email.text,
     }));
 
-    const { data, error } = await resend.batch.send(formattedEmails);
-
-    if (error) {
-      throw new Error(`Resend batch error: ${error.message}`);
-    }
-
-    return data;
+    return mailTransportService.sendBatch(formattedEmails);
   },
 
   /**
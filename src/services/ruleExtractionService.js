@@ -0,0 +1,223 @@
+/**
+ * Rule-Based Extraction Service
+ *
+ * Deterministic extraction provider that uses regexes and keywords instead of AI.
+ * Used as the fallback when Gemini is unavailable, and for offline testing.
+ */
+
+const logger = require('../lib/logger');
+const { detectTaskTypes } = require('../lib/taskTypeDetection');
+const { TASK_TYPE } = require('../config/constants');
+
+const STATES = ['VIC', 'NSW', 'QLD', 'SA', 'WA', 'TAS', 'NT', 'ACT'];
+
+const STREET_TYPES = [
+  'Street', 'St', 'Road', 'Rd', 'Avenue', 'Ave', 'Drive', 'Dr', 'Court', 'Ct',
+  'Crescent', 'Cres', 'Place', 'Pl', 'Parade', 'Pde', 'Boulevard', 'Blvd', 'Lane', 'Ln',
+  'Way', 'Close', 'Cl', 'Terrace', 'Tce', 'Highway', 'Hwy', 'Grove', 'Gr', 'Circuit', 'Cct',
+  'Square', 'Sq', 'Rise', 'Walk', 'Esplanade', 'Esp', 'Mews', 'Track', 'Loop',
+];
+
+// Capitalised word, e.g. "Grasso", "O'Brien", "POINT"
+const WORD = "[A-Z][A-Za-z'\\-]*";
+const STREET_TYPE_PATTERN = STREET_TYPES.flatMap((t) => [t, t.toUpperCase()]).join('|');
+
+// [unit/]number street-name street-type, suburb STATE [postcode]
+const ADDRESS_REGEX = new RegExp(
+  `(?<![\\w/])((?:(?:Unit|Apt|Flat|Shop|Suite)\\s*)?\\d+[A-Za-z]?(?:\\s*/\\s*\\d+[A-Za-z]?)?)` +
+  `\\s+((?:${WORD}\\s+){1,3}?(?:${STREET_TYPE_PATTERN})\\b\\.?)` +
+  `\\s*,?\\s*((?:${WORD}\\s+){0,2}?${WORD})` +
+  `\\s*,?\\s*(${STATES.join('|')})\\b` +
+  '(?:\\s*,?\\s*(\\d{4})\\b)?',
+  'g'
+);
+
+// Australian mobile/landline, optionally with +61 prefix or (0X) area code
+const PHONE_REGEX = /(?<!\d)(?:\+?61[\s-]?|\(0|0)[2-478]\)?(?:[\s-]?\d){8}(?!\d)/g;
+
+const EMAIL_REGEX = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+const CONTACT_NAME_REGEX = /\b(?:tenant|occupant|contact|name)s?(?:\s+name)?\s*[:-]\s*([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+){0,2})/i;
+
+// Header lines of quoted/forwarded messages (sender, not tenant, details)
+const HEADER_LINE_REGEX = /^\s*>?\s*(from|to|cc|bcc|sent|date|reply-to)\s*:/i;
+
+// Fixed confidence scores: regex/keyword matches are never as certain as an explicit statement
+const CONFIDENCE = {
+  ADDRESS_WITH_POSTCODE: 0.8,
+  ADDRESS_WITHOUT_POSTCODE: 0.6,
+  TASK_TYPE_KEYWORD: 0.75,
+  NO_TASK_TYPE_KEYWORD: 0.4,
+  CONTACTS_FOUND: 0.7,
+  NO_CONTACTS_FOUND: 0.5,
+};
+
+const URGENCY_KEYWORDS = [
+  { urgency: 'URGENT', pattern: /\b(emergency|urgent|urgently|asap|immediate|immediately)\b/i },
+  { urgency: 'HIGH', pattern: /\b(important|priority|soon)\b/i },
+  { urgency: 'LOW', pattern: /\b(no rush|fyi|for your information|whenever)\b/i },
+];
+
+/**
+ * Normalize an Australian phone number to 04XX XXX XXX or 0X XXXX XXXX
+ * @param {string} raw - Matched phone number
+ * @returns {string|null} Formatted phone or null if not 10 digits
+ */
+function normalizePhone(raw) {
+  let digits = raw.replace(/\D/g, '');
+  if (digits.startsWith('61')) {
+    digits = '0' + digits.slice(2);
+  }
+  if (digits.length !== 10) return null;
+
+  if (digits[1] === '4') {
+    return `${digits.slice(0, 4)} ${digits.slice(4, 7)} ${digits.slice(7)}`;
+  }
+  return `${digits.slice(0, 2)} ${digits.slice(2, 6)} ${digits.slice(6)}`;
+}
+
+/**
+ * Find all Australian addresses in text
+ * @param {string} text
+ * @returns {Array<{address: string, index: number, hasPostcode: boolean}>} Unique addresses in order of appearance
+ */
+function findAddresses(text) {
+  const seen = new Set();
+  const addresses = [];
+
+  for (const match of text.matchAll(ADDRESS_REGEX)) {
+    const [, number, street, suburb, state, postcode] = match;
+    const address = `${number} ${street}, ${suburb} ${state}${postcode ? ` ${postcode}` : ''}, Australia`
+      .replace(/\s+/g, ' ');
+    const key = address.toLowerCase();
+    if (seen.has(key)) continue;
+
+    seen.add(key);
+    addresses.push({ address, index: match.index, hasPostcode: !!postcode });
+  }
+
+  return addresses;
+}
+
+/**
+ * Find contacts in text, one per line that has a phone number or a labelled email
+ * @param {string} text
+ * @returns {Array<{name: string|null, phone: string|null, email: string|null}>}
+ */
+function findContacts(text) {
+  const contacts = [];
+  const seen = new Set();
+
+  for (const line of text.split('\n')) {
+    if (HEADER_LINE_REGEX.test(line)) continue;
+
+    const phoneMatch = line.match(PHONE_REGEX);
+    const emailMatch = line.match(EMAIL_REGEX);
+    const nameMatch = line.match(CONTACT_NAME_REGEX);
+
+    const phone = phoneMatch ? normalizePhone(phoneMatch[0]) : null;
+    const email = emailMatch && (phone || nameMatch) ? emailMatch[0].toLowerCase() : null;
+    if (!phone && !email) continue;
+
+    const key = phone || email;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    contacts.push({ name: nameMatch ? nameMatch[1] : null, phone, email });
+  }
+
+  return contacts;
+}
+
+/**
+ * Map keyword detection to task types (same rules as CSV import for open jobs)
+ * @param {string} text
+ * @returns {string[]} Task types
+ */
+function findTaskTypes(text) {
+  const { hasGasElec, hasSmokeAlarm, hasSafetyCheck } = detectTaskTypes(text);
+
+  if (hasSafetyCheck || (hasGasElec && hasSmokeAlarm)) return [TASK_TYPE.SAFETY_CHECK];
+  if (hasGasElec) return [TASK_TYPE.GAS_ELECTRICITY];
+  if (hasSmokeAlarm) return [TASK_TYPE.SMOKE_ALARM];
+  return [];
+}
+
+/**
+ * Determine urgency from keywords
+ * @param {string} text
+ * @returns {string} LOW, MEDIUM, HIGH or URGENT
+ */
+function findUrgency(text) {
+  const rule = URGENCY_KEYWORDS.find((r) => r.pattern.test(text));
+  return rule ? rule.urgency : 'MEDIUM';
+}
+
+const ruleExtractionService = {
+  name: 'rules',
+
+  /**
+   * Extract tenant information from email using regexes and keywords
+   * @param {string} subject - Email subject
+   * @param {string} body - Email body text
+   * @returns {Promise<Object>} Extracted information (same shape as geminiService)
+   */
+  async extractEmailInfo(subject, body) {
+    const text = `${subject || ''}\n${body || ''}`.replace(/\r\n?/g, '\n');
+
+    const addresses = findAddresses(text);
+
+    // Contacts listed after an address (and before the next one) belong to that property;
+    // contacts above the first address belong to the first property
+    let properties;
+    if (addresses.length === 0) {
+      properties = [{ address: null, contacts: findContacts(text) }];
+    } else {
+      properties = addresses.map((a, i) => {
+        const start = i === 0 ? 0 : a.index;
+        const end = i + 1 < addresses.length ? addresses[i + 1].index : text.length;
+        return { address: a.address, contacts: findContacts(text.slice(start, end)) };
+      });
+    }
+
+    const taskTypes = findTaskTypes(text);
+    const urgency = findUrgency(text);
+
+    let addressConfidence = 0;
+    if (addresses.length > 0) {
+      addressConfidence = addresses.every((a) => a.hasPostcode)
+        ? CONFIDENCE.ADDRESS_WITH_POSTCODE
+        : CONFIDENCE.ADDRESS_WITHOUT_POSTCODE;
+    }
+    const confidence = {
+      address: addressConfidence,
+      taskTypes: taskTypes.length > 0 ? CONFIDENCE.TASK_TYPE_KEYWORD : CONFIDENCE.NO_TASK_TYPE_KEYWORD,
+      contacts: properties.some((p) => p.contacts.length > 0) ? CONFIDENCE.CONTACTS_FOUND : CONFIDENCE.NO_CONTACTS_FOUND,
+    };
+
+    logger.info('[RuleExtraction] Extracted email info', {
+      propertyCount: properties.length,
+      taskTypes,
+      urgency,
+      confidence,
+    });
+
+    return {
+      properties,
+      taskTypes,
+      urgency,
+      summary: subject || 'New email task',
+      confidence,
+    };
+  },
+
+  /**
+   * Rule-based extraction needs no external service
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  },
+};
+
+module.exports = ruleExtractionService;
@@ -0,0 +1,279 @@
+/**
+ * Run Sheet Service
+ *
+ * Builds the daily run sheet for an inspection schedule: confirmed bookings in slot order,
+ * with the stops in each slot ordered by proximity so technicians can follow them as a route.
+ * Available as JSON, CSV and a printable PDF.
+ */
+
+const PDFDocument = require('pdfkit');
+const inspectionScheduleRepository = require('../repositories/inspectionScheduleRepository');
+const inspectionBookingRepository = require('../repositories/inspectionBookingRepository');
+const inspectionBookingService = require('./inspectionBookingService');
+const geocodingService = require('./geocodingService');
+const { orderByProximity, hasCoordinates, distanceKm } = require('../lib/geo');
+const { buildSpreadsheet } = require('../lib/spreadsheet');
+const { NotFoundError } = require('../lib/errors');
+const { REGION_LABELS, TASK_TYPE_LABELS } = require('../config/constants');
+
+const CSV_COLUMNS = [
+  { header: 'Stop', key: 'stop_number' },
+  { header: 'Slot', key: 'slot' },
+  { header: 'Address', key: 'address' },
+  { header: 'Contact', key: 'contact_name' },
+  { header: 'Contact Phone', key: 'contact_phone' },
+  { header: 'Contact Email', key: 'contact_email' },
+  { header: 'Other Contacts', key: 'other_contacts' },
+  { header: 'Task Types', key: 'task_types' },
+  { header: 'Access Instructions', key: 'access_instructions' },
+  { header: 'Booking Note', key: 'note' },
+  { header: 'Technician', key: 'technician' },
+  { header: 'Agency', key: 'agency' },
+  { header: 'Distance From Previous (km)', key: 'distance_from_previous_km' },
+  { header: 'Latitude', key: 'latitude' },
+  { header: 'Longitude', key: 'longitude' },
+  { header: 'Booking ID', key: 'booking_id' },
+];
+
+const BRAND_COLOR = '#1e3a5f';
+const MUTED_COLOR = '#6b7280';
+
+/**
+ * Format a schedule date as YYYY-MM-DD
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Format task types for display
+ */
+function formatTaskTypes(types) {
+  return types.map((type) => TASK_TYPE_LABELS[type] || type).join(', ');
+}
+
+const runSheetService = {
+  /**
+   * Build the run sheet for a schedule
+   * Properties without stored coordinates are geocoded first; any that still have none
+   * are listed after the located stops of their slot.
+   * @param {number} scheduleId - Schedule ID
+   * @param {Object} requestingUser - Agency users see their agency's stops, technicians their own
+   * @returns {Promise<Object>} Run sheet
+   */
+  async getRunSheet(scheduleId, requestingUser) {
+    const schedule = await inspectionScheduleRepository.findById(scheduleId);
+    if (!schedule) {
+      throw new NotFoundError('Schedule');
+    }
+
+    const scope = inspectionBookingService.buildInspectionScope(requestingUser);
+    const bookings = await inspectionBookingRepository.findConfirmedForRunSheet(scheduleId, scope);
+
+    await geocodingService.ensureCoordinates(bookings.map((booking) => booking.property));
+
+    // Group by slot (bookings are already in slot order)
+    const slots = [];
+    for (const booking of bookings) {
+      let slot = slots.find((s) => s.slot_id === booking.slotId);
+      if (!slot) {
+        slot = {
+          slot_id: booking.slotId,
+          start_time: booking.slot.startTime,
+          end_time: booking.slot.endTime,
+          stops: [],
+        };
+        slots.push(slot);
+      }
+      slot.stops.push(this.formatStop(booking));
+    }
+
+    // Order each slot's stops as a route continuing from the last located stop of the previous slot
+    let previous = null;
+    let stopNumber = 0;
+    let totalKm = 0;
+    for (const slot of slots) {
+      slot.stops = orderByProximity(slot.stops, previous);
+      for (const stop of slot.stops) {
+        stop.stop_number = ++stopNumber;
+        if (hasCoordinates(stop)) {
+          if (previous) {
+            stop.distance_from_previous_km = Math.round(distanceKm(previous, stop) * 10) / 10;
+            totalKm += stop.distance_from_previous_km;
+          }
+          previous = stop;
+        }
+      }
+    }
+
+    const stops = slots.flatMap((slot) => slot.stops);
+
+    return {
+      schedule: {
+        id: schedule.id,
+        region: schedule.region,
+        region_label: REGION_LABELS[schedule.region],
+        schedule_date: formatDate(schedule.scheduleDate),
+        start_time: schedule.startTime,
+        end_time: schedule.endTime,
+        note: schedule.note,
+      },
+      total_stops: stops.length,
+      unlocated_stops: stops.filter((stop) => !hasCoordinates(stop)).length,
+      total_distance_km: Math.round(totalKm * 10) / 10,
+      slots,
+      generated_at: new Date(),
+    };
+  },
+
+  /**
+   * Export the run sheet as CSV or PDF
+   * @param {number} scheduleId - Schedule ID
+   * @param {Object} requestingUser - Requesting user
+   * @param {string} format - 'csv' or 'pdf'
+   * @returns {Promise<{buffer: Buffer, contentType: string, filename: string}>}
+   */
+  async exportRunSheet(scheduleId, requestingUser, format) {
+    const runSheet = await this.getRunSheet(scheduleId, requestingUser);
+    const filename = `run-sheet-${runSheet.schedule.region.toLowerCase()}-${runSheet.schedule.schedule_date}.${format}`;
+
+    if (format === 'pdf') {
+      return {
+        buffer: await this.renderPdf(runSheet),
+        contentType: 'application/pdf',
+        filename,
+      };
+    }
+
+    const rows = runSheet.slots.flatMap((slot) => slot.stops.map((stop) => ({
+      stop_number: stop.stop_number,
+      slot: `${slot.start_time} - ${slot.end_time}`,
+      address: stop.address,
+      contact_name: stop.contact.name,
+      contact_phone: stop.contact.phone,
+      contact_email: stop.contact.email,
+      other_contacts: stop.other_contacts.map((c) => [c.name, c.phone].filter(Boolean).join(' ')).join('; '),
+      task_types: formatTaskTypes(stop.task_types),
+      access_instructions: stop.access_instructions,
+      note: stop.note,
+      technician: stop.technician?.name || stop.technician?.email,
+      agency: stop.agency_name,
+      distance_from_previous_km: stop.distance_from_previous_km,
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      booking_id: stop.booking_id,
+    })));
+
+    const { buffer, contentType } = await buildSpreadsheet('csv', CSV_COLUMNS, rows);
+    return { buffer, contentType, filename };
+  },
+
+  /**
+   * Render the printable run sheet PDF
+   * @param {Object} runSheet - Run sheet from getRunSheet
+   * @returns {Promise<Buffer>} PDF content
+   */
+  renderPdf(runSheet) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { schedule } = runSheet;
+      const contentWidth = doc.page.width - 80;
+
+      // Header band
+      doc.rect(0, 0, doc.page.width, 70).fill(BRAND_COLOR);
+      doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(18)
+        .text('Inspection Run Sheet', 40, 22);
+      doc.font('Helvetica').fontSize(10)
+        .text(`${schedule.region_label} · ${schedule.schedule_date} · ${schedule.start_time} - ${schedule.end_time}`, 40, 46);
+
+      doc.fillColor(MUTED_COLOR).fontSize(9)
+        .text(
+          `${runSheet.total_stops} stops · approx. ${runSheet.total_distance_km} km between stops`
+          + (runSheet.unlocated_stops > 0 ? ` · ${runSheet.unlocated_stops} without location (listed last in their slot)` : ''),
+          40, 85, { width: contentWidth }
+        );
+      if (schedule.note) {
+        doc.text(`Note: ${schedule.note}`, { width: contentWidth });
+      }
+      doc.moveDown();
+
+      if (runSheet.total_stops === 0) {
+        doc.fillColor('#111827').fontSize(11).text('No confirmed bookings for this schedule.');
+      }
+
+      for (const slot of runSheet.slots) {
+        if (doc.y > doc.page.height - 140) doc.addPage();
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(12)
+          .text(`${slot.start_time} - ${slot.end_time}`, 40, doc.y, { width: contentWidth });
+        doc.moveTo(40, doc.y + 2).lineTo(40 + contentWidth, doc.y + 2).strokeColor(BRAND_COLOR).lineWidth(1).stroke();
+        doc.moveDown(0.5);
+
+        for (const stop of slot.stops) {
+          if (doc.y > doc.page.height - 120) doc.addPage();
+
+          const distance = stop.distance_from_previous_km !== null ? `  (${stop.distance_from_previous_km} km)` : '';
+          doc.fillColor('#111827').font('Helvetica-Bold').fontSize(11)
+            .text(`${stop.stop_number}. ${stop.address}${distance}`, 40, doc.y, { width: contentWidth });
+
+          const lines = [
+            ['Contact', [stop.contact.name, stop.contact.phone, stop.contact.email].filter(Boolean).join(' · ')],
+            ['Other contacts', stop.other_contacts.map((c) => [c.name, c.phone].filter(Boolean).join(' ')).join('; ')],
+            ['Tasks', formatTaskTypes(stop.task_types)],
+            ['Access', stop.access_instructions],
+            ['Note', stop.note],
+            ['Technician', stop.technician?.name || stop.technician?.email],
+          ];
+          doc.font('Helvetica').fontSize(9);
+          for (const [label, value] of lines) {
+            if (!value) continue;
+            doc.fillColor(MUTED_COLOR).text(`${label}: `, 52, doc.y, { continued: true, width: contentWidth - 12 })
+              .fillColor('#111827').text(value);
+          }
+          doc.moveDown(0.6);
+        }
+        doc.moveDown(0.4);
+      }
+
+      doc.end();
+    });
+  },
+
+  /**
+   * Format a booking as a run sheet stop
+   */
+  formatStop(booking) {
+    const { property } = booking;
+    const primary = property.contacts.find((c) => c.id === booking.contactId);
+
+    return {
+      stop_number: null,
+      booking_id: booking.id,
+      property_id: property.id,
+      address: property.address,
+      latitude: property.latitude ?? null,
+      longitude: property.longitude ?? null,
+      distance_from_previous_km: null,
+      contact: {
+        name: booking.contactName,
+        phone: booking.contactPhone || primary?.phone || null,
+        email: booking.contactEmail || primary?.email || null,
+      },
+      other_contacts: property.contacts
+        .filter((c) => c.id !== booking.contactId)
+        .map((c) => ({ id: c.id, name: c.name, phone: c.phone, email: c.email })),
+      task_types: [...new Set(property.tasks.map((t) => t.type).filter(Boolean))],
+      tasks: property.tasks.map((t) => ({ id: t.id, task_name: t.taskName, type: t.type })),
+      note: booking.note,
+      access_instructions: property.accessInstructions || null,
+      technician: booking.assignedTechnician || null,
+      agency_name: property.user?.agency?.agencyName || null,
+    };
+  },
+};
+
+module.exports = runSheetService;
@@ -0,0 +1,166 @@
+/**
+ * Task Comment Service
+ *
+ * Business logic for the comment thread on a task.
+ * Comments follow the same access rules as the task itself, and
+ * mentioning a user as @email sends them a notification.
+ */
+
+const taskCommentRepository = require('../repositories/taskCommentRepository');
+const taskRepository = require('../repositories/taskRepository');
+const userRepository = require('../repositories/userRepository');
+const taskService = require('./taskService');
+const resendEmailService = require('./resendEmailService');
+const { NotFoundError, ForbiddenError } = require('../lib/errors');
+const logger = require('../lib/logger');
+
+// Matches "@someone@example.com" and captures the email part
+const MENTION_REGEX = /(?:^|[^A-Za-z0-9._%+-])@([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+const taskCommentService = {
+  /**
+   * List comments for a task
+   */
+  async listComments(taskId, requestingUser) {
+    await this.getAccessibleTask(taskId, requestingUser);
+
+    const comments = await taskCommentRepository.findByTaskId(taskId);
+    return comments.map(this.formatComment);
+  },
+
+  /**
+   * Add a comment to a task and notify mentioned users
+   */
+  async createComment(taskId, data, requestingUser) {
+    const task = await this.getAccessibleTask(taskId, requestingUser);
+
+    // Only users who can see the task are notified, and never the author themselves
+    const candidates = await userRepository.findActiveByEmails(this.extractMentions(data.content));
+    const mentionedUsers = candidates.filter((user) =>
+      user.id !== requestingUser.user_id &&
+      taskService.canAccessTask({ user_id: user.id, role: user.role, agency_id: user.agencyId }, task)
+    );
+
+    const comment = await taskCommentRepository.create({
+      task_id: taskId,
+      author_id: requestingUser.user_id,
+      content: data.content,
+      mentioned_user_ids: mentionedUsers.map((user) => user.id),
+    });
+
+    for (const user of mentionedUsers) {
+      try {
+        await this.sendMentionNotification(task, comment, user);
+      } catch (error) {
+        logger.error('Failed to send comment mention email', {
+          taskId,
+          commentId: comment.id,
+          userId: user.id,
+          error: error.message,
+        });
+        // Don't fail the comment if email fails
+      }
+    }
+
+    return this.formatComment(comment);
+  },
+
+  /**
+   * Delete a comment
+   * Only the author or superuser/admin can delete a comment
+   */
+  async deleteComment(taskId, commentId, requestingUser) {
+    await this.getAccessibleTask(taskId, requestingUser);
+
+    const comment = await taskCommentRepository.findById(commentId);
+    if (!comment || comment.taskId !== taskId) {
+      throw new NotFoundError('Comment');
+    }
+
+    const isAdmin = ['superuser', 'admin'].includes(requestingUser.role);
+    if (!isAdmin && comment.authorId !== requestingUser.user_id) {
+      throw new ForbiddenError('Cannot delete this comment');
+    }
+
+    await taskCommentRepository.delete(commentId);
+  },
+
+  /**
+   * Load a task and check the requesting user can access it
+   */
+  async getAccessibleTask(taskId, requestingUser) {
+    const task = await taskRepository.findByIdWithRelations(taskId);
+    if (!task) {
+      throw new NotFoundError('Task');
+    }
+
+    if (!taskService.canAccessTask(requestingUser, task)) {
+      throw new ForbiddenError('Cannot access this task');
+    }
+
+    return task;
+  },
+
+  /**
+   * Extract unique, lowercased @email mentions from comment content
+   */
+  extractMentions(content) {
+    const emails = new Set();
+    for (const match of content.matchAll(MENTION_REGEX)) {
+      emails.add(match[1].toLowerCase());
+    }
+    return [...emails];
+  },
+
+  /**
+   * Email a user that they were mentioned in a task comment
+   */
+  async sendMentionNotification(task, comment, user) {
+    const frontendUrl = process.env.FRONTEND_URL || 'https://yourdomain.com';
+    const taskDetailUrl = `${frontendUrl}/property/tasks/${task.id}`;
+    const authorName = comment.author?.name || comment.author?.email || 'Someone';
+
+    const subject = `${authorName} mentioned you on ${task.taskName || `Task #${task.id}`}`;
+    const text =
+      `Hello ${user.name || 'there'},\n\n` +
+      `${authorName} mentioned you in a comment on the following task.\n\n` +
+      `------------------------------------------------------\n` +
+      `Task Name: ${task.taskName || 'N/A'}\n` +
+      `Property Address: ${task.property?.address || 'N/A'}\n\n` +
+      `${comment.content}\n` +
+      `------------------------------------------------------\n\n` +
+      `To view this task, please click the link below:\n` +
+      `${taskDetailUrl}\n\n` +
+      'Best regards,\n' +
+      'RJL System';
+
+    await resendEmailService.sendEmail({
+      to: user.email,
+      subject,
+      text,
+    });
+
+    logger.info('Sent comment mention email', { taskId: task.id, commentId: comment.id, userId: user.id });
+  },
+
+  /**
+   * Format comment for API response
+   */
+  formatComment(comment) {
+    return {
+      id: comment.id,
+      task_id: comment.taskId,
+      content: comment.content,
+      mentioned_user_ids: comment.mentionedUserIds,
+      author: comment.author ? {
+        id: comment.author.id,
+        name: comment.author.name,
+        email: comment.author.email,
+        role: comment.author.role,
+      } : null,
+      created_at: comment.createdAt,
+    };
+  },
+};
+
+module.exports = taskCommentService;
@@ -4,12 +4,79 @@
  * Business logic for Task entity.
  */
 
+const prisma = require('../config/prisma');
 const taskRepository = require('../repositories/taskRepository');
 const propertyRepository = require('../repositories/propertyRepository');
 const userRepository = require('../repositories/userRepository');
-const { NotFoundError, ForbiddenError } = require('../lib/errors');
-const { USER_ROLES } = require('../config/constants');
+const taskStatusHistoryRepository = require('../repositories/taskStatusHistoryRepository');
+const userService = require('./userService');
+const assignmentNotificationService = require('./assignmentNotificationService');
+const complianceCertificateService = require('./complianceCertificateService');
+const dayjs = require('dayjs');
+const { AppError, NotFoundError, ForbiddenError, ValidationError } = require('../lib/errors');
+const { USER_ROLES, TASK_STATUS, TASK_STATUS_SOURCE, TASK_SORT_FIELD, TASK_BULK_ACTION, REGION_LABELS } = require('../config/constants');
 const { createPagination } = require('../lib/response');
+const { buildSpreadsheet } = require('../lib/spreadsheet');
+const { formatInspectionTime } = require('../lib/inspectionTime');
+const { normalizeStatus, canTransition, assertTransition } = require('../lib/taskStatus');
+const logger = require('../lib/logger');
+
+// Upper bound on exported rows; larger exports must be narrowed with filters
+const EXPORT_MAX_ROWS = 10000;
+
+const EXPORT_COLUMNS = [
+  { header: 'Task ID', key: 'id', width: 10 },
+  { header: 'Task Name', key: 'task_name', width: 30 },
+  { header: 'Type', key: 'type', width: 20 },
+  { header: 'Status', key: 'status', width: 14 },
+  { header: 'Property Address', key: 'property_address', width: 45 },
+  { header: 'Region', key: 'region', width: 12 },
+  { header: 'Agency', key: 'agency_name', width: 25 },
+  { header: 'Contacts', key: 'contacts', width: 50 },
+  { header: 'Due Date', key: 'due_date', width: 14 },
+  { header: 'Inspection Date', key: 'inspection_date', width: 18 },
+  { header: 'Technician', key: 'technician', width: 20 },
+];
+
+// Task list cursor fields per sort column (mirrors the repository's SORT_FIELDS)
+const CURSOR_FIELDS = {
+  [TASK_SORT_FIELD.DUE_DATE]: 'dueDate',
+  [TASK_SORT_FIELD.INSPECTION_DATE]: 'inspectionDate',
+  [TASK_SORT_FIELD.CREATED_AT]: 'createdAt',
+  [TASK_SORT_FIELD.UPDATED_AT]: 'updatedAt',
+};
+
+/**
+ * Encode the position of a task in a sorted list as an opaque cursor
+ */
+function encodeTaskCursor(task, sortBy = TASK_SORT_FIELD.DUE_DATE, sortOrder = 'asc') {
+  const value = task[CURSOR_FIELDS[sortBy]];
+  const payload = { s: sortBy, o: sortOrder, v: value ? value.toISOString() : null, id: task.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeTaskCursor
+ * The cursor must have been issued for the same sort column and direction.
+ */
+function decodeTaskCursor(cursor, sortBy = TASK_SORT_FIELD.DUE_DATE, sortOrder = 'asc') {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (!payload || !Number.isInteger(payload.id) || (payload.v !== null && Number.isNaN(Date.parse(payload.v)))) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (payload.s !== sortBy || payload.o !== sortOrder) {
+    throw new ValidationError('Cursor does not match the requested sort order');
+  }
+
+  return { value: payload.v ? new Date(payload.v) : null, id: payload.id };
+}
 
 const taskService = {
   /**
@@ -29,27 +96,138 @@ const taskService = {
     return this.formatTask(task);
   },
 
+  /**
+   * Get status transition history for a task
+   */
+  async getTaskStatusHistory(id, requestingUser) {
+    const task = await taskRepository.findByIdWithRelations(id);
+    if (!task) {
+      throw new NotFoundError('Task');
+    }
+
+    if (!this.canAccessTask(requestingUser, task)) {
+      throw new ForbiddenError('Cannot access this task');
+    }
+
+    const history = await taskStatusHistoryRepository.findByTaskId(id);
+    return history.map(this.formatStatusHistory);
+  },
+
   /**
    * List tasks with filters
+   * Offset pagination by default; passing `cursor` (empty for the first page)
+   * switches to cursor pagination, which doesn't skip or repeat rows while the
+   * status job changes tasks between page requests.
    */
-  async listTasks(requestingUser, { search, page = 1, limit = 50, property_id, status, type }) {
-    const skip = (page - 1) * limit;
+  async listTasks(requestingUser, { page = 1, limit = 50, sort_by, sort_order, cursor, ...query }) {
     const scope = await this.buildTaskScope(requestingUser);
+    const filters = {
+      ...this.buildListFilters(scope, query),
+      sortBy: sort_by,
+      sortOrder: sort_order,
+    };
 
-    // Status is stored as uppercase with underscores (e.g., DUE_SOON, COMPLETED)
-    // Type is stored as-is (SMOKE_ALARM, GAS_&_ELECTRICITY)
+    if (cursor === undefined) {
+      const { tasks, total } = await taskRepository.findAll({
+        ...filters,
+        skip: (page - 1) * limit,
+        take: limit,
+      });
 
-    const filters = {
+      return {
+        tasks: tasks.map(this.formatTask),
+        pagination: createPagination(page, limit, total),
+      };
+    }
+
+    // Fetch one extra row to know whether there is a next page
+    const { tasks, total } = await taskRepository.findAll({
+      ...filters,
+      cursor: cursor ? decodeTaskCursor(cursor, sort_by, sort_order) : undefined,
+      take: limit + 1,
+    });
+
+    const hasMore = tasks.length > limit;
+    const pageTasks = hasMore ? tasks.slice(0, limit) : tasks;
+
+    return {
+      tasks: pageTasks.map(this.formatTask),
+      pagination: {
+        limit,
+        total,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeTaskCursor(pageTasks[pageTasks.length - 1], sort_by, sort_order) : null,
+      },
+    };
+  },
+
+  /**
+   * Map list/export query params onto repository filters
+   * Status accepts a comma-separated list (e.g. "DUE_SOON,EXPIRED");
+   * date ranges are inclusive whole days.
+   */
+  buildListFilters(scope, {
+    search, property_id, status, type, region, agency_id, free_check_available, has_files,
+    due_from, due_to, inspection_from, inspection_to,
+  }) {
+    const startOfDay = (date) => (date ? new Date(`${date}T00:00:00.000Z`) : undefined);
+    const endOfDay = (date) => (date ? new Date(`${date}T23:59:59.999Z`) : undefined);
+
+    return {
       ...scope,
-      skip,
-      take: limit,
+      // Agency admins and users are always limited to their own scope
+      agencyId: scope.agencyId || agency_id,
       search,
       propertyId: property_id,
-      status,
+      status: status ? status.split(',').map((s) => s.trim()).filter(Boolean) : undefined,
       type,
+      region,
+      freeCheckAvailable: free_check_available,
+      hasFiles: has_files,
+      dueFrom: startOfDay(due_from),
+      dueTo: endOfDay(due_to),
+      inspectionFrom: startOfDay(inspection_from),
+      inspectionTo: endOfDay(inspection_to),
     };
+  },
+
+  /**
+   * Export tasks as a CSV or XLSX spreadsheet
+   * Accepts the same filters as listTasks and is scoped the same way
+   * @returns {Promise<{buffer: Buffer, contentType: string, filename: string}>}
+   */
+  async exportTasks(requestingUser, { format = 'csv', ...query }) {
+    const scope = await this.buildTaskScope(requestingUser);
+
+    const tasks = await taskRepository.findAllForExport(this.buildListFilters(scope, query), EXPORT_MAX_ROWS + 1);
+
+    if (tasks.length > EXPORT_MAX_ROWS) {
+      throw new ValidationError(`Export is limited to ${EXPORT_MAX_ROWS} tasks. Please narrow the filters.`);
+    }
+
+    const rows = tasks.map(this.formatExportRow);
+    const { buffer, contentType } = await buildSpreadsheet(format, EXPORT_COLUMNS, rows, 'Tasks');
+
+    return {
+      buffer,
+      contentType,
+      filename: `tasks-${dayjs().format('YYYY-MM-DD')}.${format}`,
+    };
+  },
 
-    const { tasks, total } = await taskRepository.findAll(filters);
+  /**
+   * List tasks assigned to the requesting user (technician)
+   */
+  async listMyTasks(requestingUser, { page = 1, limit = 50, status }) {
+    const skip = (page - 1) * limit;
+
+    const { tasks, total } = await taskRepository.findAll({
+      isActive: true,
+      assignedTechnicianId: requestingUser.user_id,
+      status,
+      skip,
+      take: limit,
+    });
 
     return {
       tasks: tasks.map(this.formatTask),
@@ -62,7 +240,7 @@ const taskService = {
    */
   async getTasksDueToday(requestingUser) {
     const scope = await this.buildTaskScope(requestingUser);
-    const tasks = await taskRepository.findDueToday(scope.agencyId, scope.userIds);
+    const tasks = await taskRepository.findDueToday(scope.agencyId, scope.userIds, scope.assignedTechnicianId);
     return tasks.map(this.formatTask);
   },
 
@@ -71,7 +249,7 @@ const taskService = {
    */
   async getDashboardStats(requestingUser) {
     const scope = await this.buildTaskScope(requestingUser);
-    return taskRepository.getDashboardStats(scope.agencyId, scope.userIds);
+    return taskRepository.getDashboardStats(scope.agencyId, scope.userIds, scope.assignedTechnicianId);
   },
 
   /**
@@ -102,12 +280,26 @@ const taskService = {
       throw new Error('Agency ID is required to create a task');
     }
 
+    const technician = await this.resolveTechnicianAssignment(data.assigned_technician_id, requestingUser);
+
     const task = await taskRepository.create({
       ...data,
       agency_id: agencyId,
     });
 
-    return taskRepository.findByIdWithRelations(task.id);
+    await taskStatusHistoryRepository.create({
+      task_id: task.id,
+      to_status: task.status,
+      source: TASK_STATUS_SOURCE.USER,
+      actor_id: requestingUser.user_id,
+    });
+
+    const created = await taskRepository.findByIdWithRelations(task.id);
+    if (technician) {
+      await this.notifyTechnicianAssigned(created, technician);
+    }
+
+    return created;
   },
 
   /**
@@ -148,8 +340,18 @@ const taskService = {
       agency_id: agencyId,
     }));
 
-    const result = await taskRepository.createMany(tasksData);
-    return { count: result.count };
+    const tasks = await taskRepository.createMany(tasksData);
+
+    for (const task of tasks) {
+      await taskStatusHistoryRepository.create({
+        task_id: task.id,
+        to_status: task.status,
+        source: TASK_STATUS_SOURCE.USER,
+        actor_id: requestingUser.user_id,
+      });
+    }
+
+    return { count: tasks.length };
   },
 
   /**
@@ -177,9 +379,21 @@ const taskService = {
       }
     }
 
+    // Technician (re)assignment
+    const isReassigning = data.assigned_technician_id !== undefined
+      && data.assigned_technician_id !== task.assignedTechnicianId;
+    const technician = isReassigning
+      ? await this.resolveTechnicianAssignment(data.assigned_technician_id, requestingUser)
+      : null;
+
+    const actor = { source: TASK_STATUS_SOURCE.USER, actor_id: requestingUser.user_id };
+    const fromStatus = normalizeStatus(task.status);
+
     // Handle UNKNOWN status transition with multi-select types
     // When selected_types is provided, split into multiple tasks
-    if (task.status?.toUpperCase() === 'UNKNOWN' && Array.isArray(data.selected_types) && data.selected_types.length > 0) {
+    if (fromStatus === 'UNKNOWN' && Array.isArray(data.selected_types) && data.selected_types.length > 0) {
+      assertTransition(fromStatus, data.status || 'INCOMPLETE');
+
       const newTasks = [];
 
       for (const selectedType of data.selected_types) {
@@ -202,6 +416,16 @@ const taskService = {
           type: selectedType,
           status: data.status || 'INCOMPLETE',
           free_check_available: task.freeCheckAvailable,
+          assigned_technician_id: data.assigned_technician_id !== undefined
+            ? data.assigned_technician_id
+            : task.assignedTechnicianId,
+        });
+        await taskStatusHistoryRepository.create({
+          ...actor,
+          task_id: newTask.id,
+          from_status: fromStatus,
+          to_status: newTask.status,
+          note: `Split from task #${task.id}`,
         });
         newTasks.push(newTask);
       }
@@ -214,20 +438,262 @@ const taskService = {
         await this.archiveConflictingTasks(newTasks[0], task.propertyId);
       }
 
+      const splitFailures = await this.handleStatusChange(newTasks, newTasks[0].status, actor);
+
+      // A technician assigned with the split is notified of each new task
+      if (technician) {
+        for (const newTask of newTasks) {
+          await this.notifyTechnicianAssigned(await taskRepository.findByIdWithRelations(newTask.id), technician);
+        }
+      }
+
+      this.assertStatusFollowUps(splitFailures);
+
       // Return the first new task with full relations
       return taskRepository.findByIdWithRelations(newTasks[0].id);
     }
 
-    await taskRepository.update(id, data);
-    return taskRepository.findByIdWithRelations(id);
+    const toStatus = data.status ? normalizeStatus(data.status) : fromStatus;
+    const statusChanged = toStatus !== fromStatus;
+    if (statusChanged) {
+      assertTransition(fromStatus, toStatus);
+    }
+
+    const updatedTask = await taskRepository.update(id, data);
+
+    let failures = new Map();
+    if (statusChanged) {
+      await taskStatusHistoryRepository.create({
+        ...actor,
+        task_id: id,
+        from_status: fromStatus,
+        to_status: toStatus,
+      });
+
+      failures = await this.handleStatusChange([updatedTask], toStatus, actor);
+    }
+
+    const result = await taskRepository.findByIdWithRelations(id);
+    if (technician) {
+      await this.notifyTechnicianAssigned(result, technician);
+    }
+    this.assertStatusFollowUps(failures);
+
+    return result;
+  },
+
+  /**
+   * Validate a technician assignment request
+   * Only superuser/admin can assign; null/undefined clears or skips assignment
+   * @returns {Object|null} The technician to notify, if any
+   */
+  async resolveTechnicianAssignment(technicianId, requestingUser) {
+    if (technicianId === undefined) {
+      return null;
+    }
+
+    if (!['superuser', 'admin'].includes(requestingUser.role)) {
+      throw new ForbiddenError('Only admin can assign technicians');
+    }
+
+    if (technicianId === null) {
+      return null;
+    }
+
+    return userService.getAssignableTechnician(technicianId);
+  },
+
+  /**
+   * Send the assignment email (failures are logged, not thrown)
+   */
+  async notifyTechnicianAssigned(task, technician) {
+    try {
+      await assignmentNotificationService.sendTaskAssignment(task, technician);
+    } catch (error) {
+      logger.error('Failed to send task assignment email', { taskId: task.id, error: error.message });
+    }
+  },
+
+  /**
+   * Follow-ups after tasks move to a new status
+   * Every path that changes task status calls this, so a task reaching COMPLETED
+   * always rolls over. Failures are logged and returned, not thrown.
+   * @param {Array} tasks - The tasks that moved
+   * @param {string} toStatus - Status they moved to
+   * @param {Object} actor - { source, actor_id } recorded in the status history
+   * @returns {Map} Task id -> error message, for tasks whose follow-up failed
+   */
+  async handleStatusChange(tasks, toStatus, actor) {
+    const failures = new Map();
+    if (normalizeStatus(toStatus) !== TASK_STATUS.COMPLETED) {
+      return failures;
+    }
+
+    for (const task of tasks) {
+      try {
+        await this.handleTaskCompleted(task, actor);
+      } catch (error) {
+        logger.error('Failed to roll over completed task', { taskId: task.id, error: error.message });
+        failures.set(task.id, error.message);
+      }
+    }
+
+    return failures;
+  },
+
+  /**
+   * Fail a single-task update whose status follow-up failed (the update itself is saved)
+   */
+  assertStatusFollowUps(failures) {
+    if (failures.size > 0) {
+      throw new AppError(`Task saved, but its next cycle could not be created: ${[...failures.values()][0]}`);
+    }
+  },
+
+  /**
+   * Follow-up when a task reaches COMPLETED: start the next compliance cycle,
+   * then issue the compliance certificate (certificate failures are logged only)
+   * @param {Object} actor - { source, actor_id } recorded in the status history
+   */
+  async handleTaskCompleted(task, actor) {
+    const nextTask = await this.rollOverCompletedTask(task, actor);
+
+    if (complianceCertificateService.isEligible(task)) {
+      try {
+        await this.issueCertificate(task.id);
+      } catch (error) {
+        logger.error('Failed to generate compliance certificate', { taskId: task.id, error: error.message });
+      }
+    }
+
+    return nextTask;
+  },
+
+  /**
+   * Regenerate the compliance certificate for a completed task
+   */
+  async regenerateCertificate(id, requestingUser) {
+    const task = await taskRepository.findByIdWithRelations(id);
+    if (!task) {
+      throw new NotFoundError('Task');
+    }
+
+    if (!this.canModifyTask(requestingUser, task)) {
+      throw new ForbiddenError('Cannot modify this task');
+    }
+
+    if (!complianceCertificateService.isEligible(task)) {
+      throw new ValidationError('Certificates are only issued for SMOKE_ALARM and GAS_&_ELECTRICITY tasks');
+    }
+
+    if (![TASK_STATUS.COMPLETED, TASK_STATUS.HISTORY].includes(normalizeStatus(task.status))) {
+      throw new ValidationError('Certificates can only be generated for completed tasks');
+    }
+
+    return this.issueCertificate(id, task);
+  },
+
+  /**
+   * Generate the compliance certificate for a task and attach it as a TaskFile
+   * The next due date is the live next-cycle task's due date once rolled over,
+   * otherwise the task's own due date.
+   */
+  async issueCertificate(id, task = null) {
+    const certificateTask = task || await taskRepository.findByIdWithRelations(id);
+
+    let nextDueDate = certificateTask.dueDate;
+    if (normalizeStatus(certificateTask.status) === TASK_STATUS.HISTORY) {
+      const nextTask = await taskRepository.findLiveByPropertyAndType(
+        certificateTask.propertyId,
+        certificateTask.type,
+        certificateTask.id
+      );
+      nextDueDate = nextTask?.dueDate || this.getNextDueDate(certificateTask);
+    }
+
+    return complianceCertificateService.generate(certificateTask, nextDueDate);
+  },
+
+  /**
+   * Roll a completed task over into its next compliance cycle
+   * - Creates the next-cycle task for the same property and type,
+   *   due one repeat_frequency after the inspection date
+   * - Moves the finished task to HISTORY so each property keeps one live cycle per type
+   * Tasks with repeat_frequency 'none' are left as COMPLETED.
+   * @param {Object} actor - { source, actor_id } recorded in the status history
+   */
+  async rollOverCompletedTask(task, actor) {
+    const nextDueDate = this.getNextDueDate(task);
+    if (!nextDueDate) {
+      return null;
+    }
+
+    // All or nothing, so a failed rollover can be retried without a duplicate next cycle
+    const nextTask = await prisma.$transaction(async (tx) => {
+      // Skip creation if another live task already covers this property/type
+      let next = await taskRepository.findLiveByPropertyAndTypeWithTx(tx, task.propertyId, task.type, task.id);
+
+      if (!next) {
+        // COMPLETED = compliant until due_date; the daily status job
+        // moves it to DUE_SOON / EXPIRED as the due date approaches
+        next = await taskRepository.createWithTx(tx, {
+          property_id: task.propertyId,
+          agency_id: task.agencyId,
+          task_name: task.taskName,
+          task_description: task.taskDescription,
+          due_date: nextDueDate,
+          repeat_frequency: task.repeatFrequency,
+          type: task.type,
+          status: TASK_STATUS.COMPLETED,
+          free_check_available: task.freeCheckAvailable,
+        });
+        await taskStatusHistoryRepository.createWithTx(tx, {
+          ...actor,
+          task_id: next.id,
+          to_status: TASK_STATUS.COMPLETED,
+          note: `Next cycle of task #${task.id}`,
+        });
+      }
+
+      await taskRepository.updateWithTx(tx, task.id, { status: TASK_STATUS.HISTORY });
+      await taskStatusHistoryRepository.createWithTx(tx, {
+        ...actor,
+        task_id: task.id,
+        from_status: TASK_STATUS.COMPLETED,
+        to_status: TASK_STATUS.HISTORY,
+        note: `Rolled over to task #${next.id}`,
+      });
+
+      return next;
+    });
+
+    logger.info('Task rolled over to next compliance cycle', {
+      taskId: task.id,
+      nextTaskId: nextTask.id,
+      nextDueDate: nextDueDate.toISOString(),
+    });
+
+    return nextTask;
+  },
+
+  /**
+   * Compute the next due date from repeat_frequency ("1 month", "2 years", ...)
+   * Based on the inspection date, falling back to now. Returns null for 'none'.
+   */
+  getNextDueDate(task) {
+    const match = /^(\d+)\s*(month|year)s?$/i.exec((task.repeatFrequency || '').trim());
+    if (!match) {
+      return null;
+    }
+
+    const base = task.inspectionDate || new Date();
+    return dayjs(base).add(parseInt(match[1], 10), match[2].toLowerCase()).toDate();
   },
 
   /**
    * Archive conflicting tasks for the same property with similar type
    */
   async archiveConflictingTasks(newTask, propertyId) {
-    const prisma = require('../config/prisma');
-
     // Find other UNKNOWN tasks for the same property (excluding the new task)
     const conflictingTasks = await prisma.task.findMany({
       where: {
@@ -246,6 +712,166 @@ const taskService = {
     return conflictingTasks.length;
   },
 
+  /**
+   * Apply one bulk action to many tasks
+   * Each task is checked on its own (access, current state); the accepted ones are
+   * updated together in a single transaction and a per-task report is returned.
+   */
+  async bulkUpdateTasks(data, requestingUser) {
+    const { action } = data;
+    const taskIds = [...new Set(data.task_ids)];
+
+    // Deleting and restoring need the delete permission, not just update
+    if ([TASK_BULK_ACTION.DELETE, TASK_BULK_ACTION.RESTORE].includes(action)
+      && !requestingUser.permissions?.task?.includes('delete')) {
+      throw new ForbiddenError(`No permission to ${action} tasks`);
+    }
+
+    const tasks = await taskRepository.findByIdsWithRelations(taskIds);
+    const tasksById = new Map(tasks.map((task) => [task.id, task]));
+
+    const errors = new Map();
+    const accepted = [];
+    for (const id of taskIds) {
+      const task = tasksById.get(id);
+      let error = null;
+      if (!task) {
+        error = 'Task not found';
+      } else if (!this.canModifyTask(requestingUser, task)) {
+        error = 'Cannot modify this task';
+      } else {
+        error = this.getBulkActionError(task, data);
+      }
+
+      if (error) {
+        errors.set(id, error);
+      } else {
+        accepted.push(task);
+      }
+    }
+
+    if (accepted.length > 0) {
+      await prisma.$transaction(
+        (tx) => this.applyBulkActionWithTx(tx, accepted, data, requestingUser),
+        { timeout: 30000 }
+      );
+    }
+
+    // Completed tasks start their next cycle, the same as a single update;
+    // the status change itself is saved even when the rollover fails
+    let rolloverErrors = new Map();
+    if (action === TASK_BULK_ACTION.CHANGE_STATUS) {
+      rolloverErrors = await this.handleStatusChange(
+        accepted,
+        data.status,
+        { source: TASK_STATUS_SOURCE.USER, actor_id: requestingUser.user_id }
+      );
+    }
+
+    logger.info('Bulk task operation', {
+      action,
+      userId: requestingUser.user_id,
+      requested: taskIds.length,
+      succeeded: accepted.length,
+      rolloverFailed: rolloverErrors.size,
+    });
+
+    return {
+      action,
+      requested: taskIds.length,
+      succeeded: accepted.length,
+      failed: errors.size,
+      rollover_failed: rolloverErrors.size,
+      results: taskIds.map((id) => {
+        if (errors.has(id)) {
+          return { task_id: id, success: false, error: errors.get(id) };
+        }
+        return rolloverErrors.has(id)
+          ? { task_id: id, success: true, rollover_error: rolloverErrors.get(id) }
+          : { task_id: id, success: true };
+      }),
+    };
+  },
+
+  /**
+   * Check whether a bulk action can be applied to a task
+   * @returns {string|null} Reason the task is skipped, or null if it can be applied
+   */
+  getBulkActionError(task, data) {
+    if (data.action !== TASK_BULK_ACTION.RESTORE && !task.isActive) {
+      return 'Task is deleted';
+    }
+
+    switch (data.action) {
+      case TASK_BULK_ACTION.CHANGE_STATUS: {
+        const fromStatus = normalizeStatus(task.status) || TASK_STATUS.UNKNOWN;
+        const toStatus = normalizeStatus(data.status);
+        if (fromStatus === toStatus) {
+          return `Task is already ${toStatus}`;
+        }
+        if (!canTransition(fromStatus, toStatus)) {
+          return `Cannot change task status from ${fromStatus} to ${toStatus}`;
+        }
+        return null;
+      }
+      case TASK_BULK_ACTION.SHIFT_DUE_DATE:
+        return task.dueDate ? null : 'Task has no due date';
+      case TASK_BULK_ACTION.CHANGE_TYPE:
+        return task.type === data.type ? `Task is already ${data.type}` : null;
+      case TASK_BULK_ACTION.RESTORE:
+        return task.isActive ? 'Task is not deleted' : null;
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Apply a bulk action to already-checked tasks within a transaction
+   */
+  async applyBulkActionWithTx(tx, tasks, data, requestingUser) {
+    const ids = tasks.map((task) => task.id);
+
+    switch (data.action) {
+      case TASK_BULK_ACTION.CHANGE_STATUS: {
+        // Group by current status so each group is recorded with its own from_status
+        const idsByStatus = new Map();
+        for (const task of tasks) {
+          if (!idsByStatus.has(task.status)) idsByStatus.set(task.status, []);
+          idsByStatus.get(task.status).push(task.id);
+        }
+        for (const [status, groupIds] of idsByStatus) {
+          await taskRepository.transitionStatusWithTx(tx, {
+            id: { in: groupIds },
+            status,
+          }, normalizeStatus(data.status), {
+            source: TASK_STATUS_SOURCE.USER,
+            actorId: requestingUser.user_id,
+            data: { updatedAt: new Date() },
+          });
+        }
+        return;
+      }
+      case TASK_BULK_ACTION.SHIFT_DUE_DATE:
+        for (const task of tasks) {
+          await taskRepository.updateWithTx(tx, task.id, {
+            dueDate: dayjs(task.dueDate).add(data.days, 'day').toDate(),
+          });
+        }
+        return;
+      case TASK_BULK_ACTION.CHANGE_TYPE:
+        await taskRepository.updateManyWithTx(tx, ids, { type: data.type });
+        return;
+      case TASK_BULK_ACTION.DELETE:
+        await taskRepository.updateManyWithTx(tx, ids, { isActive: false });
+        return;
+      case TASK_BULK_ACTION.RESTORE:
+        await taskRepository.updateManyWithTx(tx, ids, { isActive: true });
+        return;
+      default:
+        throw new ValidationError(`Unsupported bulk action: ${data.action}`);
+    }
+  },
+
   /**
    * Delete a task (soft delete)
    */
@@ -273,6 +899,9 @@ const taskService = {
     if (requestingUser.role === USER_ROLES.AGENCY_ADMIN) {
       return { isActive: true, agencyId: requestingUser.agency_id };
     }
+    if (requestingUser.role === USER_ROLES.TECHNICIAN) {
+      return { isActive: true, assignedTechnicianId: requestingUser.user_id };
+    }
     // Agency user: get user IDs in scope
     return { isActive: true, userIds: [requestingUser.user_id] };
   },
@@ -285,6 +914,9 @@ const taskService = {
     if (requestingUser.role === USER_ROLES.AGENCY_ADMIN) {
       return task.agencyId === requestingUser.agency_id;
     }
+    if (requestingUser.role === USER_ROLES.TECHNICIAN) {
+      return task.assignedTechnicianId === requestingUser.user_id;
+    }
     return task.property?.userId === requestingUser.user_id;
   },
 
@@ -324,6 +956,7 @@ const taskService = {
       agency_id: task.agencyId,
       email_id: task.emailId,
       free_check_available: task.freeCheckAvailable,
+      assigned_technician_id: task.assignedTechnicianId,
       created_at: task.createdAt,
       updated_at: task.updatedAt,
     };
@@ -359,6 +992,14 @@ const taskService = {
       }
     }
 
+    if (task.assignedTechnician) {
+      formatted.assigned_technician = {
+        id: task.assignedTechnician.id,
+        name: task.assignedTechnician.name,
+        email: task.assignedTechnician.email,
+      };
+    }
+
     if (task.files) {
       formatted.files = task.files.map((f) => ({
         id: f.id,
@@ -381,6 +1022,50 @@ const taskService = {
 
     return formatted;
   },
+
+  /**
+   * Format task as a flat spreadsheet row
+   */
+  formatExportRow(task) {
+    const contacts = (task.property?.contacts || [])
+      .map((contact) => [contact.name, contact.phone, contact.email].filter(Boolean).join(' / '))
+      .join('; ');
+
+    return {
+      id: task.id,
+      task_name: task.taskName || '',
+      type: task.type || '',
+      status: task.status || '',
+      property_address: task.property?.address || '',
+      region: task.property?.region ? REGION_LABELS[task.property.region] : '',
+      agency_name: task.agency?.agencyName || '',
+      contacts,
+      due_date: task.dueDate ? dayjs(task.dueDate).format('YYYY-MM-DD') : '',
+      inspection_date: task.inspectionDate ? formatInspectionTime(task.inspectionDate, 'YYYY-MM-DD HH:mm') : '',
+      technician: task.assignedTechnician?.name || task.assignedTechnician?.email || '',
+    };
+  },
+
+  /**
+   * Format status history entry for API response
+   */
+  formatStatusHistory(entry) {
+    return {
+      id: entry.id,
+      task_id: entry.taskId,
+      from_status: entry.fromStatus,
+      to_status: entry.toStatus,
+      source: entry.source,
+      note: entry.note,
+      actor: entry.actor ? {
+        id: entry.actor.id,
+        name: entry.actor.name,
+        email: entry.actor.email,
+        role: entry.actor.role,
+      } : null,
+      created_at: entry.createdAt,
+    };
+  },
 };
 
 module.exports = taskService;
@@ -7,7 +7,7 @@
 const bcrypt = require('bcrypt');
 const userRepository = require('../repositories/userRepository');
 const permissionRepository = require('../repositories/permissionRepository');
-const { NotFoundError, ConflictError, ForbiddenError } = require('../lib/errors');
+const { NotFoundError, ConflictError, ForbiddenError, ValidationError } = require('../lib/errors');
 const { USER_ROLES } = require('../config/constants');
 const { createPagination } = require('../lib/response');
 
@@ -74,9 +74,9 @@ const userService = {
       throw new ForbiddenError('Agency users must belong to an agency');
     }
 
-    // Non-agency roles (superuser, admin) should not have an agency_id
+    // Non-agency roles (superuser, admin, technician) should not have an agency_id
     if (!agencyRoles.includes(data.role) && data.agency_id) {
-      throw new ForbiddenError('Superuser and admin users cannot belong to an agency');
+      throw new ForbiddenError('Superuser, admin and technician users cannot belong to an agency');
     }
 
     // Verify agency access for non-superuser/admin
@@ -87,7 +87,7 @@ const userService = {
     }
 
     // Prevent role escalation - cannot create users with higher role
-    const roleHierarchy = [USER_ROLES.AGENCY_USER, USER_ROLES.AGENCY_ADMIN, 'admin', 'superuser'];
+    const roleHierarchy = [USER_ROLES.AGENCY_USER, USER_ROLES.AGENCY_ADMIN, USER_ROLES.TECHNICIAN, 'admin', 'superuser'];
     const requestingRoleIndex = roleHierarchy.indexOf(requestingUser.role);
     const targetRoleIndex = roleHierarchy.indexOf(data.role);
 
@@ -188,7 +188,7 @@ const userService = {
       }
 
       // Prevent escalation to higher roles
-      const roleHierarchy = [USER_ROLES.AGENCY_USER, USER_ROLES.AGENCY_ADMIN, 'admin', 'superuser'];
+      const roleHierarchy = [USER_ROLES.AGENCY_USER, USER_ROLES.AGENCY_ADMIN, USER_ROLES.TECHNICIAN, 'admin', 'superuser'];
       const requestingRoleIndex = roleHierarchy.indexOf(requestingUser.role);
       const targetRoleIndex = roleHierarchy.indexOf(data.role);
 
@@ -204,7 +204,7 @@ const userService = {
         throw new ForbiddenError('Agency users must belong to an agency');
       }
       if (!agencyRoles.includes(data.role) && newAgencyId) {
-        throw new ForbiddenError('Superuser and admin users cannot belong to an agency');
+        throw new ForbiddenError('Superuser, admin and technician users cannot belong to an agency');
       }
 
       // If sync_permissions_on_role_change is true (default), reset permissions
@@ -256,6 +256,18 @@ const userService = {
     return userRepository.findByIdWithRelations(id);
   },
 
+  /**
+   * Get an active technician to assign work to
+   * @throws {ValidationError} If the user is not an active technician
+   */
+  async getAssignableTechnician(id) {
+    const user = await userRepository.findById(id);
+    if (!user || !user.isActive || user.role !== USER_ROLES.TECHNICIAN) {
+      throw new ValidationError('Assigned user must be an active technician');
+    }
+    return user;
+  },
+
   /**
    * Validate that custom permissions don't exceed role defaults
    */
@@ -266,6 +278,7 @@ const userService = {
       'admin': ['create', 'read', 'update'],
       'agency-admin': ['create', 'read', 'update'],
       'agency-user': ['read'],
+      'technician': ['read', 'update'],
     };
 
     const allowed = allowedValues[role] || ['read'];
@@ -0,0 +1,59 @@
+/**
+ * Email Template Validation Schemas
+ */
+
+const { z } = require('zod');
+const { EMAIL_TEMPLATES } = require('../config/emailTemplates');
+
+const templateKeys = Object.keys(EMAIL_TEMPLATES);
+
+// Sample/override values for placeholders
+const variablesSchema = z.record(z.string(), z.union([z.string(), z.number(), z.boolean(), z.null()]));
+
+// Template key param schema
+const emailTemplateKeyParamSchema = z.object({
+  key: z.enum(templateKeys, { errorMap: () => ({ message: `Invalid template key. Must be one of: ${templateKeys.join(', ')}` }) }),
+});
+
+// Template version ID param schema
+const emailTemplateVersionIdParamSchema = z.object({
+  id: z.coerce.number().int().positive('Invalid template version ID'),
+});
+
+// Agency query schema (list / detail / reset)
+const emailTemplateQuerySchema = z.object({
+  agency_id: z.coerce.number().int().positive().optional(),
+});
+
+// Save template schema (creates a new active version)
+const saveEmailTemplateSchema = z.object({
+  agency_id: z.number().int().positive('Invalid agency ID').optional().nullable(),
+  subject: z.string().min(1, 'Subject is required').max(500, 'Subject too long'),
+  html: z.string().max(200000).optional().nullable(),
+  text: z.string().max(50000).optional().nullable(),
+}).refine((data) => data.html || data.text, {
+  message: 'Either html or text is required',
+});
+
+// Preview / render schema (unsaved content and variables are optional)
+const previewEmailTemplateSchema = z.object({
+  agency_id: z.number().int().positive('Invalid agency ID').optional().nullable(),
+  subject: z.string().max(500).optional(),
+  html: z.string().max(200000).optional().nullable(),
+  text: z.string().max(50000).optional().nullable(),
+  variables: variablesSchema.optional(),
+});
+
+const renderEmailTemplateSchema = z.object({
+  agency_id: z.number().int().positive('Invalid agency ID').optional().nullable(),
+  variables: variablesSchema.optional(),
+});
+
+module.exports = {
+  emailTemplateKeyParamSchema,
+  emailTemplateVersionIdParamSchema,
+  emailTemplateQuerySchema,
+  saveEmailTemplateSchema,
+  previewEmailTemplateSchema,
+  renderEmailTemplateSchema,
+};
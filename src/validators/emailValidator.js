@@ -3,6 +3,9 @@
  */
 
 const { z } = require('zod');
+const { TASK_TYPE } = require('../config/constants');
+
+const taskTypeValues = Object.values(TASK_TYPE);
 
 // Process email schema (for email listener/parser)
 const processEmailSchema = z.object({
@@ -32,9 +35,35 @@ const syncEmailsQuerySchema = z.object({
   days: z.coerce.number().int().positive().max(365).optional().default(7),
 });
 
+// Review queue / dead-letter list query schema
+const emailQueueQuerySchema = z.object({
+  page: z.coerce.number().int().positive().optional().default(1),
+  limit: z.coerce.number().int().positive().max(100).optional().default(50),
+});
+
+// Proposed contact in a review extraction
+const reviewContactSchema = z.object({
+  name: z.string().max(255).optional().nullable(),
+  phone: z.string().max(100).optional().nullable(),
+  email: z.string().email('Invalid email format').optional().nullable(),
+});
+
+// Edit (or approve with edits) a proposed extraction
+const reviewExtractionSchema = z.object({
+  properties: z.array(z.object({
+    address: z.string().trim().max(500).optional().nullable(),
+    contacts: z.array(reviewContactSchema).max(20).optional().default([]),
+  })).min(1, 'At least one property is required').max(50).optional(),
+  task_types: z.array(z.enum(taskTypeValues)).max(taskTypeValues.length).optional(),
+  urgency: z.enum(['LOW', 'MEDIUM', 'HIGH', 'URGENT']).optional(),
+  summary: z.string().max(500).optional().nullable(),
+});
+
 module.exports = {
   processEmailSchema,
   emailIdParamSchema,
   listEmailsQuerySchema,
   syncEmailsQuerySchema,
+  emailQueueQuerySchema,
+  reviewExtractionSchema,
 };
@@ -26,6 +26,14 @@ const updateConfigSchema = z.object({
   end_time: z.string().regex(timeRegex, 'Invalid time format (HH:MM)'),
   slot_duration: z.number().int().min(15, 'Minimum slot duration is 15 minutes').max(480, 'Maximum slot duration is 480 minutes'),
   max_capacity: z.number().int().min(1, 'Minimum capacity is 1').max(20, 'Maximum capacity is 20').optional(),
+  // Days after the invitation to re-send it to recipients who have not booked ([] = no follow-ups)
+  follow_up_days: z.array(z.number().int().min(1, 'Follow-up days must be at least 1').max(60, 'Follow-up days cannot exceed 60'))
+    .max(5, 'At most 5 follow-ups')
+    .refine((days) => days.every((day, i) => i === 0 || day > days[i - 1]), {
+      message: 'Follow-up days must be in increasing order',
+    })
+    .optional(),
+  follow_up_alert_days: z.number().int().min(0).max(30, 'Alert days cannot exceed 30').optional(),
 }).refine((data) => {
   // Validate end_time > start_time
   const [startHour, startMin] = data.start_time.split(':').map(Number);
@@ -99,6 +107,11 @@ const listSchedulesQuerySchema = z.object({
   limit: z.coerce.number().int().positive().max(100).optional().default(50),
 });
 
+// Run sheet query schema
+const runSheetQuerySchema = z.object({
+  format: z.enum(['json', 'csv', 'pdf'], { errorMap: () => ({ message: 'Invalid format. Must be one of: json, csv, pdf' }) }).optional().default('json'),
+});
+
 // Send notification schema
 const sendNotificationSchema = z.object({
   property_ids: z.array(z.number().int().positive()).min(1, 'At least one property must be selected'),
@@ -124,6 +137,7 @@ const bookingIdParamSchema = z.object({
 const confirmBookingSchema = z.object({
   note: z.string().max(500).optional(),
   send_notification: z.boolean().optional().default(true),
+  technician_id: z.number().int().positive('Invalid technician ID').optional(),
 });
 
 // Reject booking schema
@@ -139,6 +153,19 @@ const rescheduleBookingSchema = z.object({
   send_notification: z.boolean().optional().default(true),
 });
 
+// Assign technician schema (null clears the assignment)
+const assignTechnicianSchema = z.object({
+  technician_id: z.number().int().positive('Invalid technician ID').nullable(),
+  send_notification: z.boolean().optional().default(true),
+});
+
+// ==================== Notification Schemas ====================
+
+// Notification ID param schema
+const notificationIdParamSchema = z.object({
+  id: z.coerce.number().int().positive('Invalid notification ID'),
+});
+
 // ==================== Public Booking Schemas ====================
 
 // Booking token param schema
@@ -155,6 +182,17 @@ const submitBookingSchema = z.object({
   note: z.string().max(500).optional(),
 });
 
+// Cancel booking (public) schema
+const cancelPublicBookingSchema = z.object({
+  reason: z.string().max(500).optional(),
+});
+
+// Reschedule booking (public) schema
+const reschedulePublicBookingSchema = z.object({
+  slot_id: z.number().int().positive('Invalid slot ID'),
+  note: z.string().max(500).optional(),
+});
+
 module.exports = {
   // Config
   regionParamSchema,
@@ -165,6 +203,7 @@ module.exports = {
   updateScheduleSchema,
   scheduleIdParamSchema,
   listSchedulesQuerySchema,
+  runSheetQuerySchema,
   sendNotificationSchema,
   // Booking
   listBookingsQuerySchema,
@@ -172,7 +211,12 @@ module.exports = {
   confirmBookingSchema,
   rejectBookingSchema,
   rescheduleBookingSchema,
+  assignTechnicianSchema,
+  // Notification
+  notificationIdParamSchema,
   // Public
   bookingTokenParamSchema,
   submitBookingSchema,
+  cancelPublicBookingSchema,
+  reschedulePublicBookingSchema,
 };
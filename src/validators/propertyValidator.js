@@ -13,6 +13,10 @@ const createPropertySchema = z.object({
   address: z.string().min(1, 'Address is required').max(500, 'Address too long'),
   user_id: z.number().int().positive('Invalid user ID').optional(),
   region: z.enum(regionValues, { errorMap: () => ({ message: 'Region is required. Please select a valid region (EAST, SOUTH, WEST, NORTH, CENTRAL)' }) }),
+  allow_duplicate: z.boolean().optional(), // Create even if the address looks like an existing property
+  latitude: z.number().min(-90).max(90).optional(),
+  longitude: z.number().min(-180).max(180).optional(),
+  access_instructions: z.string().max(2000).optional(),
 });
 
 // Update property schema
@@ -21,6 +25,9 @@ const updatePropertySchema = z.object({
   user_id: z.number().int().positive().optional().nullable(),
   is_active: z.boolean().optional(),
   region: z.enum(regionValues, { errorMap: () => ({ message: 'Invalid region' }) }).optional().nullable(),
+  latitude: z.number().min(-90).max(90).optional().nullable(),
+  longitude: z.number().min(-180).max(180).optional().nullable(),
+  access_instructions: z.string().max(2000).optional().nullable(),
 }).refine((data) => Object.keys(data).length > 0, {
   message: 'At least one field must be provided for update',
 });
@@ -45,10 +52,16 @@ const batchUpdateRegionSchema = z.object({
   region: z.enum(regionValues, { errorMap: () => ({ message: 'Invalid region. Must be one of: EAST, SOUTH, WEST, NORTH, CENTRAL' }) }),
 });
 
+// Merge properties schema
+const mergePropertiesSchema = z.object({
+  property_ids: z.array(z.number().int().positive('Invalid property ID')).min(1, 'At least one property ID is required').max(100),
+});
+
 module.exports = {
   createPropertySchema,
   updatePropertySchema,
   propertyIdParamSchema,
   listPropertiesQuerySchema,
   batchUpdateRegionSchema,
+  mergePropertiesSchema,
 };
@@ -0,0 +1,48 @@
+/**
+ * Reminder Policy Validation Schemas
+ */
+
+const { z } = require('zod');
+const { TASK_TYPE } = require('../config/constants');
+
+const validTypes = Object.values(TASK_TYPE);
+
+// Reminder day offsets, e.g. [90, 30, 7]
+const reminderDaysSchema = z.array(z.number().int().min(0).max(365))
+  .max(10, 'At most 10 reminders')
+  .transform((days) => [...new Set(days)].sort((a, b) => b - a));
+
+// Create reminder policy schema
+const createReminderPolicySchema = z.object({
+  agency_id: z.coerce.number().int().positive('Invalid agency ID').optional().nullable(),
+  task_type: z.enum(validTypes, { errorMap: () => ({ message: `Invalid task type. Must be one of: ${validTypes.join(', ')}` }) }).optional().nullable(),
+  due_soon_days: z.number().int().min(0).max(365).optional(),
+  before_due_days: reminderDaysSchema.optional(),
+  after_expiry_days: reminderDaysSchema.optional(),
+});
+
+// Update reminder policy schema (agency / task type cannot change)
+const updateReminderPolicySchema = z.object({
+  due_soon_days: z.number().int().min(0).max(365).optional(),
+  before_due_days: reminderDaysSchema.optional(),
+  after_expiry_days: reminderDaysSchema.optional(),
+}).refine((data) => Object.keys(data).length > 0, {
+  message: 'At least one field must be provided for update',
+});
+
+// Reminder policy ID param schema
+const reminderPolicyIdParamSchema = z.object({
+  id: z.coerce.number().int().positive('Invalid reminder policy ID'),
+});
+
+// List reminder policies query schema
+const listReminderPoliciesQuerySchema = z.object({
+  agency_id: z.coerce.number().int().positive().optional(),
+});
+
+module.exports = {
+  createReminderPolicySchema,
+  updateReminderPolicySchema,
+  reminderPolicyIdParamSchema,
+  listReminderPoliciesQuerySchema,
+};
@@ -3,11 +3,13 @@
  */
 
 const { z } = require('zod');
-const { TASK_STATUS, TASK_TYPE, REPEAT_FREQUENCY } = require('../config/constants');
+const { TASK_STATUS, TASK_TYPE, REPEAT_FREQUENCY, TASK_BULK_ACTION, TASK_SORT_FIELD, REGION } = require('../config/constants');
 
 const validStatuses = Object.values(TASK_STATUS);
 const validTypes = Object.values(TASK_TYPE);
 const validFrequencies = Object.values(REPEAT_FREQUENCY);
+const validRegions = Object.values(REGION);
+const validSortFields = Object.values(TASK_SORT_FIELD);
 
 // Create task schema
 const createTaskSchema = z.object({
@@ -22,6 +24,7 @@ const createTaskSchema = z.object({
   free_check_available: z.boolean().optional().default(false),
   email_id: z.coerce.number().int().positive().optional().nullable(),
   agency_id: z.coerce.number().int().positive('Invalid agency ID').optional(),
+  assigned_technician_id: z.number().int().positive('Invalid technician ID').optional().nullable(),
 });
 
 // Create multiple tasks schema
@@ -50,6 +53,7 @@ const updateTaskSchema = z.object({
   status: z.enum(validStatuses, { errorMap: () => ({ message: `Invalid status. Must be one of: ${validStatuses.join(', ')}` }) }).optional(),
   is_active: z.boolean().optional(),
   free_check_available: z.boolean().optional(),
+  assigned_technician_id: z.number().int().positive('Invalid technician ID').optional().nullable(),
   // Fields for splitting UNKNOWN tasks into specific task types
   selected_types: z.array(z.enum(validTypes, { errorMap: () => ({ message: `Invalid task type. Must be one of: ${validTypes.join(', ')}` }) })).optional(),
   archive_conflicts: z.boolean().optional(),
@@ -57,19 +61,91 @@ const updateTaskSchema = z.object({
   message: 'At least one field must be provided for update',
 });
 
+// Bulk task operation schema (one action applied to many tasks)
+const bulkTaskIds = z.array(z.number().int().positive())
+  .min(1, 'At least one task ID is required')
+  .max(500, 'At most 500 tasks can be updated at once');
+
+const bulkTaskSchema = z.discriminatedUnion('action', [
+  z.object({
+    action: z.literal(TASK_BULK_ACTION.CHANGE_STATUS),
+    task_ids: bulkTaskIds,
+    status: z.enum(validStatuses, { errorMap: () => ({ message: `Invalid status. Must be one of: ${validStatuses.join(', ')}` }) }),
+  }),
+  z.object({
+    action: z.literal(TASK_BULK_ACTION.SHIFT_DUE_DATE),
+    task_ids: bulkTaskIds,
+    days: z.number().int().min(-3650).max(3650).refine((days) => days !== 0, 'Days must not be zero'),
+  }),
+  z.object({
+    action: z.literal(TASK_BULK_ACTION.CHANGE_TYPE),
+    task_ids: bulkTaskIds,
+    type: z.enum(validTypes, { errorMap: () => ({ message: `Invalid task type. Must be one of: ${validTypes.join(', ')}` }) }),
+  }),
+  z.object({
+    action: z.literal(TASK_BULK_ACTION.DELETE),
+    task_ids: bulkTaskIds,
+  }),
+  z.object({
+    action: z.literal(TASK_BULK_ACTION.RESTORE),
+    task_ids: bulkTaskIds,
+  }),
+]);
+
 // Task ID param schema
 const taskIdParamSchema = z.object({
   id: z.coerce.number().int().positive('Invalid task ID'),
 });
 
+// Query-string boolean ("true" / "false")
+const booleanQuery = z.enum(['true', 'false']).transform((value) => value === 'true');
+
+// Task filters shared by the list and export queries
+const taskFilterQueryFields = {
+  search: z.string().optional(),
+  property_id: z.coerce.number().int().positive().optional(),
+  status: z.string().optional(), // comma-separated for multiple statuses
+  type: z.string().optional(),
+  region: z.enum(validRegions, { errorMap: () => ({ message: `Invalid region. Must be one of: ${validRegions.join(', ')}` }) }).optional(),
+  agency_id: z.coerce.number().int().positive().optional(),
+  free_check_available: booleanQuery.optional(),
+  has_files: booleanQuery.optional(),
+  due_from: z.string().date().optional(),
+  due_to: z.string().date().optional(),
+  inspection_from: z.string().date().optional(),
+  inspection_to: z.string().date().optional(),
+};
+
 // List tasks query schema
 const listTasksQuerySchema = z.object({
-  search: z.string().optional(),
+  ...taskFilterQueryFields,
   page: z.coerce.number().int().positive().optional().default(1),
   limit: z.coerce.number().int().positive().max(1000).optional().default(50),
-  property_id: z.coerce.number().int().positive().optional(),
-  status: z.string().optional(),
-  type: z.string().optional(),
+  sort_by: z.enum(validSortFields, { errorMap: () => ({ message: `Invalid sort field. Must be one of: ${validSortFields.join(', ')}` }) }).optional().default(TASK_SORT_FIELD.DUE_DATE),
+  sort_order: z.enum(['asc', 'desc']).optional().default('asc'),
+  cursor: z.string().optional(), // empty for the first page of cursor pagination
+});
+
+// Create task comment schema
+const createTaskCommentSchema = z.object({
+  content: z.string().trim().min(1, 'Comment cannot be empty').max(5000),
+});
+
+// Task comment param schema
+const taskCommentParamSchema = z.object({
+  id: z.coerce.number().int().positive('Invalid task ID'),
+  commentId: z.coerce.number().int().positive('Invalid comment ID'),
+});
+
+// Export tasks query schema (same filters as the list, without pagination)
+const exportTasksQuerySchema = z.object({
+  format: z.enum(['csv', 'xlsx'], { errorMap: () => ({ message: 'Invalid format. Must be one of: csv, xlsx' }) }).optional().default('csv'),
+  ...taskFilterQueryFields,
+});
+
+// Calendar feed token param schema
+const calendarTokenParamSchema = z.object({
+  token: z.string().regex(/^[a-f0-9]{64}$/, 'Invalid calendar token'),
 });
 
 // Dashboard query schema
@@ -81,7 +157,12 @@ module.exports = {
   createTaskSchema,
   createTasksSchema,
   updateTaskSchema,
+  bulkTaskSchema,
   taskIdParamSchema,
   listTasksQuerySchema,
+  exportTasksQuerySchema,
   dashboardQuerySchema,
+  createTaskCommentSchema,
+  taskCommentParamSchema,
+  calendarTokenParamSchema,
 };